@@ -4,9 +4,271 @@
  */
 
 class ActionExecutor {
-  constructor() {
+  // Attributes that show, hide or open content; watched for page changes
+  static VISIBILITY_ATTRIBUTES = [
+    "class",
+    "style",
+    "hidden",
+    "open",
+    "aria-hidden",
+    "aria-expanded",
+  ];
+
+  /**
+   * @param {ElementDetector} elementDetector - Used to find an element again
+   *   by its description; without it waitFor only takes predicates
+   * @param {ActionHistory} history - Where typing, selecting, toggling,
+   *   setting values and scrolling are recorded for undo
+   */
+  constructor(elementDetector = null, history = null) {
+    this.elementDetector = elementDetector;
+    this.history = history;
     this.lastAction = null;
     this.highlightedElement = null;
+    this.highlights = [];
+    this.numberBadges = [];
+    // Elements whose style the highlights change, so their restyling isn't
+    // mistaken for the page reacting
+    this.styledElements = new WeakSet();
+    // Where focus was on the page before the user clicked into Lavio's panel
+    this.lastPageFocus = null;
+    document.addEventListener(
+      "focusin",
+      () => {
+        const focused = this.getFocusedElement();
+        if (focused && !this.isInLavioUI(focused)) {
+          this.lastPageFocus = focused;
+        }
+      },
+      true
+    );
+  }
+
+  /**
+   * Run an action, finding its element again if the page re-rendered it
+   * When the element is detached before or during the action, it is looked
+   * up again by description (waiting for it to render) and the action is
+   * retried. Successful results carry pageChange, what the action did to the
+   * page.
+   * @param {string} actionType - click, focus, type, select, toggle,
+   *   set_value or press_key
+   * @param {HTMLElement|null} element - Target element
+   * @param {*} value - Text, option, checked state, value or key combo
+   * @param {Object} options - Execution options, plus description (to find
+   *   the element again), retries (default 2), timeout (ms to wait for the
+   *   element, default 2000) and settle (ms to wait for a change, default 600)
+   * @returns {Promise<Object>} Result of the action, with pageChange
+   *   { changed, urlChanged, focusMoved, elementsAdded, stateChanged,
+   *   openedTab } and attempts
+   */
+  async execute(actionType, element, value = null, options = {}) {
+    const actions = {
+      click: (target) => this.executeClick(target, options),
+      focus: (target) => this.executeFocus(target, options),
+      type: (target) => this.executeType(target, value, options),
+      select: (target) => this.executeSelect(target, value, options),
+      toggle: (target) => this.executeToggle(target, value, options),
+      set_value: (target) => this.executeSetValue(target, value, options),
+      press_key: (target) => this.executePressKey(value, target, options),
+    };
+    const perform = actions[actionType];
+    if (!perform) {
+      return { success: false, error: `Unknown action "${actionType}"` };
+    }
+
+    const retries = options.retries ?? 2;
+    let target = element;
+    let result = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (target && !target.isConnected) {
+        if (!options.description) break;
+        const found = await this.waitFor(
+          options.description,
+          options.timeout ?? 2000
+        );
+        if (!found) break;
+        console.log(`Lavio: Found "${options.description}" again, retrying`);
+        target = found.element;
+      }
+
+      const watcher = this.watchForChanges(target);
+      result = await perform(target);
+      if (result.success) {
+        result.pageChange = await watcher.finish(options.settle ?? 600);
+        result.attempts = attempt + 1;
+        if (this.lastAction) {
+          this.lastAction.pageChange = result.pageChange;
+        }
+        return result;
+      }
+      watcher.stop();
+
+      // Only a re-rendered element is worth another try
+      if (!target || target.isConnected) break;
+    }
+
+    return (
+      result || { success: false, error: "Element is no longer on the page" }
+    );
+  }
+
+  /**
+   * Wait until an element matching a description is on the page, or until a
+   * predicate holds. Checked now and again whenever the page changes.
+   * @param {string|Function} target - Element description, or a function
+   *   returning a truthy value once the wait is over
+   * @param {number} timeout - ms to wait
+   * @returns {Promise<*>} The detected element for a description, the
+   *   predicate's value, or null on timeout
+   */
+  waitFor(target, timeout = 3000) {
+    const check =
+      typeof target === "function"
+        ? target
+        : () => this.findByDescription(target);
+
+    return new Promise((resolve) => {
+      let pending = null;
+
+      const attempt = () => {
+        pending = null;
+        let value = null;
+        try {
+          value = check();
+        } catch (error) {
+          console.warn("Lavio: waitFor check failed:", error);
+        }
+        if (value) finish(value);
+      };
+
+      const observer = new MutationObserver((records) => {
+        if (records.every((record) => this.isOwnMutation(record))) return;
+        // One check per burst of mutations
+        pending ??= setTimeout(attempt, 50);
+      });
+
+      const deadline = setTimeout(() => finish(null), timeout);
+
+      function finish(value) {
+        clearTimeout(pending);
+        clearTimeout(deadline);
+        observer.disconnect();
+        resolve(value);
+      }
+
+      observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        // A predicate may look at any attribute
+        attributes: true,
+      });
+      attempt();
+    });
+  }
+
+  /**
+   * Detect the page's elements afresh and return the best match
+   */
+  findByDescription(description) {
+    if (!this.elementDetector) return null;
+    this.elementDetector.getAllInteractiveElements();
+    return this.elementDetector.findElementByDescription(description);
+  }
+
+  /**
+   * Start recording what an action does to the page
+   * Besides DOM mutations, URL and focus, this notices a control whose
+   * checked state or value changed (neither shows up as a mutation) and a
+   * click on a link that opens in a new tab.
+   * @param {HTMLElement|null} target - Element the action is aimed at; the
+   *   focused element when null
+   * @returns {Object} { finish(wait), stop() }; finish resolves with
+   *   { changed, urlChanged, focusMoved, elementsAdded, stateChanged,
+   *   openedTab } as soon as something changed, or after wait ms
+   */
+  watchForChanges(target = null) {
+    const startUrl = window.location.href;
+    const startFocus = this.getFocusedElement();
+    const control = target || startFocus;
+    const startState = this.getControlState(control);
+    let linkClick = null;
+    let mutated = false;
+    let elementsAdded = 0;
+    let onChange = null;
+
+    const record = (records) => {
+      records.forEach((record) => {
+        if (this.isOwnMutation(record)) return;
+        mutated = true;
+        record.addedNodes?.forEach((node) => {
+          if (node.nodeType === Node.ELEMENT_NODE) elementsAdded++;
+        });
+      });
+      if (mutated) onChange?.();
+    };
+    const observer = new MutationObserver(record);
+    observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributeFilter: ActionExecutor.VISIBILITY_ATTRIBUTES,
+    });
+
+    // Checked later: the page may still cancel the click after capture
+    const onClick = (event) => {
+      const link = event.target.closest?.("a[href]");
+      if (link && this.opensNewTab(link)) linkClick = event;
+    };
+    window.addEventListener("click", onClick, true);
+    const stopWatching = () => {
+      observer.disconnect();
+      window.removeEventListener("click", onClick, true);
+    };
+
+    const snapshot = () => {
+      record(observer.takeRecords());
+      const urlChanged = window.location.href !== startUrl;
+      const focusMoved = this.getFocusedElement() !== startFocus;
+      const endState = this.getControlState(control);
+      const stateChanged =
+        !!startState &&
+        !!endState &&
+        (startState.checked !== endState.checked ||
+          startState.value !== endState.value);
+      const openedTab = !!linkClick && !linkClick.defaultPrevented;
+      return {
+        changed:
+          mutated || urlChanged || focusMoved || stateChanged || openedTab,
+        urlChanged,
+        focusMoved,
+        elementsAdded,
+        stateChanged,
+        openedTab,
+      };
+    };
+
+    return {
+      stop: stopWatching,
+      finish: (wait = 600) =>
+        new Promise((resolve) => {
+          let timer = null;
+          const done = () => {
+            clearTimeout(timer);
+            onChange = null;
+            const change = snapshot();
+            stopWatching();
+            resolve(change);
+          };
+
+          if (snapshot().changed) {
+            done();
+            return;
+          }
+          onChange = done;
+          timer = setTimeout(done, wait);
+        }),
+    };
   }
 
   /**
@@ -59,12 +321,14 @@ class ActionExecutor {
   /**
    * Execute a scroll action
    * @param {string} direction - Direction to scroll (up, down, top, bottom)
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options; amount is pixels or a
+   *   spoken amount ("a little", "a lot", "two pages", "300px")
    * @returns {Promise<Object>} Result of action
    */
   async executeScroll(direction, options = {}) {
     try {
-      const amount = options.amount || 500;
+      const amount = this.resolveScrollAmount(options.amount);
+      const start = { left: window.scrollX, top: window.scrollY };
 
       switch (direction.toLowerCase()) {
         case "up":
@@ -98,6 +362,12 @@ class ActionExecutor {
         timestamp: Date.now(),
       };
 
+      this.recordChange(
+        `scrolling ${direction.toLowerCase()}`,
+        () => window.scrollTo({ ...start, behavior: "smooth" }),
+        () => this.executeScroll(direction, options)
+      );
+
       return { success: true, action: "scroll", direction: direction };
     } catch (error) {
       console.error("Error executing scroll:", error);
@@ -105,6 +375,121 @@ class ActionExecutor {
     }
   }
 
+  /**
+   * Pixels to scroll for a spoken amount; a page is most of the viewport so
+   * a line of context stays in view
+   * @param {number|string|null} amount - Pixels, or "a little", "a bit",
+   *   "a lot", "half a page", "two pages", "3 screens", "300px"
+   * @returns {number} Pixels, 500 when no amount is given or understood
+   */
+  resolveScrollAmount(amount) {
+    if (typeof amount === "number" && amount > 0) return amount;
+
+    const text = String(amount ?? "")
+      .trim()
+      .toLowerCase();
+    const page = Math.round(window.innerHeight * 0.9);
+    if (/\b(?:little|bit|slightly|touch)\b/.test(text)) {
+      return Math.round(page / 4);
+    }
+    if (/\b(?:lot|way|far)\b/.test(text)) return page * 2;
+
+    const pixels = text.match(/^(\d+)\s*(?:px|pixels?)$/);
+    if (pixels) return Number(pixels[1]);
+
+    const pages = text.match(/^(.+?)\s*(?:pages?|screens?|screenfuls?)$/);
+    if (pages) {
+      const counts = {
+        "half a": 0.5,
+        half: 0.5,
+        a: 1,
+        one: 1,
+        two: 2,
+        three: 3,
+        four: 4,
+        five: 5,
+      };
+      const count = counts[pages[1]] ?? Number(pages[1]);
+      if (count > 0) return Math.round(page * count);
+    }
+
+    return 500;
+  }
+
+  /**
+   * Smoothly scroll a section, heading or element to the top of the view
+   * and highlight it
+   * @param {HTMLElement} element - Element to bring into view
+   * @param {Object} options - Execution options; label names the target in
+   *   the undo history
+   * @returns {Promise<Object>} Result of action
+   */
+  async scrollTo(element, options = {}) {
+    try {
+      if (!element) {
+        return { success: false, error: "Element not found" };
+      }
+
+      const start = { left: window.scrollX, top: window.scrollY };
+
+      // Highlight while scrolling (if enabled)
+      if (options.highlight !== false) {
+        await this.highlightElement(element, "scroll");
+      }
+
+      element.scrollIntoView({ behavior: "smooth", block: "start" });
+      await this.sleep(options.delay || 300);
+
+      this.lastAction = {
+        type: "scroll_to",
+        element: element,
+        timestamp: Date.now(),
+      };
+
+      this.recordChange(
+        options.label ? `scrolling to "${options.label}"` : "the scroll",
+        () => window.scrollTo({ ...start, behavior: "smooth" }),
+        () => this.scrollTo(element, { highlight: false, delay: 1 })
+      );
+
+      return { success: true, action: "scroll_to" };
+    } catch (error) {
+      console.error("Error scrolling to element:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Scroll to the heading below or above the top of the view
+   * @param {string} direction - "next" or "previous"
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} Result of action, with the heading's text
+   */
+  async scrollToAdjacentHeading(direction, options = {}) {
+    if (!this.elementDetector) {
+      return { success: false, error: "Headings can't be detected" };
+    }
+
+    // A heading within a few pixels of the top is the one being read
+    const margin = 10;
+    const headings = this.elementDetector
+      .getOutline()
+      .filter((entry) => entry.type === "heading");
+    const heading =
+      direction === "previous"
+        ? headings.filter((entry) => entry.position.top < -margin).pop()
+        : headings.find((entry) => entry.position.top > margin);
+    if (!heading) {
+      return { success: false, error: `There is no ${direction} heading` };
+    }
+
+    const result = await this.scrollTo(heading.element, {
+      ...options,
+      label: heading.text,
+    });
+    return { ...result, text: heading.text };
+  }
+
   /**
    * Execute a navigation action
    * @param {string} action - Navigation action (back, forward, refresh)
@@ -169,7 +554,8 @@ class ActionExecutor {
       await this.sleep(options.delay || 300);
 
       // Focus the element
-      element.focus();
+      this.focusElement(element);
+      const previousValue = element.value;
 
       // Clear existing value if requested
       if (options.clear !== false) {
@@ -189,10 +575,19 @@ class ActionExecutor {
       this.lastAction = {
         type: "type",
         element: element,
+        previousValue,
         text: text,
         timestamp: Date.now(),
       };
 
+      const typed = element.value;
+      this.recordChange(
+        `typing "${text}"`,
+        () => this.restoreValue(element, previousValue),
+        () => this.restoreValue(element, typed),
+        element
+      );
+
       return { success: true, action: "type", text: text };
     } catch (error) {
       console.error("Error executing type:", error);
@@ -228,7 +623,7 @@ class ActionExecutor {
       await this.sleep(options.delay || 300);
 
       // Focus the element
-      element.focus();
+      this.focusElement(element);
 
       this.lastAction = {
         type: "focus",
@@ -243,51 +638,773 @@ class ActionExecutor {
     }
   }
 
+  /**
+   * Choose an option in a native <select> or an ARIA combobox/listbox
+   * @param {HTMLElement} element - The select, combobox, listbox or option
+   * @param {string} optionText - Text (or value) of the option to choose
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} Result of action
+   */
+  async executeSelect(element, optionText, options = {}) {
+    try {
+      if (!element) {
+        return { success: false, error: "Element not found" };
+      }
+
+      // Highlight before selecting (if enabled)
+      if (options.highlight !== false) {
+        await this.highlightElement(element, "select");
+      }
+
+      element.scrollIntoView({
+        behavior: "smooth",
+        block: "center",
+        inline: "center",
+      });
+      await this.sleep(options.delay || 300);
+
+      // Native select: set the value and tell the page
+      if (element.tagName === "SELECT") {
+        const choices = Array.from(element.options);
+        const option = this.findOption(choices, optionText);
+        if (!option) {
+          return {
+            success: false,
+            error: `No option matching "${optionText}"`,
+            options: choices.map((choice) => choice.text.trim()),
+          };
+        }
+
+        const previousValue = element.value;
+        element.value = option.value;
+        this.dispatchInputEvents(element);
+
+        this.lastAction = {
+          type: "select",
+          element: element,
+          previousValue,
+          value: option.value,
+          timestamp: Date.now(),
+        };
+
+        this.recordChange(
+          `choosing "${option.text.trim()}"`,
+          () => this.restoreValue(element, previousValue),
+          () => this.restoreValue(element, option.value),
+          element
+        );
+
+        return { success: true, action: "select", option: option.text.trim() };
+      }
+
+      // ARIA listbox: options may only exist once the popup is open
+      let choices = this.getListboxOptions(element);
+      if (choices.length === 0 && element.getAttribute("role") !== "option") {
+        element.click();
+        await this.sleep(options.delay || 300);
+        choices = this.getListboxOptions(element);
+      }
+
+      const option = this.findOption(choices, optionText);
+      if (!option) {
+        return {
+          success: false,
+          error: `No option matching "${optionText}"`,
+          options: choices.map((choice) => choice.textContent.trim()),
+        };
+      }
+
+      // The option chosen before, to choose again on undo
+      const previous = choices.find(
+        (choice) => choice.getAttribute("aria-selected") === "true"
+      );
+
+      option.scrollIntoView({ block: "nearest" });
+      option.click();
+
+      this.lastAction = {
+        type: "select",
+        element: element,
+        option,
+        timestamp: Date.now(),
+      };
+
+      if (previous && previous !== option) {
+        const replay = { highlight: false, delay: 1 };
+        this.recordChange(
+          `choosing "${option.textContent.trim()}"`,
+          () =>
+            this.executeSelect(element, previous.textContent.trim(), replay),
+          () => this.executeSelect(element, option.textContent.trim(), replay),
+          element
+        );
+      }
+
+      return {
+        success: true,
+        action: "select",
+        option: option.textContent.trim(),
+      };
+    } catch (error) {
+      console.error("Error executing select:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Options belonging to an ARIA combobox, listbox or option
+   * A combobox points at its listbox with aria-controls (or aria-owns), or
+   * contains it.
+   */
+  getListboxOptions(element) {
+    const role = element.getAttribute("role");
+    if (role === "option") return [element];
+    if (role === "listbox") {
+      return Array.from(element.querySelectorAll('[role="option"]'));
+    }
+
+    const root = element.getRootNode();
+    const ids = [
+      element.getAttribute("aria-controls"),
+      element.getAttribute("aria-owns"),
+    ]
+      .filter(Boolean)
+      .join(" ")
+      .split(/\s+/)
+      .filter(Boolean);
+    const listboxes = [
+      ...ids.map((id) => root.getElementById?.(id)).filter(Boolean),
+      ...element.querySelectorAll('[role="listbox"]'),
+    ];
+
+    return listboxes.flatMap((listbox) =>
+      Array.from(listbox.querySelectorAll('[role="option"]'))
+    );
+  }
+
+  /**
+   * Best option for spoken text: exact text, then exact value, then partial
+   */
+  findOption(choices, wanted) {
+    const target = String(wanted ?? "")
+      .trim()
+      .toLowerCase();
+    if (!target) return null;
+
+    const text = (choice) =>
+      (choice.text ?? choice.textContent).trim().toLowerCase();
+    return (
+      choices.find((choice) => text(choice) === target) ||
+      choices.find((choice) => (choice.value || "").toLowerCase() === target) ||
+      choices.find((choice) => text(choice).includes(target)) ||
+      choices.find((choice) => text(choice) && target.includes(text(choice))) ||
+      null
+    );
+  }
+
+  /**
+   * Check or uncheck a checkbox, switch or toggle button
+   * @param {HTMLElement} element - Checkbox, switch or pressable button
+   * @param {boolean|null} checked - State to end in; null flips it
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} Result of action; changed is false when the
+   *   control was already in the requested state
+   */
+  async executeToggle(element, checked = null, options = {}) {
+    try {
+      if (!element) {
+        return { success: false, error: "Element not found" };
+      }
+
+      const before = this.getCheckedState(element);
+      if (typeof checked === "boolean" && before === checked) {
+        return { success: true, action: "toggle", checked, changed: false };
+      }
+
+      // Highlight before toggling (if enabled)
+      if (options.highlight !== false) {
+        await this.highlightElement(element, "toggle");
+      }
+
+      element.scrollIntoView({
+        behavior: "smooth",
+        block: "center",
+        inline: "center",
+      });
+      await this.sleep(options.delay || 300);
+
+      // A click fires input/change for native checkboxes and runs the page's
+      // handler for ARIA switches
+      element.click();
+
+      const after = this.getCheckedState(element);
+      if (before !== null && after === before) {
+        return { success: false, error: "The control didn't change" };
+      }
+
+      this.lastAction = {
+        type: "toggle",
+        element: element,
+        previousValue: before,
+        value: after,
+        timestamp: Date.now(),
+      };
+
+      if (typeof before === "boolean" && typeof after === "boolean") {
+        const replay = { highlight: false, delay: 1 };
+        this.recordChange(
+          after ? "checking the control" : "unchecking the control",
+          () => this.executeToggle(element, before, replay),
+          () => this.executeToggle(element, after, replay),
+          element
+        );
+      }
+
+      return { success: true, action: "toggle", checked: after, changed: true };
+    } catch (error) {
+      console.error("Error executing toggle:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Whether a checkbox, switch or toggle button is on
+   * @returns {boolean|string|null} true, false, "mixed", or null if unknown
+   */
+  getCheckedState(element) {
+    const aria =
+      element.getAttribute("aria-checked") ??
+      element.getAttribute("aria-pressed");
+    if (aria === "mixed") return "mixed";
+    if (aria !== null) return aria === "true";
+    return typeof element.checked === "boolean" ? element.checked : null;
+  }
+
+  /**
+   * Set the value of a slider, number, date or time input
+   * @param {HTMLElement} element - Input or ARIA slider
+   * @param {string} value - Value to set: a number, "min"/"max", "50%", or a
+   *   date/time in any format Date understands ("today" and "tomorrow" too)
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} Result of action
+   */
+  async executeSetValue(element, value, options = {}) {
+    try {
+      if (!element) {
+        return { success: false, error: "Element not found" };
+      }
+
+      // Highlight before setting (if enabled)
+      if (options.highlight !== false) {
+        await this.highlightElement(element, "set_value");
+      }
+
+      element.scrollIntoView({
+        behavior: "smooth",
+        block: "center",
+        inline: "center",
+      });
+      await this.sleep(options.delay || 300);
+
+      const role = element.getAttribute("role");
+      if (role === "slider" || role === "spinbutton") {
+        return await this.setAriaSliderValue(element, value);
+      }
+
+      if (element.tagName !== "INPUT") {
+        return { success: false, error: "Element doesn't take a value" };
+      }
+
+      const normalized = this.normalizeInputValue(element, value);
+      if (normalized === null) {
+        return {
+          success: false,
+          error: `"${value}" isn't a valid ${element.type} value`,
+        };
+      }
+
+      const previousValue = element.value;
+      this.focusElement(element);
+      element.value = normalized;
+      this.dispatchInputEvents(element);
+
+      this.lastAction = {
+        type: "set_value",
+        element: element,
+        previousValue,
+        value: element.value,
+        timestamp: Date.now(),
+      };
+
+      const newValue = element.value;
+      this.recordChange(
+        `setting the value to ${newValue}`,
+        () => this.restoreValue(element, previousValue),
+        () => this.restoreValue(element, newValue),
+        element
+      );
+
+      return { success: true, action: "set_value", value: element.value };
+    } catch (error) {
+      console.error("Error executing set value:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Convert a spoken value into the format an input type expects
+   * @returns {string|null} The value, or null if it can't be converted
+   */
+  normalizeInputValue(element, value) {
+    const text = String(value ?? "").trim();
+    const lower = text.toLowerCase();
+    const pad = (n) => String(n).padStart(2, "0");
+
+    switch (element.type) {
+      case "range":
+      case "number": {
+        const min = element.min !== "" ? Number(element.min) : null;
+        const max = element.max !== "" ? Number(element.max) : null;
+        // Ranges default to 0-100 when min/max are missing
+        const low = min ?? (element.type === "range" ? 0 : null);
+        const high = max ?? (element.type === "range" ? 100 : null);
+        return this.resolveNumber(lower, low, high);
+      }
+
+      case "date":
+      case "datetime-local":
+      case "month": {
+        if (/^\d{4}-\d{2}(-\d{2})?(T\d{2}:\d{2})?$/.test(text)) return text;
+
+        const date = this.parseSpokenDate(lower);
+        if (!date) return null;
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+        if (element.type === "month") return day;
+        const full = `${day}-${pad(date.getDate())}`;
+        return element.type === "date"
+          ? full
+          : `${full}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+      }
+
+      case "time": {
+        const match = lower.match(
+          /^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/
+        );
+        if (!match) return null;
+        let hours = Number(match[1]) % 24;
+        if (match[3]?.startsWith("p") && hours < 12) hours += 12;
+        if (match[3]?.startsWith("a") && hours === 12) hours = 0;
+        return `${pad(hours)}:${match[2] || "00"}`;
+      }
+
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * A number from "40", "max", "min" or "50%", clamped to [low, high]
+   * @returns {string|null}
+   */
+  resolveNumber(text, low, high) {
+    let number;
+    if (/^(max|maximum|highest|full)$/.test(text)) number = high;
+    else if (/^(min|minimum|lowest|zero)$/.test(text)) number = low ?? 0;
+    else if (/^-?\d+(\.\d+)?\s*(%|percent)$/.test(text)) {
+      if (low === null || high === null) return null;
+      number = low + ((high - low) * parseFloat(text)) / 100;
+    } else number = parseFloat(text);
+
+    if (number === null || Number.isNaN(number)) return null;
+    if (low !== null) number = Math.max(low, number);
+    if (high !== null) number = Math.min(high, number);
+    return String(number);
+  }
+
+  parseSpokenDate(text) {
+    const today = new Date();
+    const offsets = { today: 0, tomorrow: 1, yesterday: -1 };
+    if (text in offsets) {
+      today.setDate(today.getDate() + offsets[text]);
+      return today;
+    }
+
+    // "March 3rd 2025" → "March 3 2025"
+    const date = new Date(text.replace(/(\d+)(st|nd|rd|th)\b/g, "$1"));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * ARIA sliders only change through their own key handlers, so step towards
+   * the target with arrow keys (Home/End for the extremes)
+   */
+  async setAriaSliderValue(element, value) {
+    const read = () => Number(element.getAttribute("aria-valuenow"));
+    const min = Number(element.getAttribute("aria-valuemin") ?? 0);
+    const max = Number(element.getAttribute("aria-valuemax") ?? 100);
+    const target = Number(
+      this.resolveNumber(String(value).toLowerCase(), min, max)
+    );
+    if (Number.isNaN(target) || Number.isNaN(read())) {
+      return { success: false, error: `Can't set the slider to "${value}"` };
+    }
+
+    const previousValue = read();
+    this.focusElement(element);
+
+    if (target === min || target === max) {
+      this.dispatchKey(element, { key: target === min ? "Home" : "End" });
+    }
+
+    let step = 0;
+    for (let i = 0; i < 200 && read() !== target; i++) {
+      const current = read();
+      const up = current < target;
+      this.dispatchKey(element, { key: up ? "ArrowRight" : "ArrowLeft" });
+      step = Math.abs(read() - current);
+      // Stop when the slider ignores the key or steps past the target
+      if (step === 0 || read() < target !== up) break;
+    }
+
+    const reached = Math.abs(read() - target) <= step;
+    if (!reached) {
+      return { success: false, error: "The slider didn't move to that value" };
+    }
+
+    this.lastAction = {
+      type: "set_value",
+      element: element,
+      previousValue,
+      value: read(),
+      timestamp: Date.now(),
+    };
+
+    const newValue = read();
+    this.recordChange(
+      `setting the value to ${newValue}`,
+      () => this.setAriaSliderValue(element, previousValue),
+      () => this.setAriaSliderValue(element, newValue),
+      element
+    );
+
+    return { success: true, action: "set_value", value: String(read()) };
+  }
+
+  /**
+   * Press a key, with modifiers, on an element or whatever has focus
+   * Synthetic key events don't trigger browser defaults, so Tab moves focus,
+   * Enter/Space activate buttons and links and arrows scroll the page here.
+   * @param {string} keyCombo - e.g. "Enter", "Escape", "Shift+Tab", "Ctrl+ArrowDown"
+   * @param {HTMLElement} element - Element to send the key to; defaults to the focused one
+   * @param {Object} options - Execution options
+   * @returns {Promise<Object>} Result of action
+   */
+  async executePressKey(keyCombo, element = null, options = {}) {
+    try {
+      const combo = this.parseKeyCombo(keyCombo);
+      if (!combo) {
+        return { success: false, error: `Unknown key "${keyCombo}"` };
+      }
+
+      if (element) {
+        if (options.highlight !== false) {
+          await this.highlightElement(element, "press_key", {
+            label: combo.label,
+          });
+        }
+        this.focusElement(element);
+      }
+
+      const target = element || this.getPageFocusedElement();
+      if (this.dispatchKey(target, combo)) {
+        this.performDefaultKeyAction(target, combo);
+      }
+
+      this.lastAction = {
+        type: "press_key",
+        element: target,
+        key: combo.label,
+        timestamp: Date.now(),
+      };
+
+      return { success: true, action: "press_key", key: combo.label };
+    } catch (error) {
+      console.error("Error executing key press:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Parse "Ctrl+Shift+ArrowDown", "control shift down" or "page down"
+   * @returns {Object|null} KeyboardEvent init ({ key, code, ctrlKey, ... })
+   *   plus a display label, or null for an unknown key
+   */
+  parseKeyCombo(keyCombo) {
+    const modifierKeys = {
+      ctrl: "ctrlKey",
+      control: "ctrlKey",
+      shift: "shiftKey",
+      alt: "altKey",
+      option: "altKey",
+      meta: "metaKey",
+      cmd: "metaKey",
+      command: "metaKey",
+    };
+    const namedKeys = {
+      enter: "Enter",
+      return: "Enter",
+      escape: "Escape",
+      esc: "Escape",
+      tab: "Tab",
+      space: " ",
+      spacebar: " ",
+      backspace: "Backspace",
+      delete: "Delete",
+      home: "Home",
+      end: "End",
+      pageup: "PageUp",
+      pagedown: "PageDown",
+      up: "ArrowUp",
+      down: "ArrowDown",
+      left: "ArrowLeft",
+      right: "ArrowRight",
+    };
+
+    const parts = String(keyCombo || "")
+      .toLowerCase()
+      .replace(/\bkey\b/g, " ")
+      .replace(/\b(page|arrow)\s+(\w+)/g, "$1$2")
+      .split(/\s*\+\s*|\s+/)
+      .filter(Boolean);
+
+    const combo = {
+      ctrlKey: false,
+      shiftKey: false,
+      altKey: false,
+      metaKey: false,
+    };
+    let name = null;
+    for (const part of parts) {
+      if (modifierKeys[part]) combo[modifierKeys[part]] = true;
+      else if (name === null) name = part.replace(/^arrow/, "");
+      else return null;
+    }
+    if (name === null) return null;
+
+    if (namedKeys[name]) {
+      combo.key = namedKeys[name];
+      combo.code = combo.key === " " ? "Space" : combo.key;
+    } else if (/^[a-z0-9]$/.test(name)) {
+      combo.key = combo.shiftKey ? name.toUpperCase() : name;
+      combo.code = /\d/.test(name)
+        ? `Digit${name}`
+        : `Key${name.toUpperCase()}`;
+    } else {
+      return null;
+    }
+
+    combo.label = [
+      combo.ctrlKey && "Ctrl",
+      combo.altKey && "Alt",
+      combo.metaKey && "Meta",
+      combo.shiftKey && "Shift",
+      combo.key === " " ? "Space" : combo.key,
+    ]
+      .filter(Boolean)
+      .join("+");
+    return combo;
+  }
+
+  /**
+   * Dispatch keydown (keypress for printable keys and Enter) and keyup
+   * @returns {boolean} false if the page cancelled the keydown
+   */
+  dispatchKey(target, combo) {
+    const init = {
+      key: combo.key,
+      code: combo.code || combo.key,
+      ctrlKey: !!combo.ctrlKey,
+      shiftKey: !!combo.shiftKey,
+      altKey: !!combo.altKey,
+      metaKey: !!combo.metaKey,
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+    };
+
+    const notCancelled = target.dispatchEvent(
+      new KeyboardEvent("keydown", init)
+    );
+    if (notCancelled && (combo.key.length === 1 || combo.key === "Enter")) {
+      target.dispatchEvent(new KeyboardEvent("keypress", init));
+    }
+    target.dispatchEvent(new KeyboardEvent("keyup", init));
+    return notCancelled;
+  }
+
+  /**
+   * The browser's default behavior for keys that synthetic events don't get
+   */
+  performDefaultKeyAction(target, combo) {
+    const modified = combo.ctrlKey || combo.altKey || combo.metaKey;
+    const tag = target.tagName;
+    const role = target.getAttribute?.("role");
+    const activatable =
+      tag === "BUTTON" ||
+      (tag === "A" && target.hasAttribute("href")) ||
+      ["button", "link", "tab", "menuitem", "option"].includes(role);
+
+    if (combo.key === "Tab" && !combo.ctrlKey) {
+      this.moveFocus(target, combo.shiftKey ? -1 : 1);
+    } else if (combo.key === "Enter" && !modified) {
+      if (activatable) target.click();
+      else if (tag === "INPUT" && target.form) target.form.requestSubmit();
+    } else if (combo.key === " " && !modified) {
+      if (
+        activatable ||
+        target.type === "checkbox" ||
+        target.type === "radio"
+      ) {
+        target.click();
+      }
+    } else if (
+      target === document.body ||
+      target === document.documentElement
+    ) {
+      const amounts = {
+        ArrowDown: 40,
+        ArrowUp: -40,
+        PageDown: window.innerHeight * 0.9,
+        PageUp: -window.innerHeight * 0.9,
+      };
+      if (amounts[combo.key]) window.scrollBy({ top: amounts[combo.key] });
+      if (combo.key === "Home") window.scrollTo({ top: 0 });
+      if (combo.key === "End") {
+        window.scrollTo({ top: document.body.scrollHeight });
+      }
+    }
+  }
+
+  /**
+   * Move focus to the next (1) or previous (-1) focusable element
+   */
+  moveFocus(from, direction) {
+    const focusable = Array.from(
+      from.ownerDocument.querySelectorAll(
+        'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"]), [contenteditable="true"]'
+      )
+    ).filter((el) => !el.disabled && !this.isLavioNode(el));
+    if (focusable.length === 0) return;
+
+    const index = focusable.indexOf(from);
+    const next =
+      index === -1
+        ? focusable[direction > 0 ? 0 : focusable.length - 1]
+        : focusable[(index + direction + focusable.length) % focusable.length];
+    next.focus();
+  }
+
+  /**
+   * The focused element, following focus into same-origin iframes and open
+   * shadow roots
+   */
+  getFocusedElement() {
+    let active = document.activeElement;
+    while (active) {
+      let inner = null;
+      try {
+        inner =
+          active.shadowRoot?.activeElement ||
+          active.contentDocument?.activeElement;
+      } catch (error) {
+        // Cross-origin frame
+      }
+      if (!inner || inner === active) break;
+      active = inner;
+    }
+    return active;
+  }
+
+  /**
+   * The focused element on the page, leaving out Lavio's own UI
+   * Speaking a command usually starts with a click on Lavio's record button,
+   * so this falls back to what the page had focused before, or the body.
+   */
+  getPageFocusedElement() {
+    const focused = this.getFocusedElement();
+    if (focused && !this.isInLavioUI(focused)) return focused;
+    if (this.lastPageFocus?.isConnected) return this.lastPageFocus;
+    return document.body;
+  }
+
+  /**
+   * Fire input and change so frameworks (React, Vue) see a new value
+   */
+  dispatchInputEvents(element) {
+    element.dispatchEvent(new Event("input", { bubbles: true }));
+    element.dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
   /**
    * Highlight an element with visual feedback
    * @param {HTMLElement} element - Element to highlight
    * @param {string} actionType - Type of action being performed
-   * @returns {Promise<void>}
+   * @param {Object} options - Highlight options
+   * @param {string} options.label - Badge text instead of the action name (e.g. "1")
+   * @param {number} options.duration - ms before the highlight goes away; 0 keeps it
+   *   until removeHighlight()
+   * @param {boolean} options.keepExisting - Keep other highlights on the page
+   * @returns {Promise<Object>} The highlight, for removeHighlight(highlight)
    */
-  async highlightElement(element, actionType = "click") {
+  async highlightElement(element, actionType = "click", options = {}) {
     // Remove previous highlight
-    if (this.highlightedElement) {
+    if (!options.keepExisting) {
       this.removeHighlight();
     }
 
     // Store original styles
-    const originalOutline = element.style.outline;
-    const originalOutlineOffset = element.style.outlineOffset;
-    const originalZIndex = element.style.zIndex;
+    const highlight = {
+      element,
+      originalOutline: element.style.outline,
+      originalOutlineOffset: element.style.outlineOffset,
+      originalZIndex: element.style.zIndex,
+      label: null,
+      timer: null,
+    };
 
     // Apply highlight
+    this.styledElements.add(element);
     element.style.outline = "3px solid #FFD700";
     element.style.outlineOffset = "2px";
     element.style.zIndex = "999999";
 
-    this.highlightedElement = {
+    // Create label
+    highlight.label = this.createActionLabel(
       element,
-      originalOutline,
-      originalOutlineOffset,
-      originalZIndex,
-    };
+      actionType,
+      options.label
+    );
 
-    // Create label
-    const label = this.createActionLabel(element, actionType);
+    this.highlights.push(highlight);
+    this.highlightedElement = highlight;
 
     // Auto-remove after delay
-    setTimeout(() => {
-      this.removeHighlight();
-      if (label && label.parentNode) {
-        label.remove();
-      }
-    }, 1500);
+    const duration = options.duration ?? 1500;
+    if (duration > 0) {
+      highlight.timer = setTimeout(
+        () => this.removeHighlight(highlight),
+        duration
+      );
+    }
+
+    return highlight;
   }
 
   /**
    * Create a label showing the action
+   * @param {string} text - Label text; defaults to the action name
    */
-  createActionLabel(element, actionType) {
+  createActionLabel(element, actionType, text) {
     const label = document.createElement("div");
     label.className = "lavio-action-label";
 
@@ -296,9 +1413,15 @@ class ActionExecutor {
         click: "Clicking",
         type: "Typing",
         focus: "Focusing",
+        select: "Selecting",
+        toggle: "Toggling",
+        set_value: "Setting",
+        press_key: "Pressing",
+        fill_form: "Filling",
+        scroll: "Scrolling to",
       }[actionType] || "Action";
 
-    label.textContent = actionText;
+    label.textContent = text ?? actionText;
     label.style.cssText = `
       position: absolute;
       background: #FFD700;
@@ -313,7 +1436,7 @@ class ActionExecutor {
     `;
 
     // Position above element
-    const rect = element.getBoundingClientRect();
+    const rect = this.getTopLevelRect(element);
     label.style.top = `${window.scrollY + rect.top - 30}px`;
     label.style.left = `${window.scrollX + rect.left}px`;
 
@@ -322,23 +1445,77 @@ class ActionExecutor {
   }
 
   /**
-   * Remove highlight from element
+   * Put a numbered badge on each element, replacing any existing badges
+   * Badges use the action label styling; badge n belongs to elements[n - 1].
+   * @param {Array<HTMLElement>} elements - Elements in badge order
+   */
+  showNumberBadges(elements) {
+    this.clearNumberBadges();
+    this.numberBadges = elements.map((element, i) => {
+      const badge = this.createActionLabel(element, "number", String(i + 1));
+      badge.classList.add("lavio-number-badge");
+      badge.style.padding = "2px 6px";
+      badge.style.top = `${parseFloat(badge.style.top) + 10}px`;
+      return badge;
+    });
+  }
+
+  clearNumberBadges() {
+    this.numberBadges.forEach((badge) => badge.remove());
+    this.numberBadges = [];
+  }
+
+  /**
+   * Remove one highlight, or all of them
+   * @param {Object} highlight - Value returned by highlightElement; omit to remove all
    */
-  removeHighlight() {
-    if (this.highlightedElement) {
+  removeHighlight(highlight) {
+    const targets = highlight ? [highlight] : [...this.highlights];
+
+    targets.forEach((target) => {
+      const index = this.highlights.indexOf(target);
+      if (index === -1) return;
+      this.highlights.splice(index, 1);
+
       const {
         element,
         originalOutline,
         originalOutlineOffset,
         originalZIndex,
-      } = this.highlightedElement;
-
+      } = target;
       element.style.outline = originalOutline;
       element.style.outlineOffset = originalOutlineOffset;
       element.style.zIndex = originalZIndex;
 
-      this.highlightedElement = null;
-    }
+      clearTimeout(target.timer);
+      target.label?.remove();
+    });
+
+    this.highlightedElement = this.highlights.at(-1) || null;
+  }
+
+  /**
+   * Focus an element, first moving focus into any iframes that contain it so
+   * keystrokes reach the frame
+   */
+  focusElement(element) {
+    FrameGeometry.getFrameChain(element).forEach((frame) => frame.focus());
+    element.focus();
+  }
+
+  /**
+   * An element's bounding box in top-level viewport coordinates, so labels
+   * line up with elements inside iframes
+   */
+  getTopLevelRect(element) {
+    const rect = element.getBoundingClientRect();
+    const offset = FrameGeometry.getFrameOffset(element);
+    return {
+      top: rect.top + offset.top,
+      left: rect.left + offset.left,
+      width: rect.width,
+      height: rect.height,
+    };
   }
 
   /**
@@ -348,6 +1525,153 @@ class ActionExecutor {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
+  /**
+   * Whether an element is inside Lavio's own UI
+   */
+  isInLavioUI(element) {
+    return !!element.closest?.(
+      '[id^="lavio-"], [class^="lavio-"], [class*=" lavio-"]'
+    );
+  }
+
+  /**
+   * Whether a node is part of Lavio's own UI (panel, labels, badges)
+   */
+  isLavioNode(node) {
+    return (
+      node.nodeType === Node.ELEMENT_NODE &&
+      (node.id?.startsWith("lavio-") ||
+        [...node.classList].some((name) => name.startsWith("lavio-")))
+    );
+  }
+
+  /**
+   * Checked state and value of a form control, or null for other elements
+   */
+  getControlState(element) {
+    if (!element?.matches?.("input, textarea, select")) return null;
+    return { checked: element.checked, value: element.value };
+  }
+
+  /**
+   * Whether following a link opens a new tab or window
+   */
+  opensNewTab(link) {
+    const target = (link.getAttribute("target") || "").toLowerCase();
+    return target !== "" && !["_self", "_parent", "_top"].includes(target);
+  }
+
+  /**
+   * Whether a MutationRecord only touches Lavio's own UI (adding or removing
+   * it, or changes inside it), or restyles a highlighted element
+   */
+  isOwnMutation(record) {
+    const target =
+      record.target.nodeType === Node.ELEMENT_NODE
+        ? record.target
+        : record.target.parentElement;
+    if (
+      target?.closest('[id^="lavio-"], [class^="lavio-"], [class*=" lavio-"]')
+    ) {
+      return true;
+    }
+
+    if (record.type === "attributes") {
+      return (
+        record.attributeName === "style" &&
+        this.styledElements.has(record.target)
+      );
+    }
+    return (
+      record.type === "childList" &&
+      [...record.addedNodes, ...record.removedNodes].every((node) =>
+        this.isLavioNode(node)
+      )
+    );
+  }
+
+  /**
+   * Wait for the page to settle after an action
+   * Resolves once the document has loaded and no content has changed for
+   * `quietPeriod` ms, or when `timeout` runs out. Lavio's own UI is ignored.
+   * @param {Object} options - { quietPeriod, timeout }
+   * @returns {Promise<Object>} { settled, changed, urlChanged }
+   */
+  waitForPageSettle(options = {}) {
+    const quietPeriod = options.quietPeriod ?? 400;
+    const timeout = options.timeout ?? 5000;
+    const startUrl = window.location.href;
+
+    return new Promise((resolve) => {
+      let changed = false;
+      let quietTimer = null;
+
+      const armQuietTimer = () => {
+        clearTimeout(quietTimer);
+        if (document.readyState !== "complete") return;
+        quietTimer = setTimeout(() => finish(true), quietPeriod);
+      };
+
+      const observer = new MutationObserver((records) => {
+        if (records.every((record) => this.isOwnMutation(record))) return;
+        changed = true;
+        armQuietTimer();
+      });
+
+      const deadline = setTimeout(() => finish(false), timeout);
+
+      function finish(settled) {
+        clearTimeout(quietTimer);
+        clearTimeout(deadline);
+        observer.disconnect();
+        document.removeEventListener("readystatechange", armQuietTimer);
+        resolve({
+          settled,
+          changed,
+          urlChanged: window.location.href !== startUrl,
+        });
+      }
+
+      observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+      });
+      document.addEventListener("readystatechange", armQuietTimer);
+      armQuietTimer();
+    });
+  }
+
+  /**
+   * Record a change in the undo history, if there is one
+   * @param {string} description - What was done, read after "Undid"
+   * @param {Function} undo - Reverses the change
+   * @param {Function} redo - Makes the change again
+   * @param {HTMLElement} element - Element changed, if any; a change whose
+   *   element has left the page is dropped from the history
+   */
+  recordChange(description, undo, redo, element = null) {
+    this.history?.record({
+      description,
+      undo,
+      redo,
+      elements: element ? [element] : [],
+    });
+  }
+
+  /**
+   * Put a value back into an input or select, telling the page as typing
+   * would
+   */
+  restoreValue(element, value) {
+    if (!element.isConnected) {
+      return { success: false, error: "Element is no longer on the page" };
+    }
+    element.value = value;
+    this.dispatchInputEvents(element);
+    return { success: true };
+  }
+
   /**
    * Get last executed action
    */
@@ -355,15 +1679,37 @@ class ActionExecutor {
     return this.lastAction;
   }
 
+  /**
+   * Whether the last action changed the page in the last few seconds, so
+   * what the next one needs may still be rendering
+   */
+  changedPageRecently(within = 5000) {
+    const last = this.lastAction;
+    return !!last?.pageChange?.changed && Date.now() - last.timestamp < within;
+  }
+
   /**
    * Validate if action is safe to execute
    * @param {string} actionType - Type of action
    * @param {HTMLElement} element - Target element
+   * @param {Object} details - Extra action details ({ key } for press_key,
+   *   { operation, target } for manage_tab)
    * @returns {Object} Validation result
    */
-  validateAction(actionType, element) {
+  validateAction(actionType, element, details = {}) {
     // Whitelist of safe actions
-    const safeActions = ["click", "scroll", "focus", "type"];
+    const safeActions = [
+      "click",
+      "scroll",
+      "focus",
+      "type",
+      "select",
+      "toggle",
+      "set_value",
+      "press_key",
+      "fill_form",
+      "manage_tab",
+    ];
 
     if (!safeActions.includes(actionType)) {
       return {
@@ -373,15 +1719,49 @@ class ActionExecutor {
     }
 
     // Check if element is valid
-    if (actionType !== "scroll" && !element) {
+    // Scrolling, key presses and tab commands don't need a target
+    if (
+      !["scroll", "press_key", "manage_tab"].includes(actionType) &&
+      !element
+    ) {
       return { safe: false, reason: "Target element not found" };
     }
 
     // Check if element is still in DOM
-    if (element && !document.body.contains(element)) {
+    // isConnected also covers elements in shadow roots and iframes
+    if (element && !element.isConnected) {
       return { safe: false, reason: "Element is no longer in document" };
     }
 
+    // Filling a form (its element is the form) always shows the mapping first
+    if (actionType === "fill_form") {
+      return {
+        safe: true,
+        needsConfirmation: true,
+        reason: "This fills several fields at once",
+      };
+    }
+
+    // Closing the current tab is what the user sees; closing others by
+    // name, or all of them, can take tabs the user didn't mean
+    if (actionType === "manage_tab") {
+      if (details.operation === "close_others") {
+        return {
+          safe: true,
+          needsConfirmation: true,
+          reason: "This closes every other tab in this window",
+        };
+      }
+      if (details.operation === "close" && details.target) {
+        return {
+          safe: true,
+          needsConfirmation: true,
+          reason: "This closes a tab you aren't looking at",
+        };
+      }
+      return { safe: true };
+    }
+
     // Block actions on sensitive elements
     if (element) {
       const tagName = element.tagName.toLowerCase();
@@ -401,10 +1781,20 @@ class ActionExecutor {
         };
       }
 
-      // Warn on submit buttons
+      // Warn when the action will submit a form: clicking a submit button,
+      // or Enter on one or in a form field. <button> defaults to
+      // type="submit", so only buttons inside a form count.
+      const isSubmitButton =
+        (tagName === "button" || tagName === "input") &&
+        type === "submit" &&
+        !!element.form;
+      // "return" and "enter key" are Enter too
+      const pressesEnter =
+        actionType === "press_key" &&
+        this.parseKeyCombo(details.key || "")?.key === "Enter";
       if (
-        (tagName === "button" && type === "submit") ||
-        (tagName === "input" && type === "submit")
+        (isSubmitButton && (actionType === "click" || pressesEnter)) ||
+        (pressesEnter && tagName === "input" && element.form)
       ) {
         return {
           safe: true,
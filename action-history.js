@@ -0,0 +1,205 @@
+/**
+ * Action History for Lavio AI Assistant
+ * Undo/redo stack shared by the action executor and the page manipulator
+ */
+
+class ActionHistory {
+  /**
+   * @param {number} limit - Most changes kept for undo
+   */
+  constructor(limit = 50) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    // True while an undo or redo runs, so the changes it makes through the
+    // executor or manipulator aren't recorded again
+    this.replaying = false;
+    // Entries collected by group(), recorded together when it ends
+    this.groupEntries = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Record a change that was just made
+   * A new change clears the redo stack.
+   * @param {Object} entry - { description, undo, redo, elements };
+   *   description reads after "Undid" ("typing "hello"", "the zoom change"),
+   *   undo and redo are functions (may be async) that reverse and repeat the
+   *   change, and elements (optional) are the elements it was made on
+   */
+  record(entry) {
+    if (this.replaying) return;
+    if (this.groupEntries) {
+      this.groupEntries.push(entry);
+      return;
+    }
+
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify();
+  }
+
+  /**
+   * Record every change made while run() works as a single change, undone
+   * in reverse order and redone in the original order
+   * @param {string} description - What the changes add up to
+   * @param {Function} run - Async function making the changes
+   * @returns {Promise<*>} What run returns
+   */
+  async group(description, run) {
+    const entries = [];
+    this.groupEntries = entries;
+    try {
+      return await run();
+    } finally {
+      this.groupEntries = null;
+      if (entries.length > 0) {
+        this.record({
+          description,
+          elements: entries.flatMap((entry) => entry.elements || []),
+          undo: async () => {
+            for (const entry of [...entries].reverse()) await entry.undo();
+          },
+          redo: async () => {
+            for (const entry of entries) await entry.redo();
+          },
+        });
+      }
+    }
+  }
+
+  /**
+   * Reverse the most recent change
+   * @returns {Promise<Object>} Result with success status and message
+   */
+  async undo() {
+    return await this.replayLatest(this.undoStack, this.redoStack, "undo", {
+      done: "Undid",
+      doing: "undoing",
+    });
+  }
+
+  /**
+   * Repeat the most recently undone change
+   * @returns {Promise<Object>} Result with success status and message
+   */
+  async redo() {
+    return await this.replayLatest(this.redoStack, this.undoStack, "redo", {
+      done: "Redid",
+      doing: "redoing",
+    });
+  }
+
+  /**
+   * Undo or redo the top entry of one stack and move it to the other
+   * A change whose element has left the page (a re-render, a closed dialog)
+   * can never be replayed, so it is dropped and the next entry is tried.
+   * Other failures keep the entry in place so it can be tried again.
+   * @param {Array} from - Stack to take the entry from
+   * @param {Array} to - Stack the entry moves to once replayed
+   * @param {string} change - "undo" or "redo"
+   * @param {Object} verbs - { done, doing } for messages and logs
+   * @returns {Promise<Object>} Result with success status and message
+   */
+  async replayLatest(from, to, change, verbs) {
+    const dropped = [];
+    const droppedNote = () => {
+      if (dropped.length === 0) return "";
+      const changes = dropped.join(", ");
+      return `Can't ${change} ${changes} anymore: the element is gone from the page. `;
+    };
+
+    try {
+      let entry;
+      while ((entry = from.pop())) {
+        try {
+          await this.replay(entry[change]);
+          to.push(entry);
+          return {
+            success: true,
+            message: `${droppedNote()}${verbs.done} ${entry.description}`,
+          };
+        } catch (error) {
+          console.error(`Lavio: Error ${verbs.doing} change:`, error);
+          if (!this.isDetached(entry)) {
+            // Keep the change so it can be tried again
+            from.push(entry);
+            return {
+              success: false,
+              message: `${droppedNote()}Couldn't ${change} ${
+                entry.description
+              }`,
+              error: error.message,
+            };
+          }
+          dropped.push(entry.description);
+        }
+      }
+
+      const nothing = dropped.length > 0 ? "Nothing else" : "Nothing";
+      return {
+        success: false,
+        message: `${droppedNote()}${nothing} to ${change}`,
+      };
+    } finally {
+      this.notify();
+    }
+  }
+
+  /**
+   * Whether any element a change was made on has left the page
+   */
+  isDetached(entry) {
+    return (entry.elements || []).some((element) => !element.isConnected);
+  }
+
+  /**
+   * Run an undo or redo function without recording what it changes
+   */
+  async replay(change) {
+    this.replaying = true;
+    try {
+      const result = await change();
+      if (result && result.success === false) {
+        throw new Error(result.error || result.message || "Change failed");
+      }
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Call listener whenever what can be undone or redone changes
+   * @returns {Function} Removes the listener
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+}
+
+// Export for use in content.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ActionHistory;
+}
@@ -0,0 +1,564 @@
+// Lavio AI Assistant - AI Providers
+// Interchangeable model backends used by the background service worker
+
+/*
+ * Provider interface
+ *
+ * Every provider exposes:
+ *   id, name
+ *   checkAvailability() -> { available, status, capabilities, multimodal, audio, image, error }
+ *   getParams()         -> { defaultTemperature, maxTemperature, defaultTopK }
+ *   createSession(config) -> session
+ *
+ * Sessions follow the Prompt API session surface, so the rest of the
+ * extension doesn't care which provider it talks to:
+ *   prompt(input, { signal, responseConstraint }) -> Promise<string>
+ *   promptStreaming(input, { signal })           -> async iterable of text chunks
+ *   append(messages), clone(), destroy()
+ *   measureInputUsage(input), inputUsage, inputQuota
+ *
+ * Input is a string or Prompt API messages ({ role, content }) whose content
+ * may include { type: "text" | "image" | "audio", value } parts.
+ */
+
+/**
+ * Chrome Built-in AI (Gemini Nano via the LanguageModel global)
+ */
+class ChromeAIProvider {
+  constructor() {
+    this.id = "chrome";
+    this.name = "Chrome Built-in AI";
+  }
+
+  /**
+   * Check LanguageModel availability and probe for audio/image input support
+   * @returns {Promise<Object>} { available, status, capabilities, multimodal, audio, image, mode, error }
+   */
+  async checkAvailability() {
+    try {
+      // Check if LanguageModel is available
+      if (typeof LanguageModel === "undefined") {
+        console.log("LanguageModel API not available");
+        return {
+          available: false,
+          error:
+            "LanguageModel API not available. Please use Chrome Canary 128+ with AI features enabled.",
+          multimodal: false,
+        };
+      }
+
+      // Check basic availability first
+      // Note: Multimodal capabilities (audio/image) are in origin trial and may not be available in Chrome Stable
+      let multimodalAvailable = false;
+      let audioSupported = false;
+      let imageSupported = false;
+      console.log(
+        "Checking for multimodal capabilities (currently in origin trial)..."
+      );
+
+      // Try to detect multimodal capabilities by checking if we can create a session with multimodal input
+      try {
+        // Test audio multimodal support
+        try {
+          const audioTestSession = await LanguageModel.create({
+            systemPrompt: "Test audio capabilities",
+            expectedInputs: [{ type: "audio" }],
+          });
+
+          // Create a small test audio blob (empty but valid format)
+          const testAudioBlob = new Blob([""], { type: "audio/wav" });
+
+          await audioTestSession.prompt([
+            {
+              role: "user",
+              content: [
+                {
+                  type: "text",
+                  value: "Test audio",
+                },
+                {
+                  type: "audio",
+                  value: testAudioBlob,
+                },
+              ],
+            },
+          ]);
+
+          audioSupported = true;
+          console.log("✓ Audio multimodal capabilities detected");
+          audioTestSession.destroy();
+        } catch (audioError) {
+          console.log("✗ Audio multimodal test failed:", audioError.message);
+        }
+
+        // Test image multimodal support
+        try {
+          const imageTestSession = await LanguageModel.create({
+            systemPrompt: "Test image capabilities",
+            expectedInputs: [{ type: "image" }],
+          });
+
+          // Create a small test image blob (1x1 pixel PNG)
+          const testImageData =
+            "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==";
+          const testImageResponse = await fetch(testImageData);
+          const testImageBlob = await testImageResponse.blob();
+
+          await imageTestSession.prompt([
+            {
+              role: "user",
+              content: [
+                {
+                  type: "text",
+                  value: "Test image",
+                },
+                {
+                  type: "image",
+                  value: testImageBlob,
+                },
+              ],
+            },
+          ]);
+
+          imageSupported = true;
+          console.log("✓ Image multimodal capabilities detected");
+          imageTestSession.destroy();
+        } catch (imageError) {
+          console.log("✗ Image multimodal test failed:", imageError.message);
+        }
+
+        multimodalAvailable = audioSupported || imageSupported;
+
+        if (multimodalAvailable) {
+          console.log(
+            `✓ Multimodal capabilities available: Audio=${audioSupported}, Image=${imageSupported}`
+          );
+        } else {
+          console.log("✗ No multimodal capabilities detected");
+        }
+      } catch (sessionError) {
+        console.log(
+          "✗ Could not create test session for multimodal detection:",
+          sessionError.message
+        );
+        multimodalAvailable = false;
+        audioSupported = false;
+        imageSupported = false;
+      }
+
+      // Check text-only availability as fallback
+      const textOnlyAvailability = await LanguageModel.availability();
+      console.log("Text-only availability:", textOnlyAvailability);
+
+      if (textOnlyAvailability === "available") {
+        const capabilities = await LanguageModel.params();
+        return {
+          available: true,
+          status: "ready",
+          capabilities,
+          multimodal: multimodalAvailable,
+          audio: audioSupported,
+          image: imageSupported,
+          mode: multimodalAvailable ? "multimodal" : "text-only",
+        };
+      } else if (
+        textOnlyAvailability === "after-download" ||
+        textOnlyAvailability === "downloadable"
+      ) {
+        // Model is available but needs to be downloaded first (status can be 'after-download' or 'downloadable')
+        console.log(
+          "Model needs to be downloaded, attempting to trigger download..."
+        );
+
+        try {
+          // Attempt to create a session to trigger the download
+          const downloadSession = await LanguageModel.create();
+
+          // If successful, the model is now ready
+          // initializeAI creates the configured base session
+          downloadSession.destroy();
+          const capabilities = await LanguageModel.params();
+
+          return {
+            available: true,
+            status: "ready",
+            message: "Model downloaded and ready",
+            capabilities,
+            multimodal: multimodalAvailable,
+            audio: audioSupported,
+            image: imageSupported,
+            mode: multimodalAvailable ? "multimodal" : "text-only",
+          };
+        } catch (downloadError) {
+          console.error("Failed to download model:", downloadError);
+
+          return {
+            available: false,
+            status: "download-failed",
+            error: "Failed to download AI model: " + downloadError.message,
+            multimodal: false,
+            needsUserInteraction: downloadError.name === "NotAllowedError",
+          };
+        }
+      } else {
+        return {
+          available: false,
+          error: "LanguageModel API is not available on this device",
+          multimodal: false,
+        };
+      }
+    } catch (error) {
+      console.error("Error checking AI availability:", error);
+      return {
+        available: false,
+        error: error.message,
+        multimodal: false,
+      };
+    }
+  }
+
+  async getParams() {
+    return await LanguageModel.params();
+  }
+
+  async createSession(config = {}) {
+    return await LanguageModel.create(config);
+  }
+}
+
+/**
+ * Session for an OpenAI-compatible chat completions server
+ * Keeps the conversation client-side and replays it on every request.
+ */
+class OpenAICompatibleSession {
+  constructor(provider, config = {}, messages = null) {
+    this.provider = provider;
+    this.config = config;
+    this.messages = messages || [];
+    this.inputQuota = provider.contextWindow;
+    this.inputUsage = 0;
+
+    if (!messages && config.systemPrompt) {
+      this.messages.push({ role: "system", content: config.systemPrompt });
+    }
+    if (!messages && Array.isArray(config.initialPrompts)) {
+      this.messages.push(...config.initialPrompts);
+    }
+    this.inputUsage = this.estimateTokens(this.messages);
+  }
+
+  estimateTokens(input) {
+    // Rough estimate: about 4 characters per token, images/audio not counted
+    const text = typeof input === "string" ? input : JSON.stringify(input);
+    return Math.ceil(text.length / 4);
+  }
+
+  async measureInputUsage(input) {
+    return this.estimateTokens(await this.provider.toChatMessages(input));
+  }
+
+  async append(messages) {
+    this.messages.push(...(await this.provider.toChatMessages(messages)));
+    this.inputUsage = this.estimateTokens(this.messages);
+  }
+
+  async prompt(input, options = {}) {
+    const userMessages = await this.provider.toChatMessages(input);
+    const data = await this.provider.request(
+      this.buildBody(userMessages, options, false),
+      options.signal
+    );
+    const response = data.choices?.[0]?.message?.content || "";
+
+    this.record(userMessages, response, data.usage);
+    return response;
+  }
+
+  async *promptStreaming(input, options = {}) {
+    const userMessages = await this.provider.toChatMessages(input);
+    const stream = await this.provider.requestStream(
+      this.buildBody(userMessages, options, true),
+      options.signal
+    );
+
+    let response = "";
+    try {
+      for await (const delta of stream) {
+        response += delta;
+        yield delta;
+      }
+    } finally {
+      // Keep whatever was generated, even if the reader stopped early
+      this.record(userMessages, response);
+    }
+  }
+
+  buildBody(userMessages, options, stream) {
+    const body = {
+      model: this.provider.model,
+      messages: [...this.messages, ...userMessages],
+      stream,
+    };
+
+    if (this.config.temperature !== undefined) {
+      body.temperature = this.config.temperature;
+    }
+
+    // Structured output: the server enforces the JSON Schema
+    if (options.responseConstraint) {
+      body.response_format = {
+        type: "json_schema",
+        json_schema: {
+          name: "response",
+          schema: options.responseConstraint,
+        },
+      };
+    }
+
+    return body;
+  }
+
+  record(userMessages, response, usage) {
+    this.messages.push(...userMessages, {
+      role: "assistant",
+      content: response,
+    });
+    this.inputUsage = usage?.total_tokens ?? this.estimateTokens(this.messages);
+  }
+
+  async clone() {
+    const copy = new OpenAICompatibleSession(
+      this.provider,
+      this.config,
+      this.messages.map((message) => ({ ...message }))
+    );
+    copy.inputUsage = this.inputUsage;
+    return copy;
+  }
+
+  destroy() {
+    this.messages = [];
+    this.inputUsage = 0;
+  }
+}
+
+/**
+ * OpenAI-compatible HTTP server on the user's machine
+ * (Ollama, llama.cpp server, LM Studio, vLLM, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor(settings = {}) {
+    this.id = "openai-compatible";
+    this.name = "Local OpenAI-compatible server";
+    this.endpoint = (settings.endpoint || "http://localhost:11434/v1").replace(
+      /\/+$/,
+      ""
+    );
+    this.model = settings.model || "";
+    this.apiKey = settings.apiKey || "";
+    this.contextWindow = settings.contextWindow || 8192;
+    this.multimodal = !!settings.multimodal;
+  }
+
+  getHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async checkAvailability() {
+    try {
+      const response = await fetch(`${this.endpoint}/models`, {
+        headers: this.getHeaders(),
+        signal: AbortSignal.timeout(5000),
+      });
+      if (!response.ok) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+
+      const data = await response.json();
+      const models = (data.data || []).map((model) => model.id);
+
+      // No model configured: use whatever the server lists first
+      if (!this.model && models.length > 0) {
+        this.model = models[0];
+      }
+      if (!this.model) {
+        throw new Error("No model configured and the server lists none");
+      }
+
+      return {
+        available: true,
+        status: "ready",
+        capabilities: await this.getParams(),
+        multimodal: this.multimodal,
+        audio: this.multimodal,
+        image: this.multimodal,
+        mode: this.multimodal ? "multimodal" : "text-only",
+        model: this.model,
+      };
+    } catch (error) {
+      console.error("Local AI server not reachable:", error);
+      return {
+        available: false,
+        error: `Local AI server at ${this.endpoint} is not reachable: ${error.message}`,
+        multimodal: false,
+      };
+    }
+  }
+
+  async getParams() {
+    return { defaultTemperature: 0.7, maxTemperature: 2, defaultTopK: 40 };
+  }
+
+  async createSession(config = {}) {
+    return new OpenAICompatibleSession(this, config);
+  }
+
+  async request(body, signal) {
+    const response = await fetch(`${this.endpoint}/chat/completions`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => "");
+      throw new Error(
+        `Local AI server error ${response.status}: ${detail.slice(0, 200)}`
+      );
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Send a streaming request and yield content deltas from the SSE response
+   */
+  async *requestStream(body, signal) {
+    const response = await fetch(`${this.endpoint}/chat/completions`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => "");
+      throw new Error(
+        `Local AI server error ${response.status}: ${detail.slice(0, 200)}`
+      );
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, "").trim();
+          if (!payload || payload === "[DONE]" || !line.startsWith("data:")) {
+            continue;
+          }
+
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (delta) {
+            yield delta;
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Convert Prompt API input into chat completion messages
+   * @param {string|Array} input - Prompt text or { role, content } messages
+   * @returns {Promise<Array>} OpenAI-style messages
+   */
+  async toChatMessages(input) {
+    if (typeof input === "string") {
+      return [{ role: "user", content: input }];
+    }
+
+    const messages = [];
+    for (const message of input) {
+      if (typeof message.content === "string") {
+        messages.push({ role: message.role, content: message.content });
+        continue;
+      }
+
+      const parts = [];
+      for (const part of message.content) {
+        if (part.type === "text") {
+          parts.push({ type: "text", text: part.value });
+        } else if (part.type === "image") {
+          parts.push({
+            type: "image_url",
+            image_url: { url: await this.toDataUrl(part.value) },
+          });
+        } else if (part.type === "audio") {
+          const dataUrl = await this.toDataUrl(part.value);
+          const [, mimeType, data] = dataUrl.match(
+            /^data:([^;]*);base64,(.*)$/
+          );
+          parts.push({
+            type: "input_audio",
+            input_audio: {
+              data,
+              format: mimeType.includes("mp3") ? "mp3" : "wav",
+            },
+          });
+        }
+      }
+      messages.push({ role: message.role, content: parts });
+    }
+
+    return messages;
+  }
+
+  async toDataUrl(value) {
+    if (typeof value === "string") return value;
+
+    const buffer = await value.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return `data:${value.type || "application/octet-stream"};base64,${btoa(
+      binary
+    )}`;
+  }
+}
+
+/**
+ * Build the provider selected on the options page
+ * @param {Object} settings - Extension settings
+ * @returns {Object} Provider instance
+ */
+function createAIProvider(settings = {}) {
+  if (settings.aiProvider === "openai-compatible") {
+    return new OpenAICompatibleProvider({
+      endpoint: settings.localEndpoint,
+      model: settings.localModel,
+      apiKey: settings.localApiKey,
+      contextWindow: settings.localContextWindow,
+      multimodal: settings.localMultimodal,
+    });
+  }
+
+  return new ChromeAIProvider();
+}
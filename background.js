@@ -1,220 +1,372 @@
 // Lavio AI Assistant - Background Service Worker
 // Handles extension lifecycle, AI API initialization, and message passing
 
-class LavioBackground {
-  constructor() {
-    this.aiSession = null;
-    this.isAIAvailable = false;
-    this.multimodalSupported = false;
-    this.aiCapabilities = null;
-    this.settings = {};
+importScripts("ai-providers.js");
+
+/**
+ * Thrown when a structured prompt's answer is not valid JSON for its schema
+ */
+class StructuredOutputError extends Error {
+  constructor(message, response = "") {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.response = response;
+  }
+}
 
-    this.initializeExtension();
+/**
+ * Token Budget Manager
+ * Tracks a session's input usage against its quota so prompts stay inside the
+ * model's context window
+ */
+class TokenBudgetManager {
+  constructor(options = {}) {
+    // Share of the quota kept free for the model's response
+    this.reserveRatio = options.reserveRatio ?? 0.15;
+    // Usage ratio at which older turns are summarized away
+    this.compactThreshold = options.compactThreshold ?? 0.75;
   }
 
-  async initializeExtension() {
-    console.log("Lavio AI Assistant: Initializing...");
+  /**
+   * Get usage numbers for a session
+   * Newer Chrome builds expose inputUsage/inputQuota, older ones tokensSoFar/maxTokens
+   * @param {Object} session - LanguageModel session
+   * @returns {Object} { used, quota, remaining, percentUsed }
+   */
+  getUsage(session) {
+    const used = session?.inputUsage ?? session?.tokensSoFar ?? 0;
+    const quota = session?.inputQuota ?? session?.maxTokens ?? Infinity;
+    return {
+      used,
+      quota,
+      remaining: Math.max(0, quota - used),
+      percentUsed: Number.isFinite(quota)
+        ? Math.round((used / quota) * 100)
+        : 0,
+    };
+  }
 
-    // Initialize storage
-    await this.initializeStorage();
+  /**
+   * Tokens a prompt may still use, leaving room for the response
+   */
+  getAvailable(session) {
+    const { used, quota } = this.getUsage(session);
+    return quota * (1 - this.reserveRatio) - used;
+  }
 
-    // Check for Chrome Built-in AI availability
-    await this.checkAIAvailability();
+  /**
+   * Measure how many tokens an input will consume in a session
+   * @param {Object} session - LanguageModel session
+   * @param {string|Array} input - Prompt input
+   * @returns {Promise<number>} Token count
+   */
+  async measure(session, input) {
+    try {
+      if (typeof session.measureInputUsage === "function") {
+        return await session.measureInputUsage(input);
+      }
+      if (typeof session.countPromptTokens === "function") {
+        return await session.countPromptTokens(input);
+      }
+    } catch (error) {
+      console.warn("Lavio: Could not measure prompt size:", error.message);
+    }
 
-    // Set up message listeners
-    this.setupMessageListeners();
+    // Rough fallback: about 4 characters per token
+    const text = typeof input === "string" ? input : JSON.stringify(input);
+    return Math.ceil(text.length / 4);
+  }
 
-    console.log("Lavio AI Assistant: Initialization complete");
+  /**
+   * Whether sending this many tokens would push the session close to its quota
+   */
+  needsCompaction(session, promptTokens) {
+    const { used, quota } = this.getUsage(session);
+    return used > 0 && used + promptTokens > quota * this.compactThreshold;
   }
+}
+
+/**
+ * AI Capability Layer
+ * Detects Chrome's task-specific AI APIs (Summarizer, Translator,
+ * LanguageDetector) and caches their instances. Callers fall back to the
+ * Prompt API whenever a getter returns null.
+ */
+class AICapabilities {
+  constructor() {
+    this.enabled = true; // Off when another AI provider is selected
+    this.summarizers = new Map(); // "type:length:language" -> Summarizer
+    this.translators = new Map(); // "source-target" -> Translator
+    this.languageDetector = null;
+    this.lastTranslationPair = null;
+  }
+
+  hasSummarizer() {
+    return this.enabled && typeof Summarizer !== "undefined";
+  }
+
+  hasTranslator() {
+    return this.enabled && typeof Translator !== "undefined";
+  }
+
+  hasLanguageDetector() {
+    return this.enabled && typeof LanguageDetector !== "undefined";
+  }
+
+  /**
+   * Log model download progress, like initializeAI does for LanguageModel
+   */
+  createMonitor(label) {
+    return (m) => {
+      m.addEventListener("downloadprogress", (e) => {
+        console.log(
+          `${label} model download progress: ${Math.round(e.loaded * 100)}%`
+        );
+      });
+    };
+  }
+
+  /**
+   * Get a cached Summarizer for the given options
+   * @param {Object} options - { type, length, language }
+   * @returns {Promise<Object|null>} Summarizer, or null if unavailable
+   */
+  async getSummarizer({ type = "key-points", length = "medium", language }) {
+    if (!this.hasSummarizer()) return null;
+
+    const key = `${type}:${length}:${language || "default"}`;
+    if (this.summarizers.has(key)) {
+      return this.summarizers.get(key);
+    }
 
-  // Check if Chrome Built-in AI is available
-  async checkAIAvailability() {
     try {
-      // Check if LanguageModel is available
-      if (typeof LanguageModel === "undefined") {
-        console.log("LanguageModel API not available");
-        this.isAIAvailable = false;
-        return {
-          available: false,
-          error:
-            "LanguageModel API not available. Please use Chrome Canary 128+ with AI features enabled.",
-          multimodal: false,
-        };
+      const options = { type, length, format: "markdown" };
+      if (language) {
+        options.outputLanguage = language;
       }
 
-      // Check basic availability first
-      // Note: Multimodal capabilities (audio/image) are in origin trial and may not be available in Chrome Stable
-      let multimodalAvailable = false;
-      console.log(
-        "Checking for multimodal capabilities (currently in origin trial)..."
-      );
+      const availability = await Summarizer.availability(options);
+      if (availability === "unavailable") return null;
+
+      const summarizer = await Summarizer.create({
+        ...options,
+        sharedContext: "Content extracted from a web page",
+        monitor: this.createMonitor("Summarizer"),
+      });
+      this.summarizers.set(key, summarizer);
+      return summarizer;
+    } catch (error) {
+      console.warn("Lavio: Summarizer unavailable:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a cached Translator for a language pair
+   * @returns {Promise<Object|null>} Translator, or null if the pair is unsupported
+   */
+  async getTranslator(sourceLanguage, targetLanguage) {
+    if (!this.hasTranslator()) return null;
+
+    const key = `${sourceLanguage}-${targetLanguage}`;
+    this.lastTranslationPair = { sourceLanguage, targetLanguage };
+    if (this.translators.has(key)) {
+      return this.translators.get(key);
+    }
+
+    try {
+      const availability = await Translator.availability({
+        sourceLanguage,
+        targetLanguage,
+      });
+      if (availability === "unavailable") return null;
+
+      const translator = await Translator.create({
+        sourceLanguage,
+        targetLanguage,
+        monitor: this.createMonitor(`Translator (${key})`),
+      });
+      this.translators.set(key, translator);
+      return translator;
+    } catch (error) {
+      console.warn(`Lavio: Translator ${key} unavailable:`, error.message);
+      return null;
+    }
+  }
 
-      // Try to detect multimodal capabilities by checking if we can create a session with multimodal input
+  /**
+   * Get the shared LanguageDetector
+   * @returns {Promise<Object|null>} LanguageDetector, or null if unavailable
+   */
+  async getLanguageDetector() {
+    if (!this.hasLanguageDetector()) return null;
+    if (this.languageDetector) return this.languageDetector;
+
+    try {
+      const availability = await LanguageDetector.availability();
+      if (availability === "unavailable") return null;
+
+      this.languageDetector = await LanguageDetector.create({
+        monitor: this.createMonitor("LanguageDetector"),
+      });
+      return this.languageDetector;
+    } catch (error) {
+      console.warn("Lavio: LanguageDetector unavailable:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Report each backend's state for CHECK_AI_STATUS
+   * @returns {Promise<Object>} { summarizer, translator, languageDetector }, each one of
+   *   "active", "available", "downloadable", "downloading", "unavailable" or "unsupported"
+   */
+  async getStatus() {
+    const check = async (supported, active, availability) => {
+      if (!supported) return "unsupported";
+      if (active) return "active";
       try {
-        let audioSupported = false;
-        let imageSupported = false;
+        return await availability();
+      } catch (error) {
+        return "unavailable";
+      }
+    };
 
-        // Test audio multimodal support
-        try {
-          const audioTestSession = await LanguageModel.create({
-            systemPrompt: "Test audio capabilities",
-            expectedInputs: [{ type: "audio" }],
-          });
+    // Translator availability is per language pair: check the last one used
+    const pair = this.lastTranslationPair || {
+      sourceLanguage: "es",
+      targetLanguage: "en",
+    };
 
-          // Create a small test audio blob (empty but valid format)
-          const testAudioBlob = new Blob([""], { type: "audio/wav" });
+    return {
+      summarizer: await check(
+        this.hasSummarizer(),
+        this.summarizers.size > 0,
+        () => Summarizer.availability()
+      ),
+      translator: await check(
+        this.hasTranslator(),
+        this.translators.size > 0,
+        () => Translator.availability(pair)
+      ),
+      languageDetector: await check(
+        this.hasLanguageDetector(),
+        !!this.languageDetector,
+        () => LanguageDetector.availability()
+      ),
+    };
+  }
+}
 
-          await audioTestSession.prompt([
-            {
-              role: "user",
-              content: [
-                {
-                  type: "text",
-                  value: "Test audio",
-                },
-                {
-                  type: "audio",
-                  value: testAudioBlob,
-                },
-              ],
-            },
-          ]);
+class LavioBackground {
+  constructor() {
+    this.aiSession = null; // Warm base session, forked per tab and never prompted directly
+    this.sessionConfig = null;
+    this.isAIAvailable = false;
+    this.multimodalSupported = false;
+    this.aiCapabilities = null;
+    this.settings = {};
 
-          audioSupported = true;
-          console.log("✓ Audio multimodal capabilities detected");
-          audioTestSession.destroy();
-        } catch (audioError) {
-          console.log("✗ Audio multimodal test failed:", audioError.message);
-        }
+    // In-flight requests: requestId -> { controller, tabId }
+    this.activeRequests = new Map();
 
-        // Test image multimodal support
-        try {
-          const imageTestSession = await LanguageModel.create({
-            systemPrompt: "Test image capabilities",
-            expectedInputs: [{ type: "image" }],
-          });
+    // Per-tab sessions in least-recently-used order: tabId -> { sessionPromise, session, origin, seeded }
+    this.tabSessions = new Map();
+    this.maxTabSessions = 6;
 
-          // Create a small test image blob (1x1 pixel PNG)
-          const testImageData =
-            "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==";
-          const testImageResponse = await fetch(testImageData);
-          const testImageBlob = await testImageResponse.blob();
+    // Prompts running on each pooled session, and evicted sessions waiting
+    // for those prompts to finish before they are destroyed
+    this.sessionUsers = new Map();
+    this.retiredSessions = new Set();
 
-          await imageTestSession.prompt([
-            {
-              role: "user",
-              content: [
-                {
-                  type: "text",
-                  value: "Test image",
-                },
-                {
-                  type: "image",
-                  value: testImageBlob,
-                },
-              ],
-            },
-          ]);
+    // Keeps prompts and conversation history inside the context window
+    this.tokenBudget = new TokenBudgetManager();
 
-          imageSupported = true;
-          console.log("✓ Image multimodal capabilities detected");
-          imageTestSession.destroy();
-        } catch (imageError) {
-          console.log("✗ Image multimodal test failed:", imageError.message);
-        }
+    // Longest text (in characters) sent in one summarization prompt, for
+    // merge requests that don't say how long their chunks were
+    this.summaryChunkLength = 8000;
 
-        multimodalAvailable = audioSupported || imageSupported;
+    // Voice tab commands: where "open X in a new tab" searches when X isn't
+    // an address, and how close two tab title scores must be to ask the AI
+    this.searchUrl = "https://www.google.com/search?q=";
+    this.tabAmbiguityMargin = 0.05;
 
-        if (multimodalAvailable) {
-          console.log(
-            `✓ Multimodal capabilities available: Audio=${audioSupported}, Image=${imageSupported}`
-          );
-          // Store which capabilities are supported for later use
-          this.audioSupported = audioSupported;
-          this.imageSupported = imageSupported;
-        } else {
-          console.log("✗ No multimodal capabilities detected");
-          this.audioSupported = false;
-          this.imageSupported = false;
-        }
-      } catch (sessionError) {
-        console.log(
-          "✗ Could not create test session for multimodal detection:",
-          sessionError.message
-        );
-        multimodalAvailable = false;
-        this.audioSupported = false;
-        this.imageSupported = false;
-      }
+    // Summarizer/Translator/LanguageDetector, preferred over prompting when present
+    this.capabilities = new AICapabilities();
 
-      // Check text-only availability as fallback
-      const textOnlyAvailability = await LanguageModel.availability();
-      console.log("Text-only availability:", textOnlyAvailability);
+    // Model backend (Chrome built-in or a local HTTP server), chosen in settings
+    this.provider = new ChromeAIProvider();
 
-      if (textOnlyAvailability === "available") {
-        this.isAIAvailable = true;
-        this.aiCapabilities = await LanguageModel.params();
-        return {
-          available: true,
-          status: "ready",
-          capabilities: this.aiCapabilities,
-          multimodal: multimodalAvailable,
-          mode: multimodalAvailable ? "multimodal" : "text-only",
-        };
-      } else if (
-        textOnlyAvailability === "after-download" ||
-        textOnlyAvailability === "downloadable"
-      ) {
-        // Model is available but needs to be downloaded first (status can be 'after-download' or 'downloadable')
-        console.log(
-          "Model needs to be downloaded, attempting to trigger download..."
-        );
+    this.initializeExtension();
+  }
 
-        try {
-          // Attempt to create a session to trigger the download
-          const downloadSession = await LanguageModel.create();
+  async initializeExtension() {
+    console.log("Lavio AI Assistant: Initializing...");
 
-          // If successful, the model is now ready
-          this.isAIAvailable = true;
-          this.aiSession = downloadSession;
-          this.aiCapabilities = await LanguageModel.params();
+    // Initialize storage
+    await this.initializeStorage();
 
-          return {
-            available: true,
-            status: "ready",
-            message: "Model downloaded and ready",
-            capabilities: this.aiCapabilities,
-            multimodal: multimodalAvailable,
-            mode: multimodalAvailable ? "multimodal" : "text-only",
-          };
-        } catch (downloadError) {
-          console.error("Failed to download model:", downloadError);
-          this.isAIAvailable = false;
+    // Pick the configured AI provider and check its availability
+    await this.switchProvider();
 
-          return {
-            available: false,
-            status: "download-failed",
-            error: "Failed to download AI model: " + downloadError.message,
-            multimodal: false,
-            needsUserInteraction: downloadError.name === "NotAllowedError",
-          };
-        }
-      } else {
-        this.isAIAvailable = false;
-        return {
-          available: false,
-          error: "LanguageModel API is not available on this device",
-          multimodal: false,
-        };
-      }
-    } catch (error) {
-      console.error("Error checking AI availability:", error);
-      this.isAIAvailable = false;
-      return {
-        available: false,
-        error: error.message,
-        multimodal: false,
-      };
+    // Set up message listeners
+    this.setupMessageListeners();
+
+    // Drop sessions for closed tabs
+    this.setupTabListeners();
+
+    console.log("Lavio AI Assistant: Initialization complete");
+  }
+
+  // Check if the selected AI provider is available
+  async checkAIAvailability() {
+    const availability = await this.provider.checkAvailability();
+
+    this.isAIAvailable = availability.available;
+    this.audioSupported = !!availability.audio;
+    this.imageSupported = !!availability.image;
+    if (availability.capabilities) {
+      this.aiCapabilities = availability.capabilities;
+    }
+
+    return { ...availability, provider: this.provider.id };
+  }
+
+  /**
+   * Switch to the provider selected in settings and drop every session made by the old one
+   */
+  async switchProvider() {
+    this.resetTabSessions();
+    if (this.aiSession) {
+      this.aiSession.destroy();
+      this.aiSession = null;
+    }
+
+    this.provider = createAIProvider(this.settings);
+    // Summarizer/Translator/LanguageDetector are part of Chrome's built-in AI
+    this.capabilities.enabled = this.provider.id === "chrome";
+    console.log(`Lavio: Using AI provider "${this.provider.name}"`);
+
+    return await this.checkAIAvailability();
+  }
+
+  async updateSettings(newSettings = {}) {
+    const providerKeys = [
+      "aiProvider",
+      "localEndpoint",
+      "localModel",
+      "localApiKey",
+      "localContextWindow",
+      "localMultimodal",
+    ];
+    const providerChanged = providerKeys.some(
+      (key) => key in newSettings && newSettings[key] !== this.settings[key]
+    );
+
+    this.settings = { ...this.settings, ...newSettings };
+
+    if (providerChanged) {
+      await this.switchProvider();
     }
   }
 
@@ -302,7 +454,13 @@ class LavioBackground {
         ],
       });
 
-      const response = await this.aiSession.prompt(promptArray);
+      const { session } = await this.getSessionForTab(
+        context.tabId,
+        context.tabUrl
+      );
+      const response = await this.useSession(session, () =>
+        session.prompt(promptArray)
+      );
 
       return {
         response: response,
@@ -313,8 +471,14 @@ class LavioBackground {
 
       // Fallback to text-only processing if multimodal fails
       try {
-        const fallbackResponse = await this.aiSession.prompt(
-          "I received an image but cannot process images at the moment. Please let the user know that image processing is temporarily unavailable and ask them to describe the image in text instead."
+        const { session } = await this.getSessionForTab(
+          context.tabId,
+          context.tabUrl
+        );
+        const fallbackResponse = await this.useSession(session, () =>
+          session.prompt(
+            "I received an image but cannot process images at the moment. Please let the user know that image processing is temporarily unavailable and ask them to describe the image in text instead."
+          )
         );
 
         return {
@@ -344,7 +508,7 @@ class LavioBackground {
       }
 
       // Get model parameters
-      const params = await LanguageModel.params();
+      const params = await this.provider.getParams();
 
       // Determine which mode to use based on availability
       const useMultimodal = availabilityCheck.multimodal;
@@ -390,7 +554,8 @@ class LavioBackground {
       }
 
       // Create the AI session (the API now handles multimodal automatically based on input)
-      this.aiSession = await LanguageModel.create(sessionConfig);
+      this.sessionConfig = sessionConfig;
+      this.aiSession = await this.provider.createSession(sessionConfig);
       this.isAIAvailable = true;
       this.multimodalSupported = useMultimodal;
 
@@ -429,6 +594,13 @@ class LavioBackground {
       return true; // Keep message channel open for async responses
     });
 
+    // Long-lived ports are used for streaming responses back to the page
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === "lavio-stream") {
+        this.handleStreamPort(port);
+      }
+    });
+
     // Handle extension installation
     chrome.runtime.onInstalled.addListener((details) => {
       if (details.reason === "install") {
@@ -439,87 +611,708 @@ class LavioBackground {
     });
   }
 
-  async handleMessage(message, sender, sendResponse) {
-    try {
-      switch (message.type) {
-        case "CHECK_AI_STATUS":
-          const availability = await this.checkAIAvailability();
-          sendResponse(availability);
-          break;
+  setupTabListeners() {
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.evictTabSession(tabId);
+    });
+  }
 
-        case "INITIALIZE_AI":
-          const initResult = await this.initializeAI();
-          sendResponse(initResult);
-          break;
+  // ============================================================================
+  // PER-TAB SESSIONS
+  // ============================================================================
 
-        case "SEND_PROMPT":
-          if (!this.aiSession) {
-            const initResult = await this.initializeAI();
-            if (!initResult.success) {
-              sendResponse({ success: false, error: initResult.error });
-              return;
-            }
-          }
+  /**
+   * Get (or fork) the AI session for a tab
+   * Tabs without an ID (popup, options page) share the "extension" session.
+   * @param {number|undefined} tabId - Tab the request came from
+   * @param {string|null} url - Tab URL; a different origin starts a new session
+   * @returns {Promise<Object>} Pool entry with a ready `session`
+   */
+  async getSessionForTab(tabId, url = null) {
+    const key = tabId ?? "extension";
+    const origin = this.getOrigin(url);
+    let entry = this.tabSessions.get(key);
+
+    // Navigating to another site should not carry over the old conversation
+    if (entry && origin && entry.origin && entry.origin !== origin) {
+      console.log(`Lavio: Tab ${key} changed site, starting a new session`);
+      this.evictTabSession(key);
+      entry = null;
+    }
 
-          // Get conversation history for context
-          const historyResult = await chrome.storage.local.get([
-            "conversationHistory",
-          ]);
-          const conversationHistory = historyResult.conversationHistory || [];
+    if (entry) {
+      // Re-insert to mark as most recently used
+      this.tabSessions.delete(key);
+      this.tabSessions.set(key, entry);
+    } else {
+      entry = {
+        key,
+        sessionPromise: this.forkBaseSession(),
+        session: null,
+        origin,
+        seeded: false,
+      };
+      this.tabSessions.set(key, entry);
+      this.enforceSessionLimit();
+    }
 
-          const response = await this.processPrompt(message.prompt, {
-            conversationHistory,
-            ...message.context,
-          });
-          sendResponse({ success: true, response });
-          break;
+    try {
+      entry.session = await entry.sessionPromise;
+    } catch (error) {
+      if (this.tabSessions.get(key) === entry) {
+        this.tabSessions.delete(key);
+      }
+      throw error;
+    }
 
-        case "PROCESS_AUDIO":
-          if (!this.aiSession) {
-            const initResult = await this.initializeAI();
-            if (!initResult.success) {
-              sendResponse({ success: false, error: initResult.error });
-              return;
-            }
-          }
-          const audioResult = await this.processAudioInput(
-            message.audioData,
-            message.context || {}
-          );
-          sendResponse({ success: true, response: audioResult });
-          break;
+    return entry;
+  }
 
-        case "PROCESS_IMAGE":
-          if (!this.aiSession) {
-            const initResult = await this.initializeAI();
-            if (!initResult.success) {
-              sendResponse({ success: false, error: initResult.error });
-              return;
-            }
-          }
-          const imageResult = await this.processImageInput(
-            message.imageData,
-            message.context || {}
-          );
-          sendResponse({ success: true, response: imageResult });
-          break;
+  /**
+   * Create a new session from the warm base session
+   */
+  async forkBaseSession() {
+    if (!this.aiSession) {
+      const initResult = await this.initializeAI();
+      if (!initResult.success) {
+        throw new Error(initResult.error);
+      }
+    }
 
-        case "GET_PAGE_SUMMARY":
-          if (!this.aiSession) {
-            const initResult = await this.initializeAI();
-            if (!initResult.success) {
-              sendResponse({ success: false, error: initResult.error });
-              return;
+    if (typeof this.aiSession.clone === "function") {
+      return await this.aiSession.clone();
+    }
+
+    // Older builds without clone(): start from the same configuration
+    return await this.provider.createSession(this.sessionConfig || {});
+  }
+
+  /**
+   * Run a one-off prompt on a throwaway fork so it doesn't pollute any conversation
+   * @param {Function} task - Receives the session, returns a promise
+   */
+  async withScratchSession(task) {
+    const session = await this.forkBaseSession();
+    try {
+      return await task(session);
+    } finally {
+      session.destroy();
+    }
+  }
+
+  /**
+   * Run a one-off prompt on a scratch session and log it like processPrompt
+   * Page content in the prompt is trimmed if it doesn't fit the session.
+   * @param {string} prompt - Prompt text
+   * @param {Object} context - { pageContent, signal }
+   */
+  async processScratchPrompt(prompt, context = {}) {
+    const response = await this.withScratchSession(async (session) => {
+      const fitted = await this.trimPromptToFit(
+        session,
+        prompt,
+        context.pageContent
+      );
+      return await session.prompt(fitted, { signal: context.signal });
+    });
+
+    await this.storeConversation(prompt, response);
+    return response;
+  }
+
+  /**
+   * Run a task on a pooled session, holding off its destruction until done
+   * @param {Object} session - Session from the tab pool
+   * @param {Function} task - Receives the session, returns a promise
+   */
+  async useSession(session, task) {
+    this.sessionUsers.set(session, (this.sessionUsers.get(session) || 0) + 1);
+    try {
+      return await task(session);
+    } finally {
+      const users = this.sessionUsers.get(session) - 1;
+      if (users > 0) {
+        this.sessionUsers.set(session, users);
+      } else {
+        this.sessionUsers.delete(session);
+        if (this.retiredSessions.delete(session)) {
+          session.destroy();
+        }
+      }
+    }
+  }
+
+  /**
+   * Destroy a session now, or once the prompts still running on it settle
+   */
+  destroyWhenIdle(session) {
+    if (this.sessionUsers.has(session)) {
+      this.retiredSessions.add(session);
+    } else {
+      session.destroy();
+    }
+  }
+
+  evictTabSession(key) {
+    const entry = this.tabSessions.get(key);
+    if (!entry) return;
+
+    this.tabSessions.delete(key);
+    entry.sessionPromise
+      .then((session) => this.destroyWhenIdle(session))
+      .catch(() => {
+        // Session never finished creating - nothing to destroy
+      });
+  }
+
+  enforceSessionLimit() {
+    while (this.tabSessions.size > this.maxTabSessions) {
+      const [oldestKey] = this.tabSessions.keys();
+      console.log(`Lavio: Evicting least recently used session ${oldestKey}`);
+      this.evictTabSession(oldestKey);
+    }
+  }
+
+  resetTabSessions() {
+    [...this.tabSessions.keys()].forEach((key) => this.evictTabSession(key));
+  }
+
+  // ============================================================================
+  // TAB MANAGEMENT
+  // ============================================================================
+
+  getTabOperations() {
+    return [
+      "open",
+      "switch",
+      "close",
+      "close_others",
+      "reopen",
+      "pin",
+      "unpin",
+      "mute",
+      "unmute",
+      "move_to_window",
+    ];
+  }
+
+  /**
+   * Carry out a spoken tab or window command
+   * @param {string} operation - One of getTabOperations()
+   * @param {string|null} target - URL or search for "open", tab title for
+   *   the others; null means the tab the command came from
+   * @param {Object|undefined} sourceTab - Tab the command came from
+   * @param {Object} options - { signal } to abort AI tab matching
+   * @returns {Promise<Object>} { success, message } or { success, error }
+   */
+  async manageTab(operation, target, sourceTab, options = {}) {
+    if (!this.getTabOperations().includes(operation)) {
+      return { success: false, error: `Unknown tab command: ${operation}` };
+    }
+
+    try {
+      const current = sourceTab?.id
+        ? await chrome.tabs.get(sourceTab.id)
+        : (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+
+      if (operation === "open") {
+        const url = this.resolveTabUrl(target);
+        await chrome.tabs.create({
+          ...(url && { url }),
+          windowId: current?.windowId,
+        });
+        if (!url) return { success: true, message: "Opened a new tab" };
+        return {
+          success: true,
+          message: url.startsWith(this.searchUrl)
+            ? `Searched for "${target}" in a new tab`
+            : `Opened ${url.replace(/^https:\/\//, "")} in a new tab`,
+        };
+      }
+
+      if (operation === "reopen") {
+        const [closed] = await chrome.sessions.getRecentlyClosed({
+          maxResults: 1,
+        });
+        if (!closed) {
+          return { success: false, error: "There is no closed tab to reopen" };
+        }
+        const session = await chrome.sessions.restore();
+        const title = session?.tab ? this.getTabTitle(session.tab) : null;
+        return {
+          success: true,
+          message: title ? `Reopened "${title}"` : "Reopened the closed window",
+        };
+      }
+
+      if (operation === "close_others") {
+        // Like Chrome's own "Close other tabs", pinned tabs stay
+        const others = (
+          await chrome.tabs.query({ windowId: current.windowId })
+        ).filter((tab) => tab.id !== current.id && !tab.pinned);
+        if (!others.length) {
+          return { success: false, error: "There are no other tabs to close" };
+        }
+        await chrome.tabs.remove(others.map((tab) => tab.id));
+        return {
+          success: true,
+          message: `Closed ${others.length} other tab${
+            others.length === 1 ? "" : "s"
+          }`,
+        };
+      }
+
+      // The rest act on a tab named by its title, or the current one
+      if (operation === "switch" && !target) {
+        return { success: false, error: "Which tab should I switch to?" };
+      }
+      let tab = current;
+      if (target) {
+        const found = await this.findTab(target, options);
+        if (!found.tab) return { success: false, error: found.error };
+        tab = found.tab;
+      }
+      if (!tab) {
+        return { success: false, error: "I couldn't tell which tab you meant" };
+      }
+      const title = this.getTabTitle(tab);
+
+      switch (operation) {
+        case "switch":
+          await chrome.tabs.update(tab.id, { active: true });
+          await chrome.windows.update(tab.windowId, { focused: true });
+          return { success: true, message: `Switched to "${title}"` };
+
+        case "close":
+          await chrome.tabs.remove(tab.id);
+          return { success: true, message: `Closed "${title}"` };
+
+        case "pin":
+        case "unpin":
+          await chrome.tabs.update(tab.id, { pinned: operation === "pin" });
+          return {
+            success: true,
+            message: `${
+              operation === "pin" ? "Pinned" : "Unpinned"
+            } "${title}"`,
+          };
+
+        case "mute":
+        case "unmute":
+          await chrome.tabs.update(tab.id, { muted: operation === "mute" });
+          return {
+            success: true,
+            message: `${operation === "mute" ? "Muted" : "Unmuted"} "${title}"`,
+          };
+
+        case "move_to_window":
+          await chrome.windows.create({ tabId: tab.id, focused: true });
+          return {
+            success: true,
+            message: `Moved "${title}" to a new window`,
+          };
+      }
+    } catch (error) {
+      // Cancellation is not a failed command - let the caller report it
+      if (error.name === "AbortError") throw error;
+
+      console.error("Error managing tab:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Find an open tab from a spoken description of its title ("my Gmail tab")
+   * Titles and hostnames are scored like page elements; when no tab or
+   * several tabs fit equally well, the AI picks among them.
+   * @param {string} description - What the user called the tab
+   * @param {Object} options - { signal } to abort the AI call
+   * @returns {Promise<Object>} { tab } or { tab: null, error }
+   */
+  async findTab(description, options = {}) {
+    const tabs = await chrome.tabs.query({});
+    const ranked = this.rankTabsByDescription(description, tabs);
+    const tied = ranked.filter(
+      ({ score }) => ranked[0].score - score < this.tabAmbiguityMargin
+    );
+    if (tied.length === 1) {
+      return { tab: tied[0].tab };
+    }
+
+    const candidates = tied.length > 0 ? tied.map(({ tab }) => tab) : tabs;
+    const initResult = this.aiSession
+      ? { success: true }
+      : await this.initializeAI();
+    if (initResult.success && candidates.length > 0) {
+      const match = await this.findBestElementMatch(
+        description,
+        candidates.map((tab) => ({
+          type: "tab",
+          text: this.getTabTitle(tab),
+          id: this.getHostname(tab.url),
+        })),
+        options
+      );
+      if (match.success && match.matchIndex >= 0 && match.confidence > 0.5) {
+        return { tab: candidates[match.matchIndex] };
+      }
+    }
+
+    if (tied.length > 1) {
+      const titles = tied
+        .slice(0, 3)
+        .map(({ tab }) => `"${this.getTabTitle(tab)}"`)
+        .join(", ");
+      return {
+        tab: null,
+        error: `Several tabs match "${description}": ${titles}. Say more of the title`,
+      };
+    }
+    return {
+      tab: null,
+      error: `I couldn't find a tab matching "${description}"`,
+    };
+  }
+
+  /**
+   * Score tabs against a description the way ElementDetector scores
+   * elements: the whole phrase in the title counts most, then single words
+   * in the title or hostname
+   * @returns {Array} [{ tab, score }], best first, only tabs that match
+   */
+  rankTabsByDescription(description, tabs) {
+    const phrase = description
+      .toLowerCase()
+      .replace(/\b(?:my|the|a|an|tab|tabs|window)\b/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!phrase) return [];
+
+    return tabs
+      .map((tab) => {
+        const title = (tab.title || "").toLowerCase();
+        const hostname = this.getHostname(tab.url);
+        let score = 0;
+
+        if (title.includes(phrase)) {
+          score += 0.5;
+        }
+        phrase.split(" ").forEach((word) => {
+          if (word.length <= 2) return;
+          if (title.includes(word)) score += 0.1;
+          if (hostname.includes(word)) score += 0.2;
+        });
+
+        return { tab, score: Math.min(score, 1.0) };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * The URL to open for "open X in a new tab": X itself when it looks like
+   * an address ("github.com", "github dot com/lavio"), otherwise a search
+   * @returns {string|null} null for an empty new tab
+   */
+  resolveTabUrl(target) {
+    const text = (target || "").trim().replace(/\s+dot\s+/gi, ".");
+    if (!text) return null;
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(text)) return text;
+    if (/^[\w-]+(?:\.[\w-]+)+(?::\d+)?(?:\/\S*)?$/.test(text)) {
+      return `https://${text}`;
+    }
+    return `${this.searchUrl}${encodeURIComponent(text)}`;
+  }
+
+  getTabTitle(tab) {
+    return tab.title || this.getHostname(tab.url) || "Untitled";
+  }
+
+  getHostname(url) {
+    try {
+      return url ? new URL(url).hostname.replace(/^www\./, "") : "";
+    } catch (error) {
+      return "";
+    }
+  }
+
+  // ============================================================================
+  // CONTEXT BUDGET
+  // ============================================================================
+
+  /**
+   * Make sure a prompt fits the tab session's remaining context window
+   * Summarizes older turns when usage is high, then trims page content if the
+   * prompt on its own is still too large.
+   * @param {Object} tabSession - Pool entry from getSessionForTab
+   * @param {string} prompt - Full prompt text
+   * @param {Object} context - Prompt context (conversationHistory, pageContent)
+   * @returns {Promise<string>} Prompt that fits the budget
+   */
+  async fitPromptToBudget(tabSession, prompt, context = {}) {
+    const budget = this.tokenBudget;
+    const promptTokens = await budget.measure(tabSession.session, prompt);
+
+    if (budget.needsCompaction(tabSession.session, promptTokens)) {
+      await this.compactTabSession(
+        tabSession,
+        context.conversationHistory || []
+      );
+    }
+
+    return await this.trimPromptToFit(
+      tabSession.session,
+      prompt,
+      context.pageContent,
+      promptTokens
+    );
+  }
+
+  /**
+   * Shrink the page content embedded in a prompt until it fits the session
+   * @param {Object} session - Session the prompt will run on
+   * @param {string} prompt - Full prompt text
+   * @param {string} pageContent - Page text inside the prompt, if any
+   * @param {number} promptTokens - Size of the prompt, if already measured
+   * @returns {Promise<string>} Prompt that fits the budget
+   */
+  async trimPromptToFit(session, prompt, pageContent, promptTokens) {
+    const budget = this.tokenBudget;
+    if (promptTokens === undefined) {
+      promptTokens = await budget.measure(session, prompt);
+    }
+
+    const available = budget.getAvailable(session);
+    if (promptTokens <= available) {
+      return prompt;
+    }
+
+    // The prompt alone is too big: shrink the page content embedded in it
+    if (pageContent && prompt.includes(pageContent)) {
+      const pageTokens = await budget.measure(session, pageContent);
+      const allowedPageTokens = pageTokens - (promptTokens - available);
+
+      if (allowedPageTokens > 0) {
+        const keepChars = Math.floor(
+          (pageContent.length * allowedPageTokens * 0.95) / pageTokens
+        );
+        const trimmed =
+          pageContent.substring(0, keepChars) +
+          "\n[Content truncated to fit the AI context window]";
+
+        console.log(
+          `Lavio: Trimmed page content from ${pageContent.length} to ${keepChars} characters`
+        );
+        return prompt.replace(pageContent, () => trimmed);
+      }
+    }
+
+    throw new Error(
+      "This request is too long for the AI model's context window"
+    );
+  }
+
+  /**
+   * Replace a nearly full tab session with a fresh fork that carries a
+   * summary of the older turns plus the most recent exchange
+   * @param {Object} tabSession - Pool entry from getSessionForTab
+   * @param {Array} history - Page conversation [{ type, message }]
+   */
+  async compactTabSession(tabSession, history) {
+    const { used, quota } = this.tokenBudget.getUsage(tabSession.session);
+    console.log(
+      `Lavio: Session for ${tabSession.key} at ${used}/${quota} tokens, compacting`
+    );
+
+    const recentTurns = history.slice(-2);
+    const olderTurns = history.slice(0, -2);
+    let summary = null;
+
+    if (olderTurns.length > 0) {
+      try {
+        const transcript = olderTurns
+          .map(
+            (item) =>
+              `${item.type === "user" ? "User" : "Assistant"}: ${item.message}`
+          )
+          .join("\n");
+        summary = await this.withScratchSession((session) =>
+          session.prompt(
+            `Summarize this conversation in 3-4 sentences, keeping facts the user may refer back to:\n\n${transcript}`
+          )
+        );
+      } catch (error) {
+        // Dropping the older turns is still better than overflowing
+        console.warn("Lavio: Could not summarize older turns:", error.message);
+      }
+    }
+
+    const freshSession = await this.forkBaseSession();
+    const seed = [];
+    if (summary) {
+      seed.push({
+        role: "user",
+        content: `Summary of our earlier conversation: ${summary}`,
+      });
+      seed.push({ role: "assistant", content: "Understood." });
+    }
+
+    try {
+      if (seed.length > 0) {
+        await freshSession.append(seed);
+      }
+      await this.appendConversationHistory(recentTurns, freshSession);
+    } catch (error) {
+      console.warn("Lavio: Could not seed compacted session:", error.message);
+    }
+
+    const oldSession = tabSession.session;
+    tabSession.session = freshSession;
+    tabSession.sessionPromise = Promise.resolve(freshSession);
+    // Another prompt may still be answering on the old session
+    this.destroyWhenIdle(oldSession);
+  }
+
+  /**
+   * Remaining context budget for a tab's session, or null if it has none yet
+   */
+  getTokenBudget(tabId) {
+    const entry = this.tabSessions.get(tabId ?? "extension");
+    if (!entry?.session) return null;
+    return this.tokenBudget.getUsage(entry.session);
+  }
+
+  /**
+   * Push the latest budget numbers to the popup (if it is open)
+   */
+  reportTokenBudget(tabSession) {
+    chrome.runtime
+      .sendMessage({
+        type: "TOKEN_BUDGET_UPDATE",
+        tabId: tabSession.key,
+        budget: this.tokenBudget.getUsage(tabSession.session),
+      })
+      .catch(() => {
+        // No popup open to receive the update
+      });
+  }
+
+  getOrigin(url) {
+    try {
+      return url ? new URL(url).origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Track an in-flight request so it can be cancelled later
+   * @param {string} requestId - ID supplied by the caller (or generated)
+   * @param {number|undefined} tabId - Tab the request came from; undefined
+   *   for the popup and options page
+   * @returns {AbortController} Controller whose signal is passed to the AI call
+   */
+  registerRequest(requestId, tabId) {
+    const controller = new AbortController();
+    this.activeRequests.set(requestId, { controller, tabId: tabId ?? null });
+    return controller;
+  }
+
+  /**
+   * Abort in-flight requests by ID, or every request from a tab
+   * Requests that didn't come from a tab can only be cancelled by ID.
+   * @returns {number} Number of requests cancelled
+   */
+  cancelRequests({ requestId = null, tabId = null, excludeId = null } = {}) {
+    let cancelled = 0;
+
+    this.activeRequests.forEach((request, id) => {
+      if (id === excludeId) return;
+      const matches = requestId
+        ? id === requestId
+        : tabId !== null && request.tabId === tabId;
+      if (matches) {
+        request.controller.abort();
+        this.activeRequests.delete(id);
+        cancelled++;
+      }
+    });
+
+    console.log(`Lavio: Cancelled ${cancelled} request(s)`);
+    return cancelled;
+  }
+
+  createRequestId() {
+    return `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  async handleMessage(message, sender, sendResponse) {
+    // Every request carries an ID so in-flight AI calls can be cancelled
+    const requestId = message.requestId || this.createRequestId();
+    const { signal } = this.registerRequest(requestId, sender.tab?.id);
+
+    try {
+      switch (message.type) {
+        case "CHECK_AI_STATUS":
+          const availability = await this.checkAIAvailability();
+          availability.backends = {
+            languageModel: this.aiSession
+              ? "active"
+              : availability.available
+              ? "available"
+              : "unavailable",
+            ...(await this.capabilities.getStatus()),
+          };
+          sendResponse(availability);
+          break;
+
+        case "INITIALIZE_AI":
+          const initResult = await this.initializeAI();
+          sendResponse(initResult);
+          break;
+
+        case "SEND_PROMPT":
+          if (!this.aiSession) {
+            const initResult = await this.initializeAI();
+            if (!initResult.success) {
+              sendResponse({ success: false, error: initResult.error });
+              return;
             }
           }
-          const summary = await this.summarizePage(
-            message.content,
-            message.language
-          );
-          sendResponse({ success: true, summary });
+
+          // Get conversation history for context
+          const historyResult = await chrome.storage.local.get([
+            "conversationHistory",
+          ]);
+          const conversationHistory = historyResult.conversationHistory || [];
+
+          const response = await this.processPrompt(message.prompt, {
+            conversationHistory,
+            ...message.context,
+            tabId: sender.tab?.id,
+            tabUrl: sender.tab?.url,
+            signal,
+          });
+          sendResponse({ success: true, response });
           break;
 
-        case "TRANSLATE_TEXT":
+        case "PROCESS_AUDIO":
+          if (!this.aiSession) {
+            const initResult = await this.initializeAI();
+            if (!initResult.success) {
+              sendResponse({ success: false, error: initResult.error });
+              return;
+            }
+          }
+          const audioResult = await this.processAudioInput(message.audioData, {
+            ...message.context,
+            tabId: sender.tab?.id,
+            tabUrl: sender.tab?.url,
+          });
+          sendResponse({ success: true, response: audioResult });
+          break;
+
+        case "PROCESS_IMAGE":
           if (!this.aiSession) {
             const initResult = await this.initializeAI();
             if (!initResult.success) {
@@ -527,9 +1320,49 @@ class LavioBackground {
               return;
             }
           }
+          const imageResult = await this.processImageInput(message.imageData, {
+            ...message.context,
+            tabId: sender.tab?.id,
+            tabUrl: sender.tab?.url,
+          });
+          sendResponse({ success: true, response: imageResult });
+          break;
+
+        case "GET_PAGE_SUMMARY":
+          const summary = await this.summarizePage(
+            message.content,
+            message.language,
+            { signal, tabId: sender.tab?.id, tabUrl: sender.tab?.url }
+          );
+          sendResponse({ success: true, summary });
+          break;
+
+        case "SUMMARIZE_CHUNK":
+          const chunkSummary = await this.summarizeChunk(message.content, {
+            signal,
+          });
+          sendResponse({ success: true, summary: chunkSummary });
+          break;
+
+        case "MERGE_SUMMARIES":
+          const mergedSummary = await this.mergeSummaries(
+            message.summaries || [],
+            message.language,
+            {
+              signal,
+              tabId: sender.tab?.id,
+              tabUrl: sender.tab?.url,
+              chunkLength: message.chunkLength,
+            }
+          );
+          sendResponse({ success: true, summary: mergedSummary });
+          break;
+
+        case "TRANSLATE_TEXT":
           const translation = await this.translateText(
             message.text,
-            message.targetLanguage
+            message.targetLanguage,
+            { signal, tabId: sender.tab?.id, tabUrl: sender.tab?.url }
           );
           sendResponse({ success: true, translation });
           break;
@@ -544,7 +1377,8 @@ class LavioBackground {
           }
           const intent = await this.detectActionIntent(
             message.text,
-            message.pageElements || []
+            message.pageElements || [],
+            { signal }
           );
           sendResponse({ success: true, intent });
           break;
@@ -559,11 +1393,55 @@ class LavioBackground {
           }
           const matchResult = await this.findBestElementMatch(
             message.description,
-            message.elements || []
+            message.elements || [],
+            { signal }
           );
           sendResponse(matchResult);
           break;
 
+        case "MATCH_FORM_FIELDS":
+          if (!this.aiSession) {
+            const initResult = await this.initializeAI();
+            if (!initResult.success) {
+              sendResponse({ success: false, error: initResult.error });
+              return;
+            }
+          }
+          sendResponse(
+            await this.matchFormFields(
+              message.pairs || [],
+              message.fields || [],
+              { signal }
+            )
+          );
+          break;
+
+        case "FIND_PASSAGES":
+          if (!this.aiSession) {
+            const initResult = await this.initializeAI();
+            if (!initResult.success) {
+              sendResponse({ success: false, error: initResult.error });
+              return;
+            }
+          }
+          sendResponse(
+            await this.findPassages(message.query, message.passages || [], {
+              signal,
+            })
+          );
+          break;
+
+        case "MANAGE_TAB":
+          sendResponse(
+            await this.manageTab(
+              message.operation,
+              message.target || null,
+              sender.tab,
+              { signal }
+            )
+          );
+          break;
+
         case "TEXT_TO_SPEECH":
           try {
             const audioUrl = await this.textToSpeech(
@@ -576,6 +1454,23 @@ class LavioBackground {
           }
           break;
 
+        case "GET_TOKEN_BUDGET":
+          sendResponse({
+            success: true,
+            budget: this.getTokenBudget(message.tabId),
+          });
+          break;
+
+        case "CANCEL_REQUEST":
+          // Cancel one request by ID, or everything from the given/sender tab
+          const cancelledCount = this.cancelRequests({
+            requestId: message.targetRequestId,
+            tabId: message.tabId ?? sender.tab?.id ?? null,
+            excludeId: requestId,
+          });
+          sendResponse({ success: true, cancelled: cancelledCount });
+          break;
+
         case "SETTINGS_UPDATED":
           await this.updateSettings(message.settings);
           sendResponse({ success: true });
@@ -586,6 +1481,8 @@ class LavioBackground {
             "conversations",
             "conversationHistory",
           ]);
+          // Sessions remember the conversation too
+          this.resetTabSessions();
           sendResponse({ success: true });
           break;
 
@@ -593,82 +1490,617 @@ class LavioBackground {
           sendResponse({ success: false, error: "Unknown message type" });
       }
     } catch (error) {
+      if (error.name === "AbortError") {
+        console.log(`Lavio: Request ${requestId} was cancelled`);
+        sendResponse({
+          success: false,
+          cancelled: true,
+          requestId,
+          error: "Request cancelled",
+        });
+        return;
+      }
+
       console.error("Error handling message:", error);
       sendResponse({ success: false, error: error.message });
+    } finally {
+      this.activeRequests.delete(requestId);
     }
   }
 
+  /**
+   * Handle a streaming prompt request over a long-lived port
+   * Messages sent back: STREAM_CHUNK (text delta), STREAM_DONE (full text), STREAM_ERROR
+   * @param {chrome.runtime.Port} port - Port opened by the content script
+   */
+  handleStreamPort(port) {
+    let disconnected = false;
+    let requestId = null;
+    port.onDisconnect.addListener(() => {
+      disconnected = true;
+      // Closing the port (panel closed, tab navigated) cancels generation
+      if (requestId) {
+        this.cancelRequests({ requestId });
+      }
+    });
+
+    port.onMessage.addListener(async (message) => {
+      if (message.type !== "STREAM_PROMPT") return;
+
+      requestId = message.requestId || this.createRequestId();
+      const { signal } = this.registerRequest(requestId, port.sender?.tab?.id);
+
+      try {
+        if (!this.aiSession) {
+          const initResult = await this.initializeAI();
+          if (!initResult.success) {
+            throw new Error(initResult.error);
+          }
+        }
+
+        // Get conversation history for context
+        const historyResult = await chrome.storage.local.get([
+          "conversationHistory",
+        ]);
+        const conversationHistory = historyResult.conversationHistory || [];
+
+        const response = await this.processPromptStreaming(
+          message.prompt,
+          {
+            conversationHistory,
+            ...message.context,
+            tabId: port.sender?.tab?.id,
+            tabUrl: port.sender?.tab?.url,
+            signal,
+          },
+          (chunk) => {
+            if (!disconnected) {
+              port.postMessage({ type: "STREAM_CHUNK", chunk });
+            }
+            return !disconnected;
+          }
+        );
+
+        if (!disconnected) {
+          port.postMessage({ type: "STREAM_DONE", response });
+        }
+      } catch (error) {
+        const cancelled = error.name === "AbortError";
+        if (!cancelled) {
+          console.error("Error streaming prompt:", error);
+        }
+        if (!disconnected) {
+          port.postMessage({
+            type: "STREAM_ERROR",
+            error: cancelled ? "Request cancelled" : error.message,
+            cancelled,
+          });
+        }
+      } finally {
+        this.activeRequests.delete(requestId);
+      }
+    });
+  }
+
+  /**
+   * Build the final prompt text and options shared by prompt() and promptStreaming()
+   * @param {Object} tabSession - Pool entry from getSessionForTab
+   */
+  async preparePrompt(prompt, context = {}, tabSession) {
+    // Seed a freshly forked session with the page's recent conversation once;
+    // after that the session keeps its own history
+    if (
+      !tabSession.seeded &&
+      context.conversationHistory &&
+      context.conversationHistory.length > 0
+    ) {
+      await this.appendConversationHistory(
+        context.conversationHistory,
+        tabSession.session
+      );
+    }
+    tabSession.seeded = true;
+
+    // Add context information to the prompt
+    let enhancedPrompt = prompt;
+    if (context.pageTitle) {
+      enhancedPrompt = `Context: User is on page "${context.pageTitle}"\n\n${prompt}`;
+    }
+
+    // Measure before sending so the session never overflows
+    enhancedPrompt = await this.fitPromptToBudget(
+      tabSession,
+      enhancedPrompt,
+      context
+    );
+
+    // Prepare prompt options
+    const promptOptions = {};
+
+    // Add JSON Schema constraint if provided
+    if (context.responseConstraint) {
+      promptOptions.responseConstraint = context.responseConstraint;
+    }
+
+    // Allow the caller to abort generation
+    if (context.signal) {
+      promptOptions.signal = context.signal;
+    }
+
+    return { enhancedPrompt, promptOptions };
+  }
+
   async processPrompt(prompt, context = {}) {
     if (!this.aiSession) {
       throw new Error("AI session not initialized");
     }
 
     try {
-      // Add conversation context using append method for better context management
-      if (
-        context.conversationHistory &&
-        context.conversationHistory.length > 0
-      ) {
-        await this.appendConversationHistory(context.conversationHistory);
-      }
+      const tabSession = await this.getSessionForTab(
+        context.tabId,
+        context.tabUrl
+      );
+      // Compaction may swap in a new session, so hold whichever one prompts
+      const response = await this.useSession(tabSession.session, async () => {
+        const { enhancedPrompt, promptOptions } = await this.preparePrompt(
+          prompt,
+          context,
+          tabSession
+        );
+        const { session } = tabSession;
+        return await this.useSession(session, () =>
+          session.prompt(enhancedPrompt, promptOptions)
+        );
+      });
+      this.reportTokenBudget(tabSession);
 
-      // Add context information to the prompt
-      let enhancedPrompt = prompt;
-      if (context.pageTitle) {
-        enhancedPrompt = `Context: User is on page "${context.pageTitle}"\n\n${prompt}`;
-      }
+      // Store the conversation for future context
+      await this.storeConversation(prompt, response);
 
-      // Prepare prompt options
-      const promptOptions = {};
+      return response;
+    } catch (error) {
+      console.error("Error processing prompt:", error);
+      throw error;
+    }
+  }
 
-      // Add JSON Schema constraint if provided
-      if (context.responseConstraint) {
-        promptOptions.responseConstraint = context.responseConstraint;
-      }
+  /**
+   * Stream a prompt response chunk by chunk
+   * @param {string} prompt - Prompt text
+   * @param {Object} context - Same context accepted by processPrompt
+   * @param {Function} onChunk - Called with each text delta; return false to stop reading
+   * @returns {Promise<string>} The full response text
+   */
+  async processPromptStreaming(prompt, context = {}, onChunk = () => true) {
+    if (!this.aiSession) {
+      throw new Error("AI session not initialized");
+    }
 
-      const response = await this.aiSession.prompt(
-        enhancedPrompt,
-        promptOptions
+    try {
+      const tabSession = await this.getSessionForTab(
+        context.tabId,
+        context.tabUrl
       );
+      // Compaction may swap in a new session, so hold whichever one streams
+      const response = await this.useSession(tabSession.session, async () => {
+        const { enhancedPrompt, promptOptions } = await this.preparePrompt(
+          prompt,
+          context,
+          tabSession
+        );
+        const { session } = tabSession;
+        return await this.useSession(session, async () => {
+          const stream = session.promptStreaming(enhancedPrompt, promptOptions);
+
+          let text = "";
+          for await (const chunk of stream) {
+            // Older Chrome builds emit the accumulated text instead of deltas
+            const delta = chunk.startsWith(text)
+              ? chunk.slice(text.length)
+              : chunk;
+            text += delta;
+
+            if (delta && onChunk(delta) === false) {
+              break;
+            }
+          }
+          return text;
+        });
+      });
+
+      this.reportTokenBudget(tabSession);
 
       // Store the conversation for future context
       await this.storeConversation(prompt, response);
 
       return response;
     } catch (error) {
-      console.error("Error processing prompt:", error);
+      console.error("Error streaming prompt:", error);
       throw error;
     }
   }
 
-  // Helper method for structured responses
+  /**
+   * Prompt for JSON that matches a schema and return the parsed object
+   * The schema is passed as responseConstraint; a backend that rejects it gets
+   * one retry without the constraint. Either way the answer is parsed and
+   * validated against the schema before it is returned.
+   * @param {string} prompt - Prompt text (should describe the format too)
+   * @param {Object} schema - JSON Schema for the answer
+   * @param {Object} context - Same context as processPrompt, plus
+   *   `scratch: true` to run on a throwaway session instead of the tab's
+   * @returns {Promise<*>} The validated answer
+   * @throws {StructuredOutputError} If the answer doesn't match the schema
+   */
   async processStructuredPrompt(prompt, schema, context = {}) {
-    return await this.processPrompt(prompt, {
-      ...context,
-      responseConstraint: schema,
-    });
+    const send = (responseConstraint) => {
+      if (!context.scratch) {
+        return this.processPrompt(prompt, { ...context, responseConstraint });
+      }
+      const promptOptions = { signal: context.signal };
+      if (responseConstraint) {
+        promptOptions.responseConstraint = responseConstraint;
+      }
+      return this.withScratchSession((session) =>
+        session.prompt(prompt, promptOptions)
+      );
+    };
+
+    let response;
+    try {
+      response = await send(schema);
+    } catch (error) {
+      if (!this.isConstraintUnsupported(error)) throw error;
+
+      console.warn(
+        "Lavio: Backend rejected responseConstraint, retrying without it:",
+        error.message
+      );
+      response = await send(null);
+    }
+
+    return this.parseStructuredResponse(response, schema);
+  }
+
+  /**
+   * Whether a prompt failed because the backend can't apply a JSON Schema
+   * Other errors, such as a local server that can't be reached ("Failed to
+   * fetch" is a TypeError too), are not retried without the constraint.
+   */
+  isConstraintUnsupported(error) {
+    if (error.name === "AbortError") return false;
+    return (
+      error.name === "NotSupportedError" ||
+      /responseConstraint|response_format|json_schema/i.test(error.message)
+    );
+  }
+
+  /**
+   * Parse and validate a structured answer
+   * Constrained answers are plain JSON; unconstrained ones may be wrapped in
+   * code fences or prose, so the first {...} block is used.
+   * @throws {StructuredOutputError}
+   */
+  parseStructuredResponse(response, schema) {
+    let value;
+    try {
+      value = JSON.parse(response);
+    } catch (error) {
+      const cleaned = response
+        .trim()
+        .replace(/```json\s*/g, "")
+        .replace(/```\s*$/g, "");
+      const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new StructuredOutputError("No JSON found in response", response);
+      }
+      try {
+        value = JSON.parse(jsonMatch[0]);
+      } catch (parseError) {
+        throw new StructuredOutputError(parseError.message, response);
+      }
+    }
+
+    const errors = this.validateSchema(value, schema);
+    if (errors.length > 0) {
+      throw new StructuredOutputError(
+        `Response does not match schema: ${errors.join("; ")}`,
+        response
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Check a value against the JSON Schema subset used by our schemas
+   * (type, enum, properties, required, additionalProperties, items,
+   * minimum, maximum)
+   * @returns {Array<string>} Problems found; empty if the value is valid
+   */
+  validateSchema(value, schema, path = "response") {
+    const errors = [];
+    const typeOf = (v) => {
+      if (v === null) return "null";
+      if (Array.isArray(v)) return "array";
+      if (typeof v === "number" && Number.isInteger(v)) return "integer";
+      return typeof v;
+    };
+
+    if (schema.type) {
+      const allowed = [].concat(schema.type);
+      const actual = typeOf(value);
+      const matches =
+        allowed.includes(actual) ||
+        (actual === "integer" && allowed.includes("number"));
+      if (!matches) {
+        return [`${path} should be ${allowed.join(" or ")}, got ${actual}`];
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if (typeof value === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} should be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} should be <= ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, i) => {
+        errors.push(
+          ...this.validateSchema(item, schema.items, `${path}[${i}]`)
+        );
+      });
+    }
+
+    if (typeOf(value) === "object") {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(value).forEach(([key, child]) => {
+        if (properties[key]) {
+          errors.push(
+            ...this.validateSchema(child, properties[key], `${path}.${key}`)
+          );
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  // Predefined schemas for common use cases
+  getBooleanSchema() {
+    return { type: "boolean" };
+  }
+
+  getClassificationSchema(categories) {
+    return {
+      type: "object",
+      properties: {
+        category: {
+          type: "string",
+          enum: categories,
+        },
+        confidence: {
+          type: "number",
+          minimum: 0,
+          maximum: 1,
+        },
+      },
+      required: ["category", "confidence"],
+    };
+  }
+
+  /**
+   * Action types content.js knows how to execute
+   */
+  getActionTypes() {
+    return [
+      "click",
+      "navigate",
+      "type",
+      "scroll",
+      "focus",
+      "select",
+      "toggle",
+      "set_value",
+      "press_key",
+      "fill_form",
+      "fill_profile",
+      "find",
+      "manage_tab",
+      "modify_text_size",
+      "modify_theme",
+      "modify_color",
+      "modify_visibility",
+      "modify_layout",
+      "modify_focus",
+      "modify_zoom",
+      "modify_reset",
+    ];
+  }
+
+  /**
+   * Positional modifiers for a target ("the third link", "the search box at
+   * the top", "the button next to Price"), resolved by ElementDetector
+   */
+  getReferenceModifiersSchema() {
+    return {
+      type: "object",
+      properties: {
+        ordinal: { type: ["integer", "null"] },
+        elementType: {
+          type: ["string", "null"],
+          enum: [
+            "button",
+            "link",
+            "input",
+            "search",
+            "tab",
+            "menuitem",
+            "checkbox",
+            "switch",
+            "option",
+            "select",
+            "slider",
+            null,
+          ],
+        },
+        region: {
+          type: ["string", "null"],
+          enum: [
+            "top",
+            "bottom",
+            "left",
+            "right",
+            "header",
+            "footer",
+            "sidebar",
+            "main",
+            null,
+          ],
+        },
+        near: { type: ["string", "null"] },
+        order: { type: ["string", "null"], enum: ["visual", "document", null] },
+      },
+      additionalProperties: false,
+    };
+  }
+
+  getIntentSchema() {
+    return {
+      type: "object",
+      properties: {
+        isAction: { type: "boolean" },
+        confidence: { type: "number", minimum: 0, maximum: 1 },
+        actionType: {
+          type: ["string", "null"],
+          enum: [...this.getActionTypes(), null],
+        },
+        targetDescription: { type: ["string", "null"] },
+        additionalData: { type: ["string", "null"] },
+        reasoning: { type: "string" },
+        modifiers: this.getReferenceModifiersSchema(),
+        // How far to scroll: "a little", "a lot", "two pages", "300px"
+        amount: { type: ["string", "null"] },
+        // Spoken field/value pairs for fill_form
+        fields: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string" },
+              value: { type: "string" },
+            },
+            required: ["field", "value"],
+            additionalProperties: false,
+          },
+        },
+        // Ordered plan for commands with several actions; the top-level
+        // fields repeat the first step
+        steps: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              actionType: { type: "string", enum: this.getActionTypes() },
+              targetDescription: { type: ["string", "null"] },
+              additionalData: { type: ["string", "null"] },
+              modifiers: this.getReferenceModifiersSchema(),
+              amount: { type: ["string", "null"] },
+            },
+            required: ["actionType", "targetDescription", "additionalData"],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: [
+        "isAction",
+        "confidence",
+        "actionType",
+        "targetDescription",
+        "additionalData",
+        "reasoning",
+      ],
+      additionalProperties: false,
+    };
+  }
+
+  /**
+   * @param {number} elementCount - Number of candidates listed in the prompt
+   */
+  getElementMatchSchema(elementCount) {
+    return {
+      type: "object",
+      properties: {
+        matchIndex: {
+          type: "integer",
+          minimum: -1,
+          maximum: elementCount - 1,
+        },
+        confidence: { type: "number", minimum: 0, maximum: 1 },
+        reasoning: { type: "string" },
+        // Other plausible matches, best first, for asking the user
+        alternatives: {
+          type: "array",
+          items: {
+            type: "integer",
+            minimum: 0,
+            maximum: elementCount - 1,
+          },
+        },
+      },
+      required: ["matchIndex", "confidence", "reasoning"],
+      additionalProperties: false,
+    };
   }
 
-  // Predefined schemas for common use cases
-  getBooleanSchema() {
-    return { type: "boolean" };
+  /**
+   * @param {number} passageCount - Number of passages listed in the prompt
+   */
+  getPassageMatchSchema(passageCount) {
+    return {
+      type: "object",
+      properties: {
+        passages: {
+          type: "array",
+          items: { type: "integer", minimum: 0, maximum: passageCount - 1 },
+          maxItems: 5,
+        },
+      },
+      required: ["passages"],
+      additionalProperties: false,
+    };
   }
 
-  getClassificationSchema(categories) {
+  getFormMatchSchema(pairCount, fieldCount) {
     return {
       type: "object",
       properties: {
-        category: {
-          type: "string",
-          enum: categories,
-        },
-        confidence: {
-          type: "number",
-          minimum: 0,
-          maximum: 1,
+        matches: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              pair: { type: "integer", minimum: 0, maximum: pairCount - 1 },
+              field: { type: "integer", minimum: -1, maximum: fieldCount - 1 },
+            },
+            required: ["pair", "field"],
+            additionalProperties: false,
+          },
         },
       },
-      required: ["category", "confidence"],
+      required: ["matches"],
+      additionalProperties: false,
     };
   }
 
@@ -690,8 +2122,8 @@ class LavioBackground {
     };
   }
 
-  async appendConversationHistory(history) {
-    if (!this.aiSession || !history || history.length === 0) return;
+  async appendConversationHistory(history, session) {
+    if (!session || !history || history.length === 0) return;
 
     try {
       // Format history for append method
@@ -701,7 +2133,7 @@ class LavioBackground {
       }));
 
       if (formattedHistory.length > 0) {
-        await this.aiSession.append(formattedHistory);
+        await session.append(formattedHistory);
       }
     } catch (error) {
       console.warn("Failed to append conversation history:", error);
@@ -810,7 +2242,13 @@ class LavioBackground {
         ],
       });
 
-      const response = await this.aiSession.prompt(promptArray);
+      const { session } = await this.getSessionForTab(
+        context.tabId,
+        context.tabUrl
+      );
+      const response = await this.useSession(session, () =>
+        session.prompt(promptArray)
+      );
 
       // Try to parse the response to extract transcription and AI response
       let transcription = null;
@@ -836,8 +2274,14 @@ class LavioBackground {
 
       // Fallback to text-only processing if multimodal fails
       try {
-        const fallbackResponse = await this.aiSession.prompt(
-          "I received a voice message but cannot process audio at the moment. Please let the user know that voice processing is temporarily unavailable and ask them to type their message instead."
+        const { session } = await this.getSessionForTab(
+          context.tabId,
+          context.tabUrl
+        );
+        const fallbackResponse = await this.useSession(session, () =>
+          session.prompt(
+            "I received a voice message but cannot process audio at the moment. Please let the user know that voice processing is temporarily unavailable and ask them to type their message instead."
+          )
         );
 
         return {
@@ -853,64 +2297,508 @@ class LavioBackground {
     }
   }
 
-  async summarizePage(content, language = "en") {
+  getLanguageName(language) {
+    const languageNames = {
+      es: "Spanish",
+      fr: "French",
+      de: "German",
+      it: "Italian",
+      pt: "Portuguese",
+      ru: "Russian",
+      ja: "Japanese",
+      ko: "Korean",
+      zh: "Chinese",
+      ar: "Arabic",
+      hi: "Hindi",
+      nl: "Dutch",
+      sv: "Swedish",
+      no: "Norwegian",
+      da: "Danish",
+      fi: "Finnish",
+      pl: "Polish",
+      tr: "Turkish",
+      he: "Hebrew",
+      th: "Thai",
+    };
+    return languageNames[language] || language;
+  }
+
+  /**
+   * Make sure the LanguageModel session exists before a prompt-based fallback
+   */
+  async ensureAISession() {
+    if (this.aiSession) return;
+
+    const initResult = await this.initializeAI();
+    if (!initResult.success) {
+      throw new Error(initResult.error);
+    }
+  }
+
+  /**
+   * Summarize with the Summarizer API
+   * @param {string} content - Text to summarize
+   * @param {Object} options - { type, length, language, context, signal }
+   * @returns {Promise<string|null>} Summary, or null to fall back to prompting
+   */
+  async summarizeWithSummarizer(content, options = {}) {
+    const summarizer = await this.capabilities.getSummarizer(options);
+    if (!summarizer) return null;
+
+    try {
+      // Oversized input goes to the prompt path, which can trim it
+      if (typeof summarizer.measureInputUsage === "function") {
+        const usage = await summarizer.measureInputUsage(content);
+        if (usage > summarizer.inputQuota) return null;
+      }
+
+      return await summarizer.summarize(content, {
+        context: options.context,
+        signal: options.signal,
+      });
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      console.warn("Lavio: Summarizer failed, using prompt:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Key points plus a one-line TL;DR from the Summarizer API
+   * @returns {Promise<string|null>} Formatted summary, or null to fall back to prompting
+   */
+  async summarizeToBullets(content, language, options = {}) {
+    const outputLanguage = language && language !== "en" ? language : null;
+
+    const keyPoints = await this.summarizeWithSummarizer(content, {
+      type: "key-points",
+      length: "medium",
+      language: outputLanguage,
+      context: options.context,
+      signal: options.signal,
+    });
+    if (!keyPoints) return null;
+
+    const tldr = await this.summarizeWithSummarizer(content, {
+      type: "tldr",
+      length: "short",
+      language: outputLanguage,
+      context: options.context,
+      signal: options.signal,
+    });
+
+    return tldr ? `${keyPoints}\n\n**TL;DR:** ${tldr}` : keyPoints;
+  }
+
+  async summarizePage(content, language = "en", options = {}) {
     try {
+      const summary = await this.summarizeToBullets(content, language, options);
+      if (summary) {
+        await this.storeConversation("Summarize this page", summary);
+        return summary;
+      }
+
+      await this.ensureAISession();
+
       // Create language-specific prompt
       let prompt;
       if (language && language !== "en") {
-        const languageNames = {
-          es: "Spanish",
-          fr: "French",
-          de: "German",
-          it: "Italian",
-          pt: "Portuguese",
-          ru: "Russian",
-          ja: "Japanese",
-          ko: "Korean",
-          zh: "Chinese",
-          ar: "Arabic",
-          hi: "Hindi",
-          nl: "Dutch",
-          sv: "Swedish",
-          no: "Norwegian",
-          da: "Danish",
-          fi: "Finnish",
-          pl: "Polish",
-          tr: "Turkish",
-          he: "Hebrew",
-          th: "Thai",
-        };
-        const languageName = languageNames[language] || language;
+        const languageName = this.getLanguageName(language);
         prompt = `Summarize the following content concisely in ${languageName}. Provide 4-6 bullet points and a one-line TL;DR.\n\n${content}`;
       } else {
         prompt = `Summarize the following content concisely. Provide 4-6 bullet points and a one-line TL;DR.\n\n${content}`;
       }
 
-      return await this.processPrompt(prompt);
+      // A scratch session keeps the page text out of the tab's conversation;
+      // pageContent lets the budget manager trim the page if it doesn't fit
+      return await this.processScratchPrompt(prompt, {
+        signal: options.signal,
+        pageContent: content,
+      });
     } catch (error) {
       console.error("Error summarizing page:", error);
       throw error;
     }
   }
 
-  async translateText(text, targetLanguage) {
+  /**
+   * Summarize one chunk of a long page (map step)
+   * The prompt fallback runs on a scratch session so partial summaries stay
+   * out of the tab's conversation
+   * @param {string} content - Chunk text, starting with its section heading
+   * @param {Object} options - { signal }
+   * @returns {Promise<string>} Short bullet summary of the chunk
+   */
+  async summarizeChunk(content, options = {}) {
+    try {
+      const summary = await this.summarizeWithSummarizer(content, {
+        type: "key-points",
+        length: "short",
+        context: "One section of a longer web page",
+        signal: options.signal,
+      });
+      if (summary) return summary;
+
+      await this.ensureAISession();
+
+      const prompt = `This is one section of a longer web page. Summarize it in 2-4 short bullet points, keeping only the key facts. Do not add an introduction or a TL;DR.\n\n${content}`;
+
+      return await this.withScratchSession((session) =>
+        session.prompt(prompt, { signal: options.signal })
+      );
+    } catch (error) {
+      console.error("Error summarizing chunk:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge partial section summaries into the final summary (reduce step)
+   * @param {Array} summaries - Partial summaries in page order
+   * @param {string} language - Output language code
+   * @param {Object} options - { signal, tabId, tabUrl, chunkLength }, where
+   *   chunkLength is the page chunk size the content script summarized by
+   *   (summaryChunkLength when missing)
+   * @returns {Promise<string>} Bullet points and a one-line TL;DR
+   */
+  async mergeSummaries(summaries, language = "en", options = {}) {
+    try {
+      let partials = summaries;
+      const chunkLength = options.chunkLength ?? this.summaryChunkLength;
+
+      // Very long pages produce more partials than fit one prompt: merge them in groups first
+      while (
+        partials.length > 2 &&
+        partials.join("\n\n").length > chunkLength
+      ) {
+        const groups = [];
+        for (let i = 0; i < partials.length; i += 4) {
+          groups.push(partials.slice(i, i + 4));
+        }
+
+        const merged = [];
+        for (const group of groups) {
+          if (group.length === 1) {
+            merged.push(group[0]);
+            continue;
+          }
+          merged.push(await this.combineSummaries(group, options));
+        }
+        partials = merged;
+      }
+
+      const sections = partials
+        .map((summary, index) => `Section ${index + 1}:\n${summary}`)
+        .join("\n\n");
+
+      const summary = await this.summarizeToBullets(sections, language, {
+        ...options,
+        context: "Summaries of consecutive sections of one web page",
+      });
+      if (summary) {
+        await this.storeConversation("Summarize this page", summary);
+        return summary;
+      }
+
+      await this.ensureAISession();
+
+      const languageInstruction =
+        language && language !== "en"
+          ? ` in ${this.getLanguageName(language)}`
+          : "";
+      const prompt = `These are summaries of consecutive sections of one web page. Combine them into a single concise summary${languageInstruction}. Provide 4-6 bullet points and a one-line TL;DR.\n\n${sections}`;
+
+      return await this.processScratchPrompt(prompt, {
+        signal: options.signal,
+        pageContent: sections,
+      });
+    } catch (error) {
+      console.error("Error merging summaries:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Condense a group of partial summaries into one (intermediate reduce step)
+   */
+  async combineSummaries(group, options = {}) {
+    const content = group.join("\n\n");
+
+    const summary = await this.summarizeWithSummarizer(content, {
+      type: "key-points",
+      length: "medium",
+      context: "Summaries of consecutive sections of one web page",
+      signal: options.signal,
+    });
+    if (summary) return summary;
+
+    await this.ensureAISession();
+
+    return await this.withScratchSession((session) =>
+      session.prompt(
+        `Combine these summaries of consecutive page sections into 3-5 short bullet points:\n\n${content}`,
+        { signal: options.signal }
+      )
+    );
+  }
+
+  /**
+   * Detect the language of a text with the LanguageDetector API
+   * @returns {Promise<string|null>} BCP 47 language code, or null if unknown
+   */
+  async detectLanguage(text) {
+    const detector = await this.capabilities.getLanguageDetector();
+    if (!detector) return null;
+
+    try {
+      const [best] = await detector.detect(text);
+      // "und" means the detector could not decide
+      if (!best || best.detectedLanguage === "und" || best.confidence < 0.5) {
+        return null;
+      }
+      return best.detectedLanguage;
+    } catch (error) {
+      console.warn("Lavio: Language detection failed:", error.message);
+      return null;
+    }
+  }
+
+  async translateText(text, targetLanguage, options = {}) {
     try {
+      // The Translator API needs the source language, so detect it first
+      const sourceLanguage = await this.detectLanguage(text);
+      if (sourceLanguage && sourceLanguage === targetLanguage) {
+        return text;
+      }
+
+      const translator = sourceLanguage
+        ? await this.capabilities.getTranslator(sourceLanguage, targetLanguage)
+        : null;
+      if (translator) {
+        try {
+          const translation = await translator.translate(text, {
+            signal: options.signal,
+          });
+          await this.storeConversation(
+            `Translate to ${targetLanguage}: ${text}`,
+            translation
+          );
+          return translation;
+        } catch (error) {
+          if (error.name === "AbortError") throw error;
+          console.warn(
+            "Lavio: Translator failed, using prompt:",
+            error.message
+          );
+        }
+      }
+
+      await this.ensureAISession();
+
       // Use LanguageModel session to perform translation via prompt
       const prompt = `Translate the following text to ${targetLanguage}. Preserve meaning and tone.\n\n${text}`;
-      return await this.processPrompt(prompt);
+      return await this.processScratchPrompt(prompt, {
+        signal: options.signal,
+      });
     } catch (error) {
       console.error("Error translating text:", error);
       throw error;
     }
   }
 
+  /**
+   * Use AI to pair spoken field names with form fields
+   * @param {Array} pairs - [{ field, value }] as spoken ("zip", "10115")
+   * @param {Array} fields - Form fields ({ label, type, name, placeholder })
+   * @param {Object} options - { signal } to abort the AI call
+   * @returns {Promise<Object>} { success, matches: [{ pair, field }] } where
+   *   field is -1 for a pair with no matching field
+   */
+  async matchFormFields(pairs, fields, options = {}) {
+    if (pairs.length === 0 || fields.length === 0) {
+      return { success: true, matches: [] };
+    }
+
+    const fieldList = fields
+      .map(
+        (field, i) =>
+          `${i}. ${field.type}: "${
+            field.label || field.placeholder || field.name || "unnamed"
+          }"${field.name ? ` (name: ${field.name})` : ""}`
+      )
+      .join("\n");
+    const pairList = pairs
+      .map((pair, i) => `${i}. ${pair.field} = "${pair.value}"`)
+      .join("\n");
+
+    const prompt = `FORM FIELD MATCHING TASK: Pair each spoken field with a form field.
+
+Spoken values:
+${pairList}
+
+Form fields:
+${fieldList}
+
+Rules:
+- Consider synonyms ("zip" = "Postal code", "name" = "Full name", "mail" = "Email")
+- Use each form field at most once
+- field: -1 if no form field fits
+
+Response format (JSON only):
+{"matches": [{"pair": 0, "field": 2}]}`;
+
+    try {
+      const result = await this.processStructuredPrompt(
+        prompt,
+        this.getFormMatchSchema(pairs.length, fields.length),
+        { scratch: true, signal: options.signal }
+      );
+      return { success: true, matches: result.matches };
+    } catch (error) {
+      // Cancellation is not a failed match - let the caller report it
+      if (error.name === "AbortError") throw error;
+
+      console.error("Error matching form fields:", error);
+      return { success: false, matches: [], error: error.message };
+    }
+  }
+
+  /**
+   * Use AI to pick the page passages that talk about something
+   * @param {string} query - What the user is looking for ("shipping costs")
+   * @param {Array<string>} passages - Text of the page's passages, in order
+   * @param {Object} options - { signal } to abort the AI call
+   * @returns {Promise<Object>} { success, passages } with passage indexes,
+   *   most relevant first
+   */
+  async findPassages(query, passages, options = {}) {
+    if (!query || passages.length === 0) {
+      return { success: true, passages: [] };
+    }
+
+    const passageList = passages
+      .map((passage, i) => `${i}. ${passage}`)
+      .join("\n");
+
+    const prompt = `PASSAGE FINDING TASK: Find where the page talks about "${query}".
+
+Passages:
+${passageList}
+
+Rules:
+- Pick passages that answer or discuss it, even in other words ("delivery fees" for "shipping costs")
+- At most 5, most relevant first
+- An empty list if no passage is about it
+
+Response format (JSON only):
+{"passages": [3, 7]}`;
+
+    try {
+      const result = await this.processStructuredPrompt(
+        prompt,
+        this.getPassageMatchSchema(passages.length),
+        { scratch: true, signal: options.signal }
+      );
+      return {
+        success: true,
+        passages: result.passages.filter(
+          (index) => index >= 0 && index < passages.length
+        ),
+      };
+    } catch (error) {
+      // Cancellation is not a failed search - let the caller report it
+      if (error.name === "AbortError") throw error;
+
+      console.error("Error finding passages:", error);
+      return { success: false, passages: [], error: error.message };
+    }
+  }
+
+  /**
+   * The text a find-in-page command looks for, or null if it isn't one
+   * "find 'refund policy' on this page" → "refund policy",
+   * "where does it talk about shipping costs" → "shipping costs"
+   * @param {string} lowerInput - Lowercased user input
+   * @returns {string|null}
+   */
+  parseFindQuery(lowerInput) {
+    const verb = "(?:please )?(?:find|look for|locate|highlight)";
+    const onPage = "(?:\\s+(?:on|in) (?:this|the) (?:page|article))";
+    const match =
+      lowerInput.match(
+        new RegExp(`^${verb}\\s+["'“‘](.+?)["'”’]${onPage}?[.!?]*$`)
+      ) ||
+      lowerInput.match(
+        new RegExp(
+          `^${verb}\\s+(?:the (?:words?|phrase|text) )?(.+?)${onPage}[.!?]*$`
+        )
+      ) ||
+      lowerInput.match(
+        /\bwhere (?:does|do|did) (?:it|they|this|the (?:page|article)|this (?:page|article)) (?:talk about|mention|say about|discuss|cover)\s+(.+?)[.!?]*$/
+      );
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * The tab command in the user's words, or null if it isn't one
+   * "close the other tabs" → { operation: "close_others", target: null },
+   * "go to my gmail tab" → { operation: "switch", target: "gmail" }
+   * @param {string} lowerInput - Lowercased user input
+   * @returns {Object|null} { operation, target }
+   */
+  parseTabCommand(lowerInput) {
+    const text = lowerInput
+      .trim()
+      .replace(/[.!?]+$/, "")
+      .replace(/^(?:please |can you |could you )+/, "");
+    const thisTab = "(?:this|the current|current|the|my)";
+    const commands = [
+      [
+        /^(?:re-?open|restore|bring back)(?: the| my)?(?: last)?(?: closed)? tab$/,
+        "reopen",
+      ],
+      [/^close (?:all )?(?:the )?other tabs$/, "close_others"],
+      [new RegExp(`^close ${thisTab} tab$`), "close"],
+      [/^close (?:the |my )?(.+?) tab$/, "close"],
+      [new RegExp(`^(pin|unpin|mute|unmute) ${thisTab} tab$`)],
+      [/^(pin|unpin|mute|unmute) (?:the |my )?(.+?) tab$/],
+      [
+        new RegExp(`^move ${thisTab} tab (?:in)?to (?:a )?new window$`),
+        "move_to_window",
+      ],
+      [
+        /^move (?:the |my )?(.+?) tab (?:in)?to (?:a )?new window$/,
+        "move_to_window",
+      ],
+      [/^open (?:up )?(?:a )?new tab$/, "open"],
+      [/^(?:open|search(?: for)?|look up) (.+?) in (?:a )?new tab$/, "open"],
+      [
+        /^(?:switch|go|jump|change) (?:back )?to (?:my |the )?(.+?) tab$/,
+        "switch",
+      ],
+    ];
+
+    for (const [pattern, operation] of commands) {
+      const match = text.match(pattern);
+      if (!match) continue;
+      // Pin/mute patterns capture the operation, then the tab
+      const [target] = operation ? match.slice(1) : match.slice(2);
+      return {
+        operation: operation || match[1],
+        target: target?.trim() || null,
+      };
+    }
+    return null;
+  }
+
   /**
    * Use AI to find the best matching element from a list
    * @param {string} description - User's description (e.g., "pull request tab")
    * @param {Array} elements - List of available elements
+   * @param {Object} options - { signal } to abort the AI call
    * @returns {Promise<Object>} Best match with confidence
    */
-  async findBestElementMatch(description, elements) {
+  async findBestElementMatch(description, elements, options = {}) {
     try {
       // Limit elements to top 30 for performance
       const topElements = elements.slice(0, 30);
@@ -920,7 +2808,7 @@ class LavioBackground {
           (el, i) =>
             `${i}. ${el.type}: "${
               el.text || el.label || el.placeholder || "unnamed"
-            }" (id: ${el.id || "none"})`
+            }"${el.state ? ` [${el.state}]` : ""} (id: ${el.id || "none"})`
         )
         .join("\n");
 
@@ -941,7 +2829,8 @@ Respond with ONLY valid JSON:
 {
   "matchIndex": 0,
   "confidence": 0.95,
-  "reasoning": "Exact match"
+  "reasoning": "Exact match",
+  "alternatives": []
 }
 
 Rules:
@@ -950,48 +2839,22 @@ Rules:
       }) of the matching element, or -1 if no good match
 - confidence: 0.0 to 1.0 (how sure you are)
 - reasoning: brief explanation (under 30 characters)
+- alternatives: indexes of up to 4 OTHER elements that could also be meant, best first ([] if the match is clear)
 - If no good match exists, use matchIndex: -1 and confidence: 0.0
 
 Return ONLY the JSON object.`;
 
-      const response = await this.aiSession.prompt(prompt);
-
-      // Parse response
+      // Matching is a one-off task, keep it out of the tab's conversation
+      let result;
       try {
-        console.log(
-          "Lavio: AI element match response:",
-          response.substring(0, 200)
+        result = await this.processStructuredPrompt(
+          prompt,
+          this.getElementMatchSchema(topElements.length),
+          { scratch: true, signal: options.signal }
         );
-
-        let cleanedResponse = response.trim();
-        cleanedResponse = cleanedResponse
-          .replace(/```json\s*/g, "")
-          .replace(/```\s*$/g, "");
-
-        const jsonMatch = cleanedResponse.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error("No JSON found in response");
-        }
-
-        const result = JSON.parse(jsonMatch[0]);
-
-        // Validate
-        if (
-          typeof result.matchIndex !== "number" ||
-          typeof result.confidence !== "number"
-        ) {
-          throw new Error("Invalid match format");
-        }
-
-        console.log("Lavio: AI element match result:", result);
-
-        return {
-          success: true,
-          matchIndex: result.matchIndex,
-          confidence: result.confidence,
-          reasoning: result.reasoning || "AI match",
-        };
       } catch (parseError) {
+        if (!(parseError instanceof StructuredOutputError)) throw parseError;
+
         console.error(
           "Lavio: Error parsing element match JSON:",
           parseError.message
@@ -1003,7 +2866,22 @@ Return ONLY the JSON object.`;
           reasoning: "Failed to parse AI response",
         };
       }
+
+      console.log("Lavio: AI element match result:", result);
+
+      return {
+        success: true,
+        matchIndex: result.matchIndex,
+        confidence: result.confidence,
+        reasoning: result.reasoning || "AI match",
+        alternatives: (result.alternatives || []).filter(
+          (index) => index !== result.matchIndex
+        ),
+      };
     } catch (error) {
+      // Cancellation is not a failed match - let the caller report it
+      if (error.name === "AbortError") throw error;
+
       console.error("Error finding element match:", error);
       return {
         success: false,
@@ -1018,9 +2896,10 @@ Return ONLY the JSON object.`;
    * Detect if user input is an action request or a question
    * @param {string} userInput - The user's voice/text input
    * @param {Array} pageElements - Available elements on the page
+   * @param {Object} options - { signal } to abort the AI call
    * @returns {Promise<Object>} Intent classification and action details
    */
-  async detectActionIntent(userInput, pageElements = []) {
+  async detectActionIntent(userInput, pageElements = [], options = {}) {
     try {
       // PRE-FILTER: Check if input is clearly a question BEFORE sending to AI
       // This prevents AI misclassification of common information requests
@@ -1072,7 +2951,7 @@ Return ONLY the JSON object.`;
                 (el, i) =>
                   `${i + 1}. ${el.type}: "${
                     el.text || el.label || el.placeholder || "unnamed"
-                  }"`
+                  }"${el.state ? ` [${el.state}]` : ""}`
               )
               .join("\n")}`
           : "";
@@ -1084,6 +2963,8 @@ ${elementsDescription}
 
 CRITICAL: Information keywords → QUESTION (isAction: false):
 "tell me", "what is/are/does", "explain", "describe", "summarize", "which", "who", "when", "where", "how", "about this/the page"
+Except: "find X on this page" and "where does it talk about/mention X" → ACTION "find"
+Browser tabs and windows (not tabs inside the page): "open X in a new tab", "go to my Gmail tab", "close this tab", "reopen the closed tab" → ACTION "manage_tab"
 
 Response format (JSON only, no markdown):
 {
@@ -1092,14 +2973,33 @@ Response format (JSON only, no markdown):
   "actionType": null,
   "targetDescription": null,
   "additionalData": null,
-  "reasoning": "question/action type"
+  "reasoning": "question/action type",
+  "steps": []
 }
 
-ActionTypes: "click" (buttons/links/tabs), "navigate" (back/forward/refresh only), "type" (text input), "scroll", "focus", "modify_text_size", "modify_theme", "modify_color", "modify_visibility", or null
+ActionTypes: "click" (buttons/links/tabs/menu items), "navigate" (back/forward/refresh only), "type" (text input), "scroll", "focus", "select" (dropdown/listbox option), "toggle" (checkbox/switch), "set_value" (slider/date/number), "press_key" (keyboard key), "fill_form" (several fields at once), "fill_profile" (form from a saved profile), "find" (find text on the page), "manage_tab" (browser tabs and windows), "modify_text_size", "modify_theme", "modify_color", "modify_visibility", "modify_layout", "modify_focus", "modify_zoom", "modify_reset", or null
 
 Fields:
 - targetDescription: element to interact with
 - additionalData: for type=text to type, scroll=direction, navigate=action
+- scroll: additionalData "up"/"down"/"top"/"bottom"/"left"/"right", or "next"/"previous" with targetDescription "heading"; to scroll to a named section, heading or element put its name in targetDescription and additionalData null; amount (optional) "a little"/"a lot"/"two pages"/"300px"
+- select: targetDescription=dropdown, additionalData=option text
+- toggle: targetDescription=checkbox/switch, additionalData "on"/"off" (null flips it)
+- set_value: targetDescription=slider or input, additionalData=value ("40", "max", "2025-03-01")
+- fill_form: targetDescription=which form (or null), fields=[{"field", "value"}] in the order spoken
+- fill_profile: additionalData=profile name ("work", "home") or null, targetDescription=which form (or null)
+- find: additionalData=text or topic to find on the page, without quotes
+- manage_tab: additionalData "open"/"switch"/"close"/"close_others"/"reopen"/"pin"/"unpin"/"mute"/"unmute"/"move_to_window"; targetDescription=URL or search for "open", the tab's title for the others, null for the current tab
+- press_key: additionalData=key with optional modifiers ("Enter", "Escape", "Shift+Tab", "Ctrl+ArrowDown"), targetDescription=element to send it to or null for the focused one
+- modify_text_size: additionalData "increase"/"decrease"/"reset"
+- modify_theme: additionalData "dark"/"light"
+- modify_color: targetDescription "background"/"text", additionalData=color
+- modify_visibility: targetDescription=what to hide/show, additionalData "hide"/"show"
+- modify_layout: targetDescription "width"/"center", additionalData=width
+- modify_focus: additionalData "enable"/"reader"/"disable"
+- modify_zoom: additionalData "in"/"out"/"reset"
+- steps: for commands with SEVERAL actions ("X and Y", "X then Y"), the ordered list of {"actionType", "targetDescription", "additionalData"}; the top-level fields repeat the first step. Use [] for a single action or a question.
+- modifiers (optional): when the target is picked by position, {"ordinal": 1-based number, -1 for last, "elementType": "button"/"link"/"input"/"search"/"tab"/"menuitem"/"checkbox"/"switch"/"option"/"select"/"slider", "region": "top"/"bottom"/"left"/"right"/"header"/"footer"/"sidebar"/"main", "near": text of a nearby element, "order": "visual"/"document"}; use null for parts that don't apply. Steps may carry their own modifiers.
 
 Examples:
 Q: "Tell me about page" → {"isAction": false, "confidence": 1.0, "actionType": null, "targetDescription": null, "additionalData": null, "reasoning": "Info"}
@@ -1107,49 +3007,31 @@ Q: "Click on actions" → {"isAction": true, "confidence": 0.95, "actionType": "
 Q: "Type hello in search" → {"isAction": true, "confidence": 0.95, "actionType": "type", "targetDescription": "search", "additionalData": "hello", "reasoning": "Type"}
 Q: "Go back" → {"isAction": true, "confidence": 0.95, "actionType": "navigate", "targetDescription": null, "additionalData": "back", "reasoning": "Navigate"}
 Q: "Scroll down" → {"isAction": true, "confidence": 0.95, "actionType": "scroll", "targetDescription": null, "additionalData": "down", "reasoning": "Scroll"}
-Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "modify_text_size", "targetDescription": null, "additionalData": "increase", "reasoning": "Text size"}`;
-
-      const response = await this.aiSession.prompt(prompt);
-
-      // Parse the JSON response
+Q: "Scroll down a little" → {"isAction": true, "confidence": 0.95, "actionType": "scroll", "targetDescription": null, "additionalData": "down", "reasoning": "Scroll", "amount": "a little"}
+Q: "Go to the Reviews section" → {"isAction": true, "confidence": 0.95, "actionType": "scroll", "targetDescription": "Reviews", "additionalData": null, "reasoning": "Scroll to section"}
+Q: "Next heading" → {"isAction": true, "confidence": 0.95, "actionType": "scroll", "targetDescription": "heading", "additionalData": "next", "reasoning": "Scroll to heading"}
+Q: "Click the third link" → {"isAction": true, "confidence": 0.95, "actionType": "click", "targetDescription": "third link", "additionalData": null, "reasoning": "Click", "modifiers": {"ordinal": 3, "elementType": "link", "region": null, "near": null, "order": null}}
+Q: "Click the button next to Price" → {"isAction": true, "confidence": 0.95, "actionType": "click", "targetDescription": "button next to Price", "additionalData": null, "reasoning": "Click", "modifiers": {"ordinal": null, "elementType": "button", "region": null, "near": "Price", "order": null}}
+Q: "Choose Large in the size dropdown" → {"isAction": true, "confidence": 0.95, "actionType": "select", "targetDescription": "size dropdown", "additionalData": "Large", "reasoning": "Select"}
+Q: "Turn off notifications" → {"isAction": true, "confidence": 0.95, "actionType": "toggle", "targetDescription": "notifications", "additionalData": "off", "reasoning": "Toggle"}
+Q: "Fill the shipping form with name Jane Doe, city Berlin" → {"isAction": true, "confidence": 0.95, "actionType": "fill_form", "targetDescription": "shipping form", "additionalData": null, "reasoning": "Form", "fields": [{"field": "name", "value": "Jane Doe"}, {"field": "city", "value": "Berlin"}]}
+Q: "Fill this with my work profile" → {"isAction": true, "confidence": 0.95, "actionType": "fill_profile", "targetDescription": null, "additionalData": "work", "reasoning": "Profile"}
+Q: "Find 'refund policy' on this page" → {"isAction": true, "confidence": 0.95, "actionType": "find", "targetDescription": null, "additionalData": "refund policy", "reasoning": "Find"}
+Q: "Where does it talk about shipping costs" → {"isAction": true, "confidence": 0.9, "actionType": "find", "targetDescription": null, "additionalData": "shipping costs", "reasoning": "Find"}
+Q: "Go to my Gmail tab" → {"isAction": true, "confidence": 0.95, "actionType": "manage_tab", "targetDescription": "Gmail", "additionalData": "switch", "reasoning": "Tab"}
+Q: "Open github.com in a new tab" → {"isAction": true, "confidence": 0.95, "actionType": "manage_tab", "targetDescription": "github.com", "additionalData": "open", "reasoning": "Tab"}
+Q: "Close the other tabs" → {"isAction": true, "confidence": 0.95, "actionType": "manage_tab", "targetDescription": null, "additionalData": "close_others", "reasoning": "Tab"}
+Q: "Press escape" → {"isAction": true, "confidence": 0.95, "actionType": "press_key", "targetDescription": null, "additionalData": "Escape", "reasoning": "Key"}
+Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "modify_text_size", "targetDescription": null, "additionalData": "increase", "reasoning": "Text size"}
+Q: "Scroll down and click the second result" → {"isAction": true, "confidence": 0.9, "actionType": "scroll", "targetDescription": null, "additionalData": "down", "reasoning": "Two steps", "steps": [{"actionType": "scroll", "targetDescription": null, "additionalData": "down"}, {"actionType": "click", "targetDescription": "second result", "additionalData": null}]}`;
+
+      // Classification is a one-off task, keep it out of the tab's conversation
       try {
-        // Log the raw response for debugging
-        console.log("Lavio: Raw intent response:", response.substring(0, 200));
-
-        // Try to clean up common JSON issues
-        let cleanedResponse = response.trim();
-
-        // Remove markdown code blocks if present
-        cleanedResponse = cleanedResponse
-          .replace(/```json\s*/g, "")
-          .replace(/```\s*$/g, "");
-
-        // Extract JSON from response (AI might include extra text)
-        const jsonMatch = cleanedResponse.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          console.warn(
-            "Lavio: No JSON found in response, treating as question"
-          );
-          throw new Error("No JSON found in response");
-        }
-
-        let jsonStr = jsonMatch[0];
-
-        // Fix common JSON issues
-        // Replace OR with null
-        jsonStr = jsonStr.replace(/OR null/g, "null");
-        // Fix unquoted null, true, false
-        jsonStr = jsonStr.replace(/:\s*null\s*([,}])/g, ": null$1");
-        jsonStr = jsonStr.replace(/:\s*true\s*([,}])/g, ": true$1");
-        jsonStr = jsonStr.replace(/:\s*false\s*([,}])/g, ": false$1");
-
-        const intent = JSON.parse(jsonStr);
-
-        // Validate the response structure
-        if (typeof intent.isAction !== "boolean") {
-          console.warn("Lavio: Invalid intent format, treating as question");
-          throw new Error("Invalid intent format");
-        }
+        const intent = await this.processStructuredPrompt(
+          prompt,
+          this.getIntentSchema(),
+          { scratch: true, signal: options.signal }
+        );
 
         console.log("Lavio: Parsed intent:", intent);
 
@@ -1169,6 +3051,35 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
         if (!intent.isAction) {
           const lowerInput = userInput.toLowerCase();
 
+          // "find X on this page" and "where does it mention X" sound like
+          // questions but want the matches highlighted
+          const findQuery = this.parseFindQuery(lowerInput.trim());
+          if (findQuery) {
+            console.warn("Lavio: AI classified find-in-page as a question");
+            return {
+              ...intent,
+              isAction: true,
+              confidence: Math.max(intent.confidence, 0.7),
+              actionType: "find",
+              targetDescription: null,
+              additionalData: findQuery,
+            };
+          }
+
+          // Browser tab commands can read like page clicks or navigation
+          const tabCommand = this.parseTabCommand(lowerInput);
+          if (tabCommand) {
+            console.warn("Lavio: AI classified a tab command as a question");
+            return {
+              ...intent,
+              isAction: true,
+              confidence: Math.max(intent.confidence, 0.7),
+              actionType: "manage_tab",
+              targetDescription: tabCommand.target,
+              additionalData: tabCommand.operation,
+            };
+          }
+
           // Check for INFORMATION REQUEST keywords (questions)
           const informationKeywords = [
             "tell me about",
@@ -1222,11 +3133,26 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
             "click",
             "press on",
             "press",
+            "hit enter",
+            "form with",
+            "fill in",
+            "fill out",
+            "fill this",
+            "fill it",
+            "turn on",
+            "turn off",
+            "uncheck",
             "tap on",
             "tap",
             "can you click",
             "can you press",
             "scroll",
+            "jump to",
+            "skip to",
+            "next heading",
+            "previous heading",
+            "next section",
+            "previous section",
             "type",
             "enter",
             "focus on",
@@ -1265,9 +3191,9 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
             "can you change",
             "can you hide",
           ];
-          const hasStrongActionKeyword = actionKeywords.some((keyword) =>
-            lowerInput.includes(keyword)
-          );
+          const hasStrongActionKeyword =
+            actionKeywords.some((keyword) => lowerInput.includes(keyword)) ||
+            /\bgo to (?:the )?.+ (?:section|heading)\b/.test(lowerInput);
 
           // Only override if it has BOTH:
           // 1. Strong action keyword AND no information request
@@ -1281,7 +3207,35 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
             intent.confidence = Math.max(intent.confidence, 0.7);
 
             // Determine the correct actionType based on keywords
-            if (
+            const keyMatch = lowerInput.match(
+              /\b(?:press|hit)\s+(?:the\s+)?((?:(?:ctrl|control|shift|alt|cmd|command)\s*\+?\s*)*(?:enter|return|escape|esc|tab|space|backspace|delete|home|end|page up|page down|(?:arrow\s+)?(?:up|down|left|right)))(?:\s+key)?\b/
+            );
+            if (keyMatch) {
+              intent.actionType = "press_key";
+              intent.targetDescription = null;
+              intent.additionalData = keyMatch[1];
+            } else if (
+              /\bfill\b/.test(lowerInput) &&
+              /\bprofile\b/.test(lowerInput)
+            ) {
+              intent.actionType = "fill_profile";
+              const profileMatch = lowerInput.match(
+                /\b(?:my|the)\s+(\w+)\s+profile\b/
+              );
+              intent.additionalData = profileMatch?.[1] || null;
+              intent.targetDescription = null;
+            } else if (
+              /\bfill\b/.test(lowerInput) &&
+              /\bform\b/.test(lowerInput)
+            ) {
+              // Field values are parsed from the user's words by the page
+              intent.actionType = "fill_form";
+              const formMatch = lowerInput.match(
+                /\bfill (?:in |out )?(?:the |this )?(.*?)\s*form\b/
+              );
+              intent.targetDescription = formMatch?.[1] || null;
+              intent.additionalData = null;
+            } else if (
               lowerInput.includes("click") ||
               lowerInput.includes("press") ||
               lowerInput.includes("tap")
@@ -1294,15 +3248,43 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
               if (clickMatch && clickMatch[1]) {
                 intent.targetDescription = clickMatch[1].trim();
               }
-            } else if (lowerInput.includes("scroll")) {
+            } else if (
+              lowerInput.includes("scroll") ||
+              /\b(?:next|previous) (?:heading|section)\b/.test(lowerInput) ||
+              /\b(?:go|jump|skip) to\b/.test(lowerInput)
+            ) {
               intent.actionType = "scroll";
-              // Determine direction
-              if (lowerInput.includes("down")) intent.additionalData = "down";
-              else if (lowerInput.includes("up")) intent.additionalData = "up";
-              else if (lowerInput.includes("bottom"))
-                intent.additionalData = "bottom";
-              else if (lowerInput.includes("top"))
-                intent.additionalData = "top";
+              intent.targetDescription = null;
+              intent.additionalData = null;
+              const adjacent = lowerInput.match(
+                /\b(next|previous) (heading|section)\b/
+              );
+              const named = lowerInput.match(
+                /\b(?:scroll|go|jump|skip)(?: down| up)? to (?:the )?(.+?)(?: section| heading)?[.!?]*$/
+              );
+              if (adjacent) {
+                intent.additionalData = adjacent[1];
+                intent.targetDescription = "heading";
+              } else if (
+                named &&
+                !/^(?:very )?(?:top|bottom)\b/.test(named[1])
+              ) {
+                intent.targetDescription = named[1];
+              } else {
+                // Determine direction
+                if (lowerInput.includes("down")) intent.additionalData = "down";
+                else if (lowerInput.includes("up"))
+                  intent.additionalData = "up";
+                else if (lowerInput.includes("bottom"))
+                  intent.additionalData = "bottom";
+                else if (lowerInput.includes("top"))
+                  intent.additionalData = "top";
+              }
+
+              const amount = lowerInput.match(
+                /\b(a (?:little|bit|lot)|(?:half a|a|one|two|three|four|five|\d+) (?:pages?|screens?)|\d+\s*(?:px|pixels))\b/
+              );
+              intent.amount = amount?.[1] || null;
             } else if (
               lowerInput.includes("type") ||
               lowerInput.includes("enter")
@@ -1374,6 +3356,21 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
               intent.actionType = "focus";
               const focusMatch = lowerInput.match(/focus\s+on\s+(.+)/);
               if (focusMatch) intent.targetDescription = focusMatch[1].trim();
+            } else if (
+              /\b(?:turn|switch) (?:on|off)\b|\buncheck\b/.test(lowerInput) &&
+              // "turn on reader mode" is a page mode, not a control
+              !/\b(?:mode|theme)\b/.test(lowerInput)
+            ) {
+              intent.actionType = "toggle";
+              intent.additionalData = /\boff\b|\buncheck\b/.test(lowerInput)
+                ? "off"
+                : "on";
+              intent.targetDescription =
+                lowerInput
+                  .replace(/\b(?:turn|switch) (?:on|off)\b|\buncheck\b/, "")
+                  .replace(/\b(?:on|off|the)\b/g, "")
+                  .replace(/\s+/g, " ")
+                  .trim() || null;
             }
 
             intent.reasoning = "Overridden - detected as action via heuristics";
@@ -1382,8 +3379,13 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
 
         return intent;
       } catch (parseError) {
+        if (!(parseError instanceof StructuredOutputError)) throw parseError;
+
         console.error("Lavio: Error parsing intent JSON:", parseError.message);
-        console.error("Lavio: Response was:", response.substring(0, 300));
+        console.error(
+          "Lavio: Response was:",
+          parseError.response.substring(0, 300)
+        );
 
         // Fallback: Use simple heuristics to detect actions
         const lowerInput = userInput.toLowerCase();
@@ -1432,6 +3434,9 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
           "press on",
           "tap on",
           "scroll",
+          "jump to",
+          "next heading",
+          "previous heading",
           "go back",
           "go forward",
           "navigate",
@@ -1496,6 +3501,9 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
         };
       }
     } catch (error) {
+      // Cancellation is not a question - let the caller report it
+      if (error.name === "AbortError") throw error;
+
       console.error("Error detecting intent:", error);
       // Fallback to treating as question on error
       return {
@@ -1564,6 +3572,23 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
       clearOnExit: false,
       debugMode: false,
       experimentalFeatures: false,
+      aiProvider: "chrome",
+      localEndpoint: "http://localhost:11434/v1",
+      localModel: "",
+      localContextWindow: 8192,
+      localMultimodal: false,
+      semanticFind: true,
+      confirmActions: {
+        click: "sensitive",
+        type: "sensitive",
+        focus: "sensitive",
+        select: "sensitive",
+        toggle: "sensitive",
+        set_value: "sensitive",
+        press_key: "sensitive",
+        fill_form: "sensitive",
+      },
+      confirmTimeout: 15,
       conversationHistory: [],
       shortcuts: {
         summarize: "summarize this page",
@@ -1578,11 +3603,38 @@ Q: "Make text bigger" → {"isAction": true, "confidence": 0.95, "actionType": "
 
       // Save any missing defaults
       await chrome.storage.sync.set(this.settings);
-      console.log("Storage initialized with settings:", this.settings);
+      this.settings.localApiKey = await this.loadLocalApiKey();
+      console.log("Storage initialized with settings:", {
+        ...this.settings,
+        localApiKey: this.settings.localApiKey ? "(set)" : "",
+      });
     } catch (error) {
       console.error("Error initializing storage:", error);
-      this.settings = defaultSettings;
+      this.settings = { ...defaultSettings, localApiKey: "" };
+    }
+  }
+
+  /**
+   * The local server's API key lives in chrome.storage.local so the secret
+   * doesn't sync to other devices; a key saved to sync by an older version
+   * is moved over
+   * @returns {Promise<string>}
+   */
+  async loadLocalApiKey() {
+    const { localApiKey: syncedKey } = await chrome.storage.sync.get(
+      "localApiKey"
+    );
+    if (syncedKey !== undefined) {
+      const { localApiKey } = await chrome.storage.local.get({
+        localApiKey: syncedKey,
+      });
+      await chrome.storage.local.set({ localApiKey });
+      await chrome.storage.sync.remove("localApiKey");
+      return localApiKey;
     }
+
+    const { localApiKey } = await chrome.storage.local.get({ localApiKey: "" });
+    return localApiKey;
   }
 }
 
@@ -13,10 +13,14 @@ class LavioContent {
     this.currentConversation = [];
     this.messageListenersSetup = false;
     this.selectedTextForTranslation = ""; // Store selected text for translation
+    this.activeRequestIds = new Set(); // In-flight AI requests that can be cancelled
 
     // Text-to-speech functionality
     this.speechSynthesis = window.speechSynthesis;
     this.isSpeaking = false;
+    this.pendingUtterances = 0; // Utterances queued while streaming
+    this.speechGeneration = 0; // Bumped by stopSpeaking to silence streamed answers
+    this.summaryChunkLength = 8000; // Characters per map-reduce summary chunk
     this.currentSpeakerBtn = null; // Track currently playing speaker button
     this.currentSpeakerBtnOriginalHTML = null; // Store original HTML to restore
 
@@ -27,9 +31,32 @@ class LavioContent {
 
     // Action execution system
     this.elementDetector = new ElementDetector();
-    this.actionExecutor = new ActionExecutor();
-    this.pageManipulator = new PageManipulator();
+    // Undo/redo for typing, toggles, selects, scrolling and page changes
+    this.actionHistory = new ActionHistory();
+    this.actionHistory.onChange(() => this.updateHistoryButtons());
+    this.actionExecutor = new ActionExecutor(
+      this.elementDetector,
+      this.actionHistory
+    );
+    this.pageManipulator = new PageManipulator(this.actionHistory);
+    this.pageFinder = new PageFinder();
     this.detectedElements = [];
+    this.isRunningPlan = false;
+    this.isLeavingPage = false; // A navigation has started and will unload us
+    this.pendingPlanLifetime = 15000; // ms a saved plan can be resumed in
+    this.pendingChoice = null; // Clarifying question waiting for an answer
+    this.choiceTimeout = 20000;
+    // Simple-match scores this close to the best one count as a tie
+    this.ambiguityMargin = 0.05;
+    // How long to wait for a target a previous action may still be rendering
+    this.renderWait = 2000;
+
+    // "show numbers" overlay
+    this.numbersVisible = false;
+    this.numberedElements = []; // Detected elements; number n is index n - 1
+    this.numberObserver = null;
+    this.numberRefreshTimer = null;
+    this.numberRefreshHandler = () => this.scheduleNumberRefresh();
 
     this.init();
   }
@@ -215,6 +242,11 @@ class LavioContent {
 
     // Check if onboarding should be shown (with delay for better UX)
     this.checkOnboarding();
+
+    // Finish a multi-step command that navigated to this page
+    window.addEventListener("beforeunload", () => this.markLeavingPage());
+    window.addEventListener("pageshow", () => (this.isLeavingPage = false));
+    this.resumePendingPlan();
   }
 
   /**
@@ -377,6 +409,22 @@ class LavioContent {
             </svg>
             <span>Stop Speaking</span>
           </button>
+          <button id="lavio-stop-request" title="Stop (Esc)" style="display: none;">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M6 6h12v12H6z"/>
+            </svg>
+            <span>Stop</span>
+          </button>
+          <div id="lavio-find-bar" style="display: none;">
+            <span id="lavio-find-count"></span>
+            <button id="lavio-find-prev" title="Previous match">Prev</button>
+            <button id="lavio-find-next" title="Next match">Next</button>
+            <button id="lavio-find-clear" title="Clear search">Clear</button>
+          </div>
+          <div class="lavio-history-buttons">
+            <button id="lavio-undo" title="Undo the last change" disabled>Undo</button>
+            <button id="lavio-redo" title="Redo the last undone change" disabled>Redo</button>
+          </div>
           <button id="lavio-summarize">Summarize Page</button>
           <div class="translate-container">
             <button id="lavio-translate">Translate Selection</button>
@@ -558,7 +606,7 @@ class LavioContent {
         animation: pulse 1s infinite;
       }
       
-      #lavio-stop-speaking {
+      #lavio-stop-speaking, #lavio-stop-request {
         background: linear-gradient(135deg, #ff6b6b 0%, #ee5a52 100%);
         color: white;
         display: flex;
@@ -567,7 +615,7 @@ class LavioContent {
         gap: 8px;
       }
       
-      #lavio-stop-speaking:hover {
+      #lavio-stop-speaking:hover, #lavio-stop-request:hover {
         background: linear-gradient(135deg, #ff5252 0%, #e53935 100%);
       }
       
@@ -646,6 +694,46 @@ class LavioContent {
         border-color: #6D6CFF;
       }
       
+      #lavio-find-bar {
+        align-items: center;
+        gap: 8px;
+      }
+      
+      #lavio-find-count {
+        flex: 1;
+        font-size: 13px;
+        color: #333;
+      }
+      
+      #lavio-find-bar button {
+        padding: 6px 12px;
+        background: #f8f9fa;
+        color: #333;
+        border: 1px solid #e0e0e0;
+      }
+      
+      .lavio-history-buttons {
+        display: flex;
+        gap: 12px;
+      }
+      
+      #lavio-undo, #lavio-redo {
+        flex: 1;
+        background: #f8f9fa;
+        color: #333;
+        border: 1px solid #e0e0e0;
+      }
+      
+      #lavio-undo:hover:not(:disabled), #lavio-redo:hover:not(:disabled) {
+        background: linear-gradient(135deg, #9C88FF15, #6D6CFF15);
+        border-color: #6D6CFF;
+      }
+      
+      #lavio-undo:disabled, #lavio-redo:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+      
       #lavio-close {
         background: none;
         border: none;
@@ -803,6 +891,27 @@ class LavioContent {
     recordBtn.addEventListener("mouseup", () => this.stopRecording());
     recordBtn.addEventListener("mouseleave", () => this.stopRecording());
 
+    // Find bar buttons
+    this.voicePanel
+      .querySelector("#lavio-find-prev")
+      .addEventListener("click", () => this.runFindCommand("previous"));
+    this.voicePanel
+      .querySelector("#lavio-find-next")
+      .addEventListener("click", () => this.runFindCommand("next"));
+    this.voicePanel
+      .querySelector("#lavio-find-clear")
+      .addEventListener("click", () => this.runFindCommand("clear"));
+    this.updateFindBar();
+
+    // Undo and redo buttons
+    this.voicePanel
+      .querySelector("#lavio-undo")
+      .addEventListener("click", () => this.runHistoryCommand("undo"));
+    this.voicePanel
+      .querySelector("#lavio-redo")
+      .addEventListener("click", () => this.runHistoryCommand("redo"));
+    this.updateHistoryButtons();
+
     // Summarize button
     const summarizeBtn = this.voicePanel.querySelector("#lavio-summarize");
     summarizeBtn.addEventListener("click", () => this.summarizePage());
@@ -813,6 +922,11 @@ class LavioContent {
     );
     stopSpeakingBtn.addEventListener("click", () => this.stopSpeaking());
 
+    // Stop request button - cancels in-flight AI requests
+    const stopRequestBtn = this.voicePanel.querySelector("#lavio-stop-request");
+    stopRequestBtn.addEventListener("click", () => this.cancelActiveRequests());
+    this.updateStopRequestButton();
+
     // Translate button - now toggles dropdown
     const translateBtn = this.voicePanel.querySelector("#lavio-translate");
     translateBtn.addEventListener("click", () => this.toggleLanguageDropdown());
@@ -1017,6 +1131,23 @@ class LavioContent {
   }
 
   async processRecognizedSpeech(text) {
+    // The user is answering a clarifying question, not making a new request
+    if (this.pendingChoice) {
+      this.addToConversation("You", text);
+      this.answerPendingChoice(text);
+      return;
+    }
+
+    // Overlay, undo and search commands are answered locally, without asking
+    // the AI
+    if (
+      (await this.handleNumberCommand(text)) ||
+      (await this.handleHistoryCommand(text)) ||
+      (await this.handleFindCommand(text))
+    ) {
+      return;
+    }
+
     try {
       // Show status and typing animation
       this.updateStatus("AI is thinking...");
@@ -1036,7 +1167,7 @@ class LavioContent {
 
       // Detect intent: Is this an action request or a question?
       this.sendActivityUpdate("processing", 30);
-      const intentResponse = await chrome.runtime.sendMessage({
+      const intentResponse = await this.sendAIRequest({
         type: "DETECT_INTENT",
         text: text,
         pageElements: this.detectedElements.map((el) => ({
@@ -1044,6 +1175,7 @@ class LavioContent {
           text: el.text,
           label: el.label,
           placeholder: el.placeholder,
+          state: el.stateText,
         })),
       });
 
@@ -1063,6 +1195,11 @@ class LavioContent {
         await this.handleQuestionRequest(text);
       }
     } catch (error) {
+      if (error.name === "AbortError") {
+        this.handleRequestCancelled();
+        return;
+      }
+
       // Hide typing indicator on error
       this.hideTypingIndicator();
       console.error("Error processing recognized speech:", error);
@@ -1079,400 +1216,60 @@ class LavioContent {
    * Handle action requests (click, scroll, navigate, type)
    */
   async handleActionRequest(intent, originalText) {
+    this.isRunningPlan = true;
     try {
       this.hideTypingIndicator();
-      this.updateStatus(`Executing: ${intent.actionType}...`);
-
-      let result = null;
-
-      switch (intent.actionType) {
-        case "click":
-        case "focus":
-          // Find the target element - try simple matching first
-          let targetElement = this.elementDetector.findElementByDescription(
-            intent.targetDescription
-          );
-
-          // If simple matching failed or has low confidence, try AI matching
-          if (!targetElement) {
-            console.log(
-              "Lavio: Simple matching failed, trying AI-powered matching..."
-            );
-            this.updateStatus("Finding element...");
-
-            try {
-              // Smart filtering: only send relevant elements to AI to save tokens
-              const relevantElements = this.filterRelevantElements(
-                this.detectedElements,
-                intent.targetDescription,
-                "click"
-              );
-
-              console.log(
-                `Lavio: Filtered from ${this.detectedElements.length} to ${relevantElements.filtered.length} elements for AI matching`
-              );
-
-              const aiMatchResponse = await chrome.runtime.sendMessage({
-                type: "FIND_ELEMENT_MATCH",
-                description: intent.targetDescription,
-                elements: relevantElements.filtered.map((el) => ({
-                  type: el.type,
-                  text: el.text,
-                  label: el.label,
-                  placeholder: el.placeholder,
-                  id: el.id,
-                })),
-              });
-
-              if (
-                aiMatchResponse.success &&
-                aiMatchResponse.matchIndex >= 0 &&
-                aiMatchResponse.confidence > 0.5
-              ) {
-                // Map back to original element using the mapping
-                targetElement =
-                  relevantElements.filtered[aiMatchResponse.matchIndex];
-                console.log(
-                  `Lavio: AI found match with confidence ${aiMatchResponse.confidence}`
-                );
-                console.log(
-                  `Lavio: Matched element: ${
-                    targetElement.text || targetElement.label
-                  }`
-                );
-              }
-            } catch (error) {
-              console.error("Lavio: Error using AI matching:", error);
-            }
-          }
-
-          if (!targetElement) {
-            this.addToConversation(
-              "AI",
-              `I couldn't find "${intent.targetDescription}" on this page. Please try being more specific.`
-            );
-            this.updateStatus("Ready to listen...");
-            this.sendActivityUpdate("idle");
-            return;
-          }
-
-          // Validate action safety
-          const validation = this.actionExecutor.validateAction(
-            intent.actionType,
-            targetElement.element
-          );
-
-          if (!validation.safe) {
-            this.addToConversation(
-              "AI",
-              `Sorry, I can't do that: ${validation.reason}`
-            );
-            this.updateStatus("Ready to listen...");
-            this.sendActivityUpdate("idle");
-            return;
-          }
-
-          // Execute the action
-          if (intent.actionType === "click") {
-            result = await this.actionExecutor.executeClick(
-              targetElement.element
-            );
-          } else {
-            result = await this.actionExecutor.executeFocus(
-              targetElement.element
-            );
-          }
-
-          if (result.success) {
-            const message = `✓ ${
-              intent.actionType === "click" ? "Clicked" : "Focused"
-            } on "${targetElement.text || targetElement.label || "element"}"`;
-            this.addToConversation("AI", message);
-            await this.speakText(message, "en-US");
-          } else {
-            this.addToConversation(
-              "AI",
-              `Failed to ${intent.actionType}: ${result.error}`
-            );
-          }
-          break;
-
-        case "scroll":
-          // Extract direction from target description or additional data
-          const direction =
-            intent.targetDescription || intent.additionalData || "down";
-          result = await this.actionExecutor.executeScroll(direction);
-
-          if (result.success) {
-            const message = `✓ Scrolled ${direction}`;
-            this.addToConversation("AI", message);
-            await this.speakText(message, "en-US");
-          } else {
-            this.addToConversation("AI", `Failed to scroll: ${result.error}`);
-          }
-          break;
-
-        case "navigate":
-          // Extract navigation action
-          const navAction =
-            intent.targetDescription || intent.additionalData || "back";
-          result = await this.actionExecutor.executeNavigate(navAction);
-
-          if (result.success) {
-            const message = `✓ Navigating ${navAction}`;
-            this.addToConversation("AI", message);
-            await this.speakText(message, "en-US");
-          } else {
-            this.addToConversation("AI", `Failed to navigate: ${result.error}`);
-          }
-          break;
 
-        case "type":
-          // Find input element - try simple matching first
-          let inputElement = this.elementDetector.findElementByDescription(
-            intent.targetDescription
-          );
-
-          // If simple matching failed, try AI matching
-          if (!inputElement) {
-            console.log(
-              "Lavio: Simple matching failed for input, trying AI-powered matching..."
-            );
-            this.updateStatus("Finding input field...");
-
-            try {
-              // Smart filtering: only send input-related elements
-              const relevantElements = this.filterRelevantElements(
-                this.detectedElements,
-                intent.targetDescription,
-                "type"
-              );
-
-              console.log(
-                `Lavio: Filtered from ${this.detectedElements.length} to ${relevantElements.filtered.length} input elements`
-              );
-
-              const aiMatchResponse = await chrome.runtime.sendMessage({
-                type: "FIND_ELEMENT_MATCH",
-                description: intent.targetDescription,
-                elements: relevantElements.filtered.map((el) => ({
-                  type: el.type,
-                  text: el.text,
-                  label: el.label,
-                  placeholder: el.placeholder,
-                  id: el.id,
-                })),
-              });
-
-              if (
-                aiMatchResponse.success &&
-                aiMatchResponse.matchIndex >= 0 &&
-                aiMatchResponse.confidence > 0.5
-              ) {
-                inputElement =
-                  relevantElements.filtered[aiMatchResponse.matchIndex];
-                console.log(
-                  `Lavio: AI found input match with confidence ${aiMatchResponse.confidence}`
-                );
-              }
-            } catch (error) {
-              console.error("Lavio: Error using AI matching for input:", error);
-            }
-          }
-
-          if (!inputElement) {
-            this.addToConversation(
-              "AI",
-              `I couldn't find the input field "${intent.targetDescription}". Please try again.`
-            );
-            this.updateStatus("Ready to listen...");
+      const steps = this.getPlanSteps(intent);
+      for (let i = 0; i < steps.length; i++) {
+        if (i > 0) {
+          // Let the previous step's navigation or re-render finish, then look
+          // at the page again before acting on it
+          this.updateStatus("Waiting for the page...");
+          await this.actionExecutor.waitForPageSettle();
+          // A slow server may not have answered yet; the next page resumes
+          if (this.isLeavingPage) {
+            this.updateStatus("Continuing on the next page...");
             this.sendActivityUpdate("idle");
             return;
           }
+          // Still on this page, so the saved steps run here
+          this.clearPendingPlan();
+          this.detectedElements =
+            this.elementDetector.getAllInteractiveElements();
+        }
 
-          // Type the text
-          const textToType = intent.additionalData || "";
-          result = await this.actionExecutor.executeType(
-            inputElement.element,
-            textToType
-          );
-
-          if (result.success) {
-            const message = `✓ Typed "${textToType}" in ${
-              inputElement.label || "field"
-            }`;
-            this.addToConversation("AI", message);
-            await this.speakText(message, "en-US");
-          } else {
-            this.addToConversation("AI", `Failed to type: ${result.error}`);
-          }
-          break;
-
-        // PAGE MANIPULATION ACTIONS
-        case "modify_text_size":
-          // Smart default: infer action from user's words if additionalData is missing
-          let textSizeAction = intent.additionalData;
-
-          if (!textSizeAction && originalText) {
-            const lower = originalText.toLowerCase();
-
-            // Check for decrease/smaller keywords
-            if (
-              lower.includes("smaller") ||
-              lower.includes("decrease") ||
-              lower.includes("reduce") ||
-              lower.includes("shrink") ||
-              lower.match(/\bless\b/)
-            ) {
-              textSizeAction = "decrease";
-              console.log("Lavio: Inferred text size action: decrease");
-            }
-            // Check for reset keywords
-            else if (
-              lower.includes("reset") ||
-              lower.includes("normal") ||
-              lower.includes("default") ||
-              lower.includes("original")
-            ) {
-              textSizeAction = "reset";
-              console.log("Lavio: Inferred text size action: reset");
-            }
-            // Default to increase for bigger/larger/increase or any other case
-            else {
-              textSizeAction = "increase";
-              console.log(
-                "Lavio: Inferred text size action: increase (default)"
-              );
-            }
-          } else if (!textSizeAction) {
-            // If still no action, default to increase
-            textSizeAction = "increase";
-            console.log("Lavio: Using default text size action: increase");
-          }
-
-          result = this.pageManipulator.adjustTextSize(textSizeAction, null);
-          if (result.success) {
-            this.addToConversation("AI", `✓ ${result.message}`);
-            await this.speakText(result.message, "en-US");
-          } else {
-            this.addToConversation("AI", `Failed: ${result.message}`);
-          }
-          break;
-
-        case "modify_theme":
-          const enableDark = intent.additionalData === "dark";
-          result = this.pageManipulator.toggleDarkMode(enableDark);
-          if (result.success) {
-            this.addToConversation("AI", `✓ ${result.message}`);
-            await this.speakText(result.message, "en-US");
-          } else {
-            this.addToConversation("AI", `Failed: ${result.message}`);
-          }
-          break;
-
-        case "modify_color":
-          if (intent.targetDescription === "background") {
-            result = this.pageManipulator.changeBackgroundColor(
-              intent.additionalData
-            );
-          } else if (intent.targetDescription === "text") {
-            result = this.pageManipulator.changeTextColor(
-              intent.additionalData
-            );
-          }
-          if (result && result.success) {
-            this.addToConversation("AI", `✓ ${result.message}`);
-            await this.speakText(result.message, "en-US");
-          } else {
-            this.addToConversation("AI", "Failed to change color");
-          }
-          break;
-
-        case "modify_visibility":
-          if (intent.additionalData === "hide") {
-            result = this.pageManipulator.hideElements(
-              intent.targetDescription
-            );
-          } else if (intent.additionalData === "show") {
-            result = this.pageManipulator.showElements(
-              intent.targetDescription
-            );
-          }
-          if (result && result.success) {
-            this.addToConversation("AI", `✓ ${result.message}`);
-            await this.speakText(result.message, "en-US");
-          } else {
-            this.addToConversation(
-              "AI",
-              result?.message || "Failed to modify visibility"
-            );
-          }
-          break;
-
-        case "modify_layout":
-          if (intent.targetDescription === "width") {
-            result = this.pageManipulator.adjustWidth(intent.additionalData);
-          } else if (intent.targetDescription === "center") {
-            result = this.pageManipulator.centerContent();
-          }
-          if (result && result.success) {
-            this.addToConversation("AI", `✓ ${result.message}`);
-            await this.speakText(result.message, "en-US");
-          } else {
-            this.addToConversation("AI", "Failed to modify layout");
-          }
-          break;
+        // A step may unload the page; keep the rest so the next page can resume
+        this.savePendingPlan(steps.slice(i + 1), originalText);
+        const succeeded = await this.executeActionStep(steps[i], originalText, {
+          index: i,
+          total: steps.length,
+        });
 
-        case "modify_focus":
-          if (intent.additionalData === "enable") {
-            result = this.pageManipulator.enableFocusMode();
-          } else if (intent.additionalData === "reader") {
-            result = this.pageManipulator.enableReaderMode();
-          } else {
-            result = this.pageManipulator.disableFocusMode();
-          }
-          if (result && result.success) {
-            this.addToConversation("AI", `✓ ${result.message}`);
-            await this.speakText(result.message, "en-US");
-          } else {
+        if (!succeeded) {
+          this.clearPendingPlan();
+          if (steps.length > 1) {
             this.addToConversation(
               "AI",
-              result?.message || "Failed to modify focus mode"
+              `Step ${i + 1} of ${steps.length} (${this.describeStep(
+                steps[i]
+              )}) failed, so I stopped there.`
             );
           }
           break;
-
-        case "modify_zoom":
-          result = this.pageManipulator.setZoom(intent.additionalData || "in");
-          if (result.success) {
-            this.addToConversation("AI", `✓ ${result.message}`);
-            await this.speakText(result.message, "en-US");
-          } else {
-            this.addToConversation("AI", `Failed: ${result.message}`);
-          }
-          break;
-
-        case "modify_reset":
-          result = this.pageManipulator.resetAll();
-          if (result.success) {
-            this.addToConversation("AI", `✓ ${result.message}`);
-            await this.speakText(result.message, "en-US");
-          } else {
-            this.addToConversation("AI", `Failed: ${result.message}`);
-          }
-          break;
-
-        default:
-          this.addToConversation(
-            "AI",
-            `I don't know how to perform action: ${intent.actionType}`
-          );
+        }
       }
 
       this.updateStatus("Ready to listen...");
       this.sendActivityUpdate("idle");
       this.updateStats("conversations");
     } catch (error) {
+      this.clearPendingPlan();
+      if (error.name === "AbortError") {
+        this.handleRequestCancelled();
+        return;
+      }
+
       console.error("Error handling action request:", error);
       this.addToConversation(
         "AI",
@@ -1480,100 +1277,2212 @@ class LavioContent {
       );
       this.updateStatus("Ready to listen...");
       this.sendActivityUpdate("idle");
+    } finally {
+      this.isRunningPlan = false;
     }
   }
 
   /**
-   * Handle question requests (normal AI responses)
+   * Steps of an action intent: its plan, or the intent itself for a single action
    */
-  async handleQuestionRequest(text) {
-    try {
-      // Get page context with full content
-      const pageContext = this.getPageContext();
-      const pageContent = this.extractPageContent();
-
-      // Create enhanced prompt with page context
-      const enhancedPrompt = `You are viewing a webpage titled "${pageContext.title}" at ${pageContext.url}.
+  getPlanSteps(intent) {
+    const steps = Array.isArray(intent.steps)
+      ? intent.steps.filter((step) => step && step.actionType)
+      : [];
+    return steps.length > 0 ? steps : [intent];
+  }
 
-PAGE CONTENT:
-${pageContent}
+  /**
+   * State a toggle command asks for: true for on, false for off, null to flip
+   */
+  parseToggleState(text) {
+    const lower = (text || "").toLowerCase();
+    if (/\b(off|uncheck|untick|disable|deselect)\b/.test(lower)) return false;
+    if (/\b(on|check|tick|enable)\b/.test(lower)) return true;
+    return null;
+  }
 
-USER QUESTION: ${text}
+  /**
+   * Field/value pairs from a spoken form command, for when the intent has none
+   * "fill the signup form with name: Jane Doe, email is jane@example.com and
+   * city Berlin" → name/Jane Doe, email/jane@example.com, city/Berlin
+   * @returns {Array} [{ field, value }]
+   */
+  parseFieldPairs(text) {
+    const body = (text || "").replace(/^.*?\bwith\b/i, "").trim();
+    return body
+      .split(/\s*(?:[,;]|\band\b(?=[^,;]*$))\s*/i)
+      .map((chunk) => {
+        const match =
+          chunk.match(/^(.+?)\s*(?::|=|\bis\b|\bto\b)\s*(.+)$/i) ||
+          chunk.match(/^(\S+)\s+(.+)$/);
+        return match && { field: match[1].trim(), value: match[2].trim() };
+      })
+      .filter(Boolean);
+  }
 
-IMPORTANT: Respond in NATURAL LANGUAGE, not JSON. Do not use any JSON formatting in your response.
+  describeStep(step) {
+    const details = [step.targetDescription, step.additionalData]
+      .filter(Boolean)
+      .map((value) => `"${value}"`);
+    return [step.actionType, ...details].join(" ");
+  }
 
-Instructions: 
-- If the question is about the current page, website, or its content, answer based on the PAGE CONTENT above.
-- If the question is general knowledge or unrelated to the page, answer it normally.
-- Be specific and reference the page content when relevant.
-- Keep responses concise but informative.
-- Answer in a conversational, friendly tone.
-- DO NOT respond with JSON, code blocks, or structured data unless specifically asked.`;
+  /**
+   * Remember unfinished plan steps in sessionStorage
+   * Steps that navigate unload this script; setup() picks the rest up on the next page.
+   */
+  savePendingPlan(steps, originalText) {
+    if (steps.length === 0) {
+      this.clearPendingPlan();
+      return;
+    }
+    try {
+      sessionStorage.setItem(
+        "lavio-pending-plan",
+        JSON.stringify({ steps, originalText, savedAt: Date.now() })
+      );
+    } catch (error) {
+      // Storage can be disabled on some pages - plans just won't survive navigation
+    }
+  }
 
-      // Send to background script for AI processing
-      this.sendActivityUpdate("processing", 50);
-      const response = await chrome.runtime.sendMessage({
-        type: "SEND_PROMPT",
-        prompt: enhancedPrompt,
-        context: {
-          ...pageContext,
-          pageContent: pageContent,
-          conversationHistory: this.currentConversation,
-        },
-      });
+  clearPendingPlan() {
+    try {
+      sessionStorage.removeItem("lavio-pending-plan");
+    } catch (error) {
+      // Nothing was saved
+    }
+  }
 
-      // Hide typing indicator
-      this.hideTypingIndicator();
+  /**
+   * Note that a navigation has started
+   * Downloads, mailto: links and a cancelled "Leave site?" prompt fire
+   * beforeunload without leaving, so the flag clears itself once a saved
+   * plan could no longer be resumed anyway.
+   */
+  markLeavingPage() {
+    this.isLeavingPage = true;
+    clearTimeout(this.leavingPageTimer);
+    this.leavingPageTimer = setTimeout(() => {
+      this.isLeavingPage = false;
+    }, this.pendingPlanLifetime);
+  }
 
-      if (response.success) {
-        // Add AI response to conversation
-        this.addToConversation("AI", response.response);
-        this.updateStatus("Ready to listen...");
-        this.sendActivityUpdate("idle");
-        this.updateStats("conversations");
+  /**
+   * Continue a plan interrupted by a page load, if it is recent
+   */
+  async resumePendingPlan() {
+    // The plan was saved by this page, which is still running it
+    if (this.isRunningPlan) return;
 
-        // Automatically speak the AI response in English
-        try {
-          await this.speakText(response.response, "en-US");
-        } catch (error) {
-          console.error("Error speaking response:", error);
-          // Continue even if speech fails
-        }
-      } else {
-        this.updateStatus("Error occurred. Try again.");
-        this.sendActivityUpdate("idle");
-        this.addToConversation(
-          "AI",
-          "Sorry, I encountered an error processing your request. Please try again."
-        );
-      }
+    let pending = null;
+    try {
+      pending = JSON.parse(sessionStorage.getItem("lavio-pending-plan"));
     } catch (error) {
-      this.hideTypingIndicator();
-      console.error("Error handling question:", error);
-      this.updateStatus("Error occurred. Try again.");
-      this.sendActivityUpdate("idle");
-      this.addToConversation(
-        "AI",
-        "Sorry, I encountered an error. Please try again."
-      );
+      return;
+    }
+    this.clearPendingPlan();
+    if (
+      !pending?.steps?.length ||
+      Date.now() - pending.savedAt > this.pendingPlanLifetime
+    ) {
+      return;
     }
+
+    console.log(
+      `Lavio: Resuming ${pending.steps.length} remaining plan step(s)`
+    );
+    await this.actionExecutor.waitForPageSettle();
+    this.detectedElements = this.elementDetector.getAllInteractiveElements();
+    await this.handleActionRequest(
+      { isAction: true, steps: pending.steps },
+      pending.originalText
+    );
   }
 
   /**
-   * Smart filtering to reduce elements sent to AI
-   * Filters based on action type and relevance to save tokens
+   * Execute one action step and report the outcome in the conversation
+   * @param {Object} intent - { actionType, targetDescription, additionalData }
+   * @param {string} originalText - The user's words, for inferring defaults
+   * @param {Object} progress - { index, total } of the step within its plan
+   * @returns {Promise<boolean>} Whether the step succeeded
    */
-  filterRelevantElements(elements, description, actionType) {
-    const lowerDesc = description.toLowerCase();
+  async executeActionStep(intent, originalText, progress = {}) {
+    this.updateStatus(
+      progress.total > 1
+        ? `Step ${progress.index + 1} of ${progress.total}: ${
+            intent.actionType
+          }...`
+        : `Executing: ${intent.actionType}...`
+    );
 
-    // Define which element types are relevant for each action
+    let result = null;
+
+    switch (intent.actionType) {
+      case "click":
+      case "focus":
+        const targetElement = await this.resolveTargetElement(intent, "click");
+        if (!targetElement) {
+          return false;
+        }
+
+        // Validate action safety, confirming sensitive ones
+        const confirmed = await this.checkAction(
+          intent.actionType,
+          targetElement.element,
+          { description: this.describeElement(targetElement) }
+        );
+        if (!confirmed) {
+          return false;
+        }
+
+        // Execute the action
+        result = await this.actionExecutor.execute(
+          intent.actionType,
+          targetElement.element,
+          null,
+          { description: this.describeElement(targetElement) }
+        );
+
+        if (result.success) {
+          const targetName =
+            targetElement.text || targetElement.label || "element";
+          const message =
+            intent.actionType === "click" && !result.pageChange.changed
+              ? `Clicked "${targetName}", but nothing happened on the page.`
+              : `✓ ${
+                  intent.actionType === "click" ? "Clicked" : "Focused"
+                } on "${targetName}"`;
+          this.addToConversation("AI", message);
+          await this.speakReply(message);
+        } else {
+          this.addToConversation(
+            "AI",
+            `Failed to ${intent.actionType}: ${result.error}`
+          );
+        }
+        break;
+
+      case "scroll":
+        result = await this.scrollPage(intent);
+        break;
+
+      case "navigate":
+        // Extract navigation action
+        const navAction =
+          intent.targetDescription || intent.additionalData || "back";
+        result = await this.actionExecutor.executeNavigate(navAction);
+
+        if (result.success) {
+          const message = `✓ Navigating ${navAction}`;
+          this.addToConversation("AI", message);
+          await this.speakReply(message);
+        } else {
+          this.addToConversation("AI", `Failed to navigate: ${result.error}`);
+        }
+        break;
+
+      case "type":
+        const inputElement = await this.resolveTargetElement(intent, "type");
+        if (!inputElement) {
+          return false;
+        }
+
+        const typeConfirmed = await this.checkAction(
+          "type",
+          inputElement.element,
+          { description: this.describeElement(inputElement) }
+        );
+        if (!typeConfirmed) {
+          return false;
+        }
+
+        // Type the text
+        const textToType = intent.additionalData || "";
+        result = await this.actionExecutor.execute(
+          "type",
+          inputElement.element,
+          textToType,
+          { description: this.describeElement(inputElement) }
+        );
+
+        if (result.success) {
+          const message = `✓ Typed "${textToType}" in ${
+            inputElement.label || "field"
+          }`;
+          this.addToConversation("AI", message);
+          await this.speakReply(message);
+        } else {
+          this.addToConversation("AI", `Failed to type: ${result.error}`);
+        }
+        break;
+
+      case "select":
+      case "toggle":
+      case "set_value":
+        const control = await this.resolveTargetElement(
+          intent,
+          intent.actionType
+        );
+        if (!control) {
+          return false;
+        }
+
+        const controlName = this.describeElement(control);
+        const controlConfirmed = await this.checkAction(
+          intent.actionType,
+          control.element,
+          { description: controlName }
+        );
+        if (!controlConfirmed) {
+          return false;
+        }
+
+        result = await this.actionExecutor.execute(
+          intent.actionType,
+          control.element,
+          intent.actionType === "toggle"
+            ? this.parseToggleState(intent.additionalData || originalText)
+            : intent.additionalData,
+          { description: controlName }
+        );
+
+        let controlMessage;
+        if (intent.actionType === "select") {
+          controlMessage = `✓ Selected "${result.option}" in ${controlName}`;
+        } else if (intent.actionType === "toggle") {
+          const state = result.checked ? "on" : "off";
+          controlMessage = result.changed
+            ? `✓ Turned ${state} "${controlName}"`
+            : `"${controlName}" is already ${state}`;
+        } else {
+          controlMessage = `✓ Set ${controlName} to ${result.value}`;
+        }
+
+        if (result.success) {
+          this.addToConversation("AI", controlMessage);
+          await this.speakReply(controlMessage);
+        } else {
+          const choices = result.options?.length
+            ? ` Options are: ${result.options.join(", ")}.`
+            : "";
+          this.addToConversation(
+            "AI",
+            `Failed to ${intent.actionType.replace("_", " ")}: ${
+              result.error
+            }.${choices}`
+          );
+        }
+        break;
+
+      case "press_key":
+        // Without a target the key goes to whatever has focus on the page
+        let keyTarget = null;
+        if (intent.targetDescription || intent.element) {
+          keyTarget = await this.resolveTargetElement(intent, "press_key");
+          if (!keyTarget) {
+            return false;
+          }
+        }
+
+        const keyElement =
+          keyTarget?.element || this.actionExecutor.getPageFocusedElement();
+        const keyConfirmed = await this.checkAction(
+          "press_key",
+          keyElement === document.body ? null : keyElement,
+          {
+            key: intent.additionalData,
+            description: keyTarget && this.describeElement(keyTarget),
+          }
+        );
+        if (!keyConfirmed) {
+          return false;
+        }
+
+        result = await this.actionExecutor.execute(
+          "press_key",
+          keyTarget?.element || null,
+          intent.additionalData,
+          { description: keyTarget && this.describeElement(keyTarget) }
+        );
+        if (result.success) {
+          const message = result.pageChange.changed
+            ? `✓ Pressed ${result.key}`
+            : `Pressed ${result.key}, but nothing happened on the page.`;
+          this.addToConversation("AI", message);
+          await this.speakReply(message);
+        } else {
+          this.addToConversation("AI", `Failed to press key: ${result.error}`);
+        }
+        break;
+
+      case "fill_form":
+        result = await this.fillForm(intent, originalText);
+        break;
+
+      case "fill_profile":
+        result = await this.fillProfile(intent);
+        break;
+
+      case "find":
+        result = await this.findInPage(intent);
+        break;
+
+      case "manage_tab":
+        result = await this.manageTab(intent);
+        break;
+
+      // PAGE MANIPULATION ACTIONS
+      case "modify_text_size":
+        // Smart default: infer action from user's words if additionalData is missing
+        let textSizeAction = intent.additionalData;
+
+        if (!textSizeAction && originalText) {
+          const lower = originalText.toLowerCase();
+
+          // Check for decrease/smaller keywords
+          if (
+            lower.includes("smaller") ||
+            lower.includes("decrease") ||
+            lower.includes("reduce") ||
+            lower.includes("shrink") ||
+            lower.match(/\bless\b/)
+          ) {
+            textSizeAction = "decrease";
+            console.log("Lavio: Inferred text size action: decrease");
+          }
+          // Check for reset keywords
+          else if (
+            lower.includes("reset") ||
+            lower.includes("normal") ||
+            lower.includes("default") ||
+            lower.includes("original")
+          ) {
+            textSizeAction = "reset";
+            console.log("Lavio: Inferred text size action: reset");
+          }
+          // Default to increase for bigger/larger/increase or any other case
+          else {
+            textSizeAction = "increase";
+            console.log("Lavio: Inferred text size action: increase (default)");
+          }
+        } else if (!textSizeAction) {
+          // If still no action, default to increase
+          textSizeAction = "increase";
+          console.log("Lavio: Using default text size action: increase");
+        }
+
+        result = this.pageManipulator.adjustTextSize(textSizeAction, null);
+        if (result.success) {
+          this.addToConversation("AI", `✓ ${result.message}`);
+          await this.speakReply(result.message);
+        } else {
+          this.addToConversation("AI", `Failed: ${result.message}`);
+        }
+        break;
+
+      case "modify_theme":
+        const enableDark = intent.additionalData === "dark";
+        result = this.pageManipulator.toggleDarkMode(enableDark);
+        if (result.success) {
+          this.addToConversation("AI", `✓ ${result.message}`);
+          await this.speakReply(result.message);
+        } else {
+          this.addToConversation("AI", `Failed: ${result.message}`);
+        }
+        break;
+
+      case "modify_color":
+        if (intent.targetDescription === "background") {
+          result = this.pageManipulator.changeBackgroundColor(
+            intent.additionalData
+          );
+        } else if (intent.targetDescription === "text") {
+          result = this.pageManipulator.changeTextColor(intent.additionalData);
+        }
+        if (result && result.success) {
+          this.addToConversation("AI", `✓ ${result.message}`);
+          await this.speakReply(result.message);
+        } else {
+          this.addToConversation("AI", "Failed to change color");
+        }
+        break;
+
+      case "modify_visibility":
+        if (intent.additionalData === "hide") {
+          result = this.pageManipulator.hideElements(intent.targetDescription);
+        } else if (intent.additionalData === "show") {
+          result = this.pageManipulator.showElements(intent.targetDescription);
+        }
+        if (result && result.success) {
+          this.addToConversation("AI", `✓ ${result.message}`);
+          await this.speakReply(result.message);
+        } else {
+          this.addToConversation(
+            "AI",
+            result?.message || "Failed to modify visibility"
+          );
+        }
+        break;
+
+      case "modify_layout":
+        if (intent.targetDescription === "width") {
+          result = this.pageManipulator.adjustWidth(intent.additionalData);
+        } else if (intent.targetDescription === "center") {
+          result = this.pageManipulator.centerContent();
+        }
+        if (result && result.success) {
+          this.addToConversation("AI", `✓ ${result.message}`);
+          await this.speakReply(result.message);
+        } else {
+          this.addToConversation("AI", "Failed to modify layout");
+        }
+        break;
+
+      case "modify_focus":
+        if (intent.additionalData === "enable") {
+          result = this.pageManipulator.enableFocusMode();
+        } else if (intent.additionalData === "reader") {
+          result = this.pageManipulator.enableReaderMode();
+        } else {
+          result = this.pageManipulator.disableFocusMode();
+        }
+        if (result && result.success) {
+          this.addToConversation("AI", `✓ ${result.message}`);
+          await this.speakReply(result.message);
+        } else {
+          this.addToConversation(
+            "AI",
+            result?.message || "Failed to modify focus mode"
+          );
+        }
+        break;
+
+      case "modify_zoom":
+        result = this.pageManipulator.setZoom(intent.additionalData || "in");
+        if (result.success) {
+          this.addToConversation("AI", `✓ ${result.message}`);
+          await this.speakReply(result.message);
+        } else {
+          this.addToConversation("AI", `Failed: ${result.message}`);
+        }
+        break;
+
+      case "modify_reset":
+        result = this.pageManipulator.resetAll();
+        if (result.success) {
+          this.addToConversation("AI", `✓ ${result.message}`);
+          await this.speakReply(result.message);
+        } else {
+          this.addToConversation("AI", `Failed: ${result.message}`);
+        }
+        break;
+
+      default:
+        this.addToConversation(
+          "AI",
+          `I don't know how to perform action: ${intent.actionType}`
+        );
+        return false;
+    }
+
+    return Boolean(result && result.success);
+  }
+
+  /**
+   * Find the element an action step refers to
+   * Tries simple matching first, then AI matching. When several elements fit
+   * about equally well, the user is asked which one they meant.
+   * @param {Object} intent - Action step with targetDescription
+   * @param {string} purpose - "click" or "type"; narrows the AI's candidates
+   * @returns {Promise<Object|null>} Detected element, or null if none was found
+   *   or the user didn't pick one (already reported in the conversation)
+   */
+  async resolveTargetElement(intent, purpose) {
+    // Already picked, e.g. by its number in the overlay
+    if (intent.element) {
+      return intent.element;
+    }
+
+    const description = intent.targetDescription;
+
+    // "the third link", "the search box at the top", "the button next to Price"
+    const reference = this.elementDetector.parseReference(
+      description,
+      intent.modifiers
+    );
+    if (reference.isPositional) {
+      const [match] = this.elementDetector.resolveReference(reference);
+      if (match) {
+        console.log("Lavio: Resolved positional reference:", reference);
+        return match;
+      }
+      // Fuzzy or AI matching would only find some other element, unless the
+      // words are a label, like a button called "Third result"
+      const words = description
+        .trim()
+        .toLowerCase()
+        .replace(/^(?:the|a|an)\s+/, "");
+      const isLabel = this.elementDetector.detectedElements.some((el) =>
+        [el.text, el.label].some((text) => text?.toLowerCase().includes(words))
+      );
+      if (!isLabel) {
+        this.addToConversation(
+          "AI",
+          this.describeMissingReference(reference, words)
+        );
+        return null;
+      }
+    }
+
+    // Prefer elements the action can work on: a switch over a same-named button
+    const allRanked =
+      this.elementDetector.rankElementsByDescription(description);
+    const types = this.getRelevantTypes(purpose);
+    const ofType = allRanked.filter(({ element }) =>
+      types.includes(element.type)
+    );
+    const ranked = ofType.length > 0 ? ofType : allRanked;
+    if (ranked.length > 0) {
+      const tied = ranked.filter(
+        ({ score }) => ranked[0].score - score < this.ambiguityMargin
+      );
+      if (tied.length === 1) {
+        return ranked[0].element;
+      }
+      return await this.askToDisambiguate(
+        tied.map(({ element }) => element),
+        intent
+      );
+    }
+
+    // The previous action may still be rendering the target: a menu it
+    // opened, or the next route of a single-page app
+    if (this.actionExecutor.changedPageRecently()) {
+      this.updateStatus("Waiting for the page...");
+      const appeared = await this.actionExecutor.waitFor(
+        description,
+        this.renderWait
+      );
+      if (appeared) {
+        this.detectedElements = this.elementDetector.detectedElements;
+        return appeared;
+      }
+    }
+
+    console.log(
+      `Lavio: Simple matching failed${
+        purpose === "type" ? " for input" : ""
+      }, trying AI-powered matching...`
+    );
+    this.updateStatus(
+      purpose === "type" ? "Finding input field..." : "Finding element..."
+    );
+
+    try {
+      // Smart filtering: only send relevant elements to AI to save tokens
+      const relevantElements = this.filterRelevantElements(
+        this.detectedElements,
+        description,
+        purpose
+      );
+      const { filtered } = relevantElements;
+
+      console.log(
+        `Lavio: Filtered from ${this.detectedElements.length} to ${filtered.length} elements for AI matching`
+      );
+
+      const aiMatchResponse = await this.sendAIRequest({
+        type: "FIND_ELEMENT_MATCH",
+        description,
+        elements: filtered.map((el) => ({
+          type: el.type,
+          text: el.text,
+          label: el.label,
+          placeholder: el.placeholder,
+          state: el.stateText,
+          id: el.id,
+        })),
+      });
+
+      if (aiMatchResponse.success && aiMatchResponse.matchIndex >= 0) {
+        const match = filtered[aiMatchResponse.matchIndex];
+
+        if (aiMatchResponse.confidence > 0.5) {
+          console.log(
+            `Lavio: AI found match with confidence ${aiMatchResponse.confidence}`
+          );
+          return match;
+        }
+
+        // Unsure: offer the AI's pick and its runners-up
+        if (aiMatchResponse.confidence >= 0.3) {
+          const indexes = [
+            aiMatchResponse.matchIndex,
+            ...(aiMatchResponse.alternatives || []),
+            ...filtered.keys(),
+          ];
+          const candidates = [...new Set(indexes)]
+            .map((index) => filtered[index])
+            .filter(Boolean)
+            .slice(0, 5);
+          return await this.askToDisambiguate(candidates, intent);
+        }
+      }
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      console.error("Lavio: Error using AI matching:", error);
+    }
+
+    this.addToConversation(
+      "AI",
+      purpose === "type"
+        ? `I couldn't find the input field "${description}". Please try again.`
+        : `I couldn't find "${description}" on this page. Please try being more specific.`
+    );
+    return null;
+  }
+
+  /**
+   * Say why a positional reference matched nothing on the page
+   * @param {Object} reference - From parseReference
+   * @param {string} words - The user's words for the element, without "the"
+   */
+  describeMissingReference(reference, words) {
+    if (reference.near && !this.elementDetector.findAnchor(reference.near)) {
+      return `I couldn't find "${reference.near}" on this page.`;
+    }
+    return `There is no ${words} on this page.`;
+  }
+
+  /**
+   * Speak the reply to a command that has already run
+   * Speech failing or being interrupted (Stop speaking, the next command)
+   * doesn't make the command fail, so the error is only logged.
+   * @param {string} text - Reply to read out
+   */
+  async speakReply(text) {
+    try {
+      await this.speakText(text, "en-US");
+    } catch (error) {
+      console.error("Lavio: Error speaking reply:", error);
+    }
+  }
+
+  /**
+   * Ask which of several elements the user meant
+   * Candidates get numbered badges on the page and numbered buttons in the
+   * panel; the answer can be spoken ("two", "the first one") or clicked.
+   * @param {Array} candidates - Detected elements, best first (up to 5 are offered)
+   * @param {Object} intent - The action step being resolved
+   * @returns {Promise<Object|null>} The chosen element, or null if the user
+   *   cancelled or didn't answer in time
+   */
+  async askToDisambiguate(candidates, intent) {
+    const choices = candidates.slice(0, 5);
+    const highlights = await Promise.all(
+      choices.map((choice, i) =>
+        this.actionExecutor.highlightElement(
+          choice.element,
+          intent.actionType,
+          { label: String(i + 1), duration: 0, keepExisting: true }
+        )
+      )
+    );
+
+    const numbers = choices.map((_, i) => i + 1);
+    const question =
+      numbers.length === 1
+        ? "Did you mean 1?"
+        : `Did you mean ${numbers.slice(0, -1).join(", ")} or ${numbers.at(
+            -1
+          )}?`;
+    const list = choices
+      .map((choice, i) => `${i + 1}. ${this.describeElement(choice)}`)
+      .join("\n");
+
+    this.addToConversation(
+      "AI",
+      `I found more than one match for "${intent.targetDescription}":\n${list}\n\n${question}`
+    );
+    const picker = this.renderChoiceButtons(
+      choices.map((_, i) => String(i + 1))
+    );
+    this.updateStatus("Waiting for your choice...");
+    this.sendActivityUpdate("idle");
+
+    try {
+      // Not awaited, so an answer can interrupt the question
+      this.speakText(question, "en-US").catch((error) => {
+        console.error("Lavio: Error speaking question:", error);
+      });
+      const answer = await this.waitForChoice(picker, {
+        count: choices.length,
+      });
+
+      if (answer === null || answer < 0) {
+        this.addToConversation(
+          "AI",
+          answer === null
+            ? "I didn't hear a choice, so I left it alone."
+            : "Okay, I won't do anything."
+        );
+        return null;
+      }
+      return choices[answer];
+    } finally {
+      this.pendingChoice = null;
+      picker?.remove();
+      highlights.forEach((highlight) =>
+        this.actionExecutor.removeHighlight(highlight)
+      );
+    }
+  }
+
+  /**
+   * Scroll by a direction and amount, to the next or previous heading, or to
+   * a named section, heading or element
+   * @param {Object} intent - scroll step: additionalData is a direction or
+   *   "next"/"previous", targetDescription what to scroll to, amount how far
+   * @returns {Promise<Object>} Result of the scroll
+   */
+  async scrollPage(intent) {
+    const directions = ["up", "down", "top", "bottom", "left", "right"];
+    const target = (intent.targetDescription || "").trim();
+    const data = (intent.additionalData || "").trim().toLowerCase();
+    // Older intents put the direction in targetDescription
+    const direction = [data, target.toLowerCase()].find((word) =>
+      directions.includes(word)
+    );
+
+    let result;
+    let message;
+    if (/^(?:next|previous|prev)$/.test(data)) {
+      const adjacent = data === "next" ? "next" : "previous";
+      result = await this.actionExecutor.scrollToAdjacentHeading(adjacent);
+      message = `✓ Scrolled to "${result.text}"`;
+    } else if (direction || !target) {
+      result = await this.actionExecutor.executeScroll(direction || "down", {
+        amount: intent.amount,
+      });
+      message = `✓ Scrolled ${direction || "down"}`;
+    } else {
+      // A section or heading first, then any element by its description
+      let section = this.elementDetector.findSection(target);
+      if (!section) {
+        this.detectedElements =
+          this.elementDetector.getAllInteractiveElements();
+        section = this.elementDetector.findElementByDescription(target);
+      }
+      if (!section) {
+        this.addToConversation(
+          "AI",
+          `I couldn't find "${target}" on this page.`
+        );
+        return { success: false };
+      }
+
+      const name = section.text || section.label || target;
+      result = await this.actionExecutor.scrollTo(section.element, {
+        label: name,
+      });
+      message = `✓ Scrolled to "${name}"`;
+    }
+
+    if (result.success) {
+      this.addToConversation("AI", message);
+      await this.speakReply(message);
+    } else {
+      this.addToConversation("AI", `Failed to scroll: ${result.error}`);
+    }
+    return result;
+  }
+
+  /**
+   * Open, switch, close, pin, mute or move browser tabs
+   * The background worker owns the tabs API, so the command is passed on.
+   * Closing the other tabs, or a tab by its title, is confirmed first.
+   * @param {Object} intent - manage_tab step; additionalData is the
+   *   operation, targetDescription the URL, search or tab title
+   * @returns {Promise<Object>} Result from the background worker
+   */
+  async manageTab(intent) {
+    const target = intent.targetDescription;
+    const question = {
+      close: `Should I close ${target ? `the "${target}"` : "this"} tab?`,
+      close_others: "Should I close the other tabs?",
+    }[intent.additionalData];
+    if (
+      question &&
+      !(await this.checkAction("manage_tab", null, {
+        operation: intent.additionalData,
+        target,
+        question,
+      }))
+    ) {
+      return { success: false };
+    }
+
+    this.updateStatus("Managing tabs...");
+    const result = (await this.sendAIRequest({
+      type: "MANAGE_TAB",
+      operation: intent.additionalData,
+      target: intent.targetDescription,
+    })) || { success: false, error: "The extension didn't answer" };
+
+    if (!result.success) {
+      this.addToConversation("AI", `${result.error}.`);
+      return result;
+    }
+
+    const message = `✓ ${result.message}`;
+    this.addToConversation("AI", message);
+    await this.speakReply(message);
+    return result;
+  }
+
+  /**
+   * Highlight text on the page and scroll to the first match
+   * When the words don't appear, the AI can pick the passages that talk
+   * about them instead, unless semantic search is turned off in the options.
+   * @param {Object} intent - find step; additionalData is the text or topic
+   * @returns {Promise<Object>} Result of the search
+   */
+  async findInPage(intent) {
+    const query = (intent.additionalData || intent.targetDescription || "")
+      .replace(/^["'“‘]+|["'”’]+$/g, "")
+      .trim();
+    if (!query) {
+      this.addToConversation("AI", "What should I look for on this page?");
+      return { success: false };
+    }
+
+    let result = this.pageFinder.find(query);
+    let message = `✓ Found ${result.count} match${
+      result.count === 1 ? "" : "es"
+    } for "${query}".`;
+
+    if (!result.success) {
+      const settings = await chrome.storage.sync
+        .get({ semanticFind: true })
+        .catch(() => ({ semanticFind: true }));
+      if (settings.semanticFind) {
+        this.updateStatus("Looking for passages...");
+        const passages = await this.findPassages(query);
+        result = this.pageFinder.showPassages(passages, query);
+        message = `✓ Found ${result.count} passage${
+          result.count === 1 ? "" : "s"
+        } about "${query}".`;
+      }
+    }
+    this.updateFindBar();
+
+    if (!result.success) {
+      this.addToConversation("AI", `I couldn't find "${query}" on this page.`);
+      return result;
+    }
+
+    if (result.count > 1) {
+      message += ' Say "next match" to go on.';
+    }
+    this.addToConversation("AI", message);
+    await this.speakReply(message);
+    return result;
+  }
+
+  /**
+   * Ask the AI which of the page's passages talk about a topic
+   * @returns {Promise<Array<HTMLElement>>} Passage elements, best first
+   */
+  async findPassages(query) {
+    const passages = this.pageFinder.getPassages();
+    if (passages.length === 0) return [];
+
+    try {
+      const response = await this.sendAIRequest({
+        type: "FIND_PASSAGES",
+        query,
+        passages: passages.map(({ text }) => text),
+      });
+      if (response.success) {
+        return response.passages
+          .map((index) => passages[index]?.element)
+          .filter(Boolean);
+      }
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      console.error("Lavio: Error finding passages:", error);
+    }
+    return [];
+  }
+
+  /**
+   * Handle "next match", "previous match" and "clear search" while a search
+   * is highlighted, without asking the AI
+   * @param {string} text - Recognized speech
+   * @returns {Promise<boolean>} Whether the text was a search command
+   */
+  async handleFindCommand(text) {
+    if (!this.pageFinder.isActive()) return false;
+
+    const command = text
+      .trim()
+      .replace(/[.!?]+$/, "")
+      .toLowerCase();
+    let action = null;
+    if (/^(?:next|find next)(?: match| result| one)?$/.test(command)) {
+      action = command === "next" ? null : "next";
+    } else if (
+      /^(?:previous|find previous)(?: match| result| one)?$/.test(command)
+    ) {
+      action = command === "previous" ? null : "previous";
+    } else if (
+      /^(?:clear|stop|close|end)(?: the)? (?:search|find|highlights|matches)$/.test(
+        command
+      )
+    ) {
+      action = "clear";
+    }
+    if (!action) return false;
+
+    this.addToConversation("You", text);
+    const message = this.runFindCommand(action);
+    this.addToConversation("AI", message);
+    // "next match" often comes while the last count is still being read
+    await this.speakReply(message);
+    return true;
+  }
+
+  /**
+   * Move to the next or previous match, or clear the search; also used by
+   * the find bar buttons
+   * @param {string} action - "next", "previous" or "clear"
+   * @returns {string} What happened
+   */
+  runFindCommand(action) {
+    let message = "Search cleared.";
+    if (action === "clear") {
+      this.pageFinder.clear();
+    } else {
+      const result =
+        action === "next" ? this.pageFinder.next() : this.pageFinder.previous();
+      message = result.success
+        ? `Match ${result.index + 1} of ${result.count}.`
+        : `${result.error}.`;
+    }
+    this.updateFindBar();
+    return message;
+  }
+
+  /**
+   * Show the match count and buttons in the panel while a search is active
+   */
+  updateFindBar() {
+    const bar = this.voicePanel?.querySelector("#lavio-find-bar");
+    if (!bar) return;
+
+    const finder = this.pageFinder;
+    bar.style.display = finder.isActive() ? "flex" : "none";
+    bar.querySelector("#lavio-find-count").textContent = finder.isActive()
+      ? `${finder.current + 1} of ${finder.matches.length} for "${
+          finder.query
+        }"`
+      : "";
+  }
+
+  /**
+   * Fill several fields of one form from spoken field/value pairs
+   * The pairs are matched to the form's labeled fields, and the mapping is
+   * previewed for confirmation before anything is typed.
+   * @param {Object} intent - fill_form step with fields and the form's
+   *   targetDescription
+   * @param {string} originalText - Parsed for pairs when the intent has none
+   * @returns {Promise<Object|null>} { success, filled }, or null if nothing
+   *   was filled (already reported in the conversation)
+   */
+  async fillForm(intent, originalText) {
+    const pairs = intent.fields?.length
+      ? intent.fields
+      : this.parseFieldPairs(intent.additionalData || originalText);
+    if (pairs.length === 0) {
+      this.addToConversation(
+        "AI",
+        'Tell me the fields and their values, like "fill the form with name Jane Doe, email jane@example.com".'
+      );
+      return null;
+    }
+
+    const form = this.pickForm(intent.targetDescription);
+    if (!form) {
+      this.addToConversation("AI", "I couldn't find a form to fill here.");
+      return null;
+    }
+
+    const mapping = await this.matchFormFields(pairs, form.fields);
+    const planned = mapping.filter(({ field }) => field);
+    const unmatched = mapping
+      .filter(({ field }) => !field)
+      .map(({ pair }) => `"${pair.field}"`);
+    if (planned.length === 0) {
+      this.addToConversation(
+        "AI",
+        `I couldn't find fields for ${unmatched.join(", ")} in ${form.name}.`
+      );
+      return null;
+    }
+
+    return await this.applyFormFill(
+      form,
+      planned.map(({ pair, field }) => ({ field, value: pair.value })),
+      unmatched.length > 0 ? [`No field for ${unmatched.join(", ")}.`] : []
+    );
+  }
+
+  /**
+   * Fill the form on the page from a saved autofill profile
+   * Fields are matched by their autocomplete attribute or label words.
+   * Sensitive ones (date of birth, anything on a payment card) are skipped
+   * unless the profile allows them.
+   * @param {Object} intent - fill_profile step with the profile name in
+   *   additionalData and the form's targetDescription
+   * @returns {Promise<Object|null>} { success, filled }, or null if nothing
+   *   was filled (already reported in the conversation)
+   */
+  async fillProfile(intent) {
+    const profile = await this.getProfile(intent.additionalData);
+    if (!profile) {
+      return null;
+    }
+
+    const form = this.pickForm(intent.targetDescription);
+    if (!form) {
+      this.addToConversation("AI", "I couldn't find a form to fill here.");
+      return null;
+    }
+
+    const planned = [];
+    const skipped = [];
+    form.fields.forEach((field) => {
+      const entry = this.elementDetector.matchProfileField(field);
+      const value = entry && this.getProfileValue(profile.values, entry.key);
+      if (!value) return;
+      if ((field.sensitive || entry.sensitive) && !profile.includeSensitive) {
+        skipped.push(this.describeFormField(field));
+        return;
+      }
+      planned.push({ field, value });
+    });
+
+    const notes =
+      skipped.length > 0
+        ? [`Skipped sensitive fields: ${skipped.join(", ")}.`]
+        : [];
+    if (planned.length === 0) {
+      this.addToConversation(
+        "AI",
+        [
+          `Nothing in ${form.name} matches your "${profile.name}" profile.`,
+          ...notes,
+        ].join(" ")
+      );
+      return null;
+    }
+
+    return await this.applyFormFill(form, planned, notes);
+  }
+
+  /**
+   * A saved autofill profile by name; with a single profile the name can
+   * be left out
+   * @returns {Promise<Object|null>} { name, values, includeSensitive }, or
+   *   null if there is no such profile (already reported)
+   */
+  async getProfile(name) {
+    let profiles = {};
+    try {
+      ({ profiles } = await chrome.storage.local.get({ profiles: {} }));
+    } catch (error) {
+      console.warn("Lavio: Could not read autofill profiles:", error);
+    }
+
+    const names = Object.keys(profiles);
+    if (names.length === 0) {
+      this.addToConversation(
+        "AI",
+        "You don't have any autofill profiles yet. Add one on the options page."
+      );
+      return null;
+    }
+
+    const wanted = (name || "")
+      .toLowerCase()
+      .replace(/\b(?:my|the|profile)\b/g, "")
+      .trim();
+    const match = wanted
+      ? names.find((profileName) => profileName.toLowerCase() === wanted)
+      : names.length === 1 && names[0];
+    if (!match) {
+      this.addToConversation(
+        "AI",
+        `${
+          wanted
+            ? `I don't have a profile called "${wanted}".`
+            : "Which profile should I use?"
+        } Your profiles are: ${names.join(", ")}.`
+      );
+      return null;
+    }
+
+    return { name: match, values: {}, ...profiles[match] };
+  }
+
+  /**
+   * A profile value, splitting the full name when a form asks for first and
+   * last name separately
+   */
+  getProfileValue(values, key) {
+    if (values[key]) return values[key];
+
+    const [first, ...rest] = (values.fullName || "").trim().split(/\s+/);
+    if (key === "givenName") return first || "";
+    if (key === "familyName") return rest.join(" ");
+    return "";
+  }
+
+  /**
+   * Confirm a planned form fill with a preview of each value, then fill it
+   * and report what happened
+   * @param {Object} form - Form from ElementDetector.getForms()
+   * @param {Array} planned - [{ field, value }] to fill, in order
+   * @param {Array<string>} notes - Extra sentences for the final report
+   * @returns {Promise<Object|null>} { success, filled }, or null if cancelled
+   */
+  async applyFormFill(form, planned, notes = []) {
+    const confirmed = await this.checkAction(
+      "fill_form",
+      form.element || planned[0].field.element,
+      {
+        description: form.name,
+        preview: planned.map(
+          ({ field, value }) => `${this.describeFormField(field)} → ${value}`
+        ),
+        elements: planned.map(({ field }) => field.element),
+      }
+    );
+    if (!confirmed) {
+      return null;
+    }
+
+    // Undoing a fill clears the whole form, not just its last field
+    const filled = [];
+    const failed = [];
+    await this.actionHistory.group(`filling ${form.name}`, async () => {
+      for (const { field, value } of planned) {
+        const result = await this.fillField(field, value);
+        if (result.success) {
+          filled.push(this.describeFormField(field));
+        } else {
+          failed.push(`${this.describeFormField(field)} (${result.error})`);
+        }
+      }
+    });
+
+    const message = [
+      filled.length > 0
+        ? `✓ Filled ${filled.length} field${
+            filled.length === 1 ? "" : "s"
+          } in ${form.name}.`
+        : `I couldn't fill ${form.name}.`,
+      failed.length > 0 && `Couldn't fill ${failed.join(", ")}.`,
+      ...notes,
+    ]
+      .filter(Boolean)
+      .join(" ");
+    this.addToConversation("AI", message);
+    await this.speakReply(message);
+
+    return { success: filled.length > 0, filled };
+  }
+
+  describeFormField(field) {
+    return field.label || field.placeholder || field.name || field.type;
+  }
+
+  /**
+   * The form a fill command means: one named like the description, the one
+   * with focus, or the first on the page
+   */
+  pickForm(description) {
+    const forms = this.elementDetector.getForms();
+    const wanted = (description || "")
+      .toLowerCase()
+      .replace(/\b(?:the|this|form)\b/g, "")
+      .trim();
+    if (wanted) {
+      const named = forms.find((form) => {
+        const name = form.name.toLowerCase();
+        return name.includes(wanted) || wanted.includes(name);
+      });
+      if (named) return named;
+    }
+
+    const focused = this.actionExecutor.getPageFocusedElement();
+    return (
+      forms.find((form) => form.element?.contains(focused)) || forms[0] || null
+    );
+  }
+
+  /**
+   * Pair each spoken field with a form field, using each field at most once
+   * Uses the AI matcher, and label matching when the AI is unavailable.
+   * @returns {Promise<Array>} [{ pair, field }], field null when none fits
+   */
+  async matchFormFields(pairs, fields) {
+    try {
+      const response = await this.sendAIRequest({
+        type: "MATCH_FORM_FIELDS",
+        pairs,
+        fields: fields.map(({ label, type, name, placeholder }) => ({
+          label,
+          type,
+          name,
+          placeholder,
+        })),
+      });
+      if (response.success) {
+        const used = new Set();
+        return pairs.map((pair, i) => {
+          const match = response.matches.find((m) => m.pair === i);
+          const index = match?.field ?? -1;
+          if (index < 0 || used.has(index)) return { pair, field: null };
+          used.add(index);
+          return { pair, field: fields[index] };
+        });
+      }
+    } catch (error) {
+      if (error.name === "AbortError") throw error;
+      console.error("Lavio: Error using AI form matching:", error);
+    }
+
+    const used = new Set();
+    return pairs.map((pair) => {
+      const description = pair.field.toLowerCase();
+      let best = null;
+      let bestScore = 0;
+      fields.forEach((field) => {
+        if (used.has(field)) return;
+        const score = this.elementDetector.calculateMatchScore(
+          { ...field, text: field.label },
+          description
+        );
+        if (score > bestScore) {
+          best = field;
+          bestScore = score;
+        }
+      });
+      if (best) used.add(best);
+      return { pair, field: best };
+    });
+  }
+
+  /**
+   * Put one value in a form field with the action that suits its type
+   */
+  async fillField(field, value) {
+    // Filling doesn't need to wait and see whether the page reacted
+    const options = { description: this.describeFormField(field), settle: 0 };
+    if (field.type === "select") {
+      return await this.actionExecutor.execute(
+        "select",
+        field.element,
+        value,
+        options
+      );
+    }
+    if (field.type === "checkbox") {
+      return await this.actionExecutor.execute(
+        "toggle",
+        field.element,
+        this.parseToggleState(value) ?? !/^(?:no|false)$/i.test(value),
+        options
+      );
+    }
+    if (
+      ["range", "number", "date", "datetime-local", "month", "time"].includes(
+        field.type
+      )
+    ) {
+      return await this.actionExecutor.execute(
+        "set_value",
+        field.element,
+        value,
+        options
+      );
+    }
+    return await this.actionExecutor.execute(
+      "type",
+      field.element,
+      value,
+      options
+    );
+  }
+
+  /**
+   * Validate an action and, when needed, ask the user to confirm it first
+   * Actions validateAction flags (submitting a form, a password field) are
+   * confirmed by default; the options page can make each action type always
+   * or never ask.
+   * @param {string} actionType - Action about to run
+   * @param {HTMLElement|null} element - Element it will act on
+   * @param {Object} details - { description } for the question, plus what
+   *   validateAction needs ({ key } for press_key); fill_form also passes
+   *   { preview, elements } to show its field mapping, and actions without
+   *   an element their own { question }
+   * @returns {Promise<boolean>} Whether to go ahead
+   */
+  async checkAction(actionType, element, details = {}) {
+    const validation = this.actionExecutor.validateAction(
+      actionType,
+      element,
+      details
+    );
+    if (!validation.safe) {
+      this.addToConversation(
+        "AI",
+        `Sorry, I can't do that: ${validation.reason}`
+      );
+      return false;
+    }
+
+    const { mode, timeout } = await this.getConfirmationSetting(actionType);
+    const ask =
+      mode === "always" || (mode !== "never" && validation.needsConfirmation);
+    if (!ask) {
+      return true;
+    }
+
+    return await this.confirmAction(actionType, element, {
+      description: details.description,
+      reason: validation.reason,
+      preview: details.preview,
+      elements: details.elements,
+      question: details.question,
+      timeout,
+    });
+  }
+
+  /**
+   * How the options page wants an action type confirmed
+   * @returns {Promise<Object>} { mode: "sensitive"|"always"|"never", timeout (ms) }
+   */
+  async getConfirmationSetting(actionType) {
+    const defaults = { confirmActions: {}, confirmTimeout: 15 };
+    let settings = defaults;
+    try {
+      settings = await chrome.storage.sync.get(defaults);
+    } catch (error) {
+      console.warn("Lavio: Could not read confirmation settings:", error);
+    }
+
+    return {
+      mode: settings.confirmActions?.[actionType] || "sensitive",
+      timeout: (settings.confirmTimeout || defaults.confirmTimeout) * 1000,
+    };
+  }
+
+  /**
+   * Ask "Should I ...?" with the element highlighted, and wait for yes or
+   * cancel by voice, the panel buttons, or Enter/Escape
+   * Silence until the timeout counts as cancel.
+   * @param {Object} options - { description, reason, timeout }, plus
+   *   preview lines to list before the question, elements to highlight
+   *   instead of element, and a question to ask instead of "Should I ...?"
+   * @returns {Promise<boolean>} true only for an explicit yes
+   */
+  async confirmAction(actionType, element, options) {
+    const { description, reason, preview, timeout } = options;
+    const highlights = [];
+    for (const target of options.elements || [element]) {
+      if (!target) continue;
+      highlights.push(
+        await this.actionExecutor.highlightElement(target, actionType, {
+          label: "Confirm?",
+          duration: 0,
+          keepExisting: true,
+        })
+      );
+    }
+
+    const verbs = {
+      click: "click",
+      focus: "focus",
+      type: "type into",
+      select: "change",
+      toggle: "switch",
+      set_value: "change",
+      press_key: "press that key on",
+      fill_form: "fill in",
+    };
+    const question =
+      options.question ||
+      `Should I ${verbs[actionType] || actionType} ${
+        description ? `"${description}"` : "this"
+      }?`;
+
+    this.addToConversation(
+      "AI",
+      `${reason ? `${reason}. ` : ""}${
+        preview?.length ? `${preview.join(", ")}. ` : ""
+      }${question} Say "yes" to go ahead or "cancel".`
+    );
+    const picker = this.renderChoiceButtons(["Yes"]);
+    this.updateStatus("Waiting for confirmation...");
+    this.sendActivityUpdate("idle");
+
+    try {
+      // Not awaited, so "yes" or Enter can interrupt the question
+      this.speakText(question, "en-US").catch((error) => {
+        console.error("Lavio: Error speaking confirmation:", error);
+      });
+      const answer = await this.waitForChoice(picker, {
+        count: 1,
+        parse: (text) => this.parseConfirmAnswer(text),
+        retry: 'Please say "yes" to go ahead or "cancel".',
+        timeout,
+        keys: { Enter: 0, Escape: -1 },
+      });
+
+      if (answer === 0) {
+        return true;
+      }
+      this.addToConversation(
+        "AI",
+        answer === null
+          ? "I didn't hear a yes, so I cancelled it."
+          : "Okay, cancelled."
+      );
+      return false;
+    } finally {
+      this.pendingChoice = null;
+      picker?.remove();
+      highlights.forEach((highlight) =>
+        this.actionExecutor.removeHighlight(highlight)
+      );
+    }
+  }
+
+  /**
+   * Wait for the answer to a question in the panel: spoken, typed, clicked
+   * on a choice button or given with a key
+   * @param {HTMLElement|null} picker - Row from renderChoiceButtons
+   * @param {Object} options
+   * @param {number} options.count - Number of choices
+   * @param {Function} options.parse - Maps an answer to an index, -1 (cancel)
+   *   or null (unclear); defaults to parseChoiceAnswer
+   * @param {string} options.retry - Asked again when an answer is unclear
+   * @param {number} options.timeout - ms before giving up
+   * @param {Object} options.keys - KeyboardEvent.key → index, e.g. { Escape: -1 }
+   * @returns {Promise<number|null>} Index, -1 for cancel, or null on timeout
+   */
+  waitForChoice(picker, options) {
+    const { count, parse, retry, timeout = this.choiceTimeout } = options;
+    const keys = options.keys || {};
+
+    return new Promise((resolve) => {
+      const onKey = (event) => {
+        // Keys typed into a field (including the panel's) are not answers
+        const target = event.composedPath?.()[0] || event.target;
+        if (
+          target.isContentEditable ||
+          ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)
+        ) {
+          return;
+        }
+        const index = keys[event.key];
+        if (index === undefined) return;
+        event.preventDefault();
+        event.stopPropagation();
+        finish(index);
+      };
+      const finish = (index) => {
+        clearTimeout(timer);
+        document.removeEventListener("keydown", onKey, true);
+        resolve(index);
+      };
+      const timer = setTimeout(() => finish(null), timeout);
+
+      document.addEventListener("keydown", onKey, true);
+      this.pendingChoice = { count, parse, retry, resolve: finish };
+      picker?.addEventListener("click", (event) => {
+        const button = event.target.closest("[data-choice]");
+        if (button) finish(Number(button.dataset.choice));
+      });
+    });
+  }
+
+  /**
+   * Answer buttons under a question in the panel, plus Cancel
+   * Button i answers with index i; Cancel answers with -1.
+   * @param {Array<string>} labels - Button labels, e.g. ["1", "2"] or ["Yes"]
+   * @returns {HTMLElement|null} The button row, or null when the panel is closed
+   */
+  renderChoiceButtons(labels) {
+    const conversation = this.voicePanel?.querySelector("#lavio-conversation");
+    if (!conversation) return null;
+
+    const row = document.createElement("div");
+    row.id = "lavio-choice-buttons";
+    row.style.cssText = `
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      margin-bottom: 20px;
+    `;
+
+    const buttonStyle = `
+      padding: 6px 14px;
+      border: 1px solid #FFD700;
+      border-radius: 16px;
+      background: transparent;
+      color: inherit;
+      font-size: 13px;
+      font-weight: 600;
+      cursor: pointer;
+    `;
+
+    labels.forEach((label, i) => {
+      const button = document.createElement("button");
+      button.dataset.choice = String(i);
+      button.textContent = label;
+      button.style.cssText = buttonStyle;
+      row.appendChild(button);
+    });
+
+    const cancel = document.createElement("button");
+    cancel.dataset.choice = "-1";
+    cancel.textContent = "Cancel";
+    cancel.style.cssText = buttonStyle + "border-color: #999;";
+    row.appendChild(cancel);
+
+    conversation.appendChild(row);
+    conversation.scrollTop = conversation.scrollHeight;
+    return row;
+  }
+
+  /**
+   * Route a spoken answer to the pending clarifying question
+   */
+  answerPendingChoice(text) {
+    const { count, parse, retry, resolve } = this.pendingChoice;
+    const index = parse ? parse(text) : this.parseChoiceAnswer(text, count);
+    if (index === null) {
+      this.addToConversation(
+        "AI",
+        retry || `Please say a number from 1 to ${count}, or "cancel".`
+      );
+      return;
+    }
+    resolve(index);
+  }
+
+  /**
+   * Read a yes/cancel answer to a confirmation
+   * @returns {number|null} 0 for yes, -1 for cancel, null if unclear
+   */
+  parseConfirmAnswer(text) {
+    const lower = text.toLowerCase().trim();
+    if (/\b(no|nope|cancel|stop|abort|don'?t|never ?mind)\b/.test(lower)) {
+      return -1;
+    }
+    if (
+      /\b(yes|yeah|yep|sure|ok|okay|confirm|go ahead|do it|proceed)\b/.test(
+        lower
+      )
+    ) {
+      return 0;
+    }
+    return null;
+  }
+
+  /**
+   * Understand answers like "2", "two", "the second one" or "cancel"
+   * @returns {number|null} Zero-based choice, -1 to cancel, or null if unclear
+   */
+  parseChoiceAnswer(text, count) {
+    const lower = text.toLowerCase().trim();
+
+    if (/\b(cancel|never ?mind|none|neither|stop)\b/.test(lower)) {
+      return -1;
+    }
+
+    // Recognizers often hear a lone number as a homophone
+    const homophones = { won: 1, to: 2, too: 2, for: 4 };
+    const cardinals = ["one", "two", "three", "four", "five"];
+    const ordinals = ["first", "second", "third", "fourth", "fifth"];
+
+    // Ordinals first: in "the second one", "one" is just filler
+    const words = lower.split(/[^a-z0-9]+/);
+    const spoken = [ordinals, cardinals]
+      .map((names) => names.findIndex((name) => words.includes(name)))
+      .find((index) => index !== -1);
+    let number = Number(words.find((word) => /^[1-9]$/.test(word)) || 0);
+    if (!number && spoken !== undefined) number = spoken + 1;
+    if (!number) number = homophones[lower] || 0;
+
+    return number >= 1 && number <= count ? number - 1 : null;
+  }
+
+  describeElement(element) {
+    return (
+      element.text ||
+      element.label ||
+      element.placeholder ||
+      element.ariaLabel ||
+      element.type
+    );
+  }
+
+  /**
+   * Handle the numbered overlay commands: "show numbers", "hide numbers" and,
+   * while numbers are shown, "click 14", "type hello in 7" and "focus 3"
+   * @param {string} text - Recognized speech
+   * @returns {Promise<boolean>} Whether the text was an overlay command
+   */
+  async handleNumberCommand(text) {
+    const command = text.trim().replace(/[.!?]+$/, "");
+
+    if (/^(show|display) (the )?numbers$/i.test(command)) {
+      this.addToConversation("You", text);
+      this.showElementNumbers();
+      const message = `Showing ${this.numberedElements.length} numbers. Say "click" and a number.`;
+      this.addToConversation("AI", message);
+      // "click 3" may come before the hint is read to the end
+      await this.speakReply(message);
+      return true;
+    }
+
+    if (/^(hide|clear|remove) (the )?numbers$/i.test(command)) {
+      this.addToConversation("You", text);
+      this.hideElementNumbers();
+      this.addToConversation("AI", "Numbers hidden.");
+      return true;
+    }
+
+    if (!this.numbersVisible) return false;
+
+    let actionType = null;
+    let numberWord = null;
+    let additionalData = null;
+
+    const pointMatch = command.match(
+      /^(click|press|tap|focus)(?: on)? (?:number )?(\w+(?:[ -]\w+)?)$/i
+    );
+    const typeMatch = command.match(
+      /^(?:type|enter|write) (.+) (?:in|into) (?:number )?(\w+(?:[ -]\w+)?)$/i
+    );
+    if (pointMatch) {
+      actionType = pointMatch[1].toLowerCase() === "focus" ? "focus" : "click";
+      numberWord = pointMatch[2];
+    } else if (typeMatch) {
+      actionType = "type";
+      additionalData = typeMatch[1];
+      numberWord = typeMatch[2];
+    } else {
+      return false;
+    }
+
+    const number = this.parseSpokenNumber(numberWord);
+    if (number === null) return false;
+
+    this.addToConversation("You", text);
+    const target = this.numberedElements[number - 1];
+    if (!target) {
+      this.addToConversation(
+        "AI",
+        `There is no number ${number}. Numbers go from 1 to ${this.numberedElements.length}.`
+      );
+      return true;
+    }
+
+    await this.handleActionRequest(
+      {
+        isAction: true,
+        actionType,
+        targetDescription: `number ${number}`,
+        additionalData,
+        element: target,
+      },
+      text
+    );
+    return true;
+  }
+
+  /**
+   * Handle "undo", "undo that" and "redo" without asking the AI
+   * @param {string} text - Recognized speech
+   * @returns {Promise<boolean>} Whether the text was an undo or redo command
+   */
+  async handleHistoryCommand(text) {
+    const match = text
+      .trim()
+      .replace(/[.!?]+$/, "")
+      .match(
+        /^(undo|redo)(?: (?:that|it|this|the last (?:change|action|one)))?$/i
+      );
+    if (!match) return false;
+
+    this.addToConversation("You", text);
+    await this.runHistoryCommand(match[1].toLowerCase());
+    return true;
+  }
+
+  /**
+   * Undo or redo the last change and say what happened
+   * @param {string} command - "undo" or "redo"
+   * @returns {Promise<Object>} Result from the history
+   */
+  async runHistoryCommand(command) {
+    const result =
+      command === "redo"
+        ? await this.actionHistory.redo()
+        : await this.actionHistory.undo();
+
+    if (result.success) {
+      this.addToConversation("AI", `✓ ${result.message}`);
+      // The next command may interrupt the reply; that's not an error
+      await this.speakReply(result.message);
+    } else {
+      this.addToConversation("AI", `${result.message}.`);
+    }
+    return result;
+  }
+
+  /**
+   * Enable the panel's undo and redo buttons when there's something to do
+   */
+  updateHistoryButtons() {
+    const undoBtn = this.voicePanel?.querySelector("#lavio-undo");
+    const redoBtn = this.voicePanel?.querySelector("#lavio-redo");
+    if (undoBtn) undoBtn.disabled = !this.actionHistory.canUndo();
+    if (redoBtn) redoBtn.disabled = !this.actionHistory.canRedo();
+  }
+
+  /**
+   * "14", "fourteen" or "twenty one" → 14, 14, 21
+   * @returns {number|null}
+   */
+  parseSpokenNumber(word) {
+    if (/^\d+$/.test(word)) return Number(word);
+
+    const units = [
+      "zero",
+      "one",
+      "two",
+      "three",
+      "four",
+      "five",
+      "six",
+      "seven",
+      "eight",
+      "nine",
+      "ten",
+      "eleven",
+      "twelve",
+      "thirteen",
+      "fourteen",
+      "fifteen",
+      "sixteen",
+      "seventeen",
+      "eighteen",
+      "nineteen",
+    ];
+    const tens = [
+      "twenty",
+      "thirty",
+      "forty",
+      "fifty",
+      "sixty",
+      "seventy",
+      "eighty",
+      "ninety",
+    ];
+    const [first, second, ...rest] = word.toLowerCase().split(/[\s-]+/);
+    if (rest.length) return null;
+
+    const ten = tens.indexOf(first);
+    if (ten === -1) {
+      const index = second ? -1 : units.indexOf(first);
+      return index > 0 ? index : null;
+    }
+    // "twenty" alone, or "twenty one" through "twenty nine"
+    if (!second) return (ten + 2) * 10;
+    const unit = units.indexOf(second);
+    return unit > 0 && unit < 10 ? (ten + 2) * 10 + unit : null;
+  }
+
+  /**
+   * Number every interactive element in view and keep the numbers current
+   * while the page scrolls or changes
+   */
+  showElementNumbers() {
+    this.numbersVisible = true;
+    this.refreshElementNumbers();
+
+    if (!this.numberObserver) {
+      this.numberObserver = new MutationObserver((records) => {
+        if (
+          records.every((record) => this.actionExecutor.isOwnMutation(record))
+        ) {
+          return;
+        }
+        this.scheduleNumberRefresh();
+      });
+      this.numberObserver.observe(document.body, {
+        childList: true,
+        subtree: true,
+      });
+      window.addEventListener("scroll", this.numberRefreshHandler, {
+        passive: true,
+      });
+      window.addEventListener("resize", this.numberRefreshHandler);
+    }
+  }
+
+  hideElementNumbers() {
+    this.numbersVisible = false;
+    this.numberObserver?.disconnect();
+    this.numberObserver = null;
+    window.removeEventListener("scroll", this.numberRefreshHandler);
+    window.removeEventListener("resize", this.numberRefreshHandler);
+    clearTimeout(this.numberRefreshTimer);
+    this.actionExecutor.clearNumberBadges();
+    this.numberedElements = [];
+  }
+
+  scheduleNumberRefresh() {
+    clearTimeout(this.numberRefreshTimer);
+    this.numberRefreshTimer = setTimeout(
+      () => this.refreshElementNumbers(),
+      200
+    );
+  }
+
+  /**
+   * Re-detect elements and number the ones in view in reading order
+   */
+  refreshElementNumbers() {
+    if (!this.numbersVisible) return;
+
+    this.numberedElements = this.elementDetector
+      .getAllInteractiveElements()
+      .filter(({ element }) => !element.closest('[id^="lavio-"]'))
+      .filter(
+        ({ position }) =>
+          position.bottom > 0 &&
+          position.right > 0 &&
+          position.top < window.innerHeight &&
+          position.left < window.innerWidth
+      )
+      .sort(
+        (a, b) =>
+          a.position.top - b.position.top || a.position.left - b.position.left
+      );
+
+    this.actionExecutor.showNumberBadges(
+      this.numberedElements.map(({ element }) => element)
+    );
+  }
+
+  /**
+   * Handle question requests (normal AI responses)
+   */
+  async handleQuestionRequest(text) {
+    try {
+      // Get page context with full content
+      const pageContext = this.getPageContext();
+      const pageContent = this.extractPageContent();
+
+      // Create enhanced prompt with page context
+      const enhancedPrompt = `You are viewing a webpage titled "${pageContext.title}" at ${pageContext.url}.
+
+PAGE CONTENT:
+${pageContent}
+
+USER QUESTION: ${text}
+
+IMPORTANT: Respond in NATURAL LANGUAGE, not JSON. Do not use any JSON formatting in your response.
+
+Instructions: 
+- If the question is about the current page, website, or its content, answer based on the PAGE CONTENT above.
+- If the question is general knowledge or unrelated to the page, answer it normally.
+- Be specific and reference the page content when relevant.
+- Keep responses concise but informative.
+- Answer in a conversational, friendly tone.
+- DO NOT respond with JSON, code blocks, or structured data unless specifically asked.`;
+
+      // Stream the response from the background script so the answer renders
+      // and starts speaking while the rest is still being generated
+      this.sendActivityUpdate("processing", 50);
+      const speaker = this.createStreamingSpeaker("en-US");
+      let aiMessage = null;
+      let streamStarted = false;
+      let streamedText = "";
+
+      const response = await this.streamPrompt(
+        enhancedPrompt,
+        {
+          ...pageContext,
+          pageContent: pageContent,
+          conversationHistory: this.currentConversation,
+        },
+        (chunk) => {
+          if (!streamStarted) {
+            streamStarted = true;
+            this.hideTypingIndicator();
+            this.sendActivityUpdate("processing", 75);
+            aiMessage = this.addToConversation("AI", "", { streaming: true });
+          }
+
+          streamedText += chunk;
+          aiMessage?.update(streamedText);
+          speaker.push(chunk);
+        }
+      );
+
+      // Hide typing indicator (no chunks arrive for an empty response)
+      this.hideTypingIndicator();
+
+      if (aiMessage) {
+        aiMessage.complete(response);
+      } else if (!streamStarted) {
+        this.addToConversation("AI", response);
+      }
+      speaker.flush();
+
+      this.updateStatus(this.isSpeaking ? "Speaking..." : "Ready to listen...");
+      this.sendActivityUpdate("idle");
+      this.updateStats("conversations");
+    } catch (error) {
+      if (error.name === "AbortError") {
+        this.handleRequestCancelled();
+        return;
+      }
+
+      this.hideTypingIndicator();
+      console.error("Error handling question:", error);
+      this.updateStatus("Error occurred. Try again.");
+      this.sendActivityUpdate("idle");
+      this.addToConversation(
+        "AI",
+        "Sorry, I encountered an error. Please try again."
+      );
+    }
+  }
+
+  /**
+   * Send a prompt to the background script and receive the answer as a stream
+   * @param {string} prompt - Prompt text
+   * @param {Object} context - Page and conversation context
+   * @param {Function} onChunk - Called with each text delta as it arrives
+   * @returns {Promise<string>} Full response text
+   */
+  streamPrompt(prompt, context, onChunk) {
+    const requestId = this.createRequestId();
+    this.activeRequestIds.add(requestId);
+    this.updateStopRequestButton();
+
+    return new Promise((resolve, reject) => {
+      const port = chrome.runtime.connect({ name: "lavio-stream" });
+      let settled = false;
+
+      port.onMessage.addListener((message) => {
+        switch (message.type) {
+          case "STREAM_CHUNK":
+            onChunk(message.chunk);
+            break;
+
+          case "STREAM_DONE":
+            settled = true;
+            port.disconnect();
+            resolve(message.response);
+            break;
+
+          case "STREAM_ERROR":
+            settled = true;
+            port.disconnect();
+            reject(
+              message.cancelled
+                ? this.createAbortError()
+                : new Error(message.error)
+            );
+            break;
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          settled = true;
+          reject(new Error("Stream disconnected before completion"));
+        }
+      });
+
+      port.postMessage({ type: "STREAM_PROMPT", requestId, prompt, context });
+    }).finally(() => {
+      this.activeRequestIds.delete(requestId);
+      this.updateStopRequestButton();
+    });
+  }
+
+  /**
+   * Send an AI request to the background script under a cancellable request ID
+   * @param {Object} message - Message for the background script
+   * @returns {Promise<Object>} Background response
+   * @throws {DOMException} AbortError when the request was cancelled
+   */
+  async sendAIRequest(message) {
+    const requestId = this.createRequestId();
+    this.activeRequestIds.add(requestId);
+    this.updateStopRequestButton();
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        ...message,
+        requestId,
+      });
+
+      if (response?.cancelled) {
+        throw this.createAbortError();
+      }
+
+      return response;
+    } finally {
+      this.activeRequestIds.delete(requestId);
+      this.updateStopRequestButton();
+    }
+  }
+
+  /**
+   * Cancel every in-flight AI request started from this page
+   * @returns {boolean} True if there was anything to cancel
+   */
+  cancelActiveRequests() {
+    if (this.activeRequestIds.size === 0) return false;
+
+    console.log(
+      `Lavio: Cancelling ${this.activeRequestIds.size} in-flight request(s)`
+    );
+    this.activeRequestIds.forEach((requestId) => {
+      chrome.runtime
+        .sendMessage({ type: "CANCEL_REQUEST", targetRequestId: requestId })
+        .catch((error) => {
+          console.error("Lavio: Error cancelling request:", error);
+        });
+    });
+
+    return true;
+  }
+
+  /**
+   * Clean up loading indicators after a request was cancelled
+   */
+  handleRequestCancelled() {
+    this.hideTypingIndicator();
+    this.hideSkeletonLoading();
+    this.stopSpeaking();
+    this.updateStatus("Request cancelled");
+    this.sendActivityUpdate("idle");
+  }
+
+  updateStopRequestButton() {
+    const stopBtn = this.voicePanel?.querySelector("#lavio-stop-request");
+    if (stopBtn) {
+      stopBtn.style.display = this.activeRequestIds.size > 0 ? "flex" : "none";
+    }
+  }
+
+  createRequestId() {
+    return `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  createAbortError() {
+    return new DOMException("Request cancelled", "AbortError");
+  }
+
+  /**
+   * Create a speaker that voices complete sentences from streamed text
+   * @param {string} language - Speech language
+   * @returns {Object} { push(chunk), flush() }
+   */
+  createStreamingSpeaker(language = "en-US") {
+    const sentenceEnd = /([.!?]+["')\]]*\s+|\n+)/;
+    const generation = this.speechGeneration;
+    let buffer = "";
+
+    const speak = (sentence) => {
+      // Once speech is stopped, the rest of this answer is only shown
+      if (!sentence.trim() || this.speechGeneration !== generation) return;
+      this.speakText(sentence.trim(), language, { queue: true }).catch(
+        (error) => {
+          console.error("Error speaking response:", error);
+          // Continue even if speech fails
+        }
+      );
+    };
+
+    return {
+      push: (chunk) => {
+        buffer += chunk;
+        let match;
+        while ((match = sentenceEnd.exec(buffer))) {
+          const end = match.index + match[0].length;
+          speak(buffer.slice(0, end));
+          buffer = buffer.slice(end);
+        }
+      },
+      flush: () => {
+        speak(buffer);
+        buffer = "";
+      },
+    };
+  }
+
+  /**
+   * Element types an action can target
+   */
+  getRelevantTypes(actionType) {
+    const widgetTypes = [
+      "tab",
+      "menuitem",
+      "checkbox",
+      "switch",
+      "option",
+      "combobox",
+      "select",
+      "slider",
+    ];
     const relevantTypes = {
-      click: ["button", "link", "search"], // Clickable elements
-      focus: ["button", "link", "search"], // Focusable elements
-      type: ["input", "search"], // Input elements only
+      click: ["button", "link", "search", ...widgetTypes], // Clickable elements
+      focus: ["button", "link", "search", ...widgetTypes], // Focusable elements
+      type: ["input", "search", "combobox"], // Input elements only
+      select: ["select", "combobox", "option"],
+      toggle: ["checkbox", "switch", "menuitem", "button"],
+      set_value: ["slider", "input"],
+      press_key: ["button", "link", "input", "search", ...widgetTypes],
     };
 
-    const allowedTypes = relevantTypes[actionType] || [];
+    return relevantTypes[actionType] || [];
+  }
+
+  /**
+   * Smart filtering to reduce elements sent to AI
+   * Filters based on action type and relevance to save tokens
+   */
+  filterRelevantElements(elements, description, actionType) {
+    const lowerDesc = description.toLowerCase();
+
+    // Define which element types are relevant for each action
+    const allowedTypes = this.getRelevantTypes(actionType);
 
     // Step 1: Filter by element type
     let filtered = elements.filter((el) => allowedTypes.includes(el.type));
@@ -1674,9 +3583,11 @@ Instructions:
   }
 
   // Text-to-speech functionality
-  async speakText(text, language = "en-US") {
-    if (this.isSpeaking) {
+  // Pass { queue: true } to play after the current utterance instead of replacing it
+  async speakText(text, language = "en-US", options = {}) {
+    if (this.isSpeaking && !options.queue) {
       this.speechSynthesis.cancel();
+      this.pendingUtterances = 0;
     }
 
     return new Promise((resolve, reject) => {
@@ -1692,6 +3603,13 @@ Instructions:
       utterance.pitch = 1.0;
       utterance.volume = 0.8;
 
+      // Queued utterances keep the speaking state until the last one finishes
+      this.pendingUtterances = (this.pendingUtterances || 0) + 1;
+      const finishUtterance = () => {
+        this.pendingUtterances = Math.max(0, this.pendingUtterances - 1);
+        return this.pendingUtterances === 0;
+      };
+
       utterance.onstart = () => {
         this.isSpeaking = true;
         this.updateStatus("Speaking...");
@@ -1701,6 +3619,11 @@ Instructions:
       };
 
       utterance.onend = () => {
+        if (!finishUtterance()) {
+          resolve();
+          return;
+        }
+
         this.isSpeaking = false;
         this.updateStatus("Ready to listen...");
         // Hide stop speaking button
@@ -1712,6 +3635,11 @@ Instructions:
       };
 
       utterance.onerror = (error) => {
+        if (!finishUtterance()) {
+          reject(error);
+          return;
+        }
+
         this.isSpeaking = false;
         this.updateStatus("Speech error");
         // Hide stop speaking button
@@ -1728,9 +3656,12 @@ Instructions:
   }
 
   stopSpeaking() {
+    this.speechGeneration++;
+
     if (this.speechSynthesis && this.isSpeaking) {
       this.speechSynthesis.cancel();
       this.isSpeaking = false;
+      this.pendingUtterances = 0;
       this.updateStatus("Ready to listen...");
 
       // Hide stop speaking button
@@ -1758,13 +3689,24 @@ Instructions:
     this.sendActivityUpdate("summarizing", 0);
 
     try {
-      const content = this.extractPageContent();
-      this.sendActivityUpdate("summarizing", 50);
+      const chunks = this.buildSummaryChunks(
+        this.extractPageSections(),
+        this.summaryChunkLength
+      );
 
-      const response = await chrome.runtime.sendMessage({
-        type: "GET_PAGE_SUMMARY",
-        content: content,
-      });
+      let response;
+      if (chunks.length <= 1) {
+        // Short page: summarize in one pass
+        const content = chunks[0] || this.extractPageContent();
+        this.sendActivityUpdate("summarizing", 50);
+
+        response = await this.sendAIRequest({
+          type: "GET_PAGE_SUMMARY",
+          content: content,
+        });
+      } else {
+        response = await this.summarizeChunks(chunks);
+      }
 
       this.hideSkeletonLoading();
 
@@ -1779,6 +3721,11 @@ Instructions:
         this.sendActivityUpdate("idle");
       }
     } catch (error) {
+      if (error.name === "AbortError") {
+        this.handleRequestCancelled();
+        return;
+      }
+
       this.hideSkeletonLoading();
       console.error("Error summarizing page:", error);
       this.updateStatus("Error summarizing page");
@@ -1786,6 +3733,45 @@ Instructions:
     }
   }
 
+  /**
+   * Map-reduce summary for pages longer than one prompt:
+   * summarize each chunk, then merge the partial summaries
+   * @param {Array} chunks - From buildSummaryChunks
+   * @returns {Promise<Object>} Response shaped like GET_PAGE_SUMMARY's
+   */
+  async summarizeChunks(chunks) {
+    const summaries = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+      this.updateStatus(`Summarizing section ${i + 1} of ${chunks.length}...`);
+      // Map step covers 0-90%, the merge takes the rest
+      this.sendActivityUpdate(
+        "summarizing",
+        Math.round((i / chunks.length) * 90)
+      );
+
+      const response = await this.sendAIRequest({
+        type: "SUMMARIZE_CHUNK",
+        content: chunks[i],
+      });
+
+      if (!response.success) {
+        return response;
+      }
+      summaries.push(response.summary);
+    }
+
+    this.updateStatus("Combining section summaries...");
+    this.sendActivityUpdate("summarizing", 90);
+
+    return await this.sendAIRequest({
+      type: "MERGE_SUMMARIES",
+      summaries: summaries,
+      // Partials are regrouped to fit the same prompt size as the chunks
+      chunkLength: this.summaryChunkLength,
+    });
+  }
+
   async translateSelection() {
     const selectedText = window.getSelection().toString().trim();
 
@@ -1800,7 +3786,7 @@ Instructions:
 
     try {
       this.sendActivityUpdate("translating", 50);
-      const response = await chrome.runtime.sendMessage({
+      const response = await this.sendAIRequest({
         type: "TRANSLATE_TEXT",
         text: selectedText,
         targetLanguage: "en", // Default to English, can be made configurable
@@ -1820,6 +3806,11 @@ Instructions:
         this.sendActivityUpdate("idle");
       }
     } catch (error) {
+      if (error.name === "AbortError") {
+        this.handleRequestCancelled();
+        return;
+      }
+
       this.hideSkeletonLoading();
       console.error("Error translating text:", error);
       this.updateStatus("Error translating text");
@@ -1877,7 +3868,7 @@ Instructions:
 
     try {
       this.sendActivityUpdate("translating", 50);
-      const response = await chrome.runtime.sendMessage({
+      const response = await this.sendAIRequest({
         type: "TRANSLATE_TEXT",
         text: selectedText,
         targetLanguage: targetLanguage,
@@ -1897,6 +3888,11 @@ Instructions:
         this.sendActivityUpdate("idle");
       }
     } catch (error) {
+      if (error.name === "AbortError") {
+        this.handleRequestCancelled();
+        return;
+      }
+
       this.hideSkeletonLoading();
       console.error("Error translating text:", error);
       this.updateStatus("Error translating text");
@@ -1912,13 +3908,7 @@ Instructions:
     };
   }
 
-  extractPageContent() {
-    // Extract main content from the page
-    const content = [];
-
-    // Maximum content length (roughly 2000 tokens)
-    const MAX_CONTENT_LENGTH = 8000;
-
+  getMainContentElement() {
     // Try to get main content areas
     const mainSelectors = [
       "main",
@@ -1928,13 +3918,25 @@ Instructions:
       ".post",
       ".entry",
     ];
-    let mainContent = null;
 
     for (const selector of mainSelectors) {
-      mainContent = document.querySelector(selector);
-      if (mainContent) break;
+      const mainContent = document.querySelector(selector);
+      if (mainContent) return mainContent;
     }
 
+    return null;
+  }
+
+  extractPageContent() {
+    // Extract main content from the page
+    const content = [];
+
+    // Maximum content length (roughly 6000 tokens). The background trims this
+    // further if it doesn't fit the session's remaining context window.
+    const MAX_CONTENT_LENGTH = 24000;
+
+    const mainContent = this.getMainContentElement();
+
     if (mainContent) {
       const text = mainContent.textContent.trim();
       // Cap the content to prevent token limit issues
@@ -1967,20 +3969,146 @@ Instructions:
     return content.join("\n\n");
   }
 
-  addToConversation(sender, message) {
+  /**
+   * Split the page's main content into sections at its headings
+   * @returns {Array} [{ heading, text }] in document order
+   */
+  extractPageSections() {
+    // Upper bound so huge pages don't turn into hundreds of AI calls
+    const MAX_PAGE_LENGTH = 200000;
+    const skipTags = new Set([
+      "SCRIPT",
+      "STYLE",
+      "NOSCRIPT",
+      "TEMPLATE",
+      "NAV",
+      "FOOTER",
+    ]);
+
+    const root = this.getMainContentElement() || document.body;
+    const sections = [];
+    let current = { heading: "", parts: [] };
+    let headingElement = null;
+    let totalLength = 0;
+
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) {
+            return NodeFilter.FILTER_ACCEPT;
+          }
+          // Skip non-content markup and Lavio's own UI
+          if (skipTags.has(node.tagName) || node.id?.startsWith("lavio-")) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          return NodeFilter.FILTER_ACCEPT;
+        },
+      }
+    );
+
+    while (walker.nextNode() && totalLength < MAX_PAGE_LENGTH) {
+      const node = walker.currentNode;
+
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (/^H[1-6]$/.test(node.tagName)) {
+          if (current.parts.length > 0) {
+            sections.push(current);
+          }
+          current = { heading: node.textContent.trim(), parts: [] };
+          headingElement = node;
+        }
+        continue;
+      }
+
+      // The heading's own text is already captured
+      if (headingElement?.contains(node)) continue;
+
+      const text = node.nodeValue.replace(/\s+/g, " ").trim();
+      if (text) {
+        current.parts.push(text);
+        totalLength += text.length;
+      }
+    }
+
+    if (current.parts.length > 0) {
+      sections.push(current);
+    }
+
+    return sections.map((section) => ({
+      heading: section.heading,
+      text: section.parts.join(" "),
+    }));
+  }
+
+  /**
+   * Group page sections into chunks small enough for one AI prompt
+   * Oversized sections are split on sentence boundaries.
+   * @param {Array} sections - From extractPageSections
+   * @param {number} maxLength - Maximum characters per chunk
+   * @returns {Array} Chunk strings in page order
+   */
+  buildSummaryChunks(sections, maxLength) {
+    const chunks = [];
+    let current = "";
+
+    for (const section of sections) {
+      const block = section.heading
+        ? `## ${section.heading}\n${section.text}`
+        : section.text;
+      const pieces =
+        block.length > maxLength ? this.splitText(block, maxLength) : [block];
+
+      for (const piece of pieces) {
+        if (current && current.length + piece.length + 2 <= maxLength) {
+          current += "\n\n" + piece;
+        } else {
+          if (current) chunks.push(current);
+          current = piece;
+        }
+      }
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  splitText(text, maxLength) {
+    const pieces = [];
+    let current = "";
+
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+      // A single run-on "sentence" longer than the limit is cut hard
+      for (let i = 0; i < sentence.length; i += maxLength) {
+        const part = sentence.substring(i, i + maxLength);
+        if (current && current.length + part.length + 1 > maxLength) {
+          pieces.push(current);
+          current = part;
+        } else {
+          current = current ? `${current} ${part}` : part;
+        }
+      }
+    }
+
+    if (current) pieces.push(current);
+    return pieces;
+  }
+
+  /**
+   * Add a message to the panel conversation
+   * @param {string} sender - "AI", "You" or another label
+   * @param {string} message - Message text
+   * @param {Object} options - { streaming: true } returns a handle for progressive rendering
+   * @returns {Object|undefined} For streaming AI messages: { update(text), complete(text) }
+   */
+  addToConversation(sender, message, options = {}) {
     const conversation = this.voicePanel?.querySelector("#lavio-conversation");
     if (!conversation) return;
 
-    // Store conversation history for context
-    this.currentConversation.push({
-      type: sender === "AI" ? "assistant" : "user",
-      message: message,
-      timestamp: Date.now(),
-    });
-
-    // Keep only last 10 messages to prevent memory bloat
-    if (this.currentConversation.length > 10) {
-      this.currentConversation = this.currentConversation.slice(-10);
+    // Streaming messages are recorded once the full text is known
+    if (!options.streaming) {
+      this.recordConversationMessage(sender, message);
     }
 
     if (sender === "AI") {
@@ -2135,6 +4263,27 @@ Instructions:
 
       contentDiv.appendChild(textContent);
       conversation.appendChild(contentDiv);
+
+      if (options.streaming) {
+        const update = (text) => {
+          // Keep the speaker button reading the latest text
+          message = text;
+          textContent.innerHTML = this.formatRichTextContent(text);
+          conversation.scrollTop = conversation.scrollHeight;
+          this.adjustWidgetHeight();
+        };
+
+        conversation.scrollTop = conversation.scrollHeight;
+        this.adjustWidgetHeight();
+
+        return {
+          update,
+          complete: (text) => {
+            update(text);
+            this.recordConversationMessage(sender, text);
+          },
+        };
+      }
     } else {
       // For user messages, keep them minimal and clean
       const userDiv = document.createElement("div");
@@ -2157,6 +4306,20 @@ Instructions:
     this.adjustWidgetHeight();
   }
 
+  recordConversationMessage(sender, message) {
+    // Store conversation history for context
+    this.currentConversation.push({
+      type: sender === "AI" ? "assistant" : "user",
+      message: message,
+      timestamp: Date.now(),
+    });
+
+    // Keep only last 10 messages to prevent memory bloat
+    if (this.currentConversation.length > 10) {
+      this.currentConversation = this.currentConversation.slice(-10);
+    }
+  }
+
   formatRichTextContent(content) {
     // Enhanced formatting for rich text display
     let formatted = content
@@ -2616,6 +4779,9 @@ Instructions:
 
   setupKeyboardShortcuts() {
     document.addEventListener("keydown", (event) => {
+      // Keys Lavio presses for a voice command are meant for the page
+      if (!event.isTrusted) return;
+
       // Ctrl/Cmd + Shift + V to toggle voice panel
       if (
         (event.ctrlKey || event.metaKey) &&
@@ -2625,6 +4791,12 @@ Instructions:
         event.preventDefault();
         this.toggleVoicePanel();
       }
+
+      // Escape cancels an in-flight AI request
+      if (event.key === "Escape" && this.activeRequestIds.size > 0) {
+        event.preventDefault();
+        this.cancelActiveRequests();
+      }
     });
   }
 }
@@ -4,6 +4,122 @@
  */
 
 class ElementDetector {
+  // ARIA roles detected as widgets, and the type each is reported as
+  static WIDGET_ROLES = {
+    tab: "tab",
+    menuitem: "menuitem",
+    menuitemcheckbox: "menuitem",
+    menuitemradio: "menuitem",
+    checkbox: "checkbox",
+    switch: "switch",
+    option: "option",
+    combobox: "combobox",
+    slider: "slider",
+  };
+
+  // Words in a description that point at each widget type
+  static WIDGET_WORDS = {
+    tab: ["tab", "tabs"],
+    menuitem: ["menu", "menu item"],
+    checkbox: ["checkbox", "check box", "check", "uncheck", "tick", "untick"],
+    switch: ["switch", "toggle", "turn on", "turn off", "enable", "disable"],
+    option: ["option", "choose", "pick"],
+    combobox: ["dropdown", "drop down", "combo box", "combobox", "select"],
+    select: ["dropdown", "drop down", "select", "choose", "pick"],
+    slider: ["slider", "range"],
+  };
+
+  // Values an autofill profile can put in a form. A field gets the first
+  // entry whose autocomplete token or label words fit, so specific entries
+  // come before ones they contain ("first name" before "name").
+  static PROFILE_FIELDS = [
+    { key: "email", autocomplete: ["email"], words: ["email", "e-mail"] },
+    {
+      key: "phone",
+      autocomplete: ["tel", "tel-national"],
+      words: ["phone", "telephone", "mobile"],
+    },
+    {
+      key: "givenName",
+      autocomplete: ["given-name"],
+      words: ["first name", "given name", "forename"],
+    },
+    {
+      key: "familyName",
+      autocomplete: ["family-name"],
+      words: ["last name", "surname", "family name"],
+    },
+    {
+      key: "organization",
+      autocomplete: ["organization"],
+      words: ["company", "organization", "organisation", "employer"],
+    },
+    {
+      key: "jobTitle",
+      autocomplete: ["organization-title"],
+      words: ["job title", "position", "role"],
+    },
+    {
+      key: "addressLine2",
+      autocomplete: ["address-line2"],
+      words: ["address line 2", "apartment", "suite", "apt"],
+    },
+    {
+      key: "addressLine1",
+      autocomplete: ["address-line1", "street-address"],
+      words: ["address line 1", "street", "address"],
+    },
+    {
+      key: "postalCode",
+      autocomplete: ["postal-code"],
+      words: ["zip", "postal code", "postcode", "post code"],
+    },
+    { key: "city", autocomplete: ["address-level2"], words: ["city", "town"] },
+    {
+      key: "country",
+      autocomplete: ["country", "country-name"],
+      words: ["country"],
+    },
+    {
+      key: "region",
+      autocomplete: ["address-level1"],
+      words: ["state", "province", "region", "county"],
+    },
+    {
+      key: "birthDate",
+      autocomplete: ["bday"],
+      words: ["birthday", "date of birth", "birth date", "dob"],
+      sensitive: true,
+    },
+    {
+      key: "fullName",
+      autocomplete: ["name"],
+      words: ["full name", "your name", "name"],
+    },
+  ];
+
+  // Label words of fields autofill leaves alone by default
+  static SENSITIVE_FIELD_WORDS =
+    /\b(card|cvc|cvv|security code|expiry|expiration|ssn|social security|iban|account number|routing number|tax id|passport|national id|birth|dob)\b/;
+
+  // Landmark roles, the elements that have them and what users call them
+  static LANDMARKS = {
+    banner: { selector: 'header, [role="banner"]', name: "header" },
+    navigation: { selector: 'nav, [role="navigation"]', name: "navigation" },
+    main: { selector: 'main, [role="main"]', name: "main content" },
+    complementary: {
+      selector: 'aside, [role="complementary"]',
+      name: "sidebar",
+    },
+    contentinfo: { selector: 'footer, [role="contentinfo"]', name: "footer" },
+    search: { selector: 'search, [role="search"]', name: "search" },
+    region: {
+      selector:
+        'section[aria-label], section[aria-labelledby], [role="region"]',
+      name: "section",
+    },
+  };
+
   constructor() {
     this.detectedElements = [];
   }
@@ -14,15 +130,28 @@ class ElementDetector {
    */
   getAllInteractiveElements() {
     this.detectedElements = [];
+    // Find the shadow roots and frames once for all four scans
+    this.searchRoots = this.getSearchRoots();
 
     // Detect different types of elements
     const buttons = this.getAllButtons();
     const links = this.getAllLinks();
     const inputs = this.getAllInputs();
     const searchBars = this.getAllSearchBars();
+    const widgets = this.getAllWidgets();
+
+    // A <button role="tab"> or checkbox <input> is reported once, as its widget
+    const widgetElements = new Set(widgets.map(({ element }) => element));
+    const notWidget = ({ element }) => !widgetElements.has(element);
 
     // Combine and deduplicate
-    this.detectedElements = [...searchBars, ...buttons, ...links, ...inputs];
+    this.detectedElements = [
+      ...searchBars,
+      ...widgets,
+      ...buttons.filter(notWidget),
+      ...links.filter(notWidget),
+      ...inputs.filter(notWidget),
+    ];
 
     // Remove duplicates by unique ID
     const seen = new Set();
@@ -32,16 +161,128 @@ class ElementDetector {
       seen.add(id);
       return true;
     });
+    this.searchRoots = null;
 
     return this.detectedElements;
   }
 
+  /**
+   * The document plus every open shadow root and same-origin iframe document
+   * reachable from it. Closed shadow roots and cross-origin frames can't be
+   * read from a content script and are skipped, as are hidden frames.
+   * @returns {Array<Document|ShadowRoot>}
+   */
+  getSearchRoots() {
+    if (!this.isRootCacheFresh()) {
+      this.cacheSearchRoots();
+    }
+
+    // A frame can be shown or hidden without adding nodes, so check each time
+    return this.rootCache.roots.filter((root) => {
+      const node = root.host || root.documentElement;
+      return (
+        !!node &&
+        FrameGeometry.getFrameChain(node).every((frame) =>
+          this.isVisible(frame)
+        )
+      );
+    });
+  }
+
+  /**
+   * Walk every element once to find the shadow roots and frame documents,
+   * then watch those roots so the walk only runs again after they change
+   */
+  cacheSearchRoots() {
+    this.rootCache?.observer.disconnect();
+
+    const roots = [document];
+    const frames = [];
+    // Custom elements that may attach a shadow root once they are defined
+    const undefinedElements = [];
+
+    for (let i = 0; i < roots.length; i++) {
+      roots[i].querySelectorAll("*").forEach((element) => {
+        if (element.shadowRoot) {
+          roots.push(element.shadowRoot);
+        } else if (
+          element.localName.includes("-") &&
+          !element.matches(":defined")
+        ) {
+          undefinedElements.push(element);
+        }
+
+        if (element.tagName === "IFRAME" || element.tagName === "FRAME") {
+          const frameDocument = this.getFrameDocument(element);
+          frames.push({ frame: element, document: frameDocument });
+          if (frameDocument) {
+            roots.push(frameDocument);
+          }
+        }
+      });
+    }
+
+    const cache = { roots, frames, undefinedElements, stale: false };
+    cache.observer = new MutationObserver(() => (cache.stale = true));
+    roots.forEach((root) =>
+      cache.observer.observe(root, { childList: true, subtree: true })
+    );
+    this.rootCache = cache;
+  }
+
+  /**
+   * Whether the cached roots still cover the page: no nodes added or
+   * removed, no frame navigated and no custom element upgraded since
+   */
+  isRootCacheFresh() {
+    const cache = this.rootCache;
+    if (!cache || cache.stale) return false;
+    // Mutations from this task haven't reached the callback yet
+    if (cache.observer.takeRecords().length > 0) return false;
+
+    return (
+      cache.frames.every(
+        ({ frame, document }) => this.getFrameDocument(frame) === document
+      ) &&
+      !cache.undefinedElements.some((element) => element.matches(":defined"))
+    );
+  }
+
+  /**
+   * A frame's document, or null while it is cross-origin
+   */
+  getFrameDocument(frame) {
+    try {
+      return frame.contentDocument || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * querySelectorAll across the page, its open shadow roots and its
+   * same-origin iframes. Lavio's own UI (panel, onboarding) is left out.
+   * @param {string} selector - CSS selector
+   * @returns {Array<Element>}
+   */
+  querySelectorAllDeep(selector) {
+    const roots = this.searchRoots || this.getSearchRoots();
+    return roots
+      .flatMap((root) => [...root.querySelectorAll(selector)])
+      .filter(
+        (element) =>
+          !element.closest(
+            '[id^="lavio-"], [class^="lavio-"], [class*=" lavio-"]'
+          )
+      );
+  }
+
   /**
    * Get all button elements
    */
   getAllButtons() {
     const buttons = [];
-    const buttonElements = document.querySelectorAll(
+    const buttonElements = this.querySelectorAllDeep(
       'button, input[type="button"], input[type="submit"], [role="button"]'
     );
 
@@ -68,7 +309,7 @@ class ElementDetector {
    */
   getAllLinks() {
     const links = [];
-    const linkElements = document.querySelectorAll("a[href]");
+    const linkElements = this.querySelectorAllDeep("a[href]");
 
     linkElements.forEach((element, index) => {
       if (!this.isVisible(element)) return;
@@ -98,7 +339,7 @@ class ElementDetector {
    */
   getAllInputs() {
     const inputs = [];
-    const inputElements = document.querySelectorAll(
+    const inputElements = this.querySelectorAllDeep(
       'input:not([type="hidden"]):not([type="button"]):not([type="submit"]), textarea'
     );
 
@@ -137,7 +378,7 @@ class ElementDetector {
       '[role="search"] input',
     ];
 
-    const searchElements = document.querySelectorAll(searchSelectors.join(","));
+    const searchElements = this.querySelectorAllDeep(searchSelectors.join(","));
 
     searchElements.forEach((element, index) => {
       if (!this.isVisible(element)) return;
@@ -160,13 +401,450 @@ class ElementDetector {
     return searchBars;
   }
 
+  /**
+   * Get ARIA widgets and their native equivalents: tabs, menu items,
+   * checkboxes, switches, options, comboboxes, sliders and <select>s
+   */
+  getAllWidgets() {
+    const widgets = [];
+    const widgetElements = this.querySelectorAllDeep(
+      [
+        ...Object.keys(ElementDetector.WIDGET_ROLES).map(
+          (role) => `[role="${role}"]`
+        ),
+        "select",
+        'input[type="checkbox"]:not([role])',
+        'input[type="range"]:not([role])',
+      ].join(",")
+    );
+
+    widgetElements.forEach((element, index) => {
+      if (!this.isVisible(element)) return;
+
+      const type = this.getWidgetType(element);
+      const label = this.getWidgetLabel(element, type);
+      const state = this.getWidgetState(element, type);
+      widgets.push({
+        type,
+        element: element,
+        text: label,
+        ariaLabel: element.getAttribute("aria-label"),
+        label,
+        id: element.id,
+        className: element.className,
+        state,
+        stateText: this.describeWidgetState(state),
+        position: this.getElementPosition(element),
+        uniqueId: this.generateUniqueId(element, type, index),
+      });
+    });
+
+    return widgets;
+  }
+
+  /**
+   * Widget type for an element: its ARIA role, or the role a native control
+   * plays (checkbox inputs are checkboxes, range inputs sliders)
+   */
+  getWidgetType(element) {
+    const role = element.getAttribute("role");
+    if (ElementDetector.WIDGET_ROLES[role]) {
+      return ElementDetector.WIDGET_ROLES[role];
+    }
+    if (element.tagName === "SELECT") return "select";
+    return element.type === "range" ? "slider" : "checkbox";
+  }
+
+  /**
+   * A widget's accessible name
+   * Checkboxes and selects are usually named by a <label>; tabs and menu
+   * items by their text.
+   */
+  getWidgetLabel(element, type) {
+    const labelledBy = element.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const root = element.getRootNode();
+      const text = labelledBy
+        .split(/\s+/)
+        .map((id) => root.getElementById?.(id)?.textContent.trim())
+        .filter(Boolean)
+        .join(" ");
+      if (text) return text.substring(0, 100);
+    }
+
+    if (["tab", "menuitem", "option"].includes(type)) {
+      return this.getElementText(element);
+    }
+
+    if (element.getAttribute("aria-label")) {
+      return element.getAttribute("aria-label");
+    }
+    if (element.tagName !== "INPUT" && element.tagName !== "SELECT") {
+      return this.getElementText(element);
+    }
+
+    // A checkbox's value is "on", so getInputLabel would cut it out of the
+    // label text; a select's option texts are part of its label's text
+    const wrapping = element.closest("label");
+    const labelledFor =
+      element.id &&
+      element.getRootNode().querySelector?.(`label[for="${element.id}"]`);
+    if (wrapping && !labelledFor) {
+      const clone = wrapping.cloneNode(true);
+      clone.querySelectorAll("select, input").forEach((el) => el.remove());
+      return clone.textContent.trim();
+    }
+    return this.getInputLabel(element);
+  }
+
+  /**
+   * Current state of a widget, read from ARIA attributes or native properties
+   * @returns {Object} Any of { checked, selected, expanded, disabled, value,
+   *   min, max, options }; checked is true, false or "mixed"
+   */
+  getWidgetState(element, type) {
+    const aria = (name) => element.getAttribute(`aria-${name}`);
+    const state = {};
+
+    if (["checkbox", "switch", "menuitem"].includes(type)) {
+      const checked = aria("checked") ?? aria("pressed");
+      if (checked === "mixed") state.checked = "mixed";
+      else if (checked !== null) state.checked = checked === "true";
+      else if (typeof element.checked === "boolean") {
+        state.checked = element.checked;
+      }
+    }
+
+    if (["tab", "option"].includes(type)) {
+      const selected = aria("selected");
+      state.selected =
+        selected !== null ? selected === "true" : !!element.selected;
+    }
+
+    if (aria("expanded") !== null) {
+      state.expanded = aria("expanded") === "true";
+    }
+
+    if (aria("disabled") === "true" || element.disabled) {
+      state.disabled = true;
+    }
+
+    if (type === "slider") {
+      const value = aria("valuetext") ?? aria("valuenow") ?? element.value;
+      if (value !== undefined && value !== null) state.value = value;
+      const min = aria("valuemin") ?? element.min;
+      const max = aria("valuemax") ?? element.max;
+      if (min !== undefined && min !== "") state.min = Number(min);
+      if (max !== undefined && max !== "") state.max = Number(max);
+    }
+
+    if (type === "select") {
+      const options = Array.from(element.options);
+      state.value = options[element.selectedIndex]?.text.trim() ?? "";
+      state.options = options.slice(0, 20).map((option) => option.text.trim());
+    }
+
+    if (type === "combobox") {
+      const value = element.value ?? element.textContent;
+      if (value) state.value = value.trim().substring(0, 50);
+    }
+
+    return state;
+  }
+
+  /**
+   * Short spoken form of a widget state for prompts and confirmations,
+   * e.g. "on", "selected, expanded" or "value 40"
+   */
+  describeWidgetState(state) {
+    const parts = [];
+    if (state.checked === "mixed") parts.push("partly checked");
+    else if (state.checked !== undefined)
+      parts.push(state.checked ? "on" : "off");
+    if (state.selected) parts.push("selected");
+    if (state.expanded !== undefined) {
+      parts.push(state.expanded ? "expanded" : "collapsed");
+    }
+    if (state.value) parts.push(`value ${state.value}`);
+    if (state.disabled) parts.push("disabled");
+    return parts.join(", ");
+  }
+
+  /**
+   * Get forms and the fields a voice command can fill in them
+   * Fields outside any <form> make up one extra group. Password and file
+   * inputs are left out: they are never filled by voice.
+   * @returns {Array} [{ element, name, fields: [{ element, label, type, name,
+   *   placeholder, id }] }], forms without fillable fields omitted
+   */
+  getForms() {
+    this.searchRoots = this.getSearchRoots();
+    const fieldSelector = "input, textarea, select";
+
+    const forms = this.querySelectorAllDeep("form").map((form, index) => ({
+      element: form,
+      name: this.getFormName(form, index),
+      // form.elements also has fields tied to the form by their form attribute
+      fields: this.getFormFields(
+        [...form.elements].filter((el) => el.matches(fieldSelector))
+      ),
+    }));
+
+    const looseFields = this.getFormFields(
+      this.querySelectorAllDeep(fieldSelector).filter((el) => !el.form)
+    );
+    if (looseFields.length > 0) {
+      forms.push({ element: null, name: "this page", fields: looseFields });
+    }
+    this.searchRoots = null;
+
+    return forms.filter((form) => form.fields.length > 0);
+  }
+
+  /**
+   * A form's name: its accessible name, legend or first heading, falling back
+   * to its name/id attribute or its position
+   */
+  getFormName(form, index) {
+    const labelledBy = form.getAttribute("aria-labelledby");
+    const labelElement =
+      labelledBy && form.getRootNode().getElementById?.(labelledBy);
+    const heading = form.querySelector("legend, h1, h2, h3, h4, h5, h6");
+
+    // getAttribute: form.name and form.id can be shadowed by fields named so
+    return (
+      form.getAttribute("aria-label") ||
+      labelElement?.textContent.trim() ||
+      heading?.textContent.trim() ||
+      form.getAttribute("name") ||
+      form.getAttribute("id") ||
+      `form ${index + 1}`
+    );
+  }
+
+  /**
+   * Visible, editable fields with their labels
+   */
+  getFormFields(elements) {
+    // Radio groups and buttons aren't single fields that take a value
+    const skippedTypes = [
+      "hidden",
+      "submit",
+      "button",
+      "image",
+      "reset",
+      "radio",
+      "password",
+      "file",
+    ];
+
+    return elements
+      .filter(
+        (element) =>
+          !skippedTypes.includes(element.type) &&
+          !element.disabled &&
+          !element.readOnly &&
+          this.isVisible(element)
+      )
+      .map((element) => {
+        const type =
+          element.tagName === "SELECT" ? "select" : element.type || "text";
+        return {
+          element,
+          // getWidgetLabel keeps a checkbox's value and a select's options
+          // out of a wrapping label's text
+          label: ["checkbox", "select"].includes(type)
+            ? this.getWidgetLabel(element, type)
+            : this.getInputLabel(element),
+          type,
+          name: element.name,
+          placeholder: element.placeholder,
+          id: element.id,
+          autocomplete: element.getAttribute("autocomplete") || "",
+        };
+      })
+      .map((field) => ({ ...field, sensitive: this.isSensitiveField(field) }));
+  }
+
+  /**
+   * A field's label, name, id and placeholder as lowercase words
+   * "billing_zipCode" → "billing zip code"
+   */
+  getFieldWords(field) {
+    return [field.label, field.name, field.id, field.placeholder]
+      .filter(Boolean)
+      .join(" ")
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .replace(/[_-]+/g, " ")
+      .toLowerCase();
+  }
+
+  /**
+   * Whether autofill should leave a field alone unless allowed: payment
+   * card and identity numbers, dates of birth
+   */
+  isSensitiveField(field) {
+    const tokens = field.autocomplete.toLowerCase().split(/\s+/);
+    return (
+      tokens.some((token) => token.startsWith("cc-") || token === "bday") ||
+      ElementDetector.SENSITIVE_FIELD_WORDS.test(this.getFieldWords(field))
+    );
+  }
+
+  /**
+   * The profile entry (from PROFILE_FIELDS) that fits a form field, by its
+   * autocomplete attribute, its input type or its label words
+   * @param {Object} field - Field from getForms()
+   * @returns {Object|null} { key, autocomplete, words, sensitive }
+   */
+  matchProfileField(field) {
+    // "shipping postal-code" → ["shipping", "postal-code"]; type="email" and
+    // type="tel" say as much as the autocomplete token
+    const tokens = [
+      ...field.autocomplete.toLowerCase().split(/\s+/),
+      field.type,
+    ];
+    const byToken = ElementDetector.PROFILE_FIELDS.find((entry) =>
+      entry.autocomplete.some((token) => tokens.includes(token))
+    );
+    if (byToken) return byToken;
+
+    const words = this.getFieldWords(field);
+    return (
+      ElementDetector.PROFILE_FIELDS.find((entry) =>
+        entry.words.some((word) => new RegExp(`\\b${word}\\b`).test(words))
+      ) || null
+    );
+  }
+
+  /**
+   * Headings and landmarks on the page, in document order
+   * @returns {Array} [{ type: "heading"|"landmark", element, text, level,
+   *   role, position }]; level is 1-6 for headings, null for landmarks
+   */
+  getOutline() {
+    this.searchRoots = this.getSearchRoots();
+
+    const headings = this.querySelectorAllDeep(
+      'h1, h2, h3, h4, h5, h6, [role="heading"]'
+    )
+      .filter((element) => this.isVisible(element))
+      .map((element) => ({
+        type: "heading",
+        element,
+        text: this.getElementText(element),
+        level:
+          Number(element.getAttribute("aria-level")) ||
+          Number(element.tagName.match(/^H(\d)$/)?.[1]) ||
+          2,
+        role: "heading",
+        position: this.getElementPosition(element),
+      }))
+      .filter(({ text }) => text);
+
+    // A <section role="navigation"> matches two selectors; keep the first
+    const seen = new Set();
+    const landmarks = Object.entries(ElementDetector.LANDMARKS).flatMap(
+      ([role, { selector, name }]) =>
+        this.querySelectorAllDeep(selector)
+          .filter((element) => !seen.has(element) && this.isVisible(element))
+          .map((element) => {
+            seen.add(element);
+            return {
+              type: "landmark",
+              element,
+              text: this.getLandmarkName(element) || name,
+              level: null,
+              role,
+              position: this.getElementPosition(element),
+            };
+          })
+    );
+
+    this.searchRoots = null;
+    return this.sortByOrder([...headings, ...landmarks], "document");
+  }
+
+  /**
+   * A landmark's accessible name, or the text of its first heading
+   */
+  getLandmarkName(element) {
+    const labelledBy = (element.getAttribute("aria-labelledby") || "")
+      .split(/\s+/)
+      .map((id) => element.getRootNode().getElementById?.(id)?.textContent)
+      .filter(Boolean)
+      .join(" ");
+    const heading = element.querySelector(
+      'h1, h2, h3, h4, h5, h6, [role="heading"]'
+    );
+    return (
+      element.getAttribute("aria-label") ||
+      labelledBy ||
+      heading?.textContent ||
+      ""
+    )
+      .trim()
+      .substring(0, 100);
+  }
+
+  /**
+   * The section a description names: a heading or landmark from the outline
+   * ("reviews", "the comments section", "footer"), or else an element whose
+   * id names it, since comment threads often have no heading
+   * @param {string} description - Spoken section name
+   * @returns {Object|null} Outline entry, or { type: "element", element,
+   *   text } for an id match
+   */
+  findSection(description) {
+    const wanted = (description || "")
+      .toLowerCase()
+      .replace(/\b(?:the|a|an|section|part|area)\b/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+    if (!wanted) return null;
+    const words = wanted.split(" ").filter((word) => word.length > 2);
+
+    const score = (entry) => {
+      const text = entry.text.toLowerCase();
+      const name = ElementDetector.LANDMARKS[entry.role]?.name;
+      if (text === wanted || name === wanted || entry.role === wanted) return 1;
+      if (text.startsWith(wanted)) return 0.9;
+      if (text.includes(wanted)) return 0.8;
+      const found = words.filter((word) => text.includes(word)).length;
+      return words.length > 0 ? (found / words.length) * 0.7 : 0;
+    };
+
+    const [best] = this.getOutline()
+      .map((entry) => ({ entry, score: score(entry) }))
+      .filter(({ score }) => score >= 0.5)
+      .sort((a, b) => b.score - a.score);
+    if (best) return best.entry;
+
+    // "comments" → id="comments", id="comment-list"
+    const stems = words.map((word) => word.replace(/s$/, ""));
+    const element = this.querySelectorAllDeep("[id]").find(
+      (candidate) =>
+        stems.some((stem) => candidate.id.toLowerCase().includes(stem)) &&
+        this.isVisible(candidate)
+    );
+    return element
+      ? {
+          type: "element",
+          element,
+          text: this.getLandmarkName(element) || description,
+        }
+      : null;
+  }
+
   /**
    * Check if element is visible
    */
   isVisible(element) {
     if (!element) return false;
 
-    const style = window.getComputedStyle(element);
+    // Elements in iframes are styled by their own window
+    const view = element.ownerDocument.defaultView || window;
+    const style = view.getComputedStyle(element);
     if (
       style.display === "none" ||
       style.visibility === "hidden" ||
@@ -203,9 +881,11 @@ class ElementDetector {
    * Get label for input element
    */
   getInputLabel(element) {
-    // Try to find associated label
+    // Try to find associated label, in the same shadow root or frame
     if (element.id) {
-      const label = document.querySelector(`label[for="${element.id}"]`);
+      const label = element
+        .getRootNode()
+        .querySelector?.(`label[for="${element.id}"]`);
       if (label) return label.textContent.trim();
     }
 
@@ -225,19 +905,23 @@ class ElementDetector {
   }
 
   /**
-   * Get element position relative to viewport
+   * Get element position relative to the top-level viewport
+   * Elements inside iframes are offset by each frame's position.
    */
   getElementPosition(element) {
     const rect = element.getBoundingClientRect();
+    const offset = FrameGeometry.getFrameOffset(element);
+    const top = rect.top + offset.top;
+    const left = rect.left + offset.left;
     return {
-      top: rect.top,
-      left: rect.left,
-      bottom: rect.bottom,
-      right: rect.right,
+      top,
+      left,
+      bottom: top + rect.height,
+      right: left + rect.width,
       width: rect.width,
       height: rect.height,
-      centerX: rect.left + rect.width / 2,
-      centerY: rect.top + rect.height / 2,
+      centerX: left + rect.width / 2,
+      centerY: top + rect.height / 2,
     };
   }
 
@@ -260,22 +944,322 @@ class ElementDetector {
    * @returns {Object|null} Best matching element or null
    */
   findElementByDescription(description) {
-    if (!description) return null;
+    const [best] = this.rankElementsByDescription(description, 1);
+    return best ? best.element : null;
+  }
+
+  /**
+   * Rank detected elements against a description, best first
+   * Only elements scoring above the match threshold (0.3) are returned.
+   * @param {string} description - Natural language description
+   * @param {number} limit - Maximum number of results
+   * @returns {Array<Object>} [{ element, score }]
+   */
+  rankElementsByDescription(description, limit = 5) {
+    if (!description) return [];
 
     const lowerDesc = description.toLowerCase();
-    let bestMatch = null;
-    let bestScore = 0;
 
-    this.detectedElements.forEach((element) => {
-      const score = this.calculateMatchScore(element, lowerDesc);
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = element;
+    return this.detectedElements
+      .map((element) => ({
+        element,
+        score: this.calculateMatchScore(element, lowerDesc),
+      }))
+      .filter(({ score }) => score > 0.3)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Pull ordinal, element type, region and "near X" modifiers out of a
+   * description like "the third link", "the search box at the top" or
+   * "the button next to Price"
+   * @param {string} description - Natural language description
+   * @param {Object} modifiers - Modifiers from the intent; non-null values win
+   * @returns {Object} { text, ordinal, elementType, region, near, order, isPositional }
+   *   where ordinal is 1-based, negative counts from the end (-1 = last) and
+   *   text is what is left to match against element labels
+   */
+  parseReference(description, modifiers = {}) {
+    let text = ` ${(description || "").toLowerCase()} `;
+    const parsed = {
+      ordinal: null,
+      elementType: null,
+      region: null,
+      near: null,
+      order: "visual",
+    };
+    const take = (pattern, handler) => {
+      const match = text.match(pattern);
+      if (!match) return;
+      handler(match);
+      text = text.replace(pattern, " ");
+    };
+
+    // "near X" first, so words inside X aren't read as modifiers
+    take(
+      /\s(?:next to|near|beside|close to)\s+(?!the (?:top|bottom)\b)(?:the\s+)?(.+?)\s*$/,
+      (match) => (parsed.near = match[1].trim())
+    );
+
+    const ordinals = {
+      first: 1,
+      second: 2,
+      third: 3,
+      fourth: 4,
+      fifth: 5,
+      sixth: 6,
+      seventh: 7,
+      eighth: 8,
+      ninth: 9,
+      tenth: 10,
+    };
+    take(/\s(?:second to last|second last|penultimate)\s/, () => {
+      parsed.ordinal = -2;
+    });
+    // "first name" and "last name" are field labels, not positions
+    take(/\slast\s(?!name\b)/, () => (parsed.ordinal = parsed.ordinal ?? -1));
+    take(
+      new RegExp(`\\s(${Object.keys(ordinals).join("|")})\\s(?!name\\b)`),
+      (match) => (parsed.ordinal = parsed.ordinal ?? ordinals[match[1]])
+    );
+    take(/\s(\d+)(?:st|nd|rd|th)\s/, (match) => {
+      parsed.ordinal = parsed.ordinal ?? Number(match[1]);
+    });
+
+    // Bare "top"/"left" only count right before an element type, so
+    // "back to top" stays a label
+    const edge = (word) =>
+      new RegExp(
+        `\\s(?:at|on|near) the ${word}(?: side| of the page)?\\s|` +
+          `\\s${word}(?=\\s(?:search|buttons?|links?|fields?|inputs?|text ?box|tabs?))`
+      );
+    const regions = {
+      top: edge("top"),
+      bottom: edge("bottom"),
+      header: /\s(?:in|at) the (?:header|banner)\s/,
+      footer: /\s(?:in|at) the footer\s/,
+      sidebar: /\s(?:in|on) the side ?bar\s/,
+      main: /\s(?:in|at) the main (?:content|area|section)\s/,
+      left: edge("left"),
+      right: edge("right"),
+    };
+    Object.entries(regions).forEach(([region, pattern]) => {
+      if (parsed.region) return;
+      take(pattern, () => (parsed.region = region));
+    });
+
+    take(
+      /\s(search (?:box|bar|field|input)|buttons?|links?|text ?box(?:es)?|fields?|inputs?|tabs?|check ?box(?:es)?|switch(?:es)?|toggles?|sliders?|drop ?downs?|menu items?|options?)\s/,
+      (match) => {
+        const types = {
+          search: "search",
+          button: "button",
+          link: "link",
+          tab: "tab",
+          check: "checkbox",
+          switch: "switch",
+          toggle: "switch",
+          slider: "slider",
+          drop: "select",
+          menu: "menuitem",
+          option: "option",
+        };
+        const prefix = Object.keys(types).find((key) =>
+          match[1].startsWith(key)
+        );
+        parsed.elementType = prefix ? types[prefix] : "input";
       }
+    );
+
+    const reference = {
+      ...parsed,
+      text: text
+        .replace(/\s(?:the|a|an|one|on|in|at|of)(?=\s)/g, " ")
+        .replace(/\s+/g, " ")
+        .trim(),
+    };
+    Object.entries(modifiers || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && key in parsed) {
+        reference[key] = value;
+      }
+    });
+    reference.isPositional =
+      reference.ordinal !== null ||
+      reference.region !== null ||
+      reference.near !== null;
+
+    return reference;
+  }
+
+  /**
+   * Resolve a parsed reference against the detected elements
+   * @param {Object} reference - Result of parseReference
+   * @returns {Array<Object>} Matching detected elements, best first; a single
+   *   element when an ordinal was given
+   */
+  resolveReference(reference) {
+    // Search bars are also detected as inputs - count each element once
+    const seen = new Set();
+    let candidates = this.detectedElements.filter(({ element }) => {
+      if (seen.has(element)) return false;
+      seen.add(element);
+      return true;
+    });
+
+    if (reference.elementType) {
+      candidates = candidates.filter(
+        (el) =>
+          el.type === reference.elementType ||
+          (reference.elementType === "input" && el.type === "search") ||
+          (reference.elementType === "select" && el.type === "combobox") ||
+          (reference.elementType === "search" &&
+            el.type === "input" &&
+            this.calculateMatchScore(el, "search") > 0)
+      );
+    }
+
+    if (reference.text) {
+      const labelled = candidates.filter(
+        (el) => this.calculateMatchScore(el, reference.text) > 0.3
+      );
+      // A leftover noun like "result" in "the second result" names no
+      // label, so the ordinal alone picks among the candidates
+      candidates =
+        labelled.length > 0 || reference.ordinal === null
+          ? labelled
+          : candidates;
+    }
+
+    if (reference.region) {
+      const inRegion = candidates.filter((el) =>
+        this.isInRegion(el, reference.region)
+      );
+      // A page without landmarks still has a top and a bottom
+      candidates = inRegion.length > 0 ? inRegion : candidates;
+    }
+
+    if (reference.near) {
+      const anchor = this.findAnchor(reference.near);
+      if (!anchor) return [];
+      const center = this.getElementPosition(anchor);
+      const distance = (el) => {
+        const position = this.getElementPosition(el.element);
+        return Math.hypot(
+          position.centerX - center.centerX,
+          position.centerY - center.centerY
+        );
+      };
+      candidates = candidates
+        .filter(
+          ({ element }) => element !== anchor && !element.contains(anchor)
+        )
+        .map((el) => ({ el, distance: distance(el) }))
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ el }) => el);
+    } else {
+      candidates = this.sortByOrder(candidates, reference.order);
+    }
+
+    if (reference.ordinal !== null) {
+      const index =
+        reference.ordinal > 0
+          ? reference.ordinal - 1
+          : candidates.length + reference.ordinal;
+      return candidates[index] ? [candidates[index]] : [];
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Sort detected elements in visual reading order (rows top to bottom,
+   * then left to right) or in document order
+   */
+  sortByOrder(elements, order = "visual") {
+    if (order === "document") {
+      return [...elements].sort((a, b) =>
+        a.element.compareDocumentPosition(b.element) &
+        Node.DOCUMENT_POSITION_FOLLOWING
+          ? -1
+          : 1
+      );
+    }
+
+    // Elements whose tops are within a few pixels share a row
+    const rowTolerance = 5;
+    return [...elements].sort((a, b) => {
+      const top = a.position.top - b.position.top;
+      if (Math.abs(top) > rowTolerance) return top;
+      return a.position.left - b.position.left;
     });
+  }
+
+  /**
+   * Whether a detected element lies in a page region
+   * Landmark regions use the page's header/footer/aside/main elements; edges
+   * use the element's place on the page.
+   */
+  isInRegion(el, region) {
+    const landmarks = {
+      header: 'header, [role="banner"]',
+      footer: 'footer, [role="contentinfo"]',
+      sidebar: 'aside, [role="complementary"]',
+      main: 'main, [role="main"]',
+    };
+    if (landmarks[region]) {
+      return !!el.element.closest(landmarks[region]);
+    }
 
-    // Return match only if confidence is high enough
-    return bestScore > 0.3 ? bestMatch : null;
+    const pageHeight = Math.max(
+      document.documentElement.scrollHeight,
+      window.innerHeight
+    );
+    const pageTop = el.position.centerY + window.scrollY;
+    switch (region) {
+      case "top":
+        return pageTop < pageHeight / 3;
+      case "bottom":
+        return pageTop > (pageHeight * 2) / 3;
+      case "left":
+        return el.position.centerX < window.innerWidth / 2;
+      case "right":
+        return el.position.centerX >= window.innerWidth / 2;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Find the element a "near X" reference points at
+   * Prefers a matching interactive element, then any visible text on the page.
+   */
+  findAnchor(description) {
+    const [match] = this.rankElementsByDescription(description, 1);
+    if (match) return match.element.element;
+
+    const needle = description.toLowerCase();
+    const walker = document.createTreeWalker(
+      document.body,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) => {
+          const parent = node.parentElement;
+          if (
+            !parent ||
+            parent.closest('script, style, noscript, [id^="lavio-"]') ||
+            !node.textContent.toLowerCase().includes(needle)
+          ) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          return this.isVisible(parent)
+            ? NodeFilter.FILTER_ACCEPT
+            : NodeFilter.FILTER_REJECT;
+        },
+      }
+    );
+
+    return walker.nextNode()?.parentElement || null;
   }
 
   /**
@@ -285,10 +1269,33 @@ class ElementDetector {
     let score = 0;
 
     // Check element type match
-    if (description.includes(element.type)) {
+    const typeWords = ElementDetector.WIDGET_WORDS[element.type];
+    if (typeWords) {
+      if (
+        typeWords.some((word) => new RegExp(`\\b${word}\\b`).test(description))
+      ) {
+        score += 0.3;
+      }
+    } else if (description.includes(element.type)) {
       score += 0.3;
     }
 
+    // "turn off" fits a switch that is on better than one already off
+    if (element.state && typeof element.state.checked === "boolean") {
+      const wantsOff = /\b(turn off|switch off|disable|uncheck|untick)\b/.test(
+        description
+      );
+      const wantsOn =
+        !wantsOff &&
+        /\b(turn on|switch on|enable|check|tick)\b/.test(description);
+      if (
+        (wantsOff && element.state.checked) ||
+        (wantsOn && !element.state.checked)
+      ) {
+        score += 0.1;
+      }
+    }
+
     // Check text content match
     const elementText = (
       element.text ||
@@ -0,0 +1,39 @@
+/**
+ * Frame Geometry for Lavio AI Assistant
+ * Where an element sits among the iframes of the page, shared by the
+ * element detector and the action executor
+ */
+
+class FrameGeometry {
+  /**
+   * The iframes holding an element, outermost first ([] in the top document)
+   */
+  static getFrameChain(element) {
+    const frames = [];
+    let frame = element.ownerDocument.defaultView?.frameElement;
+    while (frame) {
+      frames.unshift(frame);
+      frame = frame.ownerDocument.defaultView?.frameElement;
+    }
+    return frames;
+  }
+
+  /**
+   * Distance from the top-level viewport to the viewport of the frame that
+   * holds an element ({top: 0, left: 0} for the top document)
+   */
+  static getFrameOffset(element) {
+    const offset = { top: 0, left: 0 };
+    FrameGeometry.getFrameChain(element).forEach((frame) => {
+      const rect = frame.getBoundingClientRect();
+      offset.top += rect.top + frame.clientTop;
+      offset.left += rect.left + frame.clientLeft;
+    });
+    return offset;
+  }
+}
+
+// Export for use in the other content scripts
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FrameGeometry;
+}
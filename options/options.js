@@ -8,11 +8,31 @@ class LavioOptions {
       responseLength: 'medium',
       contextAwareness: true,
       conversationMemory: true,
+      semanticFind: true,
       maxHistory: 20,
       saveHistory: true,
       clearOnExit: false,
       debugMode: false,
-      experimentalFeatures: false
+      experimentalFeatures: false,
+      aiProvider: 'chrome',
+      localEndpoint: 'http://localhost:11434/v1',
+      localModel: '',
+      localApiKey: '',
+      localContextWindow: 8192,
+      localMultimodal: false,
+      // Per action type: 'sensitive' (submits, passwords), 'always' or 'never'
+      confirmActions: {
+        click: 'sensitive',
+        type: 'sensitive',
+        focus: 'sensitive',
+        select: 'sensitive',
+        toggle: 'sensitive',
+        set_value: 'sensitive',
+        press_key: 'sensitive',
+        fill_form: 'sensitive',
+        manage_tab: 'sensitive'
+      },
+      confirmTimeout: 15
     };
     
     this.init();
@@ -20,14 +40,24 @@ class LavioOptions {
 
   async init() {
     await this.loadSettings();
+    await this.loadProfiles();
     this.setupEventListeners();
     this.updateUI();
+    this.renderProfiles();
   }
 
   async loadSettings() {
     try {
       const result = await chrome.storage.sync.get(this.defaultSettings);
-      this.settings = { ...this.defaultSettings, ...result };
+      // The API key is kept on this device only; an older synced copy is
+      // used until the next save moves it
+      const local = await chrome.storage.local.get({ localApiKey: result.localApiKey });
+      this.settings = { ...this.defaultSettings, ...result, localApiKey: local.localApiKey };
+      // Action types added after the settings were saved keep their default
+      this.settings.confirmActions = {
+        ...this.defaultSettings.confirmActions,
+        ...result.confirmActions
+      };
     } catch (error) {
       console.error('Error loading settings:', error);
       this.settings = { ...this.defaultSettings };
@@ -36,7 +66,10 @@ class LavioOptions {
 
   async saveSettings() {
     try {
-      await chrome.storage.sync.set(this.settings);
+      const { localApiKey, ...syncedSettings } = this.settings;
+      await chrome.storage.sync.set(syncedSettings);
+      await chrome.storage.local.set({ localApiKey });
+      await chrome.storage.sync.remove('localApiKey');
       this.showStatus('Settings saved successfully!', 'success');
       
       // Notify background script of settings change
@@ -58,10 +91,12 @@ class LavioOptions {
       'show-floating-button',
       'context-awareness',
       'conversation-memory',
+      'semantic-find',
       'save-history',
       'clear-on-exit',
       'debug-mode',
-      'experimental-features'
+      'experimental-features',
+      'local-multimodal'
     ];
 
     toggles.forEach(id => {
@@ -72,7 +107,7 @@ class LavioOptions {
     });
 
     // Select dropdowns
-    const selects = ['preferred-language', 'response-length'];
+    const selects = ['preferred-language', 'response-length', 'ai-provider'];
     selects.forEach(id => {
       const select = document.getElementById(id);
       if (select) {
@@ -88,6 +123,54 @@ class LavioOptions {
       });
     }
 
+    // Local provider text inputs
+    const textInputs = {
+      'local-endpoint': 'localEndpoint',
+      'local-model': 'localModel',
+      'local-api-key': 'localApiKey'
+    };
+    Object.entries(textInputs).forEach(([id, settingKey]) => {
+      document.getElementById(id)?.addEventListener('change', (e) => {
+        this.settings[settingKey] = e.target.value.trim();
+      });
+    });
+
+    // Action confirmation
+    document.querySelectorAll('[data-confirm-action]').forEach(select => {
+      select.addEventListener('change', (e) => {
+        this.settings.confirmActions = {
+          ...this.settings.confirmActions,
+          [select.dataset.confirmAction]: e.target.value
+        };
+      });
+    });
+
+    document.getElementById('confirm-timeout')?.addEventListener('change', (e) => {
+      const value = parseInt(e.target.value);
+      if (value >= 5 && value <= 120) {
+        this.settings.confirmTimeout = value;
+      }
+    });
+
+    document.getElementById('local-context-window')?.addEventListener('change', (e) => {
+      const value = parseInt(e.target.value);
+      if (value >= 1024) {
+        this.settings.localContextWindow = value;
+      }
+    });
+
+    // Autofill profiles
+    document.getElementById('profile-select')?.addEventListener('change', (e) => {
+      this.currentProfile = e.target.value;
+      this.renderProfiles();
+    });
+    document.getElementById('add-profile')?.addEventListener('click', () => this.addProfile());
+    document.getElementById('save-profile')?.addEventListener('click', () => this.saveProfile());
+    document.getElementById('delete-profile')?.addEventListener('click', () => this.deleteProfile());
+    document.getElementById('profile-include-sensitive')?.addEventListener('click', (e) => {
+      e.currentTarget.classList.toggle('active');
+    });
+
     // Action buttons
     document.getElementById('save-settings')?.addEventListener('click', () => this.saveSettings());
     document.getElementById('reset-settings')?.addEventListener('click', () => this.resetSettings());
@@ -114,6 +197,17 @@ class LavioOptions {
   handleSelectChange(selectId, value) {
     const settingKey = this.selectIdToSettingKey(selectId);
     this.settings[settingKey] = value;
+
+    if (selectId === 'ai-provider') {
+      this.updateProviderUI();
+    }
+  }
+
+  updateProviderUI() {
+    const localSettings = document.getElementById('local-provider-settings');
+    if (localSettings) {
+      localSettings.style.display = this.settings.aiProvider === 'openai-compatible' ? 'block' : 'none';
+    }
   }
 
   handleNumberChange(settingKey, value) {
@@ -129,10 +223,12 @@ class LavioOptions {
       'show-floating-button': 'showFloatingButton',
       'context-awareness': 'contextAwareness',
       'conversation-memory': 'conversationMemory',
+      'semantic-find': 'semanticFind',
       'save-history': 'saveHistory',
       'clear-on-exit': 'clearOnExit',
       'debug-mode': 'debugMode',
-      'experimental-features': 'experimentalFeatures'
+      'experimental-features': 'experimentalFeatures',
+      'local-multimodal': 'localMultimodal'
     };
     return mapping[toggleId];
   }
@@ -140,7 +236,8 @@ class LavioOptions {
   selectIdToSettingKey(selectId) {
     const mapping = {
       'preferred-language': 'preferredLanguage',
-      'response-length': 'responseLength'
+      'response-length': 'responseLength',
+      'ai-provider': 'aiProvider'
     };
     return mapping[selectId];
   }
@@ -177,6 +274,36 @@ class LavioOptions {
     if (historyInput) {
       historyInput.value = this.settings.maxHistory;
     }
+
+    const timeoutInput = document.getElementById('confirm-timeout');
+    if (timeoutInput) {
+      timeoutInput.value = this.settings.confirmTimeout;
+    }
+
+    document.querySelectorAll('[data-confirm-action]').forEach(select => {
+      select.value = this.settings.confirmActions[select.dataset.confirmAction] || 'sensitive';
+    });
+
+    // Update AI provider fields
+    const providerSelect = document.getElementById('ai-provider');
+    if (providerSelect) {
+      providerSelect.value = this.settings.aiProvider;
+    }
+
+    const providerInputs = {
+      'local-endpoint': this.settings.localEndpoint,
+      'local-model': this.settings.localModel,
+      'local-api-key': this.settings.localApiKey,
+      'local-context-window': this.settings.localContextWindow
+    };
+    Object.entries(providerInputs).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.value = value;
+      }
+    });
+
+    this.updateProviderUI();
   }
 
   settingKeyToToggleId(settingKey) {
@@ -186,14 +313,103 @@ class LavioOptions {
       'showFloatingButton': 'show-floating-button',
       'contextAwareness': 'context-awareness',
       'conversationMemory': 'conversation-memory',
+      'semanticFind': 'semantic-find',
       'saveHistory': 'save-history',
       'clearOnExit': 'clear-on-exit',
       'debugMode': 'debug-mode',
-      'experimentalFeatures': 'experimental-features'
+      'experimentalFeatures': 'experimental-features',
+      'localMultimodal': 'local-multimodal'
     };
     return mapping[settingKey];
   }
 
+  // Autofill profiles live in chrome.storage.local: they are personal data
+  // and shouldn't sync to other devices
+  async loadProfiles() {
+    try {
+      const result = await chrome.storage.local.get({ profiles: {} });
+      this.profiles = result.profiles;
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+      this.profiles = {};
+    }
+    this.currentProfile = Object.keys(this.profiles)[0] || null;
+  }
+
+  renderProfiles() {
+    const select = document.getElementById('profile-select');
+    const editor = document.getElementById('profile-editor');
+    if (!select || !editor) return;
+
+    select.replaceChildren(...Object.keys(this.profiles).map(name => new Option(name, name)));
+    select.value = this.currentProfile || '';
+    editor.style.display = this.currentProfile ? 'block' : 'none';
+    if (!this.currentProfile) return;
+
+    const profile = this.profiles[this.currentProfile];
+    document.querySelectorAll('[data-profile-field]').forEach(input => {
+      input.value = profile.values?.[input.dataset.profileField] || '';
+    });
+    document.getElementById('profile-include-sensitive')
+      ?.classList.toggle('active', !!profile.includeSensitive);
+  }
+
+  addProfile() {
+    const input = document.getElementById('new-profile-name');
+    const name = input?.value.trim().toLowerCase();
+    if (!name) return;
+
+    if (this.profiles[name]) {
+      this.showStatus(`A profile called "${name}" already exists.`, 'error');
+      return;
+    }
+    this.profiles[name] = { values: {}, includeSensitive: false };
+    this.currentProfile = name;
+    input.value = '';
+    this.renderProfiles();
+  }
+
+  async saveProfile() {
+    if (!this.currentProfile) return;
+
+    const values = {};
+    document.querySelectorAll('[data-profile-field]').forEach(input => {
+      const value = input.value.trim();
+      if (value) {
+        values[input.dataset.profileField] = value;
+      }
+    });
+    this.profiles[this.currentProfile] = {
+      values,
+      includeSensitive: !!document.getElementById('profile-include-sensitive')
+        ?.classList.contains('active')
+    };
+
+    try {
+      await chrome.storage.local.set({ profiles: this.profiles });
+      this.showStatus(`Profile "${this.currentProfile}" saved!`, 'success');
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      this.showStatus('Error saving profile. Please try again.', 'error');
+    }
+  }
+
+  async deleteProfile() {
+    if (!this.currentProfile) return;
+    if (!confirm(`Delete the "${this.currentProfile}" profile? This cannot be undone.`)) return;
+
+    delete this.profiles[this.currentProfile];
+    this.currentProfile = Object.keys(this.profiles)[0] || null;
+    try {
+      await chrome.storage.local.set({ profiles: this.profiles });
+      this.showStatus('Profile deleted!', 'success');
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      this.showStatus('Error deleting profile. Please try again.', 'error');
+    }
+    this.renderProfiles();
+  }
+
   async resetSettings() {
     if (confirm('Are you sure you want to reset all settings to defaults? This cannot be undone.')) {
       this.settings = { ...this.defaultSettings };
@@ -204,7 +420,9 @@ class LavioOptions {
   }
 
   exportSettings() {
-    const settingsJson = JSON.stringify(this.settings, null, 2);
+    // The API key stays on this device, so it is left out of the file
+    const { localApiKey, ...exportedSettings } = this.settings;
+    const settingsJson = JSON.stringify(exportedSettings, null, 2);
     const blob = new Blob([settingsJson], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     
@@ -260,12 +478,14 @@ class LavioOptions {
       // Validate imported settings
       const validSettings = {};
       Object.keys(this.defaultSettings).forEach(key => {
+        // A file never sets this device's API key
+        if (key === 'localApiKey') return;
         if (importedSettings.hasOwnProperty(key)) {
           validSettings[key] = importedSettings[key];
         }
       });
       
-      this.settings = { ...this.defaultSettings, ...validSettings };
+      this.settings = { ...this.defaultSettings, ...validSettings, localApiKey: this.settings.localApiKey };
       this.updateUI();
       await this.saveSettings();
       this.showStatus('Settings imported successfully!', 'success');
@@ -0,0 +1,291 @@
+/**
+ * Page Finder for Lavio AI Assistant
+ * Finds text on the page and highlights every match in an overlay layer
+ */
+
+class PageFinder {
+  // Elements whose text is never searched
+  static SKIPPED =
+    'script, style, noscript, template, textarea, select, [hidden], [aria-hidden="true"], [id^="lavio-"], [class^="lavio-"], [class*=" lavio-"]';
+
+  // Blocks offered to the AI as passages for semantic search
+  static PASSAGES =
+    "p, li, h1, h2, h3, h4, h5, h6, td, th, dt, dd, blockquote, figcaption, summary, pre";
+
+  // Most matches highlighted for one search
+  static MAX_MATCHES = 500;
+
+  constructor() {
+    this.query = null;
+    this.matches = []; // [{ range, element }]
+    this.current = -1;
+    this.layer = null;
+    this.renderHandler = () => this.render();
+  }
+
+  /**
+   * Highlight every visible occurrence of some text and scroll to the first
+   * Case and spacing don't matter; words may span inline elements.
+   * @param {string} query - Text to find
+   * @returns {Object} Result with success status, count and index (0-based)
+   */
+  find(query) {
+    this.clear();
+    const text = String(query ?? "").trim();
+    if (!text) {
+      return { success: false, error: "Nothing to find" };
+    }
+
+    this.query = text;
+    this.matches = this.findRanges(text);
+    if (this.matches.length === 0) {
+      return { success: false, count: 0, error: `No matches for "${text}"` };
+    }
+
+    return this.goTo(0);
+  }
+
+  /**
+   * Highlight whole passages, such as the ones the AI picked for a question
+   * @param {Array<HTMLElement>} elements - Passage elements, best first
+   * @param {string} query - What was searched for
+   * @returns {Object} Result with success status, count and index
+   */
+  showPassages(elements, query) {
+    this.clear();
+    this.query = query;
+    this.matches = elements.map((element) => {
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      return { range, element };
+    });
+    if (this.matches.length === 0) {
+      return {
+        success: false,
+        count: 0,
+        error: `No passages about "${query}"`,
+      };
+    }
+
+    return this.goTo(0);
+  }
+
+  /**
+   * Move to the next match, wrapping around at the end
+   */
+  next() {
+    if (this.matches.length === 0) {
+      return { success: false, error: "There is no search to move through" };
+    }
+    return this.goTo((this.current + 1) % this.matches.length);
+  }
+
+  /**
+   * Move to the previous match, wrapping around at the start
+   */
+  previous() {
+    if (this.matches.length === 0) {
+      return { success: false, error: "There is no search to move through" };
+    }
+    const count = this.matches.length;
+    return this.goTo((this.current - 1 + count) % count);
+  }
+
+  /**
+   * Make a match the current one and scroll it into view
+   * @param {number} index - 0-based match index
+   */
+  goTo(index) {
+    this.current = index;
+    this.render();
+    this.matches[index].element.scrollIntoView({
+      behavior: "smooth",
+      block: "center",
+    });
+    window.addEventListener("resize", this.renderHandler);
+
+    return {
+      success: true,
+      count: this.matches.length,
+      index,
+      text: this.matches[index].range.toString().trim().substring(0, 100),
+    };
+  }
+
+  /**
+   * Remove the highlights and forget the search
+   */
+  clear() {
+    const hadSearch = this.query !== null;
+    this.layer?.remove();
+    this.layer = null;
+    this.query = null;
+    this.matches = [];
+    this.current = -1;
+    window.removeEventListener("resize", this.renderHandler);
+    return { success: hadSearch };
+  }
+
+  isActive() {
+    return this.matches.length > 0;
+  }
+
+  /**
+   * Ranges covering each occurrence of the query in visible text
+   */
+  findRanges(query) {
+    const nodes = [];
+    let text = "";
+    const walker = document.createTreeWalker(
+      document.body,
+      NodeFilter.SHOW_TEXT
+    );
+    const visible = new Map();
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.data.trim() && this.isSearchable(node.parentElement, visible)) {
+        nodes.push({ node, start: text.length });
+        text += node.data;
+      }
+    }
+
+    // "refund policy" also matches "Refund\n  policy"
+    const pattern = new RegExp(
+      query
+        .split(/\s+/)
+        .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join("\\s+"),
+      "gi"
+    );
+
+    const matches = [];
+    let found;
+    while (
+      (found = pattern.exec(text)) &&
+      matches.length < PageFinder.MAX_MATCHES
+    ) {
+      const start = this.locate(nodes, found.index);
+      const end = this.locate(nodes, found.index + found[0].length, true);
+      const range = document.createRange();
+      range.setStart(start.node, found.index - start.start);
+      range.setEnd(end.node, found.index + found[0].length - end.start);
+      matches.push({ range, element: start.node.parentElement });
+    }
+    return matches;
+  }
+
+  /**
+   * The text node holding a character offset of the joined text
+   * @param {boolean} isEnd - Offset is a match end, so belongs to the node
+   *   it follows rather than the one it precedes
+   */
+  locate(nodes, offset, isEnd = false) {
+    let low = 0;
+    let high = nodes.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      const start = nodes[mid].start;
+      if (start < offset || (!isEnd && start === offset)) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return nodes[low];
+  }
+
+  /**
+   * Whether text inside an element is shown and not Lavio's own
+   * @param {Map} cache - Results per element for this search
+   */
+  isSearchable(element, cache) {
+    if (!element) return false;
+    if (!cache.has(element)) {
+      const style = window.getComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      cache.set(
+        element,
+        !element.closest(PageFinder.SKIPPED) &&
+          style.display !== "none" &&
+          style.visibility !== "hidden" &&
+          rect.width > 0 &&
+          rect.height > 0
+      );
+    }
+    return cache.get(element);
+  }
+
+  /**
+   * Visible blocks of text, for the AI to pick passages from
+   * Blocks that contain other blocks (a list item holding paragraphs) are
+   * left to their children.
+   * @param {number} limit - Most passages returned
+   * @returns {Array} [{ element, text }]
+   */
+  getPassages(limit = 80) {
+    const visible = new Map();
+    return Array.from(document.body.querySelectorAll(PageFinder.PASSAGES))
+      .filter(
+        (element) =>
+          !element.querySelector(PageFinder.PASSAGES) &&
+          this.isSearchable(element, visible) &&
+          element.textContent.trim()
+      )
+      .slice(0, limit)
+      .map((element) => ({
+        element,
+        text: element.textContent.replace(/\s+/g, " ").trim().substring(0, 300),
+      }));
+  }
+
+  /**
+   * Draw a box over each match, the current one in a stronger color
+   * Boxes sit in one absolutely positioned layer so the page's own layout
+   * and styles are left alone.
+   */
+  render() {
+    if (!this.layer) {
+      this.layer = document.createElement("div");
+      this.layer.id = "lavio-find-layer";
+      Object.assign(this.layer.style, {
+        position: "absolute",
+        top: "0",
+        left: "0",
+        width: "0",
+        height: "0",
+        pointerEvents: "none",
+        zIndex: "2147483646",
+      });
+      document.body.appendChild(this.layer);
+    }
+
+    const boxes = this.matches.flatMap(({ range }, i) =>
+      Array.from(range.getClientRects(), (rect) => {
+        const box = document.createElement("div");
+        box.className =
+          i === this.current
+            ? "lavio-find-match lavio-find-current"
+            : "lavio-find-match";
+        Object.assign(box.style, {
+          position: "absolute",
+          left: `${rect.left + window.scrollX}px`,
+          top: `${rect.top + window.scrollY}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+          background:
+            i === this.current
+              ? "rgba(255, 140, 0, 0.5)"
+              : "rgba(255, 215, 0, 0.4)",
+          borderRadius: "2px",
+        });
+        return box;
+      })
+    );
+    this.layer.replaceChildren(...boxes);
+  }
+}
+
+// Export for use in content.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PageFinder;
+}
@@ -5,7 +5,30 @@
  */
 
 class PageManipulator {
-  constructor() {
+  // Methods that change the page, recorded for undo, and how each change is
+  // described after "Undid"
+  static RECORDED_CHANGES = {
+    adjustTextSize: "the text size change",
+    toggleDarkMode: "the dark mode change",
+    changeBackgroundColor: "the background color change",
+    changeTextColor: "the text color change",
+    adjustContrast: "the contrast change",
+    hideElements: "hiding elements",
+    showElements: "showing elements",
+    enableReaderMode: "reader mode",
+    disableReaderMode: "turning off reader mode",
+    adjustWidth: "the width change",
+    centerContent: "centering the content",
+    enableFocusMode: "focus mode",
+    disableFocusMode: "turning off focus mode",
+    setZoom: "the zoom change",
+    resetAll: "the reset",
+  };
+
+  /**
+   * @param {ActionHistory} history - Where every change is recorded for undo
+   */
+  constructor(history = null) {
     // Store original styles for reset functionality
     this.originalStyles = new Map();
 
@@ -24,10 +47,105 @@ class PageManipulator {
     // Hidden elements
     this.hiddenElements = [];
 
+    // Undo history shared with the action executor
+    this.history = history;
+    this.recordChanges();
+
     // Initialize
     this.init();
   }
 
+  /**
+   * Wrap each method that changes the page so a successful change is
+   * recorded with the page state before and after it
+   */
+  recordChanges() {
+    Object.entries(PageManipulator.RECORDED_CHANGES).forEach(
+      ([name, description]) => {
+        const change = this[name].bind(this);
+        this[name] = (...args) => {
+          const before = this.captureState();
+          const result = change(...args);
+          if (result.success && this.history) {
+            const after = this.captureState();
+            this.history.record({
+              description,
+              undo: () => this.restoreState(before),
+              redo: () => this.restoreState(after),
+            });
+          }
+          return result;
+        };
+      }
+    );
+  }
+
+  /**
+   * Snapshot everything the manipulator has changed on the page
+   * @returns {Object} State for restoreState
+   */
+  captureState() {
+    return {
+      css: this.customStyleElement?.textContent || "",
+      zoom: document.body.style.zoom,
+      isDarkModeEnabled: this.isDarkModeEnabled,
+      textSizeMultiplier: this.textSizeMultiplier,
+      activeManipulations: [...this.activeManipulations],
+      hidden: Array.from(
+        document.querySelectorAll(
+          "[data-lavio-hidden], [data-lavio-focus-hidden]"
+        ),
+        (el) => ({
+          el,
+          hidden: el.getAttribute("data-lavio-hidden"),
+          focusHidden: el.getAttribute("data-lavio-focus-hidden"),
+          display: el.getAttribute("data-lavio-display"),
+        })
+      ),
+    };
+  }
+
+  /**
+   * Put the page back the way captureState found it
+   * @param {Object} state - From captureState
+   * @returns {Object} Result with success status
+   */
+  restoreState(state) {
+    const setAttribute = (el, name, value) =>
+      value === null ? el.removeAttribute(name) : el.setAttribute(name, value);
+
+    // Show what the state didn't hide, then hide what it did
+    document
+      .querySelectorAll("[data-lavio-hidden], [data-lavio-focus-hidden]")
+      .forEach((el) => {
+        if (state.hidden.some((entry) => entry.el === el)) return;
+        el.style.display = el.getAttribute("data-lavio-display") || "";
+        el.removeAttribute("data-lavio-hidden");
+        el.removeAttribute("data-lavio-focus-hidden");
+        el.removeAttribute("data-lavio-display");
+      });
+    state.hidden.forEach(({ el, hidden, focusHidden, display }) => {
+      setAttribute(el, "data-lavio-hidden", hidden);
+      setAttribute(el, "data-lavio-focus-hidden", focusHidden);
+      setAttribute(el, "data-lavio-display", display);
+      el.style.display = "none";
+    });
+    this.hiddenElements = state.hidden
+      .filter((entry) => entry.hidden !== null)
+      .map((entry) => entry.el);
+
+    if (!this.customStyleElement) {
+      this.createCustomStyleElement();
+    }
+    this.customStyleElement.textContent = state.css;
+    document.body.style.zoom = state.zoom;
+    this.isDarkModeEnabled = state.isDarkModeEnabled;
+    this.textSizeMultiplier = state.textSizeMultiplier;
+    this.activeManipulations = [...state.activeManipulations];
+
+    return { success: true };
+  }
+
   /**
    * Initialize the manipulator
    */
@@ -972,9 +1090,15 @@ class PageManipulator {
 
   /**
    * Undo last manipulation
-   * @returns {Object} Result with success status and message
+   * With an undo history this undoes the last recorded change, whatever made
+   * it, and returns a Promise; without one it clears the last style block.
+   * @returns {Object|Promise<Object>} Result with success status and message
    */
   undoLast() {
+    if (this.history) {
+      return this.history.undo();
+    }
+
     if (this.activeManipulations.length === 0) {
       return {
         success: false,
@@ -38,12 +38,20 @@ class LavioPopup {
         break;
       
       case "ACTIVITY_UPDATE":
-        this.updateActivity(message.activity, message.description, message.progress);
+        if (sender.tab?.id === this.currentTab?.id) {
+          this.updateActivity(message.activity.type, message.activity.description, message.activity.progress);
+        }
         break;
       
       case "STATS_UPDATE":
         this.updateStats(message.stats);
         break;
+
+      case "TOKEN_BUDGET_UPDATE":
+        if (message.tabId === this.currentTab?.id) {
+          this.updateTokenBudget(message.budget);
+        }
+        break;
     }
   }
 
@@ -61,6 +69,7 @@ class LavioPopup {
 
     // Check AI status
     await this.checkAIStatus();
+    await this.loadTokenBudget();
 
     // Setup event listeners
     this.setupEventListeners();
@@ -119,6 +128,10 @@ class LavioPopup {
 
       // Check if AI service is available
       const response = await chrome.runtime.sendMessage({ type: "CHECK_AI_STATUS" });
+
+      if (response?.backends) {
+        aiServiceStatus.title = this.formatBackends(response.backends);
+      }
       
       if (response && response.available) {
         statusElement.textContent = 'Ready';
@@ -144,6 +157,53 @@ class LavioPopup {
     }
   }
 
+  async loadTokenBudget() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "GET_TOKEN_BUDGET",
+        tabId: this.currentTab?.id
+      });
+      this.updateTokenBudget(response?.budget);
+    } catch (error) {
+      console.error("Lavio Popup: Error loading token budget:", error);
+    }
+  }
+
+  updateTokenBudget(budget) {
+    const budgetStatus = document.getElementById('context-budget-status');
+
+    if (!budget || !Number.isFinite(budget.quota)) {
+      budgetStatus.textContent = 'Unused';
+      budgetStatus.className = 'status-value';
+      return;
+    }
+
+    const percentLeft = 100 - budget.percentUsed;
+    budgetStatus.textContent = `${percentLeft}% left`;
+    budgetStatus.title = `${budget.used} of ${budget.quota} tokens used`;
+
+    if (percentLeft > 40) {
+      budgetStatus.className = 'status-value active';
+    } else if (percentLeft > 20) {
+      budgetStatus.className = 'status-value warning';
+    } else {
+      budgetStatus.className = 'status-value inactive';
+    }
+  }
+
+  formatBackends(backends) {
+    const labels = {
+      languageModel: 'Prompt API',
+      summarizer: 'Summarizer',
+      translator: 'Translator',
+      languageDetector: 'Language Detector'
+    };
+
+    return Object.entries(backends)
+      .map(([key, state]) => `${labels[key] || key}: ${state}`)
+      .join('\n');
+  }
+
   setupEventListeners() {
     // Widget toggle
     const toggleWidget = document.getElementById('toggle-widget');
@@ -174,6 +234,12 @@ class LavioPopup {
       openOptions.addEventListener('click', () => this.openOptions());
     }
 
+    // Stop an in-flight AI request on the current tab
+    const cancelRequest = document.getElementById('cancel-request');
+    if (cancelRequest) {
+      cancelRequest.addEventListener('click', () => this.cancelRequest());
+    }
+
     const showHelp = document.getElementById('show-help');
     if (showHelp) {
       showHelp.addEventListener('click', () => this.showHelp());
@@ -258,6 +324,13 @@ class LavioPopup {
     } else {
       activityProgress.style.display = 'none';
     }
+
+    // Only AI work can be cancelled
+    const cancelBtn = document.getElementById('cancel-request');
+    if (cancelBtn) {
+      const cancellable = ['processing', 'summarizing', 'translating'].includes(activity);
+      cancelBtn.style.display = cancellable ? 'flex' : 'none';
+    }
   }
 
   formatActivityTitle(activity) {
@@ -325,6 +398,17 @@ class LavioPopup {
     }
   }
 
+  async cancelRequest() {
+    try {
+      await chrome.runtime.sendMessage({
+        type: "CANCEL_REQUEST",
+        tabId: this.currentTab?.id
+      });
+    } catch (error) {
+      console.error("Lavio Popup: Error cancelling request:", error);
+    }
+  }
+
   async updateSetting(key, value) {
     this.settings[key] = value;
     
@@ -0,0 +1,439 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadContentScripts } = require("./harness");
+
+const PAGE = `<!DOCTYPE html><html><body>
+  <select id="size">
+    <option value="s">Small</option>
+    <option value="l">Large</option>
+  </select>
+  <div id="country" role="combobox" aria-controls="countries" aria-expanded="false">Country</div>
+  <ul id="countries" role="listbox">
+    <li role="option">France</li>
+    <li role="option">Germany</li>
+  </ul>
+  <input id="remember" type="checkbox">
+  <input id="volume" type="range" min="0" max="50">
+  <input id="when" type="date">
+  <div id="brightness" role="slider" aria-valuenow="20" aria-valuemin="0" aria-valuemax="100" tabindex="0"></div>
+  <button id="first">First</button>
+  <button id="second">Second</button>
+</body></html>`;
+
+function createExecutor() {
+  const page = loadContentScripts({
+    html: PAGE,
+    scripts: ["frame-geometry.js", "action-executor.js"],
+  });
+  const ActionExecutor = page.get("ActionExecutor");
+  const byId = (id) => page.window.document.getElementById(id);
+  return { page, byId, executor: new ActionExecutor() };
+}
+
+const quick = { highlight: false, delay: 1 };
+
+test("executeSelect chooses native and ARIA options by spoken text", async () => {
+  const { page, byId, executor } = createExecutor();
+  const changes = [];
+  byId("size").addEventListener("change", (e) => changes.push(e.target.value));
+  byId("countries")
+    .querySelectorAll("li")
+    .forEach((li) =>
+      li.addEventListener("click", () =>
+        li.setAttribute("aria-selected", "true")
+      )
+    );
+
+  const native = await executor.executeSelect(byId("size"), "large", quick);
+  const aria = await executor.executeSelect(byId("country"), "germany", quick);
+  const missing = await executor.executeSelect(byId("size"), "medium", quick);
+
+  assert.equal(native.option, "Large");
+  assert.deepEqual(changes, ["l"]);
+  assert.equal(aria.option, "Germany");
+  assert.equal(
+    byId("countries").children[1].getAttribute("aria-selected"),
+    "true"
+  );
+  assert.equal(missing.success, false);
+  assert.deepEqual(Array.from(missing.options), ["Small", "Large"]);
+  page.close();
+});
+
+test("executeToggle only clicks when the state needs to change", async () => {
+  const { page, byId, executor } = createExecutor();
+
+  const on = await executor.executeToggle(byId("remember"), true, quick);
+  const again = await executor.executeToggle(byId("remember"), true, quick);
+  const flipped = await executor.executeToggle(byId("remember"), null, quick);
+
+  assert.deepEqual([on.checked, on.changed], [true, true]);
+  assert.deepEqual([again.checked, again.changed], [true, false]);
+  assert.equal(flipped.checked, false);
+  assert.equal(byId("remember").checked, false);
+  page.close();
+});
+
+test("executeSetValue clamps ranges, reads dates and steps ARIA sliders", async () => {
+  const { page, byId, executor } = createExecutor();
+  const slider = byId("brightness");
+  slider.addEventListener("keydown", (e) => {
+    const now = Number(slider.getAttribute("aria-valuenow"));
+    const next = {
+      ArrowRight: now + 10,
+      ArrowLeft: now - 10,
+      Home: 0,
+      End: 100,
+    }[e.key];
+    if (next !== undefined) slider.setAttribute("aria-valuenow", next);
+  });
+
+  const range = await executor.executeSetValue(byId("volume"), "80", quick);
+  const date = await executor.executeSetValue(
+    byId("when"),
+    "March 3rd 2025",
+    quick
+  );
+  const aria = await executor.executeSetValue(slider, "60", quick);
+  const bad = await executor.executeSetValue(byId("when"), "someday", quick);
+
+  assert.equal(range.value, "50");
+  assert.equal(date.value, "2025-03-03");
+  assert.equal(aria.value, "60");
+  assert.equal(bad.success, false);
+  page.close();
+});
+
+test("executePressKey sends modifiers and performs Tab and Enter defaults", async () => {
+  const { page, byId, executor } = createExecutor();
+  const keys = [];
+  let clicked = false;
+  page.window.document.addEventListener("keydown", (e) =>
+    keys.push(`${e.ctrlKey ? "Ctrl+" : ""}${e.key}`)
+  );
+  byId("second").addEventListener("click", () => (clicked = true));
+
+  byId("first").focus();
+  await executor.executePressKey("Tab", null, quick);
+  const focused = page.window.document.activeElement.id;
+  await executor.executePressKey("enter", null, quick);
+  const combo = await executor.executePressKey("control down", null, quick);
+  const unknown = await executor.executePressKey("Hyper+Q", null, quick);
+
+  assert.equal(focused, "second");
+  assert.equal(clicked, true);
+  assert.equal(combo.key, "Ctrl+ArrowDown");
+  assert.deepEqual(keys, ["Tab", "Enter", "Ctrl+ArrowDown"]);
+  assert.equal(unknown.success, false);
+  assert.equal(executor.validateAction("press_key", null).safe, true);
+  assert.equal(executor.validateAction("set_value", null).safe, false);
+  page.close();
+});
+
+test("keys without a target skip Lavio's panel for the page's focus", async () => {
+  const { page, byId, executor } = createExecutor();
+  const { document } = page.window;
+  const panel = document.createElement("div");
+  panel.id = "lavio-voice-panel";
+  panel.innerHTML = '<button id="lavio-record">Record</button>';
+  document.body.append(panel);
+  let recordClicks = 0;
+  let secondClicks = 0;
+  byId("lavio-record").addEventListener("click", () => recordClicks++);
+  byId("second").addEventListener("click", () => secondClicks++);
+
+  // The user focuses a page button, then clicks Lavio's record button
+  byId("second").focus();
+  byId("lavio-record").focus();
+  await executor.executePressKey("enter", null, quick);
+  const toPage = executor.getPageFocusedElement();
+
+  // The element the page had focused is gone: the key goes to the body
+  byId("second").remove();
+  byId("lavio-record").focus();
+  const fallback = executor.getPageFocusedElement();
+
+  assert.equal(recordClicks, 0);
+  assert.equal(secondClicks, 1);
+  assert.equal(toPage.id, "second");
+  assert.equal(fallback, document.body);
+  page.close();
+});
+
+test("any spoken name for Enter in a form field asks before submitting", () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <form><input id="query"></form>
+    </body></html>`,
+    scripts: ["frame-geometry.js", "action-executor.js"],
+  });
+  const executor = new (page.get("ActionExecutor"))();
+  const input = page.window.document.getElementById("query");
+  const asks = (key) =>
+    !!executor.validateAction("press_key", input, { key }).needsConfirmation;
+
+  assert.equal(asks("enter"), true);
+  assert.equal(asks("Return"), true);
+  assert.equal(asks("enter key"), true);
+  assert.equal(asks("tab"), false);
+  page.close();
+});
+
+test("waitFor resolves once a described element renders, or null on timeout", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body><button id="menu">Menu</button></body></html>`,
+    scripts: ["frame-geometry.js", "element-detector.js", "action-executor.js"],
+  });
+  const { document } = page.window;
+  const executor = new (page.get("ActionExecutor"))(
+    new (page.get("ElementDetector"))()
+  );
+  setTimeout(() => {
+    const item = document.createElement("button");
+    item.textContent = "Delete file";
+    document.body.appendChild(item);
+  }, 30);
+
+  const found = await executor.waitFor("delete file", 1000);
+  setTimeout(() => (document.body.dataset.ready = "yes"), 10);
+  const flag = await executor.waitFor(() => document.body.dataset.ready, 1000);
+  const missing = await executor.waitFor("archive", 100);
+
+  assert.equal(found.text, "Delete file");
+  assert.equal(flag, "yes");
+  assert.equal(missing, null);
+  page.close();
+});
+
+test("execute retries on a re-rendered element and reports page changes", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <button id="open">Open menu</button>
+      <button id="noop">Does nothing</button>
+    </body></html>`,
+    scripts: ["frame-geometry.js", "element-detector.js", "action-executor.js"],
+  });
+  const { document } = page.window;
+  const executor = new (page.get("ActionExecutor"))(
+    new (page.get("ElementDetector"))()
+  );
+  const stale = document.getElementById("open");
+  // A framework re-renders the button between detection and the click
+  const fresh = stale.cloneNode(true);
+  fresh.addEventListener("click", () => {
+    const menu = document.createElement("ul");
+    menu.innerHTML = "<li>Rename</li>";
+    document.body.appendChild(menu);
+  });
+  stale.replaceWith(fresh);
+
+  const opened = await executor.execute("click", stale, null, {
+    ...quick,
+    description: "open menu",
+  });
+  const noop = await executor.execute(
+    "click",
+    document.getElementById("noop"),
+    null,
+    { ...quick, settle: 50 }
+  );
+  const gone = await executor.execute("click", stale, null, quick);
+
+  assert.equal(opened.success, true);
+  assert.equal(opened.pageChange.changed, true);
+  assert.equal(opened.pageChange.elementsAdded, 1);
+  assert.equal(noop.success, true);
+  assert.equal(noop.pageChange.changed, false);
+  assert.equal(gone.success, false);
+  page.close();
+});
+
+test("execute counts flipped checkboxes, changed values and new-tab links as changes", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <input type="checkbox" id="agree">
+      <input type="radio" name="plan" id="basic">
+      <input id="count" value="1">
+      <a id="docs" href="https://example.com/docs" target="_blank">Docs</a>
+      <a id="blocked" href="https://example.com/ad" target="_blank">Ad</a>
+    </body></html>`,
+    scripts: ["frame-geometry.js", "element-detector.js", "action-executor.js"],
+  });
+  const { document } = page.window;
+  const executor = new (page.get("ActionExecutor"))(
+    new (page.get("ElementDetector"))()
+  );
+  const byId = (id) => document.getElementById(id);
+  const settle = { ...quick, settle: 50 };
+  // A stepper that handles arrow keys by setting .value
+  byId("count").addEventListener("keydown", (event) => {
+    if (event.key === "ArrowUp") event.target.value++;
+  });
+  byId("blocked").addEventListener("click", (event) => event.preventDefault());
+
+  const checkbox = await executor.execute("click", byId("agree"), null, settle);
+  const radio = await executor.execute("click", byId("basic"), null, settle);
+  const key = await executor.execute("press_key", byId("count"), "up", settle);
+  const link = await executor.execute("click", byId("docs"), null, settle);
+  const blocked = await executor.execute(
+    "click",
+    byId("blocked"),
+    null,
+    settle
+  );
+
+  assert.equal(checkbox.pageChange.stateChanged, true);
+  assert.equal(checkbox.pageChange.changed, true);
+  assert.equal(radio.pageChange.changed, true);
+  assert.equal(byId("count").value, "2");
+  assert.equal(key.pageChange.stateChanged, true);
+  assert.equal(key.pageChange.changed, true);
+  assert.equal(link.pageChange.openedTab, true);
+  assert.equal(link.pageChange.changed, true);
+  assert.equal(blocked.pageChange.openedTab, false);
+  assert.equal(blocked.pageChange.changed, false);
+  page.close();
+});
+
+test("typing, toggles, selects and values are recorded for undo and redo", async () => {
+  const page = loadContentScripts({
+    html: PAGE.replace("<body>", '<body><input id="name" value="Ann">'),
+    scripts: ["frame-geometry.js", "action-history.js", "action-executor.js"],
+  });
+  const history = new (page.get("ActionHistory"))();
+  const executor = new (page.get("ActionExecutor"))(null, history);
+  const byId = (id) => page.window.document.getElementById(id);
+  const volume = byId("volume").value;
+
+  await executor.executeType(byId("name"), "Bob", quick);
+  await executor.executeToggle(byId("remember"), true, quick);
+  await executor.executeSelect(byId("size"), "large", quick);
+  await executor.executeSetValue(byId("volume"), "10", quick);
+  await executor.executeToggle(byId("remember"), true, quick); // No change
+
+  assert.equal(history.undoStack.length, 4);
+  assert.equal((await history.undo()).message, "Undid setting the value to 10");
+  assert.equal(byId("volume").value, volume);
+  await history.undo();
+  assert.equal(byId("size").value, "s");
+  await history.undo();
+  assert.equal(byId("remember").checked, false);
+  await history.undo();
+  assert.equal(byId("name").value, "Ann");
+
+  await history.redo();
+  assert.equal(byId("name").value, "Bob");
+  // Redoing doesn't record the change a second time
+  assert.equal(history.undoStack.length, 1);
+
+  await history.group("filling the form", async () => {
+    await executor.executeType(byId("name"), "Cy", quick);
+    await executor.executeToggle(byId("remember"), true, quick);
+  });
+  assert.equal(history.canRedo(), false);
+  assert.equal((await history.undo()).message, "Undid filling the form");
+  assert.deepEqual(
+    [byId("name").value, byId("remember").checked],
+    ["Bob", false]
+  );
+  page.close();
+});
+
+test("a failed undo or redo leaves the change where it was", async () => {
+  const page = loadContentScripts({
+    html: PAGE,
+    scripts: ["action-history.js"],
+  });
+  const history = new (page.get("ActionHistory"))();
+  let broken = true;
+  const attempt = async () => {
+    if (broken) throw new Error("The element is gone");
+  };
+  history.record({ description: "the change", undo: attempt, redo: attempt });
+
+  const failedUndo = await history.undo();
+  assert.equal(failedUndo.success, false);
+  assert.equal(history.undoStack.length, 1);
+
+  broken = false;
+  assert.equal((await history.undo()).success, true);
+  broken = true;
+  const failedRedo = await history.redo();
+  assert.equal(failedRedo.success, false);
+  assert.equal(history.redoStack.length, 1);
+  assert.equal(history.undoStack.length, 0);
+  page.close();
+});
+
+test("undo skips a change whose element left the page", async () => {
+  const page = loadContentScripts({
+    html: PAGE.replace("<body>", '<body><input id="name" value="Ann">'),
+    scripts: ["frame-geometry.js", "action-history.js", "action-executor.js"],
+  });
+  const history = new (page.get("ActionHistory"))();
+  const executor = new (page.get("ActionExecutor"))(null, history);
+  const byId = (id) => page.window.document.getElementById(id);
+
+  await executor.executeType(byId("name"), "Bob", quick);
+  await executor.executeSetValue(byId("volume"), "10", quick);
+  // The page re-renders the slider
+  byId("volume").remove();
+
+  const result = await history.undo();
+
+  assert.equal(result.success, true);
+  assert.equal(
+    result.message,
+    `Can't undo setting the value to 10 anymore: the element is gone from the page. Undid typing "Bob"`
+  );
+  assert.equal(byId("name").value, "Ann");
+  assert.equal(history.undoStack.length, 0);
+  assert.equal((await history.undo()).message, "Nothing to undo");
+  page.close();
+});
+
+test("scrolling moves by spoken amounts and between headings", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <h2 data-rect="0,-400,200,30">Overview</h2>
+      <h2 data-rect="0,4,200,30">Specs</h2>
+      <h2 data-rect="0,600,200,30">Reviews</h2>
+    </body></html>`,
+    scripts: ["frame-geometry.js", "element-detector.js", "action-executor.js"],
+  });
+  const executor = new (page.get("ActionExecutor"))(
+    new (page.get("ElementDetector"))()
+  );
+  const screen = Math.round(page.window.innerHeight * 0.9);
+  const scrolled = [];
+  page.document.querySelectorAll("h2").forEach((heading) => {
+    heading.scrollIntoView = () => scrolled.push(heading.textContent);
+  });
+
+  const next = await executor.scrollToAdjacentHeading("next", quick);
+  const previous = await executor.scrollToAdjacentHeading("previous", quick);
+
+  assert.deepEqual([next.text, previous.text], ["Reviews", "Overview"]);
+  assert.deepEqual(scrolled, ["Reviews", "Overview"]);
+  assert.deepEqual(
+    [
+      "a little",
+      "two pages",
+      "half a page",
+      "300px",
+      120,
+      null,
+      "very far",
+    ].map((amount) => executor.resolveScrollAmount(amount)),
+    [
+      Math.round(screen / 4),
+      screen * 2,
+      Math.round(screen / 2),
+      300,
+      120,
+      500,
+      screen * 2,
+    ]
+  );
+  page.close();
+});
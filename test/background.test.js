@@ -0,0 +1,668 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createChromeFake,
+  createFakeLanguageModel,
+  loadBackground,
+} = require("./harness");
+
+const tab = (id, url = "https://example.com/") => ({ tab: { id, url } });
+
+test("detectActionIntent answers obvious questions without calling the model", async () => {
+  const { background, LanguageModel } = await loadBackground();
+  const callsBefore = LanguageModel.calls.length;
+
+  const intent = await background.detectActionIntent("Tell me about this page");
+
+  assert.equal(intent.isAction, false);
+  assert.equal(intent.reasoning, "Information request (pre-filtered)");
+  assert.equal(LanguageModel.calls.length, callsBefore);
+});
+
+test("detectActionIntent parses fenced JSON from the model", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "Classify user intent",
+        response:
+          '```json\n{"isAction": true, "confidence": 0.95, "actionType": "click", "targetDescription": "sign in", "additionalData": null, "reasoning": "Click"}\n```',
+      },
+    ],
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const intent = await background.detectActionIntent("Click sign in", [
+    { type: "button", text: "Sign in" },
+  ]);
+
+  assert.equal(intent.isAction, true);
+  assert.equal(intent.actionType, "click");
+  assert.equal(intent.targetDescription, "sign in");
+  assert.match(LanguageModel.calls.at(-1).text, /1\. button: "Sign in"/);
+});
+
+test("detectActionIntent treats an actionType as an action even if isAction is false", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "Classify user intent",
+        response: {
+          isAction: false,
+          confidence: 0.6,
+          actionType: "modify_text_size",
+          targetDescription: null,
+          additionalData: "increase",
+          reasoning: "Text size",
+        },
+      },
+    ],
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const intent = await background.detectActionIntent("Make the text bigger");
+
+  assert.equal(intent.isAction, true);
+  assert.equal(intent.actionType, "modify_text_size");
+  assert.ok(intent.confidence >= 0.8);
+});
+
+test("findBestElementMatch returns the model's match", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "ELEMENT MATCHING TASK",
+        response: { matchIndex: 1, confidence: 0.9, reasoning: "Synonym" },
+      },
+    ],
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const result = await background.findBestElementMatch("pull request tab", [
+    { type: "link", text: "Issues" },
+    { type: "link", text: "Pull requests" },
+  ]);
+
+  assert.equal(result.success, true);
+  assert.equal(result.matchIndex, 1);
+  assert.equal(result.confidence, 0.9);
+  assert.equal(result.reasoning, "Synonym");
+});
+
+test("findBestElementMatch reports unparseable answers as no match", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    defaultResponse: "I think it is the second one",
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const result = await background.findBestElementMatch("pull request tab", [
+    { type: "link", text: "Pull requests" },
+  ]);
+
+  assert.equal(result.success, false);
+  assert.equal(result.matchIndex, -1);
+});
+
+test("intent and element matching prompts carry a JSON Schema constraint", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "Classify user intent",
+        response: {
+          isAction: true,
+          confidence: 0.9,
+          actionType: "modify_zoom",
+          targetDescription: null,
+          additionalData: "in",
+          reasoning: "Zoom",
+        },
+      },
+      {
+        match: "ELEMENT MATCHING TASK",
+        response: { matchIndex: 0, confidence: 0.8, reasoning: "Exact" },
+      },
+    ],
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const intent = await background.detectActionIntent("Zoom in");
+  const intentSchema = LanguageModel.calls.at(-1).options.responseConstraint;
+  await background.findBestElementMatch("issues", [
+    { type: "link", text: "Issues" },
+    { type: "link", text: "Pulls" },
+  ]);
+  const matchSchema = LanguageModel.calls.at(-1).options.responseConstraint;
+
+  assert.equal(intent.actionType, "modify_zoom");
+  assert.ok(intentSchema.properties.actionType.enum.includes("modify_zoom"));
+  assert.equal(matchSchema.properties.matchIndex.maximum, 1);
+});
+
+test("structured prompts retry once without the constraint when it is unsupported", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "ELEMENT MATCHING TASK",
+        response: (text, call) =>
+          call.options.responseConstraint
+            ? new DOMException("Unsupported option", "NotSupportedError")
+            : '```json\n{"matchIndex": 0, "confidence": 0.7, "reasoning": "Close"}\n```',
+      },
+    ],
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const result = await background.findBestElementMatch("issues", [
+    { type: "link", text: "Issues" },
+  ]);
+
+  const matchCalls = LanguageModel.calls.filter((call) =>
+    call.text.includes("ELEMENT MATCHING TASK")
+  );
+  assert.equal(matchCalls.length, 2);
+  assert.equal(result.success, true);
+  assert.equal(result.confidence, 0.7);
+});
+
+test("answers that break the schema fall back to heuristics", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "Classify user intent",
+        response: {
+          isAction: true,
+          confidence: 0.9,
+          actionType: "dance",
+          targetDescription: null,
+          additionalData: null,
+          reasoning: "?",
+        },
+      },
+      {
+        match: "ELEMENT MATCHING TASK",
+        response: { matchIndex: 5, confidence: 0.9, reasoning: "Out of range" },
+      },
+    ],
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const intent = await background.detectActionIntent("Click the dance floor");
+  const match = await background.findBestElementMatch("issues", [
+    { type: "link", text: "Issues" },
+  ]);
+
+  assert.equal(intent.actionType, null);
+  assert.equal(
+    intent.reasoning,
+    "Failed to parse AI response, using heuristics"
+  );
+  assert.equal(match.success, false);
+});
+
+test("SEND_PROMPT keeps a separate session per tab", async () => {
+  const { background, chrome } = await loadBackground();
+
+  const first = await chrome.runtime.dispatchMessage(
+    { type: "SEND_PROMPT", prompt: "Hello" },
+    tab(1)
+  );
+  await chrome.runtime.dispatchMessage(
+    { type: "SEND_PROMPT", prompt: "Hello" },
+    tab(2, "https://other.example/")
+  );
+
+  assert.equal(first.success, true);
+  assert.equal(first.response, "OK");
+  assert.notEqual(
+    background.tabSessions.get(1).session,
+    background.tabSessions.get(2).session
+  );
+  assert.equal(background.tabSessions.get(1).session.history.length, 2);
+});
+
+test("CANCEL_REQUEST aborts an in-flight prompt", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    // Never answers, so only cancellation can end the request
+    rules: [{ match: "slow question", response: () => new Promise(() => {}) }],
+  });
+  const { chrome } = await loadBackground({ LanguageModel });
+
+  const pending = chrome.runtime.dispatchMessage(
+    { type: "SEND_PROMPT", prompt: "slow question", requestId: "req_slow" },
+    tab(7)
+  );
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  const cancel = await chrome.runtime.dispatchMessage({
+    type: "CANCEL_REQUEST",
+    targetRequestId: "req_slow",
+  });
+  const response = await pending;
+
+  assert.equal(cancel.success, true);
+  assert.equal(response.success, false);
+  assert.equal(response.cancelled, true);
+});
+
+test("evicted sessions wait for their in-flight prompt before being destroyed", async () => {
+  let answerSlow;
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "slow question",
+        response: () => new Promise((resolve) => (answerSlow = resolve)),
+      },
+    ],
+  });
+  const { background, chrome } = await loadBackground({ LanguageModel });
+
+  const pending = chrome.runtime.dispatchMessage(
+    { type: "SEND_PROMPT", prompt: "slow question" },
+    tab(1)
+  );
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  const slowSession = background.tabSessions.get(1).session;
+
+  // Six more tabs push tab 1 out of the pool while it is still answering
+  for (let id = 2; id <= 7; id++) {
+    await chrome.runtime.dispatchMessage(
+      { type: "SEND_PROMPT", prompt: "Hello" },
+      tab(id)
+    );
+  }
+  assert.equal(background.tabSessions.has(1), false);
+  assert.equal(slowSession.destroyed, false);
+
+  answerSlow("Done");
+  const response = await pending;
+
+  assert.equal(response.success, true);
+  assert.equal(response.response, "Done");
+  assert.equal(slowSession.destroyed, true);
+});
+
+test("compaction keeps the old session alive for a prompt still running on it", async () => {
+  let answerSlow;
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "slow question",
+        response: () => new Promise((resolve) => (answerSlow = resolve)),
+      },
+    ],
+  });
+  const { background, chrome } = await loadBackground({ LanguageModel });
+
+  await chrome.runtime.dispatchMessage(
+    { type: "SEND_PROMPT", prompt: "Hello" },
+    tab(1)
+  );
+  const pending = chrome.runtime.dispatchMessage(
+    { type: "SEND_PROMPT", prompt: "slow question" },
+    tab(1)
+  );
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  const oldSession = background.tabSessions.get(1).session;
+
+  // Big enough to cross the compaction threshold, small enough to fit after
+  const { inputUsage, inputQuota } = oldSession;
+  const tokens = Math.ceil(inputQuota * 0.8) - inputUsage;
+  const big = await chrome.runtime.dispatchMessage(
+    { type: "SEND_PROMPT", prompt: "x".repeat(tokens * 4) },
+    tab(1)
+  );
+
+  assert.equal(big.success, true);
+  assert.notEqual(background.tabSessions.get(1).session, oldSession);
+  assert.equal(oldSession.destroyed, false);
+
+  answerSlow("Done");
+  const response = await pending;
+
+  assert.equal(response.success, true);
+  assert.equal(oldSession.destroyed, true);
+});
+
+test("page summaries and translations stay out of the tab's conversation", async () => {
+  const { background, chrome } = await loadBackground();
+
+  await chrome.runtime.dispatchMessage(
+    { type: "SEND_PROMPT", prompt: "Hello" },
+    tab(1)
+  );
+  const tabSession = background.tabSessions.get(1).session;
+
+  const summary = await chrome.runtime.dispatchMessage(
+    { type: "GET_PAGE_SUMMARY", content: "A long article about owls." },
+    tab(1)
+  );
+  const translation = await chrome.runtime.dispatchMessage(
+    { type: "TRANSLATE_TEXT", text: "Good morning", targetLanguage: "de" },
+    tab(1)
+  );
+
+  assert.equal(summary.success, true);
+  assert.equal(translation.success, true);
+  assert.equal(background.tabSessions.get(1).session, tabSession);
+  assert.equal(tabSession.history.length, 2);
+});
+
+test("CANCEL_REQUEST without a tab only cancels by request ID", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [{ match: "slow question", response: () => new Promise(() => {}) }],
+  });
+  const { chrome } = await loadBackground({ LanguageModel });
+
+  // Sent from the popup, which has no tab
+  const pending = chrome.runtime.dispatchMessage({
+    type: "SEND_PROMPT",
+    prompt: "slow question",
+    requestId: "req_popup",
+  });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  const byTab = await chrome.runtime.dispatchMessage({
+    type: "CANCEL_REQUEST",
+    tabId: undefined,
+  });
+  const byId = await chrome.runtime.dispatchMessage({
+    type: "CANCEL_REQUEST",
+    targetRequestId: "req_popup",
+  });
+
+  assert.equal(byTab.cancelled, 0);
+  assert.equal(byId.cancelled, 1);
+  assert.equal((await pending).cancelled, true);
+});
+
+test("STREAM_PROMPT streams chunks over a port", async () => {
+  const chrome = createChromeFake({ sender: tab(3) });
+  const LanguageModel = createFakeLanguageModel({
+    defaultResponse: "Streaming works fine.",
+  });
+  await loadBackground({ chrome, LanguageModel });
+
+  const port = chrome.runtime.connect({ name: "lavio-stream" });
+  const chunks = [];
+  const done = new Promise((resolve) => {
+    port.onMessage.addListener((message) => {
+      if (message.type === "STREAM_CHUNK") chunks.push(message.chunk);
+      if (message.type === "STREAM_DONE") resolve(message.response);
+    });
+  });
+  port.postMessage({
+    type: "STREAM_PROMPT",
+    requestId: "req_stream",
+    prompt: "Say something",
+  });
+
+  assert.equal(await done, "Streaming works fine.");
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.join(""), "Streaming works fine.");
+});
+
+test("MERGE_SUMMARIES regroups partials by the chunk length it is sent", async () => {
+  const { LanguageModel, chrome, background } = await loadBackground();
+  const summaries = Array.from({ length: 6 }, (_, i) =>
+    `- Section ${i} fact`.padEnd(100, ".")
+  );
+  const groupPrompts = () =>
+    LanguageModel.calls.filter(({ text }) =>
+      text.startsWith("Combine these summaries of consecutive page sections")
+    ).length;
+
+  const merged = await chrome.runtime.dispatchMessage(
+    { type: "MERGE_SUMMARIES", summaries, chunkLength: 300 },
+    tab(1)
+  );
+  const grouped = groupPrompts();
+  await chrome.runtime.dispatchMessage(
+    { type: "MERGE_SUMMARIES", summaries, chunkLength: 8000 },
+    tab(1)
+  );
+
+  const longChunks = groupPrompts();
+  // Requests without a chunk length fall back to the background's own
+  background.summaryChunkLength = 300;
+  await chrome.runtime.dispatchMessage(
+    { type: "MERGE_SUMMARIES", summaries },
+    tab(1)
+  );
+
+  assert.equal(merged.success, true);
+  // Six partials of 100 characters: groups of four and two
+  assert.equal(grouped, 2);
+  assert.equal(longChunks, 2);
+  assert.equal(groupPrompts(), 4);
+});
+
+test("matchFormFields pairs spoken fields with form fields by index", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "FORM FIELD MATCHING TASK",
+        response: {
+          matches: [
+            { pair: 0, field: 1 },
+            { pair: 1, field: -1 },
+          ],
+        },
+      },
+    ],
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const result = await background.matchFormFields(
+    [
+      { field: "zip", value: "10115" },
+      { field: "shoe size", value: "42" },
+    ],
+    [
+      { type: "text", label: "City" },
+      { type: "text", label: "Postal code", name: "postcode" },
+    ]
+  );
+  const call = LanguageModel.calls.at(-1);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(
+    Array.from(result.matches, ({ pair, field }) => [pair, field]),
+    [
+      [0, 1],
+      [1, -1],
+    ]
+  );
+  assert.match(call.text, /1\. text: "Postal code" \(name: postcode\)/);
+  assert.equal(
+    call.options.responseConstraint.properties.matches.items.properties.field
+      .maximum,
+    1
+  );
+});
+
+test("find-in-page commands are parsed and passages picked by index", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [{ match: "PASSAGE FINDING TASK", response: { passages: [1] } }],
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const result = await background.findPassages("shipping costs", [
+    "Our story",
+    "Delivery fees depend on the destination.",
+  ]);
+
+  assert.equal(
+    background.parseFindQuery("find 'refund policy' on this page"),
+    "refund policy"
+  );
+  assert.equal(
+    background.parseFindQuery("where does it talk about shipping costs?"),
+    "shipping costs"
+  );
+  assert.equal(background.parseFindQuery("find a cheaper flight"), null);
+  assert.deepEqual(Array.from(result.passages), [1]);
+  assert.match(
+    LanguageModel.calls.at(-1).text,
+    /1\. Delivery fees depend on the destination\./
+  );
+});
+
+test("MANAGE_TAB opens, switches, pins, moves, closes and reopens tabs", async () => {
+  const chrome = createChromeFake({
+    tabs: [
+      {
+        id: 1,
+        url: "https://news.example/",
+        title: "Daily News",
+        active: true,
+      },
+      {
+        id: 2,
+        url: "https://mail.google.com/mail/u/0/",
+        title: "Inbox (3) - Gmail",
+      },
+      { id: 3, url: "https://docs.example/", title: "Docs", pinned: true },
+      { id: 4, url: "https://shop.example/", title: "Cart" },
+    ],
+  });
+  await loadBackground({ chrome });
+  const manage = (operation, target = null) =>
+    chrome.runtime.dispatchMessage(
+      { type: "MANAGE_TAB", operation, target },
+      tab(1, "https://news.example/")
+    );
+
+  const opened = await manage("open", "github dot com");
+  const searched = await manage("open", "weather in Berlin");
+  const switched = await manage("switch", "my gmail");
+  const pinned = await manage("pin", "gmail");
+  const muted = await manage("mute");
+  const moved = await manage("move_to_window", "cart");
+  const closed = await manage("close", "cart");
+  const reopened = await manage("reopen");
+  const others = await manage("close_others");
+  const remove = chrome.tabs.remove;
+  let removed = 0;
+  chrome.tabs.remove = async (ids) => {
+    removed++;
+    return remove(ids);
+  };
+  const noOthers = await manage("close_others");
+
+  assert.equal(opened.message, "Opened github.com in a new tab");
+  assert.equal(
+    searched.message,
+    'Searched for "weather in Berlin" in a new tab'
+  );
+  assert.equal(switched.message, 'Switched to "Inbox (3) - Gmail"');
+  assert.equal(pinned.message, 'Pinned "Inbox (3) - Gmail"');
+  assert.equal(muted.message, 'Muted "Daily News"');
+  assert.equal(moved.message, 'Moved "Cart" to a new window');
+  assert.equal(closed.message, 'Closed "Cart"');
+  assert.equal(reopened.message, 'Reopened "Cart"');
+  // Pinned tabs and tabs in other windows stay
+  assert.equal(others.message, "Closed 2 other tabs");
+  assert.equal(noOthers.error, "There are no other tabs to close");
+  assert.equal(removed, 0);
+  assert.deepEqual(chrome.tabs.list.map((t) => t.title).sort(), [
+    "Cart",
+    "Daily News",
+    "Docs",
+    "Inbox (3) - Gmail",
+  ]);
+  assert.equal(chrome.tabs.list.find((t) => t.id === 1).mutedInfo.muted, true);
+});
+
+test("tab commands are parsed and unclear tab titles go to the AI", async () => {
+  const chrome = createChromeFake({
+    tabs: [
+      { id: 1, url: "https://a.example/", title: "Project plan - Docs" },
+      { id: 2, url: "https://b.example/", title: "Project budget - Sheets" },
+    ],
+  });
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "ELEMENT MATCHING TASK",
+        response: {
+          matchIndex: 1,
+          confidence: 0.8,
+          reasoning: "Spreadsheet",
+          alternatives: [],
+        },
+      },
+    ],
+  });
+  const { background } = await loadBackground({ chrome, LanguageModel });
+
+  const found = await background.findTab("project spreadsheet");
+  const missing = await background.manageTab("switch", null, { id: 1 });
+
+  assert.equal(found.tab.id, 2);
+  assert.match(LanguageModel.calls.at(-1).text, /tab: "Project plan - Docs"/);
+  assert.equal(missing.success, false);
+  assert.deepEqual(
+    [
+      "Go to my Gmail tab.",
+      "close the other tabs",
+      "please reopen the closed tab",
+      "mute this tab",
+      "move the cart tab to a new window",
+      "search for cheap flights in a new tab",
+      "open the settings tab",
+    ].map((text) => {
+      const command = background.parseTabCommand(text.toLowerCase());
+      return command && [command.operation, command.target];
+    }),
+    [
+      ["switch", "gmail"],
+      ["close_others", null],
+      ["reopen", null],
+      ["mute", null],
+      ["move_to_window", "cart"],
+      ["open", "cheap flights"],
+      null,
+    ]
+  );
+});
+
+test("the local server API key is kept out of synced storage", async () => {
+  const chrome = createChromeFake({
+    storage: {
+      sync: { aiProvider: "openai-compatible", localApiKey: "sk-old" },
+    },
+  });
+  const { background } = await loadBackground({ chrome });
+
+  assert.equal(background.settings.localApiKey, "sk-old");
+  assert.equal(background.provider.apiKey, "sk-old");
+  assert.equal("localApiKey" in chrome.storage.sync.dump(), false);
+  assert.equal(chrome.storage.local.dump().localApiKey, "sk-old");
+});
+
+test("structured prompts aren't retried when the backend fails for other reasons", async () => {
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "ELEMENT MATCHING TASK",
+        response: () => new TypeError("Failed to fetch"),
+      },
+    ],
+  });
+  const { background } = await loadBackground({ LanguageModel });
+
+  const result = await background.findBestElementMatch("issues", [
+    { type: "link", text: "Issues" },
+  ]);
+
+  const matchCalls = LanguageModel.calls.filter((call) =>
+    call.text.includes("ELEMENT MATCHING TASK")
+  );
+  assert.equal(matchCalls.length, 1);
+  assert.equal(result.success, false);
+  assert.equal(
+    background.isConstraintUnsupported(
+      new TypeError("Unknown option 'responseConstraint'")
+    ),
+    true
+  );
+});
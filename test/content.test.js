@@ -0,0 +1,1076 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createChromeFake,
+  createFakeLanguageModel,
+  linkContentScript,
+  loadBackground,
+  loadContentScripts,
+  waitUntil,
+} = require("./harness");
+
+const elements = [
+  { type: "button", text: "Sign in", id: "sign-in" },
+  { type: "link", text: "Search help", id: "help" },
+  { type: "input", label: "Email address", id: "email" },
+  { type: "search", placeholder: "Search the docs", id: "q" },
+];
+
+test("filterRelevantElements keeps only element types the action can use", () => {
+  const page = loadContentScripts();
+  const content = page.window.lavioContent;
+
+  const { filtered } = content.filterRelevantElements(
+    elements,
+    "email",
+    "type"
+  );
+
+  assert.deepEqual(
+    Array.from(filtered, (el) => el.id),
+    ["email", "q"]
+  );
+  page.close();
+});
+
+test("filterRelevantElements ranks the best text match first", () => {
+  const page = loadContentScripts();
+  const content = page.window.lavioContent;
+
+  const { filtered } = content.filterRelevantElements(
+    elements,
+    "search help",
+    "click"
+  );
+
+  assert.equal(filtered[0].id, "help");
+  assert.ok(filtered.every((el) => el.type !== "input"));
+  page.close();
+});
+
+test("sendAIRequest reaches the background and returns its answer", async () => {
+  const backgroundChrome = createChromeFake();
+  const LanguageModel = createFakeLanguageModel({
+    rules: [
+      {
+        match: "Classify user intent",
+        response: {
+          isAction: true,
+          confidence: 0.9,
+          actionType: "scroll",
+          targetDescription: null,
+          additionalData: "down",
+          reasoning: "Scroll",
+        },
+      },
+    ],
+  });
+  await loadBackground({ chrome: backgroundChrome, LanguageModel });
+
+  const tab = { id: 5, url: "https://example.com/" };
+  const contentChrome = createChromeFake({ sender: { tab, url: tab.url } });
+  linkContentScript(contentChrome, backgroundChrome, tab);
+  const page = loadContentScripts({ chrome: contentChrome });
+
+  const response = await page.window.lavioContent.sendAIRequest({
+    type: "DETECT_INTENT",
+    text: "scroll down a bit",
+  });
+
+  assert.equal(response.success, true);
+  assert.equal(response.intent.actionType, "scroll");
+  assert.equal(response.intent.additionalData, "down");
+  assert.equal(page.window.lavioContent.activeRequestIds.size, 0);
+  page.close();
+});
+
+/**
+ * Capture what the content script tells the user instead of rendering the panel
+ */
+function recordConversation(content) {
+  const messages = [];
+  content.addToConversation = (sender, message) => messages.push(message);
+  content.speakText = async () => {};
+  // No AI available: element lookup falls back to simple matching only
+  content.sendAIRequest = async () => ({ success: false });
+  // processRecognizedSpeech detects elements before handing over an action
+  content.detectedElements =
+    content.elementDetector.getAllInteractiveElements();
+  return messages;
+}
+
+test("handleActionRequest runs plan steps in order against the updated page", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <button id="more">Load more</button>
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+
+  const clicked = [];
+  document.getElementById("more").addEventListener("click", () => {
+    clicked.push("more");
+    const result = document.createElement("button");
+    result.textContent = "Third result";
+    result.addEventListener("click", () => clicked.push("third"));
+    document.body.appendChild(result);
+  });
+
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      actionType: "click",
+      targetDescription: "load more",
+      steps: [
+        { actionType: "click", targetDescription: "load more" },
+        { actionType: "click", targetDescription: "third result" },
+      ],
+    },
+    "load more and open the third result"
+  );
+
+  assert.deepEqual(clicked, ["more", "third"]);
+  assert.equal(messages.length, 2);
+  assert.equal(page.window.sessionStorage.getItem("lavio-pending-plan"), null);
+  page.close();
+});
+
+test("plan steps wait for a navigation the page has started", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <button id="pay">Pay</button>
+      <button id="receipt">Receipt</button>
+    </body></html>`,
+  });
+  const { document, window } = page;
+  const content = page.window.lavioContent;
+  recordConversation(content);
+  const status = [];
+  const activity = [];
+  content.updateStatus = (message) => status.push(message);
+  content.sendActivityUpdate = (state) => activity.push(state);
+  // Long enough for the page to settle, short enough for the test
+  content.pendingPlanLifetime = 1500;
+  const clicked = [];
+  // A form post whose server hasn't answered: the old page stays put
+  document.getElementById("pay").addEventListener("click", () => {
+    clicked.push("pay");
+    window.dispatchEvent(new window.Event("beforeunload"));
+  });
+  document
+    .getElementById("receipt")
+    .addEventListener("click", () => clicked.push("receipt"));
+
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      steps: [
+        { actionType: "click", targetDescription: "pay" },
+        { actionType: "click", targetDescription: "receipt" },
+      ],
+    },
+    "pay and open the receipt"
+  );
+
+  assert.deepEqual(clicked, ["pay"]);
+  assert.equal(
+    JSON.parse(window.sessionStorage.getItem("lavio-pending-plan")).steps[0]
+      .targetDescription,
+    "receipt"
+  );
+  assert.equal(status.at(-1), "Continuing on the next page...");
+  assert.equal(activity.at(-1), "idle");
+
+  // The navigation never came (a download, say): later plans run in full
+  await waitUntil(() => !content.isLeavingPage);
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      steps: [
+        { actionType: "click", targetDescription: "receipt" },
+        { actionType: "click", targetDescription: "receipt" },
+      ],
+    },
+    "open the receipt twice"
+  );
+  assert.deepEqual(clicked, ["pay", "receipt", "receipt"]);
+  page.close();
+});
+
+test("handleActionRequest stops at the first failed step and names it", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body><button>Next</button></body></html>`,
+  });
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  let nextClicks = 0;
+  page.document
+    .querySelector("button")
+    .addEventListener("click", () => nextClicks++);
+
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      steps: [
+        { actionType: "click", targetDescription: "archive" },
+        { actionType: "click", targetDescription: "next" },
+      ],
+    },
+    "archive it then go next"
+  );
+
+  assert.equal(nextClicks, 0);
+  assert.match(messages.at(-1), /Step 1 of 2 \(click "archive"\) failed/);
+  page.close();
+});
+
+test("parseChoiceAnswer understands numbers, ordinals and cancel", () => {
+  const page = loadContentScripts();
+  const content = page.window.lavioContent;
+
+  assert.equal(content.parseChoiceAnswer("2", 3), 1);
+  assert.equal(content.parseChoiceAnswer("number three", 3), 2);
+  assert.equal(content.parseChoiceAnswer("The first one", 3), 0);
+  assert.equal(content.parseChoiceAnswer("to", 3), 1);
+  assert.equal(content.parseChoiceAnswer("never mind", 3), -1);
+  assert.equal(content.parseChoiceAnswer("five", 3), null);
+  assert.equal(content.parseChoiceAnswer("banana", 3), null);
+  page.close();
+});
+
+test("tied matches ask which one was meant and accept a spoken answer", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <button id="a">Reply</button>
+      <button id="b">Reply</button>
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  const clicked = [];
+  document
+    .querySelectorAll("button")
+    .forEach((button) =>
+      button.addEventListener("click", () => clicked.push(button.id))
+    );
+
+  const done = content.handleActionRequest(
+    { isAction: true, actionType: "click", targetDescription: "reply" },
+    "click reply"
+  );
+  await waitUntil(() => content.pendingChoice);
+
+  const badges = document.querySelectorAll(".lavio-action-label");
+  assert.deepEqual(
+    Array.from(badges, (badge) => badge.textContent),
+    ["1", "2"]
+  );
+  assert.match(messages.at(-1), /Did you mean 1 or 2\?/);
+
+  await content.processRecognizedSpeech("the second one");
+  await done;
+
+  assert.deepEqual(clicked, ["b"]);
+  // Only the click's own "Clicking" label is left
+  assert.deepEqual(
+    Array.from(
+      document.querySelectorAll(".lavio-action-label"),
+      (label) => label.textContent
+    ),
+    ["Clicking"]
+  );
+  page.close();
+});
+
+test("unsure AI matches offer numbered buttons in the panel", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <a href="#profile" id="profile">Profile</a>
+      <a href="#settings" id="settings">Settings</a>
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  recordConversation(content);
+  content.voicePanel = document.createElement("div");
+  content.voicePanel.innerHTML = `<div id="lavio-conversation"></div>`;
+  content.sendAIRequest = async () => ({
+    success: true,
+    matchIndex: 0,
+    confidence: 0.4,
+    alternatives: [1],
+  });
+  let opened = null;
+  document.querySelectorAll("a").forEach((link) =>
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      opened = link.id;
+    })
+  );
+
+  const done = content.handleActionRequest(
+    { isAction: true, actionType: "click", targetDescription: "my account" },
+    "open my account"
+  );
+  await waitUntil(() => content.pendingChoice);
+
+  const buttons = content.voicePanel.querySelectorAll(
+    "#lavio-choice-buttons button"
+  );
+  assert.deepEqual(
+    Array.from(buttons, (button) => button.textContent),
+    ["1", "2", "Cancel"]
+  );
+  buttons[1].click();
+  await done;
+
+  assert.ok(opened);
+  assert.equal(content.voicePanel.querySelector("#lavio-choice-buttons"), null);
+  page.close();
+});
+
+test("show numbers labels elements in view and acts on a spoken number", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <button id="lower" data-rect="0,300,80,20">Save</button>
+      <button id="upper" data-rect="0,100,20,20" aria-label="Star"></button>
+      <button id="offscreen" data-rect="0,5000,80,20">Footer</button>
+      <input id="note" data-rect="0,200,200,20">
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  recordConversation(content);
+  const badgeTexts = () =>
+    Array.from(
+      document.querySelectorAll(".lavio-number-badge"),
+      (badge) => badge.textContent
+    );
+
+  await content.processRecognizedSpeech("Show numbers");
+  assert.deepEqual(badgeTexts(), ["1", "2", "3"]);
+  assert.deepEqual(
+    Array.from(content.numberedElements, ({ element }) => element.id),
+    ["upper", "note", "lower"]
+  );
+
+  let starred = false;
+  document
+    .getElementById("upper")
+    .addEventListener("click", () => (starred = true));
+  await content.processRecognizedSpeech("click 1");
+  assert.equal(starred, true);
+
+  await content.processRecognizedSpeech("type Hello there in number two");
+  assert.equal(document.getElementById("note").value, "Hello there");
+
+  // New content gets numbered without another command
+  const added = document.createElement("button");
+  added.textContent = "Load more";
+  added.setAttribute("data-rect", "0,400,80,20");
+  document.body.appendChild(added);
+  await waitUntil(() => badgeTexts().length === 4);
+
+  await content.processRecognizedSpeech("hide numbers");
+  assert.deepEqual(badgeTexts(), []);
+  assert.equal(content.numbersVisible, false);
+  page.close();
+});
+
+test("spoken numbers past twenty pick the numbered element", async () => {
+  const buttons = Array.from(
+    { length: 25 },
+    (_, i) =>
+      `<button id="b${i + 1}" data-rect="0,${i * 20},80,18">Item ${
+        i + 1
+      }</button>`
+  ).join("");
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>${buttons}</body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  const clicked = [];
+  document.body.addEventListener("click", (event) =>
+    clicked.push(event.target.id)
+  );
+
+  await content.processRecognizedSpeech("show numbers");
+  await content.processRecognizedSpeech("click twenty one");
+  await content.processRecognizedSpeech("click number twenty-five");
+  await content.processRecognizedSpeech("click thirty");
+
+  assert.deepEqual(clicked, ["b21", "b25"]);
+  assert.equal(
+    messages.at(-1),
+    "There is no number 30. Numbers go from 1 to 25."
+  );
+  page.close();
+});
+
+test("toggle and select intents reach the matching widgets", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <button>Notifications</button>
+      <button role="switch" aria-checked="true" aria-label="Notifications"></button>
+      <label for="size">Size</label>
+      <select id="size"><option>Small</option><option>Large</option></select>
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  const toggle = document.querySelector('[role="switch"]');
+  toggle.addEventListener("click", () =>
+    toggle.setAttribute(
+      "aria-checked",
+      String(toggle.getAttribute("aria-checked") !== "true")
+    )
+  );
+
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      actionType: "toggle",
+      targetDescription: "notifications",
+      additionalData: "off",
+    },
+    "turn off notifications"
+  );
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      actionType: "select",
+      targetDescription: "size",
+      additionalData: "large",
+    },
+    "choose large size"
+  );
+
+  assert.equal(toggle.getAttribute("aria-checked"), "false");
+  assert.equal(document.getElementById("size").value, "Large");
+  assert.deepEqual(messages, [
+    '✓ Turned off "Notifications"',
+    '✓ Selected "Large" in Size',
+  ]);
+  page.close();
+});
+
+test("submitting a form waits for a spoken yes with the button highlighted", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <form><button id="order">Place order</button></form>
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  let submitted = false;
+  document.querySelector("form").addEventListener("submit", (event) => {
+    event.preventDefault();
+    submitted = true;
+  });
+
+  const done = content.handleActionRequest(
+    { isAction: true, actionType: "click", targetDescription: "place order" },
+    "place the order"
+  );
+  await waitUntil(() => content.pendingChoice);
+  const labels = Array.from(
+    document.querySelectorAll(".lavio-action-label"),
+    (label) => label.textContent
+  );
+  assert.equal(submitted, false);
+  await content.processRecognizedSpeech("maybe");
+  await content.processRecognizedSpeech("yes please");
+  await done;
+
+  assert.deepEqual(labels, ["Confirm?"]);
+  assert.equal(submitted, true);
+  assert.match(
+    messages[0],
+    /^Action will submit a form\. Should I click "Place order"\?/
+  );
+  assert.ok(messages.includes('Please say "yes" to go ahead or "cancel".'));
+  page.close();
+});
+
+test("confirmation settings apply per action type, and Escape or silence cancels", async () => {
+  const chrome = createChromeFake({
+    storage: {
+      sync: { confirmActions: { click: "always" }, confirmTimeout: 0.05 },
+    },
+  });
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <button id="save">Save</button>
+    </body></html>`,
+    chrome,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  let clicks = 0;
+  document.getElementById("save").addEventListener("click", () => clicks++);
+  const click = {
+    isAction: true,
+    actionType: "click",
+    targetDescription: "save",
+  };
+
+  // Nobody answers
+  await content.handleActionRequest(click, "click save");
+
+  const escaped = content.handleActionRequest(click, "click save");
+  await waitUntil(() => content.pendingChoice);
+  document.body.dispatchEvent(
+    new page.window.KeyboardEvent("keydown", { key: "Escape", bubbles: true })
+  );
+  await escaped;
+
+  assert.equal(clicks, 0);
+  assert.ok(messages.includes("I didn't hear a yes, so I cancelled it."));
+  assert.equal(messages.at(-1), "Okay, cancelled.");
+  assert.equal(content.pendingChoice, null);
+  page.close();
+});
+
+test("fill_form previews the field mapping and fills it after a yes", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <form id="login">
+        <input type="email" placeholder="Email">
+        <input id="login-password" type="password" name="password">
+      </form>
+      <form id="signup">
+        <h2>Signup</h2>
+        <label for="name">Full name</label><input id="name">
+        <input id="email" type="email" placeholder="Email">
+        <label>Country <select id="country">
+          <option>France</option><option>Germany</option>
+        </select></label>
+        <label><input id="news" type="checkbox"> Send me the newsletter</label>
+        <input id="password" type="password" name="password">
+      </form>
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  const byId = (id) => document.getElementById(id);
+
+  const done = content.handleActionRequest(
+    { isAction: true, actionType: "fill_form", targetDescription: "signup" },
+    "fill the signup form with name Jane Doe, email is jane@example.com, country: Germany, newsletter yes and phone 555 1234"
+  );
+  await waitUntil(() => content.pendingChoice);
+  const filledEarly = byId("name").value;
+  await content.processRecognizedSpeech("yes");
+  await done;
+
+  assert.equal(filledEarly, "");
+  assert.equal(
+    messages[0],
+    'This fills several fields at once. Full name → Jane Doe, Email → jane@example.com, Country → Germany, Send me the newsletter → yes. Should I fill in "Signup"? Say "yes" to go ahead or "cancel".'
+  );
+  assert.equal(byId("name").value, "Jane Doe");
+  assert.equal(byId("email").value, "jane@example.com");
+  assert.equal(byId("country").value, "Germany");
+  assert.equal(byId("news").checked, true);
+  assert.equal(byId("password").value, "");
+  assert.equal(
+    messages.at(-1),
+    '✓ Filled 4 fields in Signup. No field for "phone".'
+  );
+  page.close();
+});
+
+test("fill_profile fills from a saved profile and skips sensitive fields", async () => {
+  const chrome = createChromeFake({
+    storage: {
+      local: {
+        profiles: {
+          work: {
+            values: {
+              fullName: "Jane Q Doe",
+              email: "jane@example.com",
+              postalCode: "10115",
+              birthDate: "1990-05-01",
+            },
+            includeSensitive: false,
+          },
+          home: { values: { fullName: "Jane Doe" } },
+        },
+      },
+    },
+  });
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <form>
+        <input id="first" name="first" autocomplete="given-name">
+        <input id="last" name="last" autocomplete="family-name">
+        <input id="email" type="email">
+        <input id="zip" name="zip">
+        <label for="dob">Date of birth</label><input id="dob" type="date">
+        <input id="phone" name="phone" type="tel">
+      </form>
+    </body></html>`,
+    chrome,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  const byId = (id) => document.getElementById(id);
+
+  await content.handleActionRequest(
+    { isAction: true, actionType: "fill_profile", additionalData: "gym" },
+    "fill this with my gym profile"
+  );
+  const done = content.handleActionRequest(
+    { isAction: true, actionType: "fill_profile", additionalData: "Work" },
+    "fill this with my work profile"
+  );
+  await waitUntil(() => content.pendingChoice);
+  await content.processRecognizedSpeech("yes");
+  await done;
+
+  assert.equal(
+    messages[0],
+    `I don't have a profile called "gym". Your profiles are: work, home.`
+  );
+  assert.match(
+    messages[1],
+    /first → Jane, last → Q Doe, email → jane@example\.com, zip → 10115\./
+  );
+  assert.deepEqual(
+    ["first", "last", "email", "zip", "dob", "phone"].map(
+      (id) => byId(id).value
+    ),
+    ["Jane", "Q Doe", "jane@example.com", "10115", "", ""]
+  );
+  assert.equal(
+    messages.at(-1),
+    "✓ Filled 4 fields in form 1. Skipped sensitive fields: Date of birth."
+  );
+  page.close();
+});
+
+test("a target the last click is still rendering is waited for", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <button id="open">Open menu</button>
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  document.getElementById("open").addEventListener("click", () => {
+    document.body.classList.add("menu-open");
+    setTimeout(() => {
+      const item = document.createElement("button");
+      item.textContent = "Rename";
+      document.body.appendChild(item);
+    }, 300);
+  });
+
+  await content.handleActionRequest(
+    { isAction: true, actionType: "click", targetDescription: "open menu" },
+    "open the menu"
+  );
+  await content.handleActionRequest(
+    { isAction: true, actionType: "click", targetDescription: "rename" },
+    "click rename"
+  );
+
+  assert.deepEqual(messages, [
+    '✓ Clicked on "Open menu"',
+    'Clicked "Rename", but nothing happened on the page.',
+  ]);
+  page.close();
+});
+
+test("undo that reverses the last change and the panel redoes it", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <input id="city" placeholder="City" value="Paris">
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  const city = document.getElementById("city");
+
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      actionType: "type",
+      targetDescription: "city",
+      additionalData: "Berlin",
+    },
+    "type Berlin in city"
+  );
+  assert.equal(city.value, "Berlin");
+
+  await content.processRecognizedSpeech("Undo that.");
+  assert.equal(city.value, "Paris");
+  assert.equal(messages.at(-1), '✓ Undid typing "Berlin"');
+
+  content.openVoicePanel();
+  const undoBtn = document.getElementById("lavio-undo");
+  const redoBtn = document.getElementById("lavio-redo");
+  assert.equal(undoBtn.disabled, true);
+  redoBtn.click();
+  await waitUntil(() => !undoBtn.disabled);
+  assert.equal(city.value, "Berlin");
+  assert.equal(redoBtn.disabled, true);
+
+  await content.processRecognizedSpeech("redo");
+  assert.equal(messages.at(-1), "Nothing to redo.");
+  page.close();
+});
+
+test("scroll intents reach named sections and undo scrolls back", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <h1>Trail shoes</h1>
+      <section aria-label="Customer reviews"><p>Great grip</p></section>
+    </body></html>`,
+  });
+  const { document, window } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  const section = document.querySelector("section");
+  let sectionScrolls = 0;
+  section.scrollIntoView = () => sectionScrolls++;
+  const scrolledTo = [];
+  window.scrollTo = (options) => scrolledTo.push(options.top);
+
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      actionType: "scroll",
+      targetDescription: "reviews",
+      additionalData: null,
+    },
+    "go to the reviews section"
+  );
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      actionType: "scroll",
+      targetDescription: "pricing",
+      additionalData: null,
+    },
+    "scroll to pricing"
+  );
+  await content.processRecognizedSpeech("undo");
+
+  assert.equal(sectionScrolls, 1);
+  assert.deepEqual(scrolledTo, [0]);
+  assert.deepEqual(messages, [
+    '✓ Scrolled to "Customer reviews"',
+    'I couldn\'t find "pricing" on this page.',
+    "undo",
+    '✓ Undid scrolling to "Customer reviews"',
+  ]);
+  page.close();
+});
+
+test("find highlights matches, steps through them and asks the AI for topics", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <p>Our refund policy is simple.</p>
+      <p>Delivery fees depend on the destination.</p>
+      <p>See the refund policy page.</p>
+    </body></html>`,
+  });
+  const { document } = page;
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  const requests = [];
+  content.sendAIRequest = async (request) => {
+    requests.push(request);
+    return { success: true, passages: [1] };
+  };
+  const find = (query) =>
+    content.handleActionRequest(
+      {
+        isAction: true,
+        actionType: "find",
+        targetDescription: null,
+        additionalData: query,
+      },
+      `find ${query}`
+    );
+
+  content.openVoicePanel();
+  await find("refund policy");
+  assert.equal(
+    document.getElementById("lavio-find-count").textContent,
+    '1 of 2 for "refund policy"'
+  );
+  await content.processRecognizedSpeech("Next match.");
+  document.getElementById("lavio-find-prev").click();
+  assert.equal(content.pageFinder.current, 0);
+  await content.processRecognizedSpeech("clear search");
+  assert.equal(document.getElementById("lavio-find-bar").style.display, "none");
+
+  await find("shipping costs");
+  assert.equal(requests[0].type, "FIND_PASSAGES");
+  assert.equal(requests[0].passages.length, 3);
+  assert.match(
+    content.pageFinder.matches[0].element.textContent,
+    /^Delivery fees/
+  );
+  // Without a search open, "next match" goes to the AI as usual
+  content.pageFinder.clear();
+  assert.equal(await content.handleFindCommand("next match"), false);
+
+  assert.deepEqual(messages, [
+    '✓ Found 2 matches for "refund policy". Say "next match" to go on.',
+    "Next match.",
+    "Match 2 of 2.",
+    "clear search",
+    "Search cleared.",
+    '✓ Found 1 passage about "shipping costs".',
+  ]);
+  page.close();
+});
+
+test("manage_tab intents are carried out by the background worker", async () => {
+  const backgroundChrome = createChromeFake({
+    tabs: [
+      { id: 5, url: "https://example.com/", title: "Example", active: true },
+      { id: 6, url: "https://mail.google.com/", title: "Inbox - Gmail" },
+    ],
+  });
+  await loadBackground({ chrome: backgroundChrome });
+  const tab = { id: 5, url: "https://example.com/" };
+  const contentChrome = createChromeFake({ sender: { tab, url: tab.url } });
+  linkContentScript(contentChrome, backgroundChrome, tab);
+  const page = loadContentScripts({ chrome: contentChrome });
+  const content = page.window.lavioContent;
+  const { sendAIRequest } = content;
+  const messages = recordConversation(content);
+  // Tab commands go to the linked background, not a stubbed AI
+  content.sendAIRequest = sendAIRequest;
+  const manageTab = (operation, target) =>
+    content.handleActionRequest(
+      {
+        isAction: true,
+        actionType: "manage_tab",
+        targetDescription: target,
+        additionalData: operation,
+      },
+      `${operation} ${target}`
+    );
+
+  await manageTab("switch", "gmail");
+  await manageTab("switch", "calendar");
+
+  assert.equal(backgroundChrome.tabs.list.find((t) => t.id === 6).active, true);
+  assert.deepEqual(messages, [
+    '✓ Switched to "Inbox - Gmail"',
+    'I couldn\'t find a tab matching "calendar".',
+  ]);
+  page.close();
+});
+
+test("closing other tabs, or a tab by its title, waits for a yes", async () => {
+  const backgroundChrome = createChromeFake({
+    tabs: [
+      { id: 5, url: "https://example.com/", title: "Example", active: true },
+      { id: 6, url: "https://mail.google.com/", title: "Inbox - Gmail" },
+      { id: 7, url: "https://shop.example/", title: "Cart" },
+    ],
+  });
+  await loadBackground({ chrome: backgroundChrome });
+  const tab = { id: 5, url: "https://example.com/" };
+  const contentChrome = createChromeFake({ sender: { tab, url: tab.url } });
+  linkContentScript(contentChrome, backgroundChrome, tab);
+  const page = loadContentScripts({ chrome: contentChrome });
+  const content = page.window.lavioContent;
+  const { sendAIRequest } = content;
+  const messages = recordConversation(content);
+  content.sendAIRequest = sendAIRequest;
+  const manageTab = (operation, target) =>
+    content.handleActionRequest(
+      {
+        isAction: true,
+        actionType: "manage_tab",
+        targetDescription: target,
+        additionalData: operation,
+      },
+      `${operation} ${target}`
+    );
+  const titles = () => backgroundChrome.tabs.list.map((t) => t.title);
+
+  const closeOthers = manageTab("close_others", null);
+  await waitUntil(() => content.pendingChoice);
+  await content.processRecognizedSpeech("cancel");
+  await closeOthers;
+  const closeCart = manageTab("close", "cart");
+  await waitUntil(() => content.pendingChoice);
+  assert.deepEqual(titles(), ["Example", "Inbox - Gmail", "Cart"]);
+  await content.processRecognizedSpeech("yes");
+  await closeCart;
+
+  assert.deepEqual(titles(), ["Example", "Inbox - Gmail"]);
+  assert.deepEqual(messages, [
+    'This closes every other tab in this window. Should I close the other tabs? Say "yes" to go ahead or "cancel".',
+    "cancel",
+    "Okay, cancelled.",
+    'This closes a tab you aren\'t looking at. Should I close the "cart" tab? Say "yes" to go ahead or "cancel".',
+    "yes",
+    '✓ Closed "Cart"',
+  ]);
+  page.close();
+});
+
+test("local commands don't reject when their reply can't be spoken", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <input id="city" placeholder="City" value="Paris">
+      <p>Paris or Berlin? Paris.</p>
+    </body></html>`,
+  });
+  const content = page.window.lavioContent;
+  // Every reply is interrupted, as when the user speaks over it
+  content.speechSynthesis.speak = (utterance) =>
+    setTimeout(() => utterance.onerror?.({ error: "interrupted" }), 0);
+  await content.actionExecutor.executeType(
+    page.document.getElementById("city"),
+    "Berlin",
+    { highlight: false, delay: 1 }
+  );
+
+  content.pageFinder.find("paris");
+
+  await content.processRecognizedSpeech("undo");
+  await content.processRecognizedSpeech("next match");
+  await content.processRecognizedSpeech("show numbers");
+
+  assert.equal(page.document.getElementById("city").value, "Paris");
+  assert.equal(content.pageFinder.current, 1);
+  assert.equal(content.numbersVisible, true);
+  page.close();
+});
+
+test("a streamed answer stops queuing sentences once speech is stopped", async () => {
+  const page = loadContentScripts();
+  const content = page.window.lavioContent;
+  const spoken = () =>
+    Array.from(content.speechSynthesis.spoken, (utterance) => utterance.text);
+
+  const speaker = content.createStreamingSpeaker();
+  speaker.push("The first sentence. The sec");
+  content.stopSpeaking();
+  speaker.push("ond sentence. A third one. ");
+  speaker.flush();
+
+  // A later answer speaks again
+  const next = content.createStreamingSpeaker();
+  next.push("A new answer. ");
+
+  assert.deepEqual(spoken(), ["The first sentence.", "A new answer."]);
+  page.close();
+});
+
+test("press escape goes to the page, not Lavio's own shortcut", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body><input id="search"></body></html>`,
+  });
+  const content = page.window.lavioContent;
+  recordConversation(content);
+  let cancelled = 0;
+  let pageKeys = 0;
+  content.cancelActiveRequests = () => cancelled++;
+  content.activeRequestIds.add("req_other");
+  page.document
+    .getElementById("search")
+    .addEventListener("keydown", () => pageKeys++);
+  page.document.getElementById("search").focus();
+
+  await content.executeActionStep(
+    { actionType: "press_key", additionalData: "escape" },
+    "press escape"
+  );
+
+  assert.equal(pageKeys, 1);
+  assert.equal(cancelled, 0);
+  page.close();
+});
+
+test("a positional reference that matches nothing isn't guessed", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <a href="#a" data-rect="10,10,60,20">Home</a>
+      <a href="#b" data-rect="80,10,60,20">Docs</a>
+      <button data-rect="10,100,80,30">Sign up</button>
+    </body></html>`,
+  });
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  let clicks = 0;
+  page.document.addEventListener("click", () => clicks++);
+  content.detectedElements =
+    content.elementDetector.getAllInteractiveElements();
+
+  const fifth = await content.executeActionStep(
+    { actionType: "click", targetDescription: "the fifth link" },
+    "click the fifth link"
+  );
+  const near = await content.executeActionStep(
+    { actionType: "click", targetDescription: "the button next to Price" },
+    "click the button next to price"
+  );
+
+  assert.equal(fifth, false);
+  assert.equal(near, false);
+  assert.equal(clicks, 0);
+  assert.deepEqual(messages, [
+    "There is no fifth link on this page.",
+    'I couldn\'t find "price" on this page.',
+  ]);
+  page.close();
+});
+
+test("a plan keeps going when its spoken confirmations are interrupted", async () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <button id="save">Save</button>
+      <h2 id="reviews">Reviews</h2>
+    </body></html>`,
+  });
+  const content = page.window.lavioContent;
+  const messages = recordConversation(content);
+  // As when the user presses Stop speaking during every reply
+  content.speakText = async () => {
+    throw new Error("interrupted");
+  };
+  let saved = 0;
+  page.document.getElementById("save").addEventListener("click", () => saved++);
+
+  await content.handleActionRequest(
+    {
+      isAction: true,
+      steps: [
+        { actionType: "click", targetDescription: "save" },
+        { actionType: "scroll", targetDescription: "reviews" },
+        { actionType: "click", targetDescription: "save" },
+      ],
+    },
+    "save, go to reviews and save again"
+  );
+
+  assert.equal(saved, 2);
+  assert.equal(
+    messages.some((message) => message.startsWith("Sorry")),
+    false
+  );
+  page.close();
+});
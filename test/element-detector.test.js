@@ -0,0 +1,388 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadContentScripts, stubLayout } = require("./harness");
+
+const PAGE = `<!DOCTYPE html><html><body>
+  <button id="sign-in">Sign in</button>
+  <button style="display: none">Hidden action</button>
+  <a href="/pulls">Pull requests</a>
+  <a href="/tiny" data-rect="0,0,4,4">x</a>
+  <label for="email">Email address</label>
+  <input id="email" type="email">
+  <input type="search" placeholder="Search the docs">
+</body></html>`;
+
+function createDetector() {
+  const page = loadContentScripts({
+    html: PAGE,
+    scripts: ["frame-geometry.js", "element-detector.js"],
+  });
+  const ElementDetector = page.get("ElementDetector");
+  return { page, detector: new ElementDetector() };
+}
+
+test("getAllButtons skips hidden buttons", () => {
+  const { page, detector } = createDetector();
+
+  const buttons = detector.getAllButtons();
+
+  assert.deepEqual(
+    Array.from(buttons, (button) => button.text),
+    ["Sign in"]
+  );
+  page.close();
+});
+
+test("getAllLinks skips links too small to be real targets", () => {
+  const { page, detector } = createDetector();
+
+  const links = detector.getAllLinks();
+
+  assert.deepEqual(
+    Array.from(links, (link) => link.text),
+    ["Pull requests"]
+  );
+  page.close();
+});
+
+test("getAllInteractiveElements labels inputs and finds search bars", () => {
+  const { page, detector } = createDetector();
+
+  const elements = detector.getAllInteractiveElements();
+  const email = elements.find((el) => el.id === "email");
+  const search = elements.find((el) => el.type === "search");
+
+  assert.equal(email.label, "Email address");
+  assert.equal(search.placeholder, "Search the docs");
+  page.close();
+});
+
+test("findElementByDescription matches on visible text", () => {
+  const { page, detector } = createDetector();
+  detector.getAllInteractiveElements();
+
+  const match = detector.findElementByDescription("the sign in button");
+
+  assert.equal(match.id, "sign-in");
+  assert.equal(detector.findElementByDescription("checkout"), null);
+  page.close();
+});
+
+const LAYOUT = `<!DOCTYPE html><html><body>
+  <input id="top-search" type="search" placeholder="Search" data-rect="10,10,200,30">
+  <a id="docs" href="/docs" data-rect="300,10,60,20">Docs</a>
+  <a id="blog" href="/blog" data-rect="380,10,60,20">Blog</a>
+  <a id="about" href="/about" data-rect="10,300,60,20">About</a>
+  <span data-rect="10,400,60,20">Price</span>
+  <button id="buy" data-rect="80,400,80,30">Add</button>
+  <button id="share" data-rect="80,600,80,30">Add</button>
+  <input id="bottom-search" type="search" placeholder="Search" data-rect="10,700,200,30">
+</body></html>`;
+
+function resolve(detector, description, modifiers) {
+  const matches = detector.resolveReference(
+    detector.parseReference(description, modifiers)
+  );
+  return Array.from(matches, (match) => match.id);
+}
+
+test("resolveReference picks elements by ordinal in visual order", () => {
+  const page = loadContentScripts({
+    html: LAYOUT,
+    scripts: ["frame-geometry.js", "element-detector.js"],
+  });
+  const detector = new (page.get("ElementDetector"))();
+  detector.getAllInteractiveElements();
+
+  assert.deepEqual(resolve(detector, "the third link"), ["about"]);
+  assert.deepEqual(resolve(detector, "the last button"), ["share"]);
+  assert.deepEqual(resolve(detector, "the 2nd link"), ["blog"]);
+  assert.deepEqual(resolve(detector, "the fifth link"), []);
+  // No label says "result", so the ordinal still counts the links
+  assert.deepEqual(resolve(detector, "the second result link"), ["blog"]);
+  assert.deepEqual(resolve(detector, "the second result"), ["docs"]);
+  page.close();
+});
+
+test("resolveReference understands regions and nearby text", () => {
+  const page = loadContentScripts({
+    html: LAYOUT,
+    scripts: ["frame-geometry.js", "element-detector.js"],
+  });
+  const detector = new (page.get("ElementDetector"))();
+  detector.getAllInteractiveElements();
+
+  assert.deepEqual(resolve(detector, "the search box at the top"), [
+    "top-search",
+  ]);
+  assert.deepEqual(resolve(detector, "the search box at the bottom"), [
+    "bottom-search",
+  ]);
+  assert.deepEqual(resolve(detector, "the button next to Price").at(0), "buy");
+  // Modifiers from the intent win over the wording
+  assert.deepEqual(
+    resolve(detector, "search", { elementType: "search", ordinal: -1 }),
+    ["bottom-search"]
+  );
+  page.close();
+});
+
+test("parseReference leaves field labels like first name alone", () => {
+  const { page, detector } = createDetector();
+
+  const reference = detector.parseReference("the first name field");
+  const plain = detector.parseReference("back to top");
+
+  assert.equal(reference.ordinal, null);
+  assert.equal(reference.elementType, "input");
+  assert.equal(reference.text, "first name");
+  assert.equal(plain.isPositional, false);
+  assert.equal(plain.text, "back to top");
+  page.close();
+});
+
+/**
+ * A page with a shadow-DOM widget and a same-origin iframe at (100, 200)
+ */
+function loadNestedPage() {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <div id="host"></div>
+      <iframe id="frame" data-rect="100,200,400,300"></iframe>
+    </body></html>`,
+    scripts: ["frame-geometry.js", "element-detector.js", "action-executor.js"],
+  });
+  const { document } = page.window;
+
+  const shadow = document.getElementById("host").attachShadow({ mode: "open" });
+  shadow.innerHTML = `<button id="like">Like</button>`;
+
+  const frame = document.getElementById("frame");
+  stubLayout(frame.contentWindow);
+  frame.contentDocument.body.innerHTML = `
+    <label for="comment">Comment</label>
+    <input id="comment" data-rect="10,20,200,30">`;
+
+  return page;
+}
+
+test("detection reaches open shadow roots and same-origin iframes", () => {
+  const page = loadNestedPage();
+  const detector = new (page.get("ElementDetector"))();
+
+  const elements = detector.getAllInteractiveElements();
+  const like = elements.find((el) => el.id === "like");
+  const comment = elements.find((el) => el.id === "comment");
+
+  assert.equal(like.type, "button");
+  assert.equal(comment.label, "Comment");
+  // Translated from frame coordinates into the top-level viewport
+  assert.equal(comment.position.left, 110);
+  assert.equal(comment.position.top, 220);
+  page.close();
+});
+
+test("search roots are walked again only after the page changes", () => {
+  const page = loadNestedPage();
+  const { document } = page.window;
+  const detector = new (page.get("ElementDetector"))();
+  const ids = () =>
+    Array.from(detector.getAllInteractiveElements(), (el) => el.id);
+  document.body.append(document.createElement("x-card"));
+
+  ids();
+  const cache = detector.rootCache;
+  assert.ok(ids().includes("comment"));
+  assert.equal(detector.rootCache, cache);
+
+  // Hiding a frame adds no nodes, but its elements still drop out
+  document.getElementById("frame").style.display = "none";
+  assert.equal(ids().includes("comment"), false);
+  assert.equal(detector.rootCache, cache);
+
+  // A custom element defined later attaches its shadow root on upgrade
+  page.window.customElements.define(
+    "x-card",
+    class extends page.window.HTMLElement {
+      connectedCallback() {
+        this.attachShadow({ mode: "open" }).innerHTML =
+          '<button id="save">Save</button>';
+      }
+    }
+  );
+  assert.ok(ids().includes("save"));
+
+  const host = document.createElement("div");
+  host.attachShadow({ mode: "open" }).innerHTML =
+    '<button id="share">Share</button>';
+  document.body.append(host);
+  assert.ok(ids().includes("share"));
+  page.close();
+});
+
+test("ActionExecutor types and labels inside an iframe", async () => {
+  const page = loadNestedPage();
+  const executor = new (page.get("ActionExecutor"))();
+  const input = page.window.document
+    .getElementById("frame")
+    .contentDocument.getElementById("comment");
+
+  const highlight = await executor.highlightElement(input, "type");
+  const result = await executor.executeType(input, "Nice", {
+    highlight: false,
+    delay: 1,
+  });
+
+  assert.equal(highlight.label.style.left, "110px");
+  assert.equal(highlight.label.style.top, "190px");
+  assert.equal(result.success, true);
+  assert.equal(input.value, "Nice");
+  assert.equal(executor.validateAction("type", input).safe, true);
+  executor.removeHighlight();
+  page.close();
+});
+
+const WIDGETS = `<!DOCTYPE html><html><body>
+  <div role="tablist">
+    <button role="tab" aria-selected="true">Overview</button>
+    <button role="tab" aria-selected="false">Settings</button>
+  </div>
+  <a href="/settings">Settings</a>
+  <label><input type="checkbox" id="remember"> Remember me</label>
+  <button role="switch" aria-checked="true" aria-label="Notifications"></button>
+  <button>Notifications</button>
+  <label for="size">Size</label>
+  <select id="size"><option>Small</option><option selected>Large</option></select>
+  <div role="slider" aria-label="Volume" aria-valuenow="40" aria-valuemin="0" aria-valuemax="100"></div>
+</body></html>`;
+
+test("getAllWidgets reports widget types and their state", () => {
+  const page = loadContentScripts({
+    html: WIDGETS,
+    scripts: ["frame-geometry.js", "element-detector.js"],
+  });
+  const detector = new (page.get("ElementDetector"))();
+
+  const elements = detector.getAllInteractiveElements();
+  const byLabel = (type, text) =>
+    elements.find((el) => el.type === type && el.text === text);
+
+  assert.equal(byLabel("tab", "Overview").state.selected, true);
+  assert.equal(byLabel("tab", "Settings").state.selected, false);
+  assert.equal(byLabel("checkbox", "Remember me").state.checked, false);
+  assert.equal(byLabel("switch", "Notifications").stateText, "on");
+  assert.equal(byLabel("select", "Size").state.value, "Large");
+  assert.deepEqual(Array.from(byLabel("select", "Size").state.options), [
+    "Small",
+    "Large",
+  ]);
+  assert.equal(byLabel("slider", "Volume").stateText, "value 40");
+  // The checkbox is a widget, not also a plain input
+  assert.equal(elements.filter((el) => el.id === "remember").length, 1);
+  page.close();
+});
+
+test("findElementByDescription prefers the widget a command is about", () => {
+  const page = loadContentScripts({
+    html: WIDGETS,
+    scripts: ["frame-geometry.js", "element-detector.js"],
+  });
+  const detector = new (page.get("ElementDetector"))();
+  detector.getAllInteractiveElements();
+
+  const tab = detector.findElementByDescription("open the settings tab");
+  const checkbox = detector.findElementByDescription("check remember me");
+  const toggle = detector.findElementByDescription("turn off notifications");
+
+  assert.equal(tab.type, "tab");
+  assert.equal(checkbox.type, "checkbox");
+  assert.equal(toggle.type, "switch");
+  page.close();
+});
+
+test("getForms groups fields and matches them to profile values", () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <form aria-label="Checkout">
+        <input name="first_name" placeholder="First name">
+        <input autocomplete="shipping family-name">
+        <input type="email" name="contact">
+        <input name="billingZipCode">
+        <label for="company">Company name</label><input id="company">
+        <input autocomplete="cc-name" placeholder="Name on card">
+        <label>Card number <input name="card"></label>
+        <input type="password" name="password">
+        <input type="file" name="avatar">
+      </form>
+      <input placeholder="Newsletter email">
+    </body></html>`,
+    scripts: ["frame-geometry.js", "element-detector.js"],
+  });
+  const detector = new (page.get("ElementDetector"))();
+
+  const forms = detector.getForms();
+  const [checkout, loose] = forms;
+  const fields = Array.from(checkout.fields, (field) => [
+    detector.matchProfileField(field)?.key ?? null,
+    field.sensitive,
+  ]);
+
+  assert.deepEqual(
+    Array.from(forms, (form) => form.name),
+    ["Checkout", "this page"]
+  );
+  assert.deepEqual(fields, [
+    ["givenName", false],
+    ["familyName", false],
+    ["email", false],
+    ["postalCode", false],
+    ["organization", false],
+    ["fullName", true],
+    [null, true],
+  ]);
+  assert.equal(detector.matchProfileField(loose.fields[0]).key, "email");
+  page.close();
+});
+
+test("getOutline lists headings and landmarks and findSection picks one", () => {
+  const page = loadContentScripts({
+    html: `<!DOCTYPE html><html><body>
+      <nav aria-label="Primary"><a href="/">Home</a></nav>
+      <main>
+        <h1>Trail shoes</h1>
+        <section aria-labelledby="reviews-title">
+          <h2 id="reviews-title">Customer reviews (12)</h2>
+        </section>
+        <div role="heading" aria-level="3">Shipping</div>
+        <h2 style="display: none">Hidden heading</h2>
+        <div id="comments-list">Nice shoes!</div>
+      </main>
+      <footer>Contact us</footer>
+    </body></html>`,
+    scripts: ["frame-geometry.js", "element-detector.js"],
+  });
+  const detector = new (page.get("ElementDetector"))();
+
+  const outline = Array.from(detector.getOutline(), (entry) => [
+    entry.type === "heading" ? `h${entry.level}` : entry.role,
+    entry.text,
+  ]);
+
+  assert.deepEqual(outline, [
+    ["navigation", "Primary"],
+    ["main", "Trail shoes"],
+    ["h1", "Trail shoes"],
+    ["region", "Customer reviews (12)"],
+    ["h2", "Customer reviews (12)"],
+    ["h3", "Shipping"],
+    ["contentinfo", "footer"],
+  ]);
+  assert.equal(
+    detector.findSection("the reviews section").text,
+    "Customer reviews (12)"
+  );
+  assert.equal(detector.findSection("footer").role, "contentinfo");
+  assert.equal(detector.findSection("comments").element.id, "comments-list");
+  assert.equal(detector.findSection("pricing"), null);
+  page.close();
+});
@@ -0,0 +1,405 @@
+// Lavio AI Assistant - Test Harness
+// In-memory fakes for the chrome.runtime, chrome.storage, chrome.tabs,
+// chrome.windows and chrome.sessions APIs
+
+/**
+ * Create a chrome.events.Event-like object
+ * Tests can fire it directly with dispatch(...args).
+ */
+function createEvent() {
+  const listeners = [];
+
+  return {
+    listeners,
+    addListener(listener) {
+      listeners.push(listener);
+    },
+    removeListener(listener) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener(listener) {
+      return listeners.includes(listener);
+    },
+    dispatch(...args) {
+      return listeners.map((listener) => listener(...args));
+    },
+  };
+}
+
+/**
+ * Deliver a message to onMessage listeners the way Chrome does:
+ * a listener answers through sendResponse, and returning true keeps the
+ * channel open for an async answer
+ * @returns {Promise<*>} The first response, or undefined if nobody answered
+ */
+function deliverMessage(event, message, sender) {
+  return new Promise((resolve) => {
+    let responded = false;
+    let keepOpen = false;
+    const sendResponse = (response) => {
+      if (responded) return;
+      responded = true;
+      resolve(response);
+    };
+
+    for (const listener of [...event.listeners]) {
+      if (listener(message, sender, sendResponse) === true) {
+        keepOpen = true;
+      }
+    }
+
+    if (!keepOpen && !responded) {
+      resolve(undefined);
+    }
+  });
+}
+
+function createPort(name, sender) {
+  const port = {
+    name,
+    sender,
+    other: null,
+    connected: true,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    postMessage(message) {
+      if (!port.connected) {
+        throw new Error("Attempting to use a disconnected port object");
+      }
+      // Ports are asynchronous in Chrome too
+      const target = port.other;
+      queueMicrotask(() => {
+        if (target.connected) target.onMessage.dispatch(message, target);
+      });
+    },
+    disconnect() {
+      if (!port.connected) return;
+      port.connected = false;
+      const target = port.other;
+      queueMicrotask(() => {
+        if (!target.connected) return;
+        target.connected = false;
+        target.onDisconnect.dispatch(target);
+      });
+    },
+  };
+
+  return port;
+}
+
+function createStorageArea(areaName, initial, onChanged) {
+  let data = structuredClone(initial || {});
+
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) {
+      return structuredClone(data);
+    }
+    if (typeof keys === "string") {
+      keys = [keys];
+    }
+    if (Array.isArray(keys)) {
+      const result = {};
+      keys.forEach((key) => {
+        if (key in data) result[key] = structuredClone(data[key]);
+      });
+      return result;
+    }
+    // Object form: keys with default values
+    const result = {};
+    Object.entries(keys).forEach(([key, fallback]) => {
+      result[key] = key in data ? structuredClone(data[key]) : fallback;
+    });
+    return result;
+  };
+
+  const withCallback = (value, callback) => {
+    if (typeof callback === "function") {
+      queueMicrotask(() => callback(value));
+    }
+    return Promise.resolve(value);
+  };
+
+  return {
+    get(keys, callback) {
+      if (typeof keys === "function") {
+        return withCallback(pick(null), keys);
+      }
+      return withCallback(pick(keys), callback);
+    },
+    set(items, callback) {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = {
+          oldValue: data[key],
+          newValue: structuredClone(value),
+        };
+        data[key] = structuredClone(value);
+      });
+      onChanged.dispatch(changes, areaName);
+      return withCallback(undefined, callback);
+    },
+    remove(keys, callback) {
+      const changes = {};
+      (Array.isArray(keys) ? keys : [keys]).forEach((key) => {
+        if (key in data) {
+          changes[key] = { oldValue: data[key] };
+          delete data[key];
+        }
+      });
+      onChanged.dispatch(changes, areaName);
+      return withCallback(undefined, callback);
+    },
+    clear(callback) {
+      data = {};
+      return withCallback(undefined, callback);
+    },
+    // Test helper: current contents without going through get()
+    dump() {
+      return structuredClone(data);
+    },
+  };
+}
+
+/**
+ * Create a fake `chrome` global for one extension context
+ * @param {Object} options
+ * @param {Array} options.tabs - Initial tabs ({ id, url, title, active, windowId, ... })
+ * @param {Object} options.storage - Initial { local, sync } contents
+ * @param {Object} options.sender - Sender attached to messages and ports this context opens
+ * @returns {Object} chrome fake. As in Chrome, a context never receives its own
+ *   messages: runtime.sentMessages and tabs.sentMessages log outgoing traffic,
+ *   runtime.setMessageHandler / tabs.setMessageHandler script the other side's
+ *   replies, and runtime.dispatchMessage simulates incoming messages.
+ */
+function createChromeFake({ tabs = [], storage = {}, sender = {} } = {}) {
+  const onChanged = createEvent();
+  let nextTabId = Math.max(0, ...tabs.map((tab) => tab.id)) + 1;
+  let nextWindowId = Math.max(1, ...tabs.map((tab) => tab.windowId || 1)) + 1;
+  // Most recently closed last, as chrome.sessions restores them
+  const closedTabs = [];
+  let runtimeHandler = null;
+  let tabsHandler = null;
+  let connectTarget = null;
+
+  const tabList = tabs.map((tab) => ({
+    active: false,
+    pinned: false,
+    windowId: 1,
+    index: 0,
+    mutedInfo: { muted: false },
+    title: "",
+    ...tab,
+  }));
+
+  const runtime = {
+    id: "lavio-test-extension",
+    lastError: null,
+    sentMessages: [],
+    onMessage: createEvent(),
+    onConnect: createEvent(),
+    onInstalled: createEvent(),
+    getURL(path) {
+      return `chrome-extension://lavio-test-extension/${path}`;
+    },
+    openOptionsPage() {
+      return Promise.resolve();
+    },
+    /**
+     * Answer this context's outgoing messages with fn(message)
+     */
+    setMessageHandler(fn) {
+      runtimeHandler = fn;
+    },
+    /**
+     * Deliver ports opened by connect() to another chrome fake's onConnect
+     */
+    setConnectTarget(chromeFake) {
+      connectTarget = chromeFake;
+    },
+    sendMessage(message, callback) {
+      runtime.sentMessages.push(message);
+      const response = Promise.resolve().then(() =>
+        runtimeHandler ? runtimeHandler(message) : undefined
+      );
+      if (typeof callback === "function") {
+        response.then(callback);
+      }
+      return response;
+    },
+    /**
+     * Simulate a message arriving from another context (popup, content script)
+     */
+    dispatchMessage(message, messageSender = {}) {
+      return deliverMessage(runtime.onMessage, message, {
+        id: runtime.id,
+        ...messageSender,
+      });
+    },
+    connect(connectInfo = {}) {
+      const local = createPort(connectInfo.name, undefined);
+      const remote = createPort(connectInfo.name, {
+        id: runtime.id,
+        ...sender,
+      });
+      local.other = remote;
+      remote.other = local;
+      const target = connectTarget?.runtime || runtime;
+      queueMicrotask(() => target.onConnect.dispatch(remote));
+      return local;
+    },
+  };
+
+  const matchesQuery = (tab, query) =>
+    Object.entries(query).every(([key, value]) => {
+      if (key === "currentWindow" || key === "lastFocusedWindow") {
+        return tab.windowId === (tabList.find((t) => t.active)?.windowId ?? 1);
+      }
+      if (key === "muted") return tab.mutedInfo.muted === value;
+      return tab[key] === value;
+    });
+
+  const chromeTabs = {
+    sentMessages: [],
+    onRemoved: createEvent(),
+    onUpdated: createEvent(),
+    onActivated: createEvent(),
+    onCreated: createEvent(),
+    // Test helper: the live tab list
+    list: tabList,
+    setMessageHandler(fn) {
+      tabsHandler = fn;
+    },
+    async query(query = {}) {
+      return tabList.filter((tab) => matchesQuery(tab, query));
+    },
+    async get(tabId) {
+      const tab = tabList.find((t) => t.id === tabId);
+      if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+      return tab;
+    },
+    async create(props = {}) {
+      const tab = {
+        id: nextTabId++,
+        url: props.url || "chrome://newtab/",
+        title: "",
+        active: props.active !== false,
+        pinned: !!props.pinned,
+        windowId: props.windowId ?? 1,
+        index: tabList.length,
+        mutedInfo: { muted: false },
+      };
+      if (tab.active) {
+        tabList.forEach((t) => {
+          if (t.windowId === tab.windowId) t.active = false;
+        });
+      }
+      tabList.push(tab);
+      chromeTabs.onCreated.dispatch(tab);
+      return tab;
+    },
+    async update(tabId, props = {}) {
+      const tab = await chromeTabs.get(tabId);
+      if (props.active) {
+        tabList.forEach((t) => {
+          if (t.windowId === tab.windowId) t.active = false;
+        });
+        chromeTabs.onActivated.dispatch({ tabId, windowId: tab.windowId });
+      }
+      if ("muted" in props) {
+        tab.mutedInfo = { muted: props.muted };
+      }
+      Object.entries(props).forEach(([key, value]) => {
+        if (key !== "muted") tab[key] = value;
+      });
+      chromeTabs.onUpdated.dispatch(tabId, props, tab);
+      return tab;
+    },
+    async remove(tabIds) {
+      (Array.isArray(tabIds) ? tabIds : [tabIds]).forEach((tabId) => {
+        const index = tabList.findIndex((t) => t.id === tabId);
+        if (index === -1) return;
+        const [tab] = tabList.splice(index, 1);
+        closedTabs.push(tab);
+        chromeTabs.onRemoved.dispatch(tabId, {
+          windowId: tab.windowId,
+          isWindowClosing: false,
+        });
+      });
+    },
+    async sendMessage(tabId, message) {
+      chromeTabs.sentMessages.push({ tabId, message });
+      return tabsHandler ? tabsHandler(tabId, message) : undefined;
+    },
+  };
+
+  const windows = {
+    focused: null,
+    async create(props = {}) {
+      const id = nextWindowId++;
+      if (props.tabId !== undefined) {
+        const tab = await chromeTabs.get(props.tabId);
+        Object.assign(tab, { windowId: id, index: 0, active: true });
+      }
+      if (props.focused) windows.focused = id;
+      return { id, tabs: tabList.filter((tab) => tab.windowId === id) };
+    },
+    async update(windowId, props = {}) {
+      if (props.focused) windows.focused = windowId;
+      return { id: windowId };
+    },
+  };
+
+  const sessions = {
+    async getRecentlyClosed({ maxResults = 25 } = {}) {
+      return closedTabs
+        .slice(-maxResults)
+        .reverse()
+        .map((tab) => ({ lastModified: 0, tab }));
+    },
+    async restore() {
+      const closed = closedTabs.pop();
+      if (!closed) throw new Error("There are no recently closed sessions.");
+      const tab = await chromeTabs.create({
+        url: closed.url,
+        windowId: closed.windowId,
+      });
+      tab.title = closed.title;
+      return { lastModified: 0, tab };
+    },
+  };
+
+  return {
+    runtime,
+    tabs: chromeTabs,
+    windows,
+    sessions,
+    storage: {
+      onChanged,
+      local: createStorageArea("local", storage.local, onChanged),
+      sync: createStorageArea("sync", storage.sync, onChanged),
+    },
+  };
+}
+
+/**
+ * Wire a content script context to the background context, as if the
+ * content script were running in `tab`
+ */
+function linkContentScript(contentChrome, backgroundChrome, tab) {
+  const sender = { id: backgroundChrome.runtime.id, tab, url: tab.url };
+
+  contentChrome.runtime.setMessageHandler((message) =>
+    backgroundChrome.runtime.dispatchMessage(message, sender)
+  );
+  contentChrome.runtime.setConnectTarget(backgroundChrome);
+  backgroundChrome.tabs.setMessageHandler((tabId, message) =>
+    tabId === tab.id
+      ? contentChrome.runtime.dispatchMessage(message, {
+          id: backgroundChrome.runtime.id,
+        })
+      : undefined
+  );
+}
+
+module.exports = { createChromeFake, createEvent, linkContentScript };
@@ -0,0 +1,207 @@
+// Lavio AI Assistant - Test Harness
+// Scripted stand-in for the Prompt API's LanguageModel global
+
+/**
+ * Flatten prompt input (string or Prompt API messages) into plain text
+ */
+function promptText(input) {
+  if (typeof input === "string") return input;
+
+  return input
+    .map((message) =>
+      typeof message.content === "string"
+        ? message.content
+        : message.content
+            .filter((part) => part.type === "text")
+            .map((part) => part.value)
+            .join("\n")
+    )
+    .join("\n");
+}
+
+function createAbortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
+
+/**
+ * Reject with an AbortError as soon as the signal aborts
+ */
+function withAbort(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+/**
+ * Create a fake LanguageModel whose answers are scripted by the test
+ *
+ * Rules are checked in order and the first whose `match` fits the prompt
+ * answers it. `match` may be a substring, a RegExp or a predicate; `response`
+ * may be a string, an object (returned as JSON), an Error to throw, or
+ * fn(text, call) returning any of those or a promise of one. A pending answer
+ * is abandoned with an AbortError when the prompt's signal aborts.
+ *
+ * @param {Object} options
+ * @param {Array} options.rules - [{ match, response, once }]
+ * @param {string} options.defaultResponse - Answer when no rule matches
+ * @param {string} options.availability - Value returned by availability()
+ * @param {number} options.inputQuota - Context window reported by sessions
+ * @param {boolean} options.multimodal - Whether audio/image sessions can be created
+ * @returns {Object} LanguageModel fake; `calls` records every prompt and
+ *   `sessions` every session created
+ */
+function createFakeLanguageModel({
+  rules = [],
+  defaultResponse = "OK",
+  availability = "available",
+  inputQuota = 6144,
+  multimodal = false,
+} = {}) {
+  const calls = [];
+  const sessions = [];
+  const scriptedRules = [...rules];
+  let nextSessionId = 1;
+
+  const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+  const answer = async (text, call) => {
+    const index = scriptedRules.findIndex(({ match }) => {
+      if (match instanceof RegExp) return match.test(text);
+      if (typeof match === "function") return match(text, call);
+      return text.includes(match);
+    });
+
+    let response = defaultResponse;
+    if (index !== -1) {
+      const rule = scriptedRules[index];
+      if (rule.once) scriptedRules.splice(index, 1);
+      response = rule.response;
+    }
+
+    if (typeof response === "function") {
+      response = await response(text, call);
+    }
+    if (response instanceof Error) {
+      throw response;
+    }
+    return typeof response === "string" ? response : JSON.stringify(response);
+  };
+
+  class FakeLanguageModelSession {
+    constructor(config = {}, history = []) {
+      this.id = nextSessionId++;
+      this.config = config;
+      this.history = history;
+      this.inputQuota = inputQuota;
+      this.inputUsage = estimateTokens(config.systemPrompt || "");
+      this.destroyed = false;
+      sessions.push(this);
+    }
+
+    checkUsable(signal) {
+      if (this.destroyed) {
+        throw new DOMException(
+          "The session was destroyed.",
+          "InvalidStateError"
+        );
+      }
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+    }
+
+    async measureInputUsage(input) {
+      return estimateTokens(promptText(input));
+    }
+
+    async append(messages) {
+      this.checkUsable();
+      this.history.push(...messages);
+      this.inputUsage += estimateTokens(promptText(messages));
+    }
+
+    async prompt(input, options = {}) {
+      this.checkUsable(options.signal);
+
+      const text = promptText(input);
+      const call = { sessionId: this.id, input, text, options };
+      calls.push(call);
+
+      const response = await withAbort(answer(text, call), options.signal);
+      this.history.push({ role: "user", content: input });
+      this.history.push({ role: "assistant", content: response });
+      this.inputUsage += estimateTokens(text) + estimateTokens(response);
+      return response;
+    }
+
+    /**
+     * Yields the scripted answer word by word, like a real stream of deltas
+     */
+    async *promptStreaming(input, options = {}) {
+      const response = await this.prompt(input, options);
+      for (const piece of response.match(/\S+\s*|\s+/g) || []) {
+        if (options.signal?.aborted) throw createAbortError();
+        yield piece;
+      }
+    }
+
+    async clone() {
+      this.checkUsable();
+      const copy = new FakeLanguageModelSession(this.config, [...this.history]);
+      copy.inputUsage = this.inputUsage;
+      return copy;
+    }
+
+    destroy() {
+      this.destroyed = true;
+    }
+  }
+
+  return {
+    calls,
+    sessions,
+    /**
+     * Add a rule after creation
+     */
+    respond(match, response, { once = false } = {}) {
+      scriptedRules.push({ match, response, once });
+    },
+    async availability() {
+      return availability;
+    },
+    async params() {
+      return {
+        defaultTemperature: 1,
+        maxTemperature: 2,
+        defaultTopK: 3,
+        maxTopK: 8,
+      };
+    },
+    async create(config = {}) {
+      if (availability === "unavailable") {
+        throw new DOMException(
+          "The model is not available.",
+          "NotSupportedError"
+        );
+      }
+      const wantsMedia = (config.expectedInputs || []).some(
+        (input) => input.type !== "text"
+      );
+      if (wantsMedia && !multimodal) {
+        throw new DOMException(
+          "Audio and image input are not supported.",
+          "NotSupportedError"
+        );
+      }
+      return new FakeLanguageModelSession(config);
+    },
+  };
+}
+
+module.exports = { createFakeLanguageModel, promptText };
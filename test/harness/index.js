@@ -0,0 +1,8 @@
+// Lavio AI Assistant - Test Harness
+// Entry point: require("./harness") from a test file
+
+module.exports = {
+  ...require("./fake-chrome"),
+  ...require("./fake-language-model"),
+  ...require("./load"),
+};
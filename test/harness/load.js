@@ -0,0 +1,226 @@
+// Lavio AI Assistant - Test Harness
+// Loads the extension's scripts into isolated contexts with faked browser APIs
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM } = require("jsdom");
+const { createChromeFake } = require("./fake-chrome");
+const { createFakeLanguageModel } = require("./fake-language-model");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+
+// Same order as content_scripts in manifest.json
+const CONTENT_SCRIPTS = [
+  "voice-recorder.js",
+  "frame-geometry.js",
+  "element-detector.js",
+  "action-history.js",
+  "action-executor.js",
+  "page-manipulator.js",
+  "page-finder.js",
+  "onboarding.js",
+  "content.js",
+];
+
+const quietConsole = {
+  log() {},
+  info() {},
+  debug() {},
+  warn() {},
+  error() {},
+};
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), "utf8");
+}
+
+/**
+ * Resolve once predicate() is truthy, polling on the macrotask queue
+ */
+async function waitUntil(predicate, timeout = 2000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error("waitUntil: condition not met in time");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Run background.js in a service-worker-like context
+ * @param {Object} options
+ * @param {Object} options.chrome - chrome fake (defaults to a fresh one)
+ * @param {Object} options.LanguageModel - LanguageModel fake, or null to leave it undefined
+ * @param {Object} options.globals - Extra globals (Summarizer, fetch, ...)
+ * @param {Object} options.console - Console for the script (silent by default)
+ * @returns {Promise<Object>} { background, context, chrome, LanguageModel }
+ */
+async function loadBackground({
+  chrome = createChromeFake(),
+  LanguageModel = createFakeLanguageModel(),
+  globals = {},
+  console: scriptConsole = quietConsole,
+} = {}) {
+  const context = vm.createContext({
+    chrome,
+    console: scriptConsole,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask,
+    structuredClone,
+    AbortController,
+    AbortSignal,
+    DOMException,
+    Blob,
+    URL,
+    TextDecoder,
+    TextEncoder,
+    fetch: async () => {
+      throw new Error("Network access is disabled in tests");
+    },
+    btoa,
+    atob,
+    ...globals,
+  });
+  if (LanguageModel) {
+    context.LanguageModel = LanguageModel;
+  }
+  context.self = context;
+  context.importScripts = (...files) => {
+    files.forEach((file) =>
+      vm.runInContext(readSource(file), context, { filename: file })
+    );
+  };
+
+  vm.runInContext(readSource("background.js"), context, {
+    filename: "background.js",
+  });
+
+  // Listeners are registered at the end of initializeExtension()
+  await waitUntil(() => chrome.runtime.onMessage.listeners.length > 0);
+
+  return {
+    background: vm.runInContext("lavioBackground", context),
+    context,
+    chrome,
+    LanguageModel,
+  };
+}
+
+/**
+ * Give every element a non-empty layout box, since jsdom does no layout
+ * An element's data-rect="left,top,width,height" attribute overrides the default box.
+ */
+function stubLayout(window) {
+  window.Element.prototype.getBoundingClientRect = function () {
+    const [left, top, width, height] = (
+      this.getAttribute("data-rect") || "0,0,100,20"
+    )
+      .split(",")
+      .map(Number);
+    return {
+      left,
+      top,
+      width,
+      height,
+      x: left,
+      y: top,
+      right: left + width,
+      bottom: top + height,
+      toJSON() {},
+    };
+  };
+  // A range takes the box of the element its text starts in
+  window.Range.prototype.getClientRects = function () {
+    const start = this.startContainer;
+    const element = start.nodeType === 1 ? start : start.parentElement;
+    return [element.getBoundingClientRect()];
+  };
+  window.Element.prototype.scrollIntoView = function () {};
+  window.scrollTo = () => {};
+  window.scrollBy = () => {};
+}
+
+/**
+ * Fake speech synthesis so speakText() can run
+ */
+function stubSpeech(window) {
+  window.SpeechSynthesisUtterance = class {
+    constructor(text) {
+      this.text = text;
+    }
+  };
+  window.speechSynthesis = {
+    spoken: [],
+    speaking: false,
+    speak(utterance) {
+      this.spoken.push(utterance);
+      setTimeout(() => utterance.onend?.(), 0);
+    },
+    cancel() {},
+    pause() {},
+    resume() {},
+    getVoices() {
+      return [];
+    },
+  };
+}
+
+/**
+ * Load a page in jsdom and run the content scripts on it
+ * @param {Object} options
+ * @param {string} options.html - Page markup
+ * @param {string} options.url - Page URL
+ * @param {Object} options.chrome - chrome fake for the content script context
+ * @param {Array} options.scripts - Scripts to run (defaults to all content scripts)
+ * @param {Object} options.console - Console for the scripts (silent by default)
+ * @returns {Object} { window, document, chrome, get(name), close() } where get()
+ *   reads a top-level binding such as a class declared by the scripts
+ */
+function loadContentScripts({
+  html = "<!DOCTYPE html><html><head><title>Test Page</title></head><body></body></html>",
+  url = "https://example.com/",
+  chrome = createChromeFake({
+    sender: { tab: { id: 1, url }, url },
+  }),
+  scripts = CONTENT_SCRIPTS,
+  console: scriptConsole = quietConsole,
+} = {}) {
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+
+  window.chrome = chrome;
+  window.console = scriptConsole;
+  stubLayout(window);
+  stubSpeech(window);
+
+  // Run as classic scripts so top-level classes are shared, as in the browser
+  const context = dom.getInternalVMContext();
+  scripts.forEach((file) => {
+    vm.runInContext(readSource(file), context, { filename: file });
+  });
+
+  return {
+    window,
+    document: window.document,
+    chrome,
+    get: (name) => vm.runInContext(name, context),
+    close: () => window.close(),
+  };
+}
+
+module.exports = {
+  CONTENT_SCRIPTS,
+  loadBackground,
+  loadContentScripts,
+  stubLayout,
+  waitUntil,
+};
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const corpus = require("./intent-eval/corpus.json");
+const {
+  formatReport,
+  intentClass,
+  scoreResults,
+  targetMatches,
+} = require("./intent-eval/scoring");
+
+const question = { isAction: false, actionType: null };
+const action = (
+  actionType,
+  targetDescription = null,
+  additionalData = null
+) => ({
+  isAction: true,
+  actionType,
+  targetDescription,
+  additionalData,
+});
+
+test("corpus entries are labeled consistently", () => {
+  assert.ok(corpus.cases.length > 0);
+  corpus.cases.forEach((entry) => {
+    assert.equal(typeof entry.utterance, "string");
+    assert.equal(typeof entry.isAction, "boolean", entry.utterance);
+    assert.equal(entry.isAction, !!entry.actionType, entry.utterance);
+  });
+});
+
+test("intentClass maps non-actions to question", () => {
+  assert.equal(intentClass(question), "question");
+  assert.equal(intentClass(action("click")), "click");
+  assert.equal(intentClass({ isAction: true }), "unknown");
+});
+
+test("targetMatches tolerates articles, case and partial descriptions", () => {
+  assert.ok(targetMatches("sign in", "The Sign-in button"));
+  assert.ok(targetMatches(null, null));
+  assert.ok(!targetMatches("search box", null));
+  assert.ok(!targetMatches(null, "sidebar"));
+});
+
+test("scoreResults computes per-class precision, recall and the confusion matrix", () => {
+  const report = scoreResults([
+    {
+      utterance: "a",
+      expected: action("click", "ok"),
+      actual: action("click", "ok button"),
+    },
+    { utterance: "b", expected: action("click", "next"), actual: question },
+    { utterance: "c", expected: question, actual: question },
+    {
+      utterance: "d",
+      expected: question,
+      actual: action("scroll", null, "down"),
+    },
+    {
+      utterance: "e",
+      expected: action("scroll", null, "up"),
+      actual: action("scroll", null, "down"),
+    },
+  ]);
+
+  assert.equal(report.total, 5);
+  assert.equal(report.accuracy, 3 / 5);
+  assert.deepEqual(report.confusion.labels, ["click", "question", "scroll"]);
+  assert.deepEqual(report.confusion.matrix, [
+    [1, 1, 0],
+    [0, 1, 1],
+    [0, 0, 1],
+  ]);
+  assert.equal(report.classes.click.precision, 1);
+  assert.equal(report.classes.click.recall, 0.5);
+  assert.equal(report.classes.scroll.precision, 0.5);
+  assert.equal(report.classes.question.recall, 0.5);
+  assert.equal(report.fields.targetDescription.correct, 2);
+  assert.equal(report.fields.additionalData.correct, 1);
+  assert.deepEqual(
+    report.failures.map((failure) => failure.utterance),
+    ["b", "d", "e"]
+  );
+
+  const text = formatReport(report, report);
+  assert.match(text, /Confusion matrix/);
+  assert.match(text, /ΔF1/);
+});
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Lavio AI Assistant - Intent Evaluation
+// Runs the labeled corpus through detectActionIntent and scores the results
+//
+// Usage:
+//   node test/intent-eval/run.js [--backend <name>] [--json <file>] [--compare <file>]
+//
+// Backends:
+//   heuristics (default)  The model answers every utterance as a question, so
+//                         only the pre-filter and keyword heuristics are scored
+//   openai                A real OpenAI-compatible server, through the same
+//                         provider the extension uses (--endpoint, --model,
+//                         --api-key)
+//   module:<path>         A module exporting createLanguageModel(), which must
+//                         return a LanguageModel-like object (availability,
+//                         params, create)
+
+const fs = require("fs");
+const path = require("path");
+const {
+  createChromeFake,
+  createFakeLanguageModel,
+  loadBackground,
+} = require("../harness");
+const { formatReport, scoreResults } = require("./scoring");
+
+const DEFAULT_CORPUS = path.join(__dirname, "corpus.json");
+
+function parseArgs(argv) {
+  const args = {
+    backend: "heuristics",
+    corpus: DEFAULT_CORPUS,
+    endpoint: "http://localhost:11434/v1",
+    model: "",
+    apiKey: "",
+    json: null,
+    compare: null,
+    verbose: false,
+  };
+  const flags = {
+    "--backend": "backend",
+    "--corpus": "corpus",
+    "--endpoint": "endpoint",
+    "--model": "model",
+    "--api-key": "apiKey",
+    "--json": "json",
+    "--compare": "compare",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--verbose" || arg === "-v") {
+      args.verbose = true;
+    } else if (flags[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} needs a value`);
+      }
+      args[flags[arg]] = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Build loadBackground() options for the chosen backend
+ */
+async function createBackend(args) {
+  if (args.backend === "heuristics") {
+    return {
+      LanguageModel: createFakeLanguageModel({
+        defaultResponse: {
+          isAction: false,
+          confidence: 0.5,
+          actionType: null,
+          targetDescription: null,
+          additionalData: null,
+          reasoning: "baseline",
+        },
+      }),
+    };
+  }
+
+  if (args.backend === "openai") {
+    return {
+      LanguageModel: null,
+      chrome: createChromeFake({
+        storage: {
+          sync: {
+            aiProvider: "openai-compatible",
+            localEndpoint: args.endpoint,
+            localModel: args.model,
+            localApiKey: args.apiKey,
+          },
+        },
+      }),
+      globals: { fetch },
+    };
+  }
+
+  if (args.backend.startsWith("module:")) {
+    const modulePath = path.resolve(args.backend.slice("module:".length));
+    const { createLanguageModel } = require(modulePath);
+    if (typeof createLanguageModel !== "function") {
+      throw new Error(`${modulePath} does not export createLanguageModel()`);
+    }
+    return { LanguageModel: await createLanguageModel(args) };
+  }
+
+  throw new Error(`Unknown backend: ${args.backend}`);
+}
+
+const pickIntent = (intent = {}) => ({
+  isAction: !!intent.isAction,
+  actionType: intent.actionType ?? null,
+  targetDescription: intent.targetDescription ?? null,
+  additionalData: intent.additionalData ?? null,
+});
+
+/**
+ * Classify every corpus entry and score the results
+ * @returns {Promise<Object>} Report from scoreResults, plus backend and per-utterance results
+ */
+async function evaluate(args) {
+  const corpus = JSON.parse(fs.readFileSync(args.corpus, "utf8"));
+  const { background } = await loadBackground(await createBackend(args));
+
+  if (args.backend !== "heuristics" && !background.isAIAvailable) {
+    throw new Error(
+      `Backend "${args.backend}" is not available: ${
+        background.aiCapabilities?.error || "unknown reason"
+      }`
+    );
+  }
+
+  const results = [];
+  for (const entry of corpus.cases) {
+    const actual = await background.detectActionIntent(
+      entry.utterance,
+      entry.elements || corpus.elements || []
+    );
+    results.push({
+      utterance: entry.utterance,
+      expected: pickIntent(entry),
+      actual: pickIntent(actual),
+    });
+    if (args.verbose) {
+      process.stderr.write(
+        `${entry.utterance} → ${JSON.stringify(pickIntent(actual))}\n`
+      );
+    }
+  }
+
+  return { backend: args.backend, ...scoreResults(results), results };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const report = await evaluate(args);
+  const baseline = args.compare
+    ? JSON.parse(fs.readFileSync(args.compare, "utf8"))
+    : null;
+
+  console.log(`Backend: ${report.backend}`);
+  console.log(formatReport(report, baseline));
+
+  if (report.failures.length > 0) {
+    console.log("\nMisclassified or mislabeled:");
+    report.failures.forEach((failure) => {
+      const detail = failure.fields
+        ? Object.entries(failure.fields)
+            .filter(([, values]) => values)
+            .map(
+              ([field, [want, got]]) =>
+                `${field} ${JSON.stringify(want)} → ${JSON.stringify(got)}`
+            )
+            .join(", ")
+        : `${failure.expected} → ${failure.actual}`;
+      console.log(`  "${failure.utterance}": ${detail}`);
+    });
+  }
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2) + "\n");
+    console.log(`\nReport written to ${args.json}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { evaluate, parseArgs };
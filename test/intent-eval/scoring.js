@@ -0,0 +1,256 @@
+// Lavio AI Assistant - Intent Evaluation
+// Scores detectActionIntent results against the labeled corpus
+
+// Class name used for anything that is not an action
+const QUESTION = "question";
+
+/**
+ * The class an intent falls into: its actionType, or "question"
+ */
+function intentClass(intent) {
+  if (!intent || !intent.isAction) return QUESTION;
+  return intent.actionType || "unknown";
+}
+
+/**
+ * Lowercase, drop punctuation and a leading article so "The Sign-in button"
+ * and "sign in button" compare equal
+ */
+function normalize(value) {
+  if (value === null || value === undefined) return "";
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9@.]+/g, " ")
+    .replace(/^\s*(the|a|an)\s+/, "")
+    .trim();
+}
+
+/**
+ * Target descriptions are free text, so either one containing the other counts
+ */
+function targetMatches(expected, actual) {
+  const want = normalize(expected);
+  const got = normalize(actual);
+  if (!want) return !got;
+  if (!got) return false;
+  return got.includes(want) || want.includes(got);
+}
+
+function dataMatches(expected, actual) {
+  return normalize(expected) === normalize(actual);
+}
+
+const ratio = (numerator, denominator) =>
+  denominator === 0 ? null : numerator / denominator;
+
+/**
+ * Score predictions against expectations
+ * @param {Array} results - [{ utterance, expected, actual }] where expected and
+ *   actual are intents ({ isAction, actionType, targetDescription, additionalData })
+ * @returns {Object} { total, accuracy, classes, macro, confusion, fields, failures }
+ */
+function scoreResults(results) {
+  const labels = [];
+  const addLabel = (label) => {
+    if (!labels.includes(label)) labels.push(label);
+  };
+  results.forEach(({ expected }) => addLabel(intentClass(expected)));
+  results.forEach(({ actual }) => addLabel(intentClass(actual)));
+
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  const fields = {
+    targetDescription: { correct: 0, total: 0 },
+    additionalData: { correct: 0, total: 0 },
+  };
+  const failures = [];
+  let correct = 0;
+
+  results.forEach(({ utterance, expected, actual }) => {
+    const want = intentClass(expected);
+    const got = intentClass(actual);
+    matrix[index.get(want)][index.get(got)]++;
+
+    if (want !== got) {
+      failures.push({ utterance, expected: want, actual: got });
+      return;
+    }
+    correct++;
+    if (want === QUESTION) return;
+
+    // Field accuracy only makes sense once the action type is right
+    const targetOk = targetMatches(
+      expected.targetDescription,
+      actual.targetDescription
+    );
+    const dataOk = dataMatches(expected.additionalData, actual.additionalData);
+    fields.targetDescription.total++;
+    fields.additionalData.total++;
+    if (targetOk) fields.targetDescription.correct++;
+    if (dataOk) fields.additionalData.correct++;
+
+    if (!targetOk || !dataOk) {
+      failures.push({
+        utterance,
+        expected: want,
+        actual: got,
+        fields: {
+          targetDescription: targetOk
+            ? undefined
+            : [expected.targetDescription, actual.targetDescription],
+          additionalData: dataOk
+            ? undefined
+            : [expected.additionalData, actual.additionalData],
+        },
+      });
+    }
+  });
+
+  const classes = {};
+  labels.forEach((label, i) => {
+    const tp = matrix[i][i];
+    const support = matrix[i].reduce((sum, n) => sum + n, 0);
+    const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+    const precision = ratio(tp, predicted);
+    const recall = ratio(tp, support);
+    let f1 = null;
+    if (precision !== null && recall !== null) {
+      f1 =
+        precision + recall === 0
+          ? 0
+          : (2 * precision * recall) / (precision + recall);
+    }
+    classes[label] = {
+      support,
+      predicted,
+      tp,
+      fp: predicted - tp,
+      fn: support - tp,
+      precision,
+      recall,
+      f1,
+    };
+  });
+
+  // Macro averages over classes that appear in the corpus
+  const labeled = Object.values(classes).filter((c) => c.support > 0);
+  const mean = (key) => {
+    const values = labeled.map((c) => c[key] ?? 0);
+    return values.length
+      ? values.reduce((a, b) => a + b, 0) / values.length
+      : 0;
+  };
+
+  return {
+    total: results.length,
+    accuracy: ratio(correct, results.length),
+    classes,
+    macro: {
+      precision: mean("precision"),
+      recall: mean("recall"),
+      f1: mean("f1"),
+    },
+    confusion: { labels, matrix },
+    fields: {
+      targetDescription: {
+        ...fields.targetDescription,
+        accuracy: ratio(
+          fields.targetDescription.correct,
+          fields.targetDescription.total
+        ),
+      },
+      additionalData: {
+        ...fields.additionalData,
+        accuracy: ratio(
+          fields.additionalData.correct,
+          fields.additionalData.total
+        ),
+      },
+    },
+    failures,
+  };
+}
+
+const percent = (value) =>
+  value === null || value === undefined
+    ? "   -  "
+    : `${(value * 100).toFixed(1).padStart(5)}%`;
+
+const signedPoints = (value) =>
+  `${value >= 0 ? "+" : ""}${(value * 100).toFixed(1)}`;
+
+/**
+ * Render a report as a plain-text table and confusion matrix
+ * @param {Object} report - Output of scoreResults
+ * @param {Object} baseline - Optional earlier report to show F1 deltas against
+ * @returns {string}
+ */
+function formatReport(report, baseline = null) {
+  const lines = [];
+  const { labels, matrix } = report.confusion;
+  const width = Math.max(...labels.map((label) => label.length), 8);
+
+  lines.push(
+    `Utterances: ${report.total}   Accuracy: ${percent(report.accuracy)}`
+  );
+  lines.push("");
+  lines.push(
+    `${"class".padEnd(width)}  support  precision  recall      F1` +
+      (baseline ? "   ΔF1" : "")
+  );
+  labels.forEach((label) => {
+    const c = report.classes[label];
+    let row =
+      `${label.padEnd(width)}  ${String(c.support).padStart(7)}` +
+      `     ${percent(c.precision)}  ${percent(c.recall)}  ${percent(c.f1)}`;
+    const before = baseline?.classes?.[label];
+    if (baseline) {
+      row +=
+        before && before.f1 !== null && c.f1 !== null
+          ? `  ${signedPoints(c.f1 - before.f1).padStart(5)}`
+          : "      -";
+    }
+    lines.push(row);
+  });
+  lines.push(
+    `${"macro".padEnd(width)}  ${String(report.total).padStart(7)}` +
+      `     ${percent(report.macro.precision)}  ${percent(
+        report.macro.recall
+      )}  ${percent(report.macro.f1)}` +
+      (baseline
+        ? `  ${signedPoints(report.macro.f1 - baseline.macro.f1).padStart(5)}`
+        : "")
+  );
+
+  lines.push("");
+  lines.push("Confusion matrix (rows: expected, columns: predicted)");
+  const columns = labels.map((_, i) => String(i + 1).padStart(3)).join("");
+  lines.push(`${"".padEnd(width + 5)}${columns}`);
+  labels.forEach((label, i) => {
+    const cells = matrix[i]
+      .map((n) => (n === 0 ? "  ." : String(n).padStart(3)))
+      .join("");
+    lines.push(`${String(i + 1).padStart(2)}. ${label.padEnd(width)} ${cells}`);
+  });
+
+  lines.push("");
+  const { targetDescription, additionalData } = report.fields;
+  lines.push(
+    `Field accuracy on correctly classified actions: ` +
+      `targetDescription ${percent(targetDescription.accuracy)} ` +
+      `(${targetDescription.correct}/${targetDescription.total}), ` +
+      `additionalData ${percent(additionalData.accuracy)} ` +
+      `(${additionalData.correct}/${additionalData.total})`
+  );
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  QUESTION,
+  formatReport,
+  intentClass,
+  normalize,
+  scoreResults,
+  targetMatches,
+};
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadContentScripts } = require("./harness");
+
+const PAGE = `<!DOCTYPE html><html><body>
+  <h1>Help center</h1>
+  <p id="intro">Read our <a href="/refunds">refund</a>
+    policy before returning an order.</p>
+  <p id="hidden" style="display: none">Refund policy (old)</p>
+  <ul>
+    <li>Delivery fees depend on the destination.</li>
+    <li>The refund policy covers 30 days.</li>
+  </ul>
+  <div id="lavio-voice-panel"><p>Refund policy</p></div>
+</body></html>`;
+
+function createFinder() {
+  const page = loadContentScripts({ html: PAGE, scripts: ["page-finder.js"] });
+  return { page, finder: new (page.get("PageFinder"))() };
+}
+
+test("find highlights visible matches across inline elements", () => {
+  const { page, finder } = createFinder();
+  const scrolled = [];
+  // The first match starts in the link
+  page.document.querySelector("a").scrollIntoView = () => scrolled.push("link");
+
+  const result = finder.find("Refund policy");
+  const boxes = page.document.querySelectorAll("#lavio-find-layer > div");
+
+  assert.deepEqual([result.success, result.count, result.index], [true, 2, 0]);
+  assert.match(result.text, /^refund\s+policy$/);
+  assert.equal(boxes.length, 2);
+  assert.equal(page.document.querySelectorAll(".lavio-find-current").length, 1);
+  assert.deepEqual(scrolled, ["link"]);
+  assert.equal(finder.find("warranty").success, false);
+  page.close();
+});
+
+test("next and previous wrap around, and clear removes the highlights", () => {
+  const { page, finder } = createFinder();
+
+  finder.find("refund policy");
+  const next = finder.next();
+  const wrapped = finder.next();
+  const previous = finder.previous();
+  const cleared = finder.clear();
+
+  assert.deepEqual([next.index, wrapped.index, previous.index], [1, 0, 1]);
+  assert.equal(cleared.success, true);
+  assert.equal(finder.isActive(), false);
+  assert.equal(page.document.getElementById("lavio-find-layer"), null);
+  assert.equal(finder.next().success, false);
+  page.close();
+});
+
+test("getPassages lists visible text blocks for semantic search", () => {
+  const { page, finder } = createFinder();
+
+  const passages = finder.getPassages();
+  const shown = finder.showPassages([passages[2].element], "shipping costs");
+
+  assert.deepEqual(
+    Array.from(passages, ({ text }) => text),
+    [
+      "Help center",
+      "Read our refund policy before returning an order.",
+      "Delivery fees depend on the destination.",
+      "The refund policy covers 30 days.",
+    ]
+  );
+  assert.deepEqual([shown.count, shown.text], [1, passages[2].text]);
+  assert.equal(finder.query, "shipping costs");
+  page.close();
+});
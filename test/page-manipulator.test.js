@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadContentScripts } = require("./harness");
+
+const PAGE = `<!DOCTYPE html><html><body>
+  <header>Site header</header>
+  <aside class="sidebar" style="display: flex">Related links</aside>
+  <main><p>Article</p></main>
+</body></html>`;
+
+function createManipulator() {
+  const page = loadContentScripts({
+    html: PAGE,
+    scripts: ["page-manipulator.js"],
+  });
+  const PageManipulator = page.get("PageManipulator");
+  return { page, manipulator: new PageManipulator() };
+}
+
+test("hideElements hides matching elements and records the change", () => {
+  const { page, manipulator } = createManipulator();
+
+  const result = manipulator.hideElements("sidebar");
+  const aside = page.document.querySelector("aside");
+
+  assert.equal(result.success, true);
+  assert.equal(result.count, 1);
+  assert.equal(aside.style.display, "none");
+  assert.equal(aside.getAttribute("data-lavio-hidden"), "true");
+  assert.ok(
+    manipulator.activeManipulations.some((m) => m.id === "hide_sidebar")
+  );
+  page.close();
+});
+
+test("hideElements reports when nothing matches", () => {
+  const { page, manipulator } = createManipulator();
+
+  const result = manipulator.hideElements("videos");
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /No videos found/);
+  page.close();
+});
+
+test("showElements restores the original display value", () => {
+  const { page, manipulator } = createManipulator();
+  manipulator.hideElements("sidebar");
+
+  const result = manipulator.showElements("sidebar");
+  const aside = page.document.querySelector("aside");
+
+  assert.equal(result.count, 1);
+  assert.equal(aside.style.display, "flex");
+  assert.equal(aside.hasAttribute("data-lavio-hidden"), false);
+  page.close();
+});
+
+test("undo and redo restore hidden elements, zoom, dark mode and text size", async () => {
+  const page = loadContentScripts({
+    html: PAGE,
+    scripts: ["action-history.js", "page-manipulator.js"],
+  });
+  const history = new (page.get("ActionHistory"))();
+  const manipulator = new (page.get("PageManipulator"))(history);
+  const { document } = page;
+  const aside = document.querySelector("aside");
+  const css = () => manipulator.customStyleElement.textContent;
+
+  manipulator.adjustTextSize("increase");
+  manipulator.toggleDarkMode(true);
+  manipulator.hideElements("sidebar");
+  manipulator.setZoom("in");
+  manipulator.hideElements("videos"); // Nothing to hide: not recorded
+
+  assert.equal((await manipulator.undoLast()).success, true);
+  assert.ok(!manipulator.activeManipulations.some((m) => m.id === "zoom"));
+  await history.undo();
+  assert.equal(aside.style.display, "flex");
+  assert.equal(aside.hasAttribute("data-lavio-hidden"), false);
+  await history.undo();
+  assert.equal(manipulator.isDarkModeEnabled, false);
+  assert.doesNotMatch(css(), /darkMode start/);
+  const undoText = await history.undo();
+  assert.equal(undoText.message, "Undid the text size change");
+  assert.equal(manipulator.textSizeMultiplier, 1);
+  assert.equal(css().trim(), "");
+  assert.equal((await history.undo()).success, false);
+
+  await history.redo();
+  await history.redo();
+  await history.redo();
+  assert.equal(manipulator.isDarkModeEnabled, true);
+  assert.equal(aside.style.display, "none");
+  assert.equal(aside.getAttribute("data-lavio-display"), "flex");
+  assert.deepEqual(Array.from(manipulator.hiddenElements), [aside]);
+  page.close();
+});